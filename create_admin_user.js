@@ -0,0 +1,45 @@
+// Script to create (or reset) an admin account
+// Usage: node create_admin_user.js <email> <password> [role] [name]
+require('dotenv').config();
+const { Pool } = require('pg');
+const { hashPassword } = require('./src/utils/passwords');
+const { ROLES, isValidRole } = require('./src/config/permissions');
+
+const pool = new Pool();
+
+async function createAdminUser() {
+  const [email, password, role = ROLES.SUPER_ADMIN, name = null] = process.argv.slice(2);
+
+  if (!email || !password) {
+    console.error('Usage: node create_admin_user.js <email> <password> [role] [name]');
+    process.exitCode = 1;
+    return pool.end();
+  }
+  if (!isValidRole(role)) {
+    console.error(`Unknown role "${role}". Use one of: ${Object.values(ROLES).join(', ')}`);
+    process.exitCode = 1;
+    return pool.end();
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO admin_users (email, name, password_hash, role)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (email)
+       DO UPDATE SET password_hash = EXCLUDED.password_hash, role = EXCLUDED.role,
+                     name = COALESCE(EXCLUDED.name, admin_users.name), is_active = TRUE, updated_at = CURRENT_TIMESTAMP
+       RETURNING id, email, role`,
+      [email.trim().toLowerCase(), name, await hashPassword(password), role]
+    );
+
+    console.log('Success! Admin account ready:');
+    console.log(JSON.stringify(result.rows[0], null, 2));
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+createAdminUser();
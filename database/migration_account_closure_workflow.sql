@@ -0,0 +1,15 @@
+-- Migration: Admin review and grace period for account closure requests
+-- Created: 2026-10-19
+-- Lifecycle: pending -> approved -> completed (anonymised by the scheduled job once scheduled_for passes),
+-- pending/approved -> rejected by an admin, or -> cancelled when the user logs in during the grace period.
+
+ALTER TABLE account_closure_requests ADD COLUMN IF NOT EXISTS scheduled_for TIMESTAMP;
+ALTER TABLE account_closure_requests ADD COLUMN IF NOT EXISTS reviewed_by_admin_id INTEGER REFERENCES admin_users(id);
+ALTER TABLE account_closure_requests ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;
+ALTER TABLE account_closure_requests ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_account_closure_scheduled ON account_closure_requests(status, scheduled_for);
+
+COMMENT ON COLUMN account_closure_requests.status IS 'pending, approved, rejected, cancelled or completed';
+COMMENT ON COLUMN account_closure_requests.scheduled_for IS 'End of the grace period; approved requests are anonymised after this';
+COMMENT ON COLUMN account_closure_requests.processed_by IS 'Deprecated: admins are admin_users, see reviewed_by_admin_id';
@@ -0,0 +1,19 @@
+-- Migration: Admin users and roles
+-- Created: 2026-10-19
+-- Replaces the shared x-admin-api-key with individual admin accounts.
+-- Each account has one role; role permissions are defined in src/config/permissions.js.
+
+CREATE TABLE IF NOT EXISTS admin_users (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    name VARCHAR(255),
+    password_hash VARCHAR(255) NOT NULL,
+    role VARCHAR(30) NOT NULL DEFAULT 'support'
+        CHECK (role IN ('super_admin', 'content_editor', 'finance', 'support')),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    last_login_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_users_role ON admin_users(role);
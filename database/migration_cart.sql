@@ -0,0 +1,15 @@
+-- Migration: Shopping cart for multi-topic checkout
+-- Created: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS cart_items (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    topic_id INTEGER REFERENCES topics(id) ON DELETE CASCADE,
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, topic_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cart_items_user_id ON cart_items(user_id);
+
+COMMENT ON TABLE cart_items IS 'Topics a user has selected for a single checkout across INDIVIDUAL and FLEXIBLE categories';
+COMMENT ON COLUMN purchases.purchase_type IS 'free, bundle, individual_topics or cart';
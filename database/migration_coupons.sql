@@ -0,0 +1,52 @@
+-- Migration: Coupon codes and redemptions for create-order / enroll
+-- Created: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS coupons (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) UNIQUE NOT NULL,
+    description TEXT,
+    discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percentage', 'flat')),
+    discount_value NUMERIC(12,2) NOT NULL CHECK (discount_value > 0),
+    max_discount NUMERIC(12,2),
+    min_order_amount NUMERIC(12,2) DEFAULT 0,
+    topic_ids INTEGER[] DEFAULT '{}',
+    category_ids INTEGER[] DEFAULT '{}',
+    plan_types VARCHAR(20)[] DEFAULT '{}',
+    valid_from TIMESTAMP,
+    valid_until TIMESTAMP,
+    max_redemptions INTEGER,
+    max_redemptions_per_user INTEGER DEFAULT 1,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (discount_type <> 'percentage' OR discount_value <= 100)
+);
+
+CREATE INDEX IF NOT EXISTS idx_coupons_active ON coupons(is_active);
+
+COMMENT ON COLUMN coupons.code IS 'Stored uppercase; codes are matched case-insensitively';
+COMMENT ON COLUMN coupons.max_discount IS 'Cap for percentage coupons, in major currency units';
+COMMENT ON COLUMN coupons.topic_ids IS 'Empty scope arrays mean the coupon applies to everything';
+
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+    id SERIAL PRIMARY KEY,
+    coupon_id INTEGER NOT NULL REFERENCES coupons(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL,
+    order_id VARCHAR(255) UNIQUE,
+    topic_id INTEGER REFERENCES topics(id) ON DELETE SET NULL,
+    category_id INTEGER REFERENCES category(id) ON DELETE SET NULL,
+    original_amount NUMERIC(12,2) NOT NULL,
+    discount_amount NUMERIC(12,2) NOT NULL,
+    final_amount NUMERIC(12,2) NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'redeemed', 'cancelled')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    redeemed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon_user ON coupon_redemptions(coupon_id, user_id);
+
+COMMENT ON TABLE coupon_redemptions IS 'One row per order placed with a coupon; pending rows hold a redemption slot until the payment completes or fails';
+
+ALTER TABLE payments
+    ADD COLUMN IF NOT EXISTS coupon_id INTEGER REFERENCES coupons(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS discount_amount NUMERIC(12,2) DEFAULT 0;
@@ -0,0 +1,24 @@
+-- Migration: Personal data export requests
+-- Created: 2026-10-19
+
+-- One row per export a user asks for. The archive is built in the background, stored privately in
+-- S3 and linked to by a presigned URL that stops working at expires_at.
+CREATE TABLE IF NOT EXISTS data_export_requests (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'processing', 'ready', 'failed', 'expired')),
+    s3_key VARCHAR(500),
+    file_size BIGINT,
+    error_message TEXT,
+    attempts INTEGER DEFAULT 0,
+    requested_ip VARCHAR(100),
+    expires_at TIMESTAMP,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_export_requests_user_id ON data_export_requests(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_data_export_requests_status ON data_export_requests(status, expires_at);
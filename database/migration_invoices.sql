@@ -0,0 +1,41 @@
+-- Migration: GST tax invoices for captured payments
+-- Created: 2026-10-19
+
+-- Gapless invoice numbering per Indian financial year (April - March)
+CREATE TABLE IF NOT EXISTS invoice_sequences (
+    financial_year VARCHAR(9) PRIMARY KEY,
+    last_number INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS invoices (
+    id SERIAL PRIMARY KEY,
+    invoice_number VARCHAR(50) UNIQUE NOT NULL,
+    financial_year VARCHAR(9) NOT NULL,
+    ledger_id INTEGER UNIQUE NOT NULL REFERENCES payments(id) ON DELETE RESTRICT,
+    user_id INTEGER NOT NULL,
+    order_id VARCHAR(255),
+    payment_id VARCHAR(255),
+    buyer_name VARCHAR(255),
+    buyer_email VARCHAR(255),
+    buyer_phone VARCHAR(30),
+    buyer_address TEXT,
+    description VARCHAR(255),
+    sac_code VARCHAR(10),
+    currency VARCHAR(10) DEFAULT 'INR',
+    gst_rate NUMERIC(5,2) NOT NULL,
+    taxable_amount NUMERIC(12,2) NOT NULL,
+    cgst_amount NUMERIC(12,2) DEFAULT 0,
+    sgst_amount NUMERIC(12,2) DEFAULT 0,
+    igst_amount NUMERIC(12,2) DEFAULT 0,
+    total_amount NUMERIC(12,2) NOT NULL,
+    place_of_supply VARCHAR(100),
+    issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    emailed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_user_id ON invoices(user_id);
+CREATE INDEX IF NOT EXISTS idx_invoices_issued_at ON invoices(issued_at);
+
+COMMENT ON TABLE invoices IS 'One tax invoice per captured payment; buyer details are a snapshot taken at issue time';
+COMMENT ON COLUMN invoices.taxable_amount IS 'Amount paid is GST inclusive; taxable value = total / (1 + gst_rate / 100)';
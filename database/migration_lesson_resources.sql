@@ -0,0 +1,41 @@
+-- Migration: Downloadable lesson resources
+-- Created: 2026-10-19
+-- PDFs, lab files and cheat sheets attached to a module or one of its videos. Files are stored
+-- privately in S3 and only handed out as short-lived presigned URLs to users with access to the
+-- topic; downloads are counted per user.
+
+CREATE TABLE IF NOT EXISTS lesson_resources (
+    id SERIAL PRIMARY KEY,
+    topic_id INTEGER NOT NULL REFERENCES topics(id) ON DELETE CASCADE,
+    module_id INTEGER NOT NULL REFERENCES topic_modules(id) ON DELETE CASCADE,
+    video_id INTEGER REFERENCES topic_videos(id) ON DELETE CASCADE, -- NULL for module-level resources
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    resource_type VARCHAR(20) NOT NULL DEFAULT 'document' CHECK (resource_type IN ('document', 'lab', 'cheat_sheet', 'other')),
+    file_name VARCHAR(255) NOT NULL,
+    s3_key TEXT NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    file_size BIGINT NOT NULL,
+    order_index INTEGER NOT NULL DEFAULT 0,
+    download_count INTEGER NOT NULL DEFAULT 0,
+    created_by_admin_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS lesson_resource_downloads (
+    id SERIAL PRIMARY KEY,
+    resource_id INTEGER NOT NULL REFERENCES lesson_resources(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    download_count INTEGER NOT NULL DEFAULT 1,
+    first_downloaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_downloaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (resource_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_lesson_resources_module ON lesson_resources(module_id, order_index);
+CREATE INDEX IF NOT EXISTS idx_lesson_resources_video ON lesson_resources(video_id, order_index);
+CREATE INDEX IF NOT EXISTS idx_lesson_resource_downloads_user ON lesson_resource_downloads(user_id);
+
+COMMENT ON TABLE lesson_resources IS 'Downloadable files attached to a module or video, served through presigned URLs';
+COMMENT ON TABLE lesson_resource_downloads IS 'Per-user download counts for lesson resources';
@@ -0,0 +1,46 @@
+-- Migration: Login audit trail and suspicious activity flags
+-- Created: 2026-10-19
+-- Every OTP send, OTP verify, OAuth sign-in and logout is recorded with its outcome and request
+-- details. Detection rules run on each event and open a security flag on the account when they match.
+
+CREATE TABLE IF NOT EXISTS login_events (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE, -- NULL when the email matched no account
+    email VARCHAR(255),
+    event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('otp_send', 'otp_verify', 'oauth', 'logout', 'logout_all')),
+    success BOOLEAN NOT NULL,
+    failure_reason VARCHAR(50), -- e.g. 'user_not_found', 'otp_invalid', 'otp_locked', 'rate_limited'
+    ip_address VARCHAR(64),
+    user_agent TEXT,
+    device_id VARCHAR(255),
+    session_id INTEGER REFERENCES user_sessions(id) ON DELETE SET NULL,
+    country VARCHAR(2), -- ISO code from CDN geo headers
+    location_hint VARCHAR(255),
+    latitude NUMERIC(8, 5),
+    longitude NUMERIC(8, 5),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_events_user ON login_events(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_events_email ON login_events(LOWER(email), created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_events_ip ON login_events(ip_address, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_events_created ON login_events(created_at DESC);
+
+CREATE TABLE IF NOT EXISTS account_security_flags (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    login_event_id INTEGER REFERENCES login_events(id) ON DELETE SET NULL,
+    rule VARCHAR(30) NOT NULL CHECK (rule IN ('many_failures', 'new_country', 'impossible_travel')),
+    details JSONB NOT NULL DEFAULT '{}',
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+    resolved_by_admin_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    resolution_notes TEXT,
+    resolved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_security_flags_user ON account_security_flags(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_account_security_flags_open ON account_security_flags(status, created_at DESC);
+
+COMMENT ON TABLE login_events IS 'Audit trail of OTP sends, verifies, OAuth sign-ins and logouts';
+COMMENT ON TABLE account_security_flags IS 'Accounts flagged by login anomaly detection, reviewed by admins';
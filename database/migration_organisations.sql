@@ -0,0 +1,79 @@
+-- Migration: Organisations with seat-based licences
+-- Created: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS organisations (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    billing_email VARCHAR(255),
+    created_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Members are invited by email; user_id is filled in once the invitee verifies that address
+-- through OTP signup or login
+CREATE TABLE IF NOT EXISTS organisation_members (
+    id SERIAL PRIMARY KEY,
+    organisation_id INTEGER NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'admin', 'member')),
+    status VARCHAR(20) NOT NULL DEFAULT 'invited' CHECK (status IN ('invited', 'active', 'removed')),
+    invited_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    invited_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    joined_at TIMESTAMP,
+    removed_at TIMESTAMP,
+    UNIQUE(organisation_id, email)
+);
+
+CREATE INDEX IF NOT EXISTS idx_organisation_members_user_id ON organisation_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_organisation_members_email ON organisation_members(LOWER(email));
+
+-- N seats of a topic or a category bundle, bought with one Razorpay order
+CREATE TABLE IF NOT EXISTS seat_licences (
+    id SERIAL PRIMARY KEY,
+    organisation_id INTEGER NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+    item_type VARCHAR(20) NOT NULL CHECK (item_type IN ('topic', 'bundle')),
+    topic_id INTEGER REFERENCES topics(id) ON DELETE CASCADE,
+    category_id INTEGER REFERENCES category(id) ON DELETE CASCADE,
+    seats INTEGER NOT NULL CHECK (seats > 0),
+    unit_price DECIMAL(10,2) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    currency VARCHAR(10) DEFAULT 'INR',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'active', 'failed', 'refunded')),
+    future_topics_included BOOLEAN DEFAULT false,
+    order_id VARCHAR(255) UNIQUE,
+    payment_id VARCHAR(255),
+    purchased_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    activated_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((item_type = 'topic' AND topic_id IS NOT NULL) OR (item_type = 'bundle' AND category_id IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_seat_licences_organisation_id ON seat_licences(organisation_id);
+CREATE INDEX IF NOT EXISTS idx_seat_licences_payment_id ON seat_licences(payment_id);
+
+-- A seat is in use while reclaimed_at is NULL; reclaimed rows are kept as history
+CREATE TABLE IF NOT EXISTS seat_assignments (
+    id SERIAL PRIMARY KEY,
+    licence_id INTEGER NOT NULL REFERENCES seat_licences(id) ON DELETE CASCADE,
+    organisation_id INTEGER NOT NULL REFERENCES organisations(id) ON DELETE CASCADE,
+    member_id INTEGER NOT NULL REFERENCES organisation_members(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    assigned_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    reclaimed_at TIMESTAMP,
+    reclaimed_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_seat_assignments_active
+    ON seat_assignments(licence_id, member_id) WHERE reclaimed_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_seat_assignments_user_id ON seat_assignments(user_id) WHERE reclaimed_at IS NULL;
+
+-- Seat purchases go through the payments ledger like every other order
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_item_type_check;
+ALTER TABLE payments ADD CONSTRAINT payments_item_type_check
+    CHECK (item_type IN ('topic', 'bundle', 'topics', 'seats'));
+COMMENT ON COLUMN payments.item_type IS 'topic (single topic), bundle (whole category), topics (multi-topic purchase / cart) or seats (organisation seat licence)';
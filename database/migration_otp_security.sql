@@ -0,0 +1,21 @@
+-- Migration: Hashed OTPs, verify attempt limits and send rate limiting
+-- Created: 2026-10-19
+-- OTPs are stored as an HMAC (otp_hash) instead of plain text. Rows are kept after use
+-- (consumed_at / invalidated_at) so sends can be rate limited per user and per IP.
+
+ALTER TABLE otp_verifications ADD COLUMN IF NOT EXISTS otp_hash VARCHAR(64);
+ALTER TABLE otp_verifications ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE otp_verifications ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64);
+ALTER TABLE otp_verifications ADD COLUMN IF NOT EXISTS consumed_at TIMESTAMP;
+ALTER TABLE otp_verifications ADD COLUMN IF NOT EXISTS invalidated_at TIMESTAMP;
+ALTER TABLE otp_verifications ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+ALTER TABLE otp_verifications ALTER COLUMN otp DROP NOT NULL;
+
+-- Plain-text OTPs still outstanding are short-lived; drop them rather than keep them readable
+DELETE FROM otp_verifications WHERE otp_hash IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_otp_verifications_user_created ON otp_verifications(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_otp_verifications_ip_created ON otp_verifications(ip_address, created_at);
+
+COMMENT ON COLUMN otp_verifications.otp IS 'Deprecated: OTPs are only stored hashed in otp_hash';
+COMMENT ON COLUMN otp_verifications.locked_until IS 'Set when verify attempts are exhausted; no OTP can be sent or verified for the user until then';
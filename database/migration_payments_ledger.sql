@@ -0,0 +1,63 @@
+-- Migration: Payments ledger recording the amounts actually charged
+-- Created: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS payments (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    order_id VARCHAR(255) UNIQUE,
+    payment_id VARCHAR(255),
+    item_type VARCHAR(20) NOT NULL CHECK (item_type IN ('topic', 'bundle', 'topics')),
+    topic_id INTEGER REFERENCES topics(id) ON DELETE SET NULL,
+    category_id INTEGER REFERENCES category(id) ON DELETE SET NULL,
+    purchase_id INTEGER REFERENCES purchases(id) ON DELETE SET NULL,
+    description VARCHAR(255),
+    amount NUMERIC(12,2) NOT NULL,
+    currency VARCHAR(10) DEFAULT 'INR',
+    status VARCHAR(20) DEFAULT 'created' CHECK (status IN ('created', 'captured', 'failed', 'refunded')),
+    paid_at TIMESTAMP,
+    refunded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_user_id ON payments(user_id);
+CREATE INDEX IF NOT EXISTS idx_payments_payment_id ON payments(payment_id);
+CREATE INDEX IF NOT EXISTS idx_payments_status_paid_at ON payments(status, paid_at);
+
+COMMENT ON TABLE payments IS 'One row per Razorpay order: amount charged at order time, moved to captured/failed/refunded by verify and webhook handlers';
+COMMENT ON COLUMN payments.item_type IS 'topic (single topic), bundle (whole category) or topics (multi-topic purchase / cart)';
+
+-- Backfill captured bundle payments at the category's current bundle price (the charged amount was never stored)
+INSERT INTO payments (user_id, order_id, payment_id, item_type, category_id, description, amount, status, paid_at, created_at)
+SELECT ucb.user_id, ucb.order_id, ucb.payment_id, 'bundle', ucb.category_id,
+       c.name || ' - Bundle (backfilled)', COALESCE(c.bundle_price, 0), 'captured',
+       COALESCE(ucb.enrolled_at, ucb.updated_at), COALESCE(ucb.enrolled_at, ucb.created_at)
+FROM user_category_bundles ucb
+JOIN category c ON c.id = ucb.category_id
+WHERE ucb.payment_status = 'completed'
+  AND ucb.payment_id IS NOT NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM payments p
+    WHERE p.user_id = ucb.user_id AND p.category_id = ucb.category_id AND p.item_type = 'bundle'
+  )
+ON CONFLICT DO NOTHING;
+
+-- Backfill paid single-topic enrollments at the topic's current price, skipping topics that came with a bundle
+INSERT INTO payments (user_id, order_id, payment_id, item_type, topic_id, description, amount, status, paid_at, created_at)
+SELECT ut.user_id, ut.razorpay_order_id, ut.razorpay_payment_id, 'topic', ut.topic_id,
+       t.title || ' (backfilled)', t.price, 'captured', ut.enrolled_at, ut.enrolled_at
+FROM user_topics ut
+JOIN topics t ON t.id = ut.topic_id
+WHERE ut.payment_status = 'completed'
+  AND COALESCE(t.price, 0) > 0
+  AND NOT EXISTS (
+    SELECT 1 FROM user_category_bundles ucb
+    WHERE ucb.user_id = ut.user_id
+      AND ucb.category_id = t.category_id
+      AND ucb.payment_status = 'completed'
+  )
+  AND NOT EXISTS (
+    SELECT 1 FROM payments p
+    WHERE p.user_id = ut.user_id AND p.topic_id = ut.topic_id
+  )
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,26 @@
+-- Migration: Purchases table for the plan-type aware /api/purchases checkout
+-- Created: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS purchases (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    category_id INTEGER REFERENCES category(id) ON DELETE SET NULL,
+    plan_type VARCHAR(20) NOT NULL,
+    purchase_type VARCHAR(30) NOT NULL,
+    topic_ids JSONB DEFAULT '[]',
+    amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+    currency VARCHAR(10) DEFAULT 'INR',
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'completed', 'failed')),
+    order_id VARCHAR(255) UNIQUE,
+    payment_id VARCHAR(255),
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchases_user_id ON purchases(user_id);
+CREATE INDEX IF NOT EXISTS idx_purchases_category_id ON purchases(category_id);
+CREATE INDEX IF NOT EXISTS idx_purchases_status ON purchases(status);
+
+COMMENT ON TABLE purchases IS 'Checkout records for FREE, INDIVIDUAL, BUNDLE and FLEXIBLE category plans';
+COMMENT ON COLUMN purchases.topic_ids IS 'Topics unlocked by this purchase, captured at checkout time';
@@ -0,0 +1,27 @@
+-- Migration: Razorpay webhook processing
+-- Created: 2026-10-19
+
+-- Processed webhook deliveries, keyed by x-razorpay-event-id so retries are ignored
+CREATE TABLE IF NOT EXISTS razorpay_webhook_events (
+    id SERIAL PRIMARY KEY,
+    event_id VARCHAR(255) UNIQUE NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    order_id VARCHAR(255),
+    payment_id VARCHAR(255),
+    result VARCHAR(50),
+    payload JSONB,
+    processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_razorpay_webhook_events_order_id ON razorpay_webhook_events(order_id);
+CREATE INDEX IF NOT EXISTS idx_razorpay_webhook_events_payment_id ON razorpay_webhook_events(payment_id);
+
+-- Webhooks look up pending records by order and refunds by payment
+CREATE INDEX IF NOT EXISTS idx_user_category_bundles_order_id ON user_category_bundles(order_id);
+CREATE INDEX IF NOT EXISTS idx_user_category_bundles_payment_id ON user_category_bundles(payment_id);
+CREATE INDEX IF NOT EXISTS idx_purchases_payment_id ON purchases(payment_id);
+
+-- Refunds revoke access through a 'refunded' status
+ALTER TABLE purchases DROP CONSTRAINT IF EXISTS purchases_status_check;
+ALTER TABLE purchases ADD CONSTRAINT purchases_status_check
+    CHECK (status IN ('pending', 'completed', 'failed', 'refunded'));
@@ -0,0 +1,32 @@
+-- Migration: Refunds and partial refund tracking on the payments ledger
+-- Created: 2026-10-19
+
+ALTER TABLE payments
+    ADD COLUMN IF NOT EXISTS amount_refunded NUMERIC(12,2) DEFAULT 0;
+
+UPDATE payments SET amount_refunded = amount
+WHERE status = 'refunded' AND COALESCE(amount_refunded, 0) = 0;
+
+COMMENT ON COLUMN payments.amount_refunded IS 'Sum of processed refunds; status becomes refunded once it reaches amount';
+
+CREATE TABLE IF NOT EXISTS refunds (
+    id SERIAL PRIMARY KEY,
+    refund_id VARCHAR(255) UNIQUE NOT NULL,
+    payment_id VARCHAR(255) NOT NULL,
+    ledger_id INTEGER REFERENCES payments(id) ON DELETE SET NULL,
+    user_id INTEGER,
+    amount NUMERIC(12,2) NOT NULL,
+    currency VARCHAR(10) DEFAULT 'INR',
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'processed', 'failed')),
+    reason TEXT,
+    access_revoked BOOLEAN DEFAULT false,
+    initiated_by VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_payment_id ON refunds(payment_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_user_id ON refunds(user_id);
+
+COMMENT ON TABLE refunds IS 'Razorpay refunds issued by admins or reported by the refund.processed webhook';
+COMMENT ON COLUMN refunds.initiated_by IS 'admin for refunds issued through /api/refunds, webhook for refunds made from the Razorpay dashboard';
@@ -0,0 +1,6 @@
+-- Migration: Location hints on sessions for the learner device list
+-- Created: 2026-10-19
+
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS location_hint VARCHAR(255);
+
+COMMENT ON COLUMN user_sessions.location_hint IS 'Approximate city/country from CDN geo headers at sign-in, when available';
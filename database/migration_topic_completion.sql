@@ -0,0 +1,65 @@
+-- Migration: Topic completion tracking and progress milestone notifications
+-- Created: 2026-10-19
+
+-- Keep a single enrollment row per user/topic so progress can be upserted.
+-- Duplicates are archived, then merged into the oldest row before they are removed.
+CREATE TABLE IF NOT EXISTS topic_enrollments_duplicates_archive (
+    LIKE topic_enrollments,
+    merged_into_id INTEGER,
+    archived_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO topic_enrollments_duplicates_archive (
+    id, topic_id, user_id, enrolled_at, completed_at, progress_percentage, last_accessed_at, status, merged_into_id
+)
+SELECT dup.id, dup.topic_id, dup.user_id, dup.enrolled_at, dup.completed_at, dup.progress_percentage,
+       dup.last_accessed_at, dup.status, keep.keep_id
+FROM topic_enrollments dup
+JOIN (
+    SELECT topic_id, user_id, MIN(id) as keep_id
+    FROM topic_enrollments
+    GROUP BY topic_id, user_id
+    HAVING COUNT(*) > 1
+) keep ON keep.topic_id = dup.topic_id AND keep.user_id = dup.user_id
+WHERE dup.id > keep.keep_id;
+
+WITH duplicates AS (
+    SELECT topic_id, user_id,
+           MIN(id) as keep_id,
+           MIN(enrolled_at) as enrolled_at,
+           MIN(completed_at) as completed_at,
+           MAX(progress_percentage) as progress_percentage,
+           MAX(last_accessed_at) as last_accessed_at,
+           BOOL_OR(status = 'completed') as any_completed
+    FROM topic_enrollments
+    GROUP BY topic_id, user_id
+    HAVING COUNT(*) > 1
+)
+UPDATE topic_enrollments te SET
+    enrolled_at = d.enrolled_at,
+    completed_at = d.completed_at,
+    progress_percentage = d.progress_percentage,
+    last_accessed_at = d.last_accessed_at,
+    status = CASE WHEN d.any_completed THEN 'completed' ELSE te.status END
+FROM duplicates d
+WHERE te.id = d.keep_id;
+
+DELETE FROM topic_enrollments a
+USING topic_enrollments b
+WHERE a.topic_id = b.topic_id
+  AND a.user_id = b.user_id
+  AND a.id > b.id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_topic_enrollments_topic_user ON topic_enrollments(topic_id, user_id);
+
+-- Milestones (25/50/75/100%) already notified for a user/topic
+CREATE TABLE IF NOT EXISTS topic_progress_milestones (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    topic_id INTEGER REFERENCES topics(id) ON DELETE CASCADE,
+    milestone INTEGER NOT NULL CHECK (milestone IN (25, 50, 75, 100)),
+    reached_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, topic_id, milestone)
+);
+
+CREATE INDEX IF NOT EXISTS idx_topic_progress_milestones_user_topic ON topic_progress_milestones(user_id, topic_id);
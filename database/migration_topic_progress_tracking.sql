@@ -0,0 +1,52 @@
+-- Migration: Server-side video progress tracking on topic_progress
+-- Created: 2026-10-19
+
+-- Resume point and last heartbeat time for each user/video row
+ALTER TABLE topic_progress ADD COLUMN IF NOT EXISTS last_position_seconds INTEGER DEFAULT 0;
+ALTER TABLE topic_progress ADD COLUMN IF NOT EXISTS last_watched_at TIMESTAMP;
+
+-- Progress summaries are always read per user and topic
+CREATE INDEX IF NOT EXISTS idx_topic_progress_user_topic ON topic_progress(user_id, topic_id);
+CREATE INDEX IF NOT EXISTS idx_topic_progress_video_id ON topic_progress(video_id);
+
+-- UNIQUE(topic_id, module_id, video_id, user_id) never matches rows without a module (NULLs are distinct),
+-- so heartbeats for those videos inserted a new row each time. Merge the duplicates into the oldest row,
+-- then enforce uniqueness with module_id coalesced.
+WITH duplicates AS (
+    SELECT topic_id, COALESCE(module_id, 0) as module_key, video_id, user_id,
+           MIN(id) as keep_id,
+           SUM(COALESCE(watch_time_seconds, 0)) as watch_time_seconds,
+           BOOL_OR(COALESCE(is_completed, false)) as is_completed,
+           MIN(completed_at) as completed_at,
+           MAX(last_watched_at) as last_watched_at
+    FROM topic_progress
+    GROUP BY topic_id, COALESCE(module_id, 0), video_id, user_id
+    HAVING COUNT(*) > 1
+)
+UPDATE topic_progress tp SET
+    watch_time_seconds = d.watch_time_seconds,
+    is_completed = d.is_completed,
+    completed_at = d.completed_at,
+    last_watched_at = d.last_watched_at,
+    last_position_seconds = (
+        SELECT latest.last_position_seconds FROM topic_progress latest
+        WHERE latest.topic_id IS NOT DISTINCT FROM d.topic_id
+          AND COALESCE(latest.module_id, 0) = d.module_key
+          AND latest.video_id IS NOT DISTINCT FROM d.video_id
+          AND latest.user_id = d.user_id
+        ORDER BY latest.last_watched_at DESC NULLS LAST, latest.id DESC
+        LIMIT 1
+    )
+FROM duplicates d
+WHERE tp.id = d.keep_id;
+
+DELETE FROM topic_progress dup
+USING topic_progress keep
+WHERE dup.topic_id IS NOT DISTINCT FROM keep.topic_id
+  AND COALESCE(dup.module_id, 0) = COALESCE(keep.module_id, 0)
+  AND dup.video_id IS NOT DISTINCT FROM keep.video_id
+  AND dup.user_id = keep.user_id
+  AND dup.id > keep.id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_topic_progress_unique_video
+    ON topic_progress(topic_id, (COALESCE(module_id, 0)), video_id, user_id);
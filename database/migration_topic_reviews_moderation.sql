@@ -0,0 +1,12 @@
+-- Migration: Moderation workflow for topic reviews
+-- Created: 2026-10-19
+
+-- pending -> approved | rejected; is_approved stays in sync for existing rating queries
+ALTER TABLE topic_reviews ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'pending';
+ALTER TABLE topic_reviews ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+ALTER TABLE topic_reviews ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMP;
+
+UPDATE topic_reviews SET status = 'approved' WHERE is_approved = true AND status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_topic_reviews_topic_status ON topic_reviews(topic_id, status);
+CREATE INDEX IF NOT EXISTS idx_topic_reviews_status ON topic_reviews(status);
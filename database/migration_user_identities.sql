@@ -0,0 +1,17 @@
+-- Migration: Linked social sign-in identities
+-- Created: 2026-10-19
+-- A user can link several Google/Apple accounts; each provider account links to one user.
+
+CREATE TABLE IF NOT EXISTS user_identities (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(20) NOT NULL CHECK (provider IN ('google', 'apple')),
+    provider_user_id VARCHAR(255) NOT NULL, -- the ID token's sub claim
+    email VARCHAR(255),
+    email_verified BOOLEAN DEFAULT false,
+    last_login_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(provider, provider_user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
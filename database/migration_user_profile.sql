@@ -0,0 +1,27 @@
+-- Migration: Learner profile editing, avatars and verified email changes
+-- Created: 2026-10-19
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_url TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_key VARCHAR(500);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;
+
+-- OTPs are scoped to what they confirm, so an email change code can't be used to log in
+ALTER TABLE otp_verifications ADD COLUMN IF NOT EXISTS purpose VARCHAR(30) NOT NULL DEFAULT 'login';
+CREATE INDEX IF NOT EXISTS idx_otp_verifications_user_purpose ON otp_verifications(user_id, purpose, created_at);
+
+-- An email change is applied once both the current and the new address have confirmed an OTP
+CREATE TABLE IF NOT EXISTS email_change_requests (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    old_email VARCHAR(255) NOT NULL,
+    new_email VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'completed', 'cancelled')),
+    current_verified_at TIMESTAMP,
+    new_verified_at TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_change_requests_user_status ON email_change_requests(user_id, status);
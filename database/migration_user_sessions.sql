@@ -0,0 +1,27 @@
+-- Migration: Server-side sessions with rotating refresh tokens
+-- Created: 2026-10-19
+-- One row per signed-in device. Access JWTs carry the session id (sid) and refresh tokens
+-- are stored hashed; each refresh rotates the token and keeps the previous hash to detect reuse.
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+    previous_token_hash VARCHAR(64),
+    device_id VARCHAR(255), -- matches user_fcm_tokens.device_id
+    device_type VARCHAR(50),
+    device_name VARCHAR(255),
+    ip_address VARCHAR(64),
+    user_agent TEXT,
+    expires_at TIMESTAMP NOT NULL,
+    last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(50), -- 'logout', 'logout_all', 'replaced', 'token_reuse', 'account_closed'
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_device ON user_sessions(user_id, device_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_previous_token ON user_sessions(previous_token_hash);
+
+COMMENT ON TABLE user_sessions IS 'Signed-in devices; a session is active while revoked_at IS NULL and expires_at is in the future';
@@ -0,0 +1,39 @@
+-- Migration: Caption tracks per video
+-- Created: 2026-10-19
+-- Uploaded SRT or WebVTT captions are normalised to WebVTT and stored in S3, one track per video and
+-- language. Cues are also kept in the database so deep search can return the timestamp that matched.
+
+CREATE TABLE IF NOT EXISTS video_caption_tracks (
+    id SERIAL PRIMARY KEY,
+    video_id INTEGER NOT NULL REFERENCES topic_videos(id) ON DELETE CASCADE,
+    language VARCHAR(35) NOT NULL, -- BCP 47 tag, e.g. en, en-GB, hi
+    label VARCHAR(100) NOT NULL,
+    source_format VARCHAR(10) NOT NULL CHECK (source_format IN ('srt', 'vtt')),
+    vtt_url TEXT NOT NULL,
+    s3_key TEXT NOT NULL,
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    cue_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (video_id, language)
+);
+
+CREATE TABLE IF NOT EXISTS video_caption_cues (
+    id SERIAL PRIMARY KEY,
+    track_id INTEGER NOT NULL REFERENCES video_caption_tracks(id) ON DELETE CASCADE,
+    video_id INTEGER NOT NULL REFERENCES topic_videos(id) ON DELETE CASCADE,
+    cue_index INTEGER NOT NULL,
+    start_seconds NUMERIC(10, 3) NOT NULL,
+    end_seconds NUMERIC(10, 3) NOT NULL,
+    text TEXT NOT NULL -- Cue text without markup, for search
+);
+
+CREATE INDEX IF NOT EXISTS idx_video_caption_cues_track ON video_caption_cues(track_id, cue_index);
+CREATE INDEX IF NOT EXISTS idx_video_caption_cues_video ON video_caption_cues(video_id, start_seconds);
+
+-- At most one default track per video
+CREATE UNIQUE INDEX IF NOT EXISTS idx_video_caption_tracks_default
+    ON video_caption_tracks(video_id) WHERE is_default = TRUE;
+
+COMMENT ON TABLE video_caption_tracks IS 'WebVTT caption tracks per video and language';
+COMMENT ON TABLE video_caption_cues IS 'Parsed caption cues, searched by deep search for timestamped matches';
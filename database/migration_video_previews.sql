@@ -0,0 +1,13 @@
+-- Migration: Automatic video poster frames and scrub preview sprites
+-- Created: 2026-10-19
+-- Uploaded videos get a poster frame and a sprite sheet of small frames indexed by a WebVTT file
+-- (cue payloads are sprite URLs with #xywh= regions), which players show while scrubbing.
+
+ALTER TABLE topic_videos ADD COLUMN IF NOT EXISTS thumbnail_source VARCHAR(10)
+    CHECK (thumbnail_source IN ('auto', 'manual'));
+ALTER TABLE topic_videos ADD COLUMN IF NOT EXISTS sprite_url TEXT;
+ALTER TABLE topic_videos ADD COLUMN IF NOT EXISTS sprite_vtt_url TEXT;
+
+COMMENT ON COLUMN topic_videos.thumbnail_source IS 'auto when extracted from the video; generated posters never replace manual (or pre-existing) thumbnails';
+COMMENT ON COLUMN topic_videos.sprite_url IS 'Scrub preview sprite sheet image';
+COMMENT ON COLUMN topic_videos.sprite_vtt_url IS 'WebVTT index of sprite_url regions per time range';
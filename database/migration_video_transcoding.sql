@@ -0,0 +1,32 @@
+-- Migration: HLS transcoding jobs for uploaded videos
+-- Created: 2026-10-19
+-- Uploaded MP4s are queued for transcoding into HLS renditions with a master playlist. When a job
+-- completes the video switches to video_type 'stream' and video_url points at the master playlist;
+-- the original upload stays in source_video_url.
+
+ALTER TABLE topic_videos ADD COLUMN IF NOT EXISTS source_video_url TEXT;
+
+CREATE TABLE IF NOT EXISTS video_transcode_jobs (
+    id SERIAL PRIMARY KEY,
+    video_id INTEGER NOT NULL REFERENCES topic_videos(id) ON DELETE CASCADE,
+    source_key TEXT NOT NULL, -- S3 key of the uploaded MP4
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'completed', 'failed')),
+    output_prefix TEXT, -- S3 prefix holding the playlists and segments
+    master_playlist_url TEXT,
+    renditions JSONB NOT NULL DEFAULT '[]', -- [{ name, width, height, bandwidth, playlist }]
+    attempts INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_video_transcode_jobs_video ON video_transcode_jobs(video_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_video_transcode_jobs_status ON video_transcode_jobs(status, created_at);
+
+-- One queued or running job per video
+CREATE UNIQUE INDEX IF NOT EXISTS idx_video_transcode_jobs_active
+    ON video_transcode_jobs(video_id) WHERE status IN ('queued', 'processing');
+
+COMMENT ON TABLE video_transcode_jobs IS 'Background HLS transcoding of uploaded videos, processed by the video transcode job';
@@ -0,0 +1,47 @@
+-- Migration: Resumable chunked video uploads
+-- Created: 2026-10-19
+-- Large course videos are uploaded in parts through an S3 multipart upload. A session row tracks
+-- the upload and the module video it will become; each part's ETag is stored so an interrupted
+-- upload can resume by re-sending only the missing parts.
+
+CREATE TABLE IF NOT EXISTS video_upload_sessions (
+    id UUID PRIMARY KEY,
+    s3_upload_id TEXT NOT NULL,
+    s3_key TEXT NOT NULL,
+    topic_id INTEGER NOT NULL REFERENCES topics(id) ON DELETE CASCADE,
+    module_id INTEGER NOT NULL REFERENCES topic_modules(id) ON DELETE CASCADE,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    order_index INTEGER,
+    duration_hint NUMERIC(10, 2), -- Client duration in minutes, used if probing fails
+    original_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    total_size BIGINT NOT NULL,
+    part_size INTEGER NOT NULL,
+    total_parts INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'uploading' CHECK (status IN ('uploading', 'completing', 'completed', 'aborted', 'failed')),
+    s3_completed_at TIMESTAMP, -- Parts joined in S3; a failed ingest retries from here
+    completion_started_at TIMESTAMP, -- Picked up by the completion job
+    video_id INTEGER REFERENCES topic_videos(id) ON DELETE SET NULL,
+    error TEXT,
+    created_by_admin_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP NOT NULL,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS video_upload_parts (
+    upload_id UUID NOT NULL REFERENCES video_upload_sessions(id) ON DELETE CASCADE,
+    part_number INTEGER NOT NULL,
+    etag TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (upload_id, part_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_video_upload_sessions_status ON video_upload_sessions(status, expires_at);
+CREATE INDEX IF NOT EXISTS idx_video_upload_sessions_module ON video_upload_sessions(module_id);
+
+COMMENT ON TABLE video_upload_sessions IS 'Resumable S3 multipart uploads of course videos';
+COMMENT ON TABLE video_upload_parts IS 'Parts received for a resumable video upload, with their S3 ETags';
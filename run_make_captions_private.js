@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+/**
+ * Migration: Make stored caption files private
+ * - Removes the public-read grant from every WebVTT caption file
+ * - Replaces the public URLs stored for them with s3:// references; tracks are served with presigned links
+ * Safe to run more than once.
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+const { bucketName } = require('./src/config/s3');
+const { setObjectPrivate } = require('./src/utils/s3-helper');
+
+const pool = new Pool({
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  database: process.env.DB_NAME,
+});
+
+async function runMigration() {
+  const client = await pool.connect();
+
+  try {
+    console.log('🚀 Starting migration: Make stored caption files private...\n');
+
+    const tracks = await client.query('SELECT id, vtt_url, s3_key FROM video_caption_tracks');
+
+    console.log(`🔒 Making ${tracks.rows.length} caption files private...`);
+    let failed = 0;
+    for (const track of tracks.rows) {
+      try {
+        await setObjectPrivate(track.s3_key);
+      } catch (error) {
+        // Files removed from the bucket since they were recorded are reported and skipped
+        failed++;
+        console.warn(`   ⚠️ ${error.message}`);
+      }
+    }
+    console.log(`   ✅ ${tracks.rows.length - failed} private, ${failed} failed\n`);
+
+    const updated = await client.query(`
+      UPDATE video_caption_tracks
+      SET vtt_url = 's3://' || $1 || '/' || s3_key
+      WHERE vtt_url NOT LIKE 's3://%'
+    `, [bucketName]);
+    console.log(`📊 Stored URLs replaced with s3:// references: ${updated.rowCount}`);
+
+    console.log('\n✅ Migration completed successfully!');
+    if (failed > 0) {
+      console.log('⚠️ Some files could not be updated; re-run after checking the warnings above.');
+    }
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+runMigration();
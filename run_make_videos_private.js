@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Migration: Make stored course videos private
+ * - Removes the public-read grant from every video, HLS rendition/segment and multipart upload object
+ * - Replaces the public URLs stored for them with s3:// references, which /play turns into signed links
+ * Safe to run more than once.
+ */
+
+const { Pool } = require('pg');
+require('dotenv').config();
+const { getKeyFromUrl, getObjectRef, setObjectPrivate, listObjectKeys } = require('./src/utils/s3-helper');
+
+const pool = new Pool({
+  user: process.env.DB_USER,
+  password: process.env.DB_PASSWORD,
+  host: process.env.DB_HOST,
+  port: process.env.DB_PORT,
+  database: process.env.DB_NAME,
+});
+
+/**
+ * s3:// reference for a stored bucket URL, or the value unchanged for external links
+ */
+function toObjectRef(url) {
+  const key = getKeyFromUrl(url);
+  return key ? getObjectRef(key) : url;
+}
+
+async function runMigration() {
+  const client = await pool.connect();
+
+  try {
+    console.log('🚀 Starting migration: Make stored course videos private...\n');
+
+    const keys = new Set();
+
+    const videos = await client.query('SELECT id, video_url, source_video_url FROM topic_videos');
+    videos.rows.forEach((row) => {
+      [row.video_url, row.source_video_url].forEach((url) => {
+        const key = getKeyFromUrl(url);
+        if (key) keys.add(key);
+      });
+    });
+
+    const sessions = await client.query(
+      'SELECT s3_key FROM video_upload_sessions WHERE s3_key IS NOT NULL AND s3_completed_at IS NOT NULL'
+    );
+    sessions.rows.forEach((row) => keys.add(row.s3_key));
+
+    const jobs = await client.query(
+      "SELECT DISTINCT output_prefix FROM video_transcode_jobs WHERE output_prefix IS NOT NULL AND status = 'completed'"
+    );
+    for (const row of jobs.rows) {
+      const prefix = row.output_prefix.endsWith('/') ? row.output_prefix : `${row.output_prefix}/`;
+      (await listObjectKeys(prefix)).forEach((key) => keys.add(key));
+    }
+
+    console.log(`🔒 Making ${keys.size} objects private...`);
+    let failed = 0;
+    for (const key of keys) {
+      try {
+        await setObjectPrivate(key);
+      } catch (error) {
+        // Objects removed from the bucket since they were recorded are reported and skipped
+        failed++;
+        console.warn(`   ⚠️ ${error.message}`);
+      }
+    }
+    console.log(`   ✅ ${keys.size - failed} private, ${failed} failed\n`);
+
+    await client.query('BEGIN');
+
+    let updatedVideos = 0;
+    for (const row of videos.rows) {
+      const videoUrl = toObjectRef(row.video_url);
+      const sourceVideoUrl = toObjectRef(row.source_video_url);
+      if (videoUrl === row.video_url && sourceVideoUrl === row.source_video_url) continue;
+      await client.query(
+        'UPDATE topic_videos SET video_url = $2, source_video_url = $3 WHERE id = $1',
+        [row.id, videoUrl, sourceVideoUrl]
+      );
+      updatedVideos++;
+    }
+
+    const playlists = await client.query(
+      'SELECT id, master_playlist_url FROM video_transcode_jobs WHERE master_playlist_url IS NOT NULL'
+    );
+    let updatedJobs = 0;
+    for (const row of playlists.rows) {
+      const masterPlaylistUrl = toObjectRef(row.master_playlist_url);
+      if (masterPlaylistUrl === row.master_playlist_url) continue;
+      await client.query(
+        'UPDATE video_transcode_jobs SET master_playlist_url = $2 WHERE id = $1',
+        [row.id, masterPlaylistUrl]
+      );
+      updatedJobs++;
+    }
+
+    await client.query('COMMIT');
+
+    console.log('📊 Stored URLs replaced with s3:// references:');
+    console.log(`   topic_videos: ${updatedVideos}`);
+    console.log(`   video_transcode_jobs: ${updatedJobs}`);
+    console.log('\n✅ Migration completed successfully!');
+    if (failed > 0) {
+      console.log('⚠️ Some objects could not be updated; re-run after checking the warnings above.');
+    }
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error('❌ Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+runMigration();
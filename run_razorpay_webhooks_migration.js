@@ -0,0 +1,27 @@
+// Run Razorpay webhooks migration
+require('dotenv').config();
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+
+const pool = new Pool();
+
+async function runMigration() {
+  const client = await pool.connect();
+  try {
+    const migrationPath = path.join(__dirname, 'database', 'migration_razorpay_webhooks.sql');
+    const sql = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log('Running Razorpay webhooks migration...');
+    await client.query(sql);
+    console.log('Razorpay webhooks migration completed successfully!');
+  } catch (err) {
+    console.error('Migration failed:', err);
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+runMigration();
@@ -0,0 +1,27 @@
+// Run topic progress tracking migration
+require('dotenv').config();
+const { Pool } = require('pg');
+const fs = require('fs');
+const path = require('path');
+
+const pool = new Pool();
+
+async function runMigration() {
+  const client = await pool.connect();
+  try {
+    const migrationPath = path.join(__dirname, 'database', 'migration_topic_progress_tracking.sql');
+    const sql = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log('Running topic progress tracking migration...');
+    await client.query(sql);
+    console.log('Topic progress tracking migration completed successfully!');
+  } catch (err) {
+    console.error('Migration failed:', err);
+    throw err;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+runMigration();
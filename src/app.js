@@ -24,6 +24,13 @@ const swaggerOptions = {
       },
     ],
     components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+        },
+      },
       schemas: {
         Category: {
           type: 'object',
@@ -184,14 +191,32 @@ const topicsRoutes = require('./routes/topics');
 const topicsActionsRoutes = require('./routes/topicsActions');
 const topicsModulesRoutes = require('./routes/topicsModules');
 const topicsVideosRoutes = require('./routes/topicsVideos');
+const topicsProgressRoutes = require('./routes/topicsProgress');
+const topicsReviewsRoutes = require('./routes/topicsReviews');
+const topicsCaptionsRoutes = require('./routes/topicsCaptions');
+const topicsResourcesRoutes = require('./routes/topicsResources');
 const uploadRoutes = require('./routes/upload');
 const uploadS3Routes = require('./routes/upload-s3');
 const contactRoutes = require('./routes/contact');
 const authRouter = require('./routes/auth');
 const enrollmentRoutes = require('./routes/enrollment');
+const purchasesRoutes = require('./routes/purchases');
+const cartRoutes = require('./routes/cart');
+const refundsRoutes = require('./routes/refunds');
+const couponsRoutes = require('./routes/coupons');
 const subscriptionPlansRoutes = require('./routes/subscriptionPlans');
 const notificationsRoutes = require('./routes/notifications');
 const appSettingsRoutes = require('./routes/appSettings');
+const adminRoutes = require('./routes/admin');
+const accountClosuresRoutes = require('./routes/accountClosures');
+const organisationsRoutes = require('./routes/organisations');
+const loginAuditRoutes = require('./routes/loginAudit');
+const videoUploadsRoutes = require('./routes/videoUploads');
+const { startAccountClosureJob } = require('./jobs/accountClosureJob');
+const { startDataExportJob } = require('./jobs/dataExportJob');
+const { startVideoTranscodeJob } = require('./jobs/videoTranscodeJob');
+const { startVideoUploadCleanupJob } = require('./jobs/videoUploadCleanupJob');
+const { startVideoUploadCompleteJob } = require('./jobs/videoUploadCompleteJob');
 
 // Initialize Firebase Admin SDK
 const { initializeFirebase } = require('./config/firebase');
@@ -200,6 +225,9 @@ const analyticsUsersRoutes = require('./routes/analytics_users');
 
 // settings
 app.set('port', process.env.PORT || 8081);
+// Number of reverse proxies in front of the app; req.ip is read from X-Forwarded-For only that many hops deep
+const trustProxyHops = parseInt(process.env.TRUST_PROXY_HOPS, 10);
+app.set('trust proxy', isNaN(trustProxyHops) ? 1 : trustProxyHops);
 // middlewares
 app.use(morgan('dev'));
 
@@ -220,7 +248,12 @@ app.use(cors(corsOptions));
 app.options('*', (req, res) => res.sendStatus(204));
 
 app.use(express.urlencoded({ extended: false }));
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body for webhook signature verification (Razorpay signs the exact bytes)
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Make pool available in req
 app.use((req, res, next) => {
@@ -241,14 +274,27 @@ app.use('/api', topicsRoutes);
 app.use('/api', topicsActionsRoutes);
 app.use('/api', topicsModulesRoutes);
 app.use('/api', topicsVideosRoutes);
+app.use('/api', topicsProgressRoutes);
+app.use('/api', topicsReviewsRoutes);
+app.use('/api', topicsCaptionsRoutes);
+app.use('/api', topicsResourcesRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/upload-s3', uploadS3Routes);
+app.use('/api/video-uploads', videoUploadsRoutes);
 app.use('/api/features-plans', subscriptionPlansRoutes);
 
 app.use('/api/enrollments', enrollmentRoutes);
+app.use('/api/purchases', purchasesRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/refunds', refundsRoutes);
+app.use('/api/coupons', couponsRoutes);
 app.use('/api/auth', authRouter);
 app.use('/api/notifications', notificationsRoutes);
 app.use('/api/app-settings', appSettingsRoutes);
+app.use('/api/organisations', organisationsRoutes);
+app.use('/api/admin/account-closures', accountClosuresRoutes);
+app.use('/api/admin/security', loginAuditRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Serve uploaded files statically
 app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
@@ -256,4 +302,9 @@ app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
 // Starting the server
 app.listen(app.get('port'), () => {
   console.log('Server on port ' + app.get('port'));
+  startAccountClosureJob();
+  startDataExportJob();
+  startVideoTranscodeJob();
+  startVideoUploadCleanupJob();
+  startVideoUploadCompleteJob();
 });
@@ -0,0 +1,7 @@
+const { Pool } = require('pg');
+require('dotenv').config();
+
+// Shared PostgreSQL pool for controllers that are not handed req.pool
+const pool = new Pool();
+
+module.exports = pool;
@@ -0,0 +1,18 @@
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+
+// Shared SMTP transport for OTP, invoice and account emails
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: Number(process.env.SMTP_PORT),
+  secure: false,
+  auth: {
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  },
+  tls: {
+    rejectUnauthorized: false
+  }
+});
+
+module.exports = transporter;
@@ -50,14 +50,85 @@ const notificationMessages = {
     icon: "error"
   },
 
+  // Payment Refunded
+  PAYMENT_REFUNDED: {
+    title: "Refund Processed 💸",
+    body: "Your refund of {amount} for '{itemName}' has been processed. It may take 5-7 business days to reach your account.",
+    type: "info",
+    icon: "currency_exchange"
+  },
+
+  // Payment Refunded and access removed
+  PAYMENT_REFUNDED_ACCESS_REVOKED: {
+    title: "Refund Processed 💸",
+    body: "Your refund of {amount} for '{itemName}' has been processed and access to it has been removed. It may take 5-7 business days to reach your account.",
+    type: "info",
+    icon: "currency_exchange"
+  },
+
   // Account Closure Request
   ACCOUNT_CLOSURE: {
     title: "Account Closure Requested",
-    body: "Your account closure request has been submitted. We're sorry to see you go.",
+    body: "Your account closure request has been submitted. We're sorry to see you go. Log in before {scheduledDate} to cancel it.",
     type: "warning",
     icon: "account_circle"
   },
 
+  // Account Closure Approved by an admin
+  ACCOUNT_CLOSURE_APPROVED: {
+    title: "Account Closure Approved",
+    body: "Your account closure has been approved. Your account and personal data will be removed on {scheduledDate}. Log in before then to cancel.",
+    type: "warning",
+    icon: "account_circle"
+  },
+
+  // Account Closure Rejected by an admin
+  ACCOUNT_CLOSURE_REJECTED: {
+    title: "Account Closure Not Approved",
+    body: "Your account closure request was not approved and your account is active again. {adminNotes}",
+    type: "info",
+    icon: "account_circle"
+  },
+
+  // Account Closure Cancelled by logging in during the grace period
+  ACCOUNT_CLOSURE_CANCELLED: {
+    title: "Welcome Back! 👋",
+    body: "You logged in, so your account closure request has been cancelled.",
+    type: "success",
+    icon: "account_circle"
+  },
+
+  // Account Closure Completed by the scheduled job
+  ACCOUNT_CLOSURE_COMPLETED: {
+    title: "Account Closed",
+    body: "Your account has been closed and your personal data removed.",
+    type: "info",
+    icon: "account_circle"
+  },
+
+  // Organisation seats
+  SEAT_ASSIGNED: {
+    title: "Training Assigned! 🎓",
+    body: "{organisationName} gave you access to '{itemName}'. Start learning now!",
+    type: "success",
+    icon: "school"
+  },
+
+  SEAT_RECLAIMED: {
+    title: "Training Access Ended",
+    body: "{organisationName} has reassigned your seat for '{itemName}'.",
+    type: "info",
+    icon: "school"
+  },
+
+  // Login anomaly detection
+  SUSPICIOUS_LOGIN: {
+    title: "Unusual Sign-in Activity ⚠️",
+    body: "{reason}. If this wasn't you, sign out other devices from Active sessions.",
+    type: "warning",
+    icon: "security"
+  },
+
   // New Topic Available (for bundle subscribers)
   NEW_TOPIC_AVAILABLE: {
     title: "New Topic Available! 🆕",
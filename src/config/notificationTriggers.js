@@ -139,10 +139,40 @@ const sendPaymentFailedNotification = async (userId) => {
 };
 
 /**
- * Send account closure notification
+ * Send refund notification
  */
-const sendAccountClosureNotification = async (userId) => {
-  return sendUserNotification(userId, 'ACCOUNT_CLOSURE');
+const sendRefundNotification = async (userId, amount, itemName, accessRevoked = false) => {
+  const type = accessRevoked ? 'PAYMENT_REFUNDED_ACCESS_REVOKED' : 'PAYMENT_REFUNDED';
+  return sendUserNotification(userId, type, { amount, itemName });
+};
+
+/**
+ * Send account closure notification for a closure request status
+ */
+const sendAccountClosureNotification = async (userId, status = 'pending', variables = {}) => {
+  const types = {
+    pending: 'ACCOUNT_CLOSURE',
+    approved: 'ACCOUNT_CLOSURE_APPROVED',
+    rejected: 'ACCOUNT_CLOSURE_REJECTED',
+    cancelled: 'ACCOUNT_CLOSURE_CANCELLED',
+    completed: 'ACCOUNT_CLOSURE_COMPLETED'
+  };
+  return sendUserNotification(userId, types[status] || 'ACCOUNT_CLOSURE', variables, { closureStatus: status });
+};
+
+/**
+ * Send organisation seat notification when a seat is assigned to or reclaimed from a member
+ */
+const sendSeatNotification = async (userId, organisationName, itemName, assigned = true) => {
+  const type = assigned ? 'SEAT_ASSIGNED' : 'SEAT_RECLAIMED';
+  return sendUserNotification(userId, type, { organisationName, itemName });
+};
+
+/**
+ * Send security notification when login anomaly detection flags the account
+ */
+const sendSuspiciousLoginNotification = async (userId, reason, rule) => {
+  return sendUserNotification(userId, 'SUSPICIOUS_LOGIN', { reason }, { rule });
 };
 
 /**
@@ -199,7 +229,10 @@ module.exports = {
   sendBundlePurchaseNotification,
   sendPaymentSuccessNotification,
   sendPaymentFailedNotification,
+  sendRefundNotification,
   sendAccountClosureNotification,
+  sendSeatNotification,
+  sendSuspiciousLoginNotification,
   sendNewTopicNotification,
   sendCourseCompletionNotification,
   sendProgressMilestoneNotification,
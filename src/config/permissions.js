@@ -0,0 +1,85 @@
+/**
+ * Admin Roles & Permissions
+ * Single place that decides what each admin role can do. Routes ask for a permission
+ * with requirePermission() from middleware/auth.js, never for a role.
+ */
+
+const ROLES = {
+  SUPER_ADMIN: 'super_admin',
+  CONTENT_EDITOR: 'content_editor',
+  FINANCE: 'finance',
+  SUPPORT: 'support'
+};
+
+const PERMISSIONS = {
+  CONTENT_WRITE: 'content:write',           // categories, topics, modules, videos, uploads, homepage, legal pages
+  DASHBOARD_READ: 'dashboard:read',         // dashboard stats, analytics and reports
+  FINANCE_READ: 'finance:read',             // refunds, coupons and invoice register
+  FINANCE_WRITE: 'finance:write',           // issue refunds, manage coupons and subscription plans
+  USERS_READ: 'users:read',
+  USERS_WRITE: 'users:write',
+  REVIEWS_MODERATE: 'reviews:moderate',
+  NOTIFICATIONS_SEND: 'notifications:send',
+  SETTINGS_WRITE: 'settings:write',         // app version and force update settings
+  ADMINS_MANAGE: 'admins:manage'            // admin accounts and roles
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.SUPER_ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.CONTENT_EDITOR]: [
+    PERMISSIONS.CONTENT_WRITE,
+    PERMISSIONS.DASHBOARD_READ,
+    PERMISSIONS.REVIEWS_MODERATE
+  ],
+  [ROLES.FINANCE]: [
+    PERMISSIONS.DASHBOARD_READ,
+    PERMISSIONS.FINANCE_READ,
+    PERMISSIONS.FINANCE_WRITE,
+    PERMISSIONS.USERS_READ
+  ],
+  [ROLES.SUPPORT]: [
+    PERMISSIONS.DASHBOARD_READ,
+    PERMISSIONS.FINANCE_READ,
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_WRITE,
+    PERMISSIONS.REVIEWS_MODERATE,
+    PERMISSIONS.NOTIFICATIONS_SEND
+  ]
+};
+
+/**
+ * Check whether a role is known
+ * @param {string} role
+ * @returns {boolean}
+ */
+function isValidRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLE_PERMISSIONS, role);
+}
+
+/**
+ * Get the permissions granted to a role
+ * @param {string} role
+ * @returns {string[]}
+ */
+function getRolePermissions(role) {
+  return isValidRole(role) ? ROLE_PERMISSIONS[role] : [];
+}
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+  return getRolePermissions(role).includes(permission);
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  isValidRole,
+  getRolePermissions,
+  hasPermission
+};
@@ -0,0 +1,10 @@
+const Razorpay = require('razorpay');
+require('dotenv').config();
+
+// Shared Razorpay instance for enrollment and purchase flows
+const razorpay = new Razorpay({
+  key_id: process.env.RAZORPAY_KEY_ID,
+  key_secret: process.env.RAZORPAY_KEY_SECRET,
+});
+
+module.exports = razorpay;
@@ -0,0 +1,373 @@
+/**
+ * Cart Controller
+ * Multi-topic checkout for INDIVIDUAL and FLEXIBLE categories, paid with a single Razorpay order
+ */
+
+const db = require('../config/db');
+const razorpay = require('../config/razorpay');
+const {
+  PlanTypes,
+  calculatePrice,
+  canPurchaseIndividualTopics
+} = require('../utils/planTypeValidation');
+const { checkTopicAccess } = require('../utils/topicAccess');
+const { fulfillPurchase, notifyPurchaseFulfilled } = require('../utils/paymentFulfillment');
+const { ItemTypes, recordOrderCreated } = require('../utils/paymentLedger');
+
+/**
+ * Price the topics selected from one category.
+ * FLEXIBLE categories also report whether buying the whole bundle is cheaper.
+ * @param {object} category - { planType, bundlePrice, topicPrices }
+ * @param {number[]} topicIds
+ * @returns {object} { subtotal, bundlePrice, isBundleCheaper }
+ */
+function priceCategorySelection(category, topicIds) {
+  const { planType, bundlePrice, topicPrices } = category;
+
+  // A FLEXIBLE category without a bundle price can still sell individual topics
+  const pricingPlan = planType === PlanTypes.FLEXIBLE && bundlePrice > 0
+    ? PlanTypes.FLEXIBLE
+    : PlanTypes.INDIVIDUAL;
+
+  const calculation = calculatePrice({
+    planType: pricingPlan,
+    bundlePrice,
+    topicPrices,
+    selectedTopicIds: topicIds
+  });
+
+  return {
+    subtotal: Math.round(calculation.finalPrice * 100) / 100,
+    bundlePrice: pricingPlan === PlanTypes.FLEXIBLE ? bundlePrice : null,
+    isBundleCheaper: calculation.breakdown.isBundleCheaper || false
+  };
+}
+
+/**
+ * Load a user's cart, drop topics that can no longer be bought individually
+ * (already owned, or the category plan changed) and price it per category
+ * @param {number} userId
+ * @returns {Promise<object>}
+ */
+async function buildCartSummary(userId) {
+  const result = await db.query(
+    `SELECT
+       ci.topic_id,
+       ci.added_at,
+       t.title,
+       t.price,
+       t.thumbnail_url,
+       t.category_id,
+       c.name as category_name,
+       c.plan_type,
+       c.bundle_price
+     FROM cart_items ci
+     JOIN topics t ON ci.topic_id = t.id
+     LEFT JOIN category c ON t.category_id = c.id
+     WHERE ci.user_id = $1
+     ORDER BY ci.added_at ASC`,
+    [userId]
+  );
+
+  const items = [];
+  const removedTopicIds = [];
+
+  for (const row of result.rows) {
+    const access = await checkTopicAccess(db, userId, row.topic_id);
+    if (access.hasAccess || !canPurchaseIndividualTopics(row.plan_type)) {
+      removedTopicIds.push(row.topic_id);
+      continue;
+    }
+    items.push(row);
+  }
+
+  if (removedTopicIds.length > 0) {
+    await db.query(
+      'DELETE FROM cart_items WHERE user_id = $1 AND topic_id = ANY($2::int[])',
+      [userId, removedTopicIds]
+    );
+  }
+
+  const categoryMap = new Map();
+  items.forEach(item => {
+    if (!categoryMap.has(item.category_id)) {
+      categoryMap.set(item.category_id, {
+        categoryId: item.category_id,
+        categoryName: item.category_name,
+        planType: item.plan_type,
+        bundlePrice: parseFloat(item.bundle_price) || 0,
+        topicPrices: {},
+        topicIds: []
+      });
+    }
+    const category = categoryMap.get(item.category_id);
+    category.topicPrices[item.topic_id] = parseFloat(item.price) || 0;
+    category.topicIds.push(item.topic_id);
+  });
+
+  const categories = [...categoryMap.values()].map(category => {
+    const pricing = priceCategorySelection(category, category.topicIds);
+    return {
+      categoryId: category.categoryId,
+      categoryName: category.categoryName,
+      planType: category.planType,
+      topicIds: category.topicIds,
+      subtotal: pricing.subtotal,
+      bundlePrice: pricing.bundlePrice,
+      isBundleCheaper: pricing.isBundleCheaper
+    };
+  });
+
+  const bundleSuggestions = categories
+    .filter(category => category.isBundleCheaper)
+    .map(category => ({
+      categoryId: category.categoryId,
+      categoryName: category.categoryName,
+      bundlePrice: category.bundlePrice,
+      cartSubtotal: category.subtotal,
+      savings: Math.round((category.subtotal - category.bundlePrice) * 100) / 100,
+      message: `Get every topic in ${category.categoryName} for ${category.bundlePrice} instead of ${category.subtotal}`
+    }));
+
+  const totalAmount = Math.round(categories.reduce((sum, category) => sum + category.subtotal, 0) * 100) / 100;
+
+  return {
+    items: items.map(item => ({
+      topicId: item.topic_id,
+      title: item.title,
+      price: parseFloat(item.price) || 0,
+      thumbnailUrl: item.thumbnail_url,
+      categoryId: item.category_id,
+      categoryName: item.category_name,
+      addedAt: item.added_at?.toISOString()
+    })),
+    categories,
+    bundleSuggestions,
+    itemCount: items.length,
+    totalAmount,
+    removedTopicIds
+  };
+}
+
+/**
+ * List cart with per-category pricing and bundle suggestions
+ * GET /api/cart
+ */
+exports.getCart = async (req, res) => {
+  try {
+    const summary = await buildCartSummary(req.user.userId);
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error in getCart:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Add a topic to the cart
+ * POST /api/cart/items
+ */
+exports.addToCart = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const topicId = parseInt(req.body.topicId);
+
+    if (!topicId) {
+      return res.status(400).json({ success: false, error: 'topicId is required' });
+    }
+
+    const topicResult = await db.query(
+      `SELECT t.id, t.title, c.plan_type
+       FROM topics t
+       LEFT JOIN category c ON t.category_id = c.id
+       WHERE t.id = $1`,
+      [topicId]
+    );
+
+    if (topicResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Topic not found' });
+    }
+
+    const { plan_type: planType } = topicResult.rows[0];
+    if (!canPurchaseIndividualTopics(planType)) {
+      return res.status(400).json({
+        success: false,
+        error: `Topics in ${planType || 'this'} categories cannot be bought individually`
+      });
+    }
+
+    const access = await checkTopicAccess(db, userId, topicId);
+    if (access.hasAccess) {
+      return res.status(400).json({ success: false, error: 'You already have access to this topic' });
+    }
+
+    await db.query(
+      `INSERT INTO cart_items (user_id, topic_id)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id, topic_id) DO NOTHING`,
+      [userId, topicId]
+    );
+
+    const summary = await buildCartSummary(userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Topic added to cart',
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error in addToCart:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Remove a topic from the cart
+ * DELETE /api/cart/items/:topicId
+ */
+exports.removeFromCart = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { topicId } = req.params;
+
+    const result = await db.query(
+      'DELETE FROM cart_items WHERE user_id = $1 AND topic_id = $2 RETURNING id',
+      [userId, topicId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Topic is not in the cart' });
+    }
+
+    const summary = await buildCartSummary(userId);
+
+    res.json({
+      success: true,
+      message: 'Topic removed from cart',
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error in removeFromCart:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Empty the cart
+ * DELETE /api/cart
+ */
+exports.clearCart = async (req, res) => {
+  try {
+    await db.query('DELETE FROM cart_items WHERE user_id = $1', [req.user.userId]);
+
+    res.json({
+      success: true,
+      message: 'Cart cleared'
+    });
+  } catch (error) {
+    console.error('Error in clearCart:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Checkout the whole cart with one Razorpay order.
+ * The order is completed through POST /api/purchases/verify, which unlocks every topic.
+ * POST /api/cart/checkout
+ */
+exports.checkout = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { currency, email } = req.body;
+
+    const summary = await buildCartSummary(userId);
+
+    if (summary.itemCount === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cart is empty',
+        removedTopicIds: summary.removedTopicIds
+      });
+    }
+
+    const topicIds = summary.items.map(item => item.topicId);
+    const singleCategory = summary.categories.length === 1 ? summary.categories[0] : null;
+    const categoryId = singleCategory ? singleCategory.categoryId : null;
+    const planType = singleCategory ? singleCategory.planType : 'MIXED';
+
+    // Nothing to pay - unlock straight away
+    if (summary.totalAmount <= 0) {
+      const pending = await db.query(
+        `INSERT INTO purchases (user_id, category_id, plan_type, purchase_type, topic_ids, amount, currency, status)
+         VALUES ($1, $2, $3, 'cart', $4, 0, $5, 'pending')
+         RETURNING id`,
+        [userId, categoryId, planType, JSON.stringify(topicIds), currency || 'INR']
+      );
+
+      const purchase = await fulfillPurchase(pending.rows[0].id, null);
+      await notifyPurchaseFulfilled(purchase);
+
+      return res.json({
+        success: true,
+        data: {
+          message: `Access granted to ${topicIds.length} topics`,
+          purchaseId: purchase.id,
+          amount: 0,
+          status: purchase.status,
+          topicsUnlocked: topicIds
+        }
+      });
+    }
+
+    const order = await razorpay.orders.create({
+      amount: Math.round(summary.totalAmount * 100),
+      currency: currency || 'INR',
+      receipt: `cart_${userId}_${Date.now()}`,
+      notes: {
+        userId: String(userId),
+        email: email,
+        purchaseType: 'cart',
+        itemName: `${topicIds.length} topic${topicIds.length === 1 ? '' : 's'}`
+      }
+    });
+
+    const result = await db.query(
+      `INSERT INTO purchases (user_id, category_id, plan_type, purchase_type, topic_ids, amount, currency, status, order_id)
+       VALUES ($1, $2, $3, 'cart', $4, $5, $6, 'pending', $7)
+       RETURNING id`,
+      [userId, categoryId, planType, JSON.stringify(topicIds), summary.totalAmount, order.currency, order.id]
+    );
+
+    await recordOrderCreated(db, order, {
+      userId,
+      itemType: ItemTypes.TOPICS,
+      categoryId,
+      purchaseId: result.rows[0].id,
+      description: `Cart - ${topicIds.length} topic${topicIds.length === 1 ? '' : 's'}`
+    });
+
+    console.log(`🛒 Cart checkout: user ${userId}, ${topicIds.length} topics, order ${order.id}`);
+
+    res.json({
+      success: true,
+      data: {
+        purchaseId: result.rows[0].id,
+        topicIds,
+        categories: summary.categories,
+        bundleSuggestions: summary.bundleSuggestions,
+        removedTopicIds: summary.removedTopicIds,
+        orderId: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        keyId: process.env.RAZORPAY_KEY_ID
+      }
+    });
+  } catch (error) {
+    console.error('Error in checkout:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
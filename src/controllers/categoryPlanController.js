@@ -1,16 +1,27 @@
 /**
  * Category Controller with Plan Type Support
- * Example implementation using planTypeValidation functions
+ * Category management and the /api/purchases checkout built on planTypeValidation functions
  */
 
 const db = require('../config/db');
+const razorpay = require('../config/razorpay');
 const { 
+  PlanTypes,
   validateCategoryPricing,
   validatePurchaseRequest,
   calculatePrice,
   getTopicsToUnlock,
   validateTopicAccess
 } = require('../utils/planTypeValidation');
+const { checkTopicAccess: resolveTopicAccess } = require('../utils/topicAccess');
+const {
+  verifyPaymentSignature,
+  fulfillPurchase,
+  notifyPurchaseFulfilled
+} = require('../utils/paymentFulfillment');
+const { ItemTypes, recordOrderCreated } = require('../utils/paymentLedger');
+const { issueInvoiceForOrder } = require('../utils/invoices');
+const { sendPaymentFailedNotification } = require('../config/notificationTriggers');
 
 /**
  * Create or Update Category with Plan Type
@@ -72,98 +83,307 @@ exports.createOrUpdateCategory = async (req, res) => {
   }
 };
 
+/**
+ * Pick the purchase type implied by the plan when the client doesn't send one
+ * @param {string} planType
+ * @param {number[]} selectedTopicIds
+ * @returns {string}
+ */
+function getDefaultPurchaseType(planType, selectedTopicIds) {
+  switch (planType) {
+    case PlanTypes.FREE:
+      return 'free';
+    case PlanTypes.BUNDLE:
+      return 'bundle';
+    case PlanTypes.INDIVIDUAL:
+      return 'individual_topics';
+    default:
+      return selectedTopicIds.length > 0 ? 'individual_topics' : 'bundle';
+  }
+}
+
+/**
+ * Normalise a list of topic IDs from the request body to unique integers
+ * @param {any} topicIds
+ * @returns {number[]}
+ */
+function normalizeTopicIds(topicIds) {
+  if (!Array.isArray(topicIds)) return [];
+  return [...new Set(topicIds.map(id => parseInt(id)).filter(id => Number.isInteger(id) && id > 0))];
+}
+
+/**
+ * Resolve price and topics for a checkout request using the category's plan type.
+ * Topics the user can already access are dropped from individual purchases.
+ * @param {object} options - { userId, categoryId, purchaseType, selectedTopicIds }
+ * @returns {Promise<object>} { error, status } on failure, otherwise the resolved checkout
+ */
+async function resolveCheckout(options) {
+  const { userId, categoryId } = options;
+  let selectedTopicIds = normalizeTopicIds(options.selectedTopicIds);
+
+  const categoryResult = await db.query(
+    'SELECT id, name, plan_type, bundle_price FROM category WHERE id = $1',
+    [categoryId]
+  );
+
+  if (categoryResult.rows.length === 0) {
+    return { status: 404, error: 'Category not found' };
+  }
+
+  const category = categoryResult.rows[0];
+  const planType = category.plan_type;
+  const bundlePrice = parseFloat(category.bundle_price) || 0;
+  const purchaseType = options.purchaseType || getDefaultPurchaseType(planType, selectedTopicIds);
+  const isBundlePurchase = purchaseType === 'bundle' || planType === PlanTypes.FREE;
+
+  // Validate purchase request
+  const purchaseValidation = validatePurchaseRequest({
+    planType,
+    purchaseType,
+    categoryId,
+    topicIds: selectedTopicIds,
+    userId
+  });
+
+  if (!purchaseValidation.valid) {
+    return { status: 400, error: purchaseValidation.error };
+  }
+
+  const topicsResult = await db.query(
+    'SELECT id, price FROM topics WHERE category_id = $1 ORDER BY created_at ASC',
+    [categoryId]
+  );
+
+  const topicPrices = {};
+  topicsResult.rows.forEach(t => {
+    topicPrices[t.id] = parseFloat(t.price) || 0;
+  });
+
+  const invalidTopicIds = selectedTopicIds.filter(id => topicPrices[id] === undefined);
+  if (invalidTopicIds.length > 0) {
+    return {
+      status: 400,
+      error: `Topics do not belong to this category: ${invalidTopicIds.join(', ')}`
+    };
+  }
+
+  if (isBundlePurchase) {
+    const existingBundle = await db.query(
+      `SELECT id FROM user_category_bundles
+       WHERE user_id = $1 AND category_id = $2 AND payment_status = 'completed'`,
+      [userId, categoryId]
+    );
+    if (existingBundle.rows.length > 0) {
+      return { status: 400, error: 'You have already purchased this bundle' };
+    }
+    selectedTopicIds = [];
+  } else {
+    if (selectedTopicIds.length === 0) {
+      return { status: 400, error: 'At least one topic must be selected' };
+    }
+    const ownedTopicIds = [];
+    for (const topicId of selectedTopicIds) {
+      const access = await resolveTopicAccess(db, userId, topicId);
+      if (access.hasAccess) ownedTopicIds.push(topicId);
+    }
+    selectedTopicIds = selectedTopicIds.filter(id => !ownedTopicIds.includes(id));
+    if (selectedTopicIds.length === 0) {
+      return { status: 400, error: 'You already have access to the selected topics' };
+    }
+  }
+
+  let priceCalculation;
+  try {
+    priceCalculation = calculatePrice({
+      planType,
+      bundlePrice,
+      topicPrices,
+      selectedTopicIds
+    });
+  } catch (err) {
+    return { status: 400, error: err.message };
+  }
+
+  const topicsToUnlock = getTopicsToUnlock({
+    planType,
+    purchaseType,
+    categoryTopicIds: topicsResult.rows.map(t => t.id),
+    selectedTopicIds
+  });
+
+  return {
+    category,
+    planType,
+    purchaseType: priceCalculation.purchaseType === 'free' ? 'free' : purchaseType,
+    isBundlePurchase,
+    priceCalculation,
+    amount: Math.round(Number(priceCalculation.finalPrice) * 100) / 100,
+    topicsToUnlock
+  };
+}
+
 /**
  * Create Purchase - Handles all 4 plan types
+ * FREE (or zero-priced) purchases unlock immediately; paid ones return a Razorpay order
  * POST /api/purchases/create
  */
 exports.createPurchase = async (req, res) => {
   try {
-    const { userId, categoryId, purchaseType, selectedTopicIds, amount } = req.body;
+    const userId = req.user.userId;
+    const { categoryId, purchaseType, selectedTopicIds, currency, email } = req.body;
 
-    if (!userId || !categoryId) {
+    if (!categoryId) {
       return res.status(400).json({
         success: false,
-        error: 'Missing userId or categoryId'
+        error: 'Missing categoryId'
       });
     }
 
-    // Get category info
-    const categoryResult = await db.query(
-      'SELECT plan_type, bundle_price FROM category WHERE id = $1',
-      [categoryId]
-    );
+    const checkout = await resolveCheckout({ userId, categoryId, purchaseType, selectedTopicIds });
+    if (checkout.error) {
+      return res.status(checkout.status).json({ success: false, error: checkout.error });
+    }
 
-    if (categoryResult.rows.length === 0) {
-      return res.status(404).json({ success: false, error: 'Category not found' });
+    const { category, planType, amount, topicsToUnlock } = checkout;
+
+    // Nothing to pay - unlock straight away
+    if (amount <= 0) {
+      const pending = await db.query(
+        `INSERT INTO purchases (user_id, category_id, plan_type, purchase_type, topic_ids, amount, currency, status)
+         VALUES ($1, $2, $3, $4, $5, 0, $6, 'pending')
+         RETURNING id`,
+        [userId, categoryId, planType, checkout.purchaseType, JSON.stringify(topicsToUnlock), currency || 'INR']
+      );
+
+      const purchase = await fulfillPurchase(pending.rows[0].id, null);
+      await notifyPurchaseFulfilled(purchase);
+
+      console.log(`🆓 Free purchase ${purchase.id}: user ${userId} unlocked ${topicsToUnlock.length} topics in category ${categoryId}`);
+
+      return res.json({
+        success: true,
+        data: {
+          message: `Access granted to ${topicsToUnlock.length} topics`,
+          purchaseId: purchase.id,
+          planType,
+          purchaseType: purchase.purchase_type,
+          amount: 0,
+          status: purchase.status,
+          topicsUnlocked: topicsToUnlock
+        }
+      });
     }
 
-    const { plan_type: planType, bundle_price: bundlePrice } = categoryResult.rows[0];
+    const order = await razorpay.orders.create({
+      amount: Math.round(amount * 100),
+      currency: currency || 'INR',
+      receipt: `purchase_${categoryId}_${userId}_${Date.now()}`,
+      notes: {
+        userId: String(userId),
+        email: email,
+        categoryId: String(categoryId),
+        planType,
+        purchaseType: checkout.purchaseType,
+        itemName: checkout.isBundlePurchase ? `${category.name} - Bundle` : category.name
+      }
+    });
+
+    const result = await db.query(
+      `INSERT INTO purchases (user_id, category_id, plan_type, purchase_type, topic_ids, amount, currency, status, order_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending', $8)
+       RETURNING *`,
+      [userId, categoryId, planType, checkout.purchaseType, JSON.stringify(topicsToUnlock), amount, order.currency, order.id]
+    );
 
-    // Validate purchase request
-    const purchaseValidation = validatePurchaseRequest({
-      planType,
-      purchaseType,
+    await recordOrderCreated(db, order, {
+      userId,
+      itemType: checkout.isBundlePurchase ? ItemTypes.BUNDLE : ItemTypes.TOPICS,
       categoryId,
-      topicIds: selectedTopicIds,
-      userId
+      purchaseId: result.rows[0].id,
+      description: checkout.isBundlePurchase ? `${category.name} - Bundle` : category.name
     });
 
-    if (!purchaseValidation.valid) {
+    res.json({
+      success: true,
+      data: {
+        purchaseId: result.rows[0].id,
+        planType,
+        purchaseType: checkout.purchaseType,
+        topicIds: topicsToUnlock,
+        priceBreakdown: checkout.priceCalculation.breakdown,
+        orderId: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        keyId: process.env.RAZORPAY_KEY_ID
+      }
+    });
+  } catch (error) {
+    console.error('Error in createPurchase:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Verify Purchase - Confirms the Razorpay signature and unlocks the purchased topics
+ * POST /api/purchases/verify
+ */
+exports.verifyPurchase = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
       return res.status(400).json({
         success: false,
-        error: purchaseValidation.error
+        error: 'Missing razorpay_order_id, razorpay_payment_id or razorpay_signature'
       });
     }
 
-    // Get topics to unlock
-    const topicsToUnlockResult = await db.query(
-      'SELECT id FROM topics WHERE category_id = $1',
-      [categoryId]
+    const purchaseResult = await db.query(
+      'SELECT * FROM purchases WHERE order_id = $1 AND user_id = $2',
+      [razorpay_order_id, userId]
     );
 
-    const allCategoryTopicIds = topicsToUnlockResult.rows.map(t => t.id);
-    const topicsToUnlock = getTopicsToUnlock({
-      planType,
-      purchaseType,
-      categoryTopicIds: allCategoryTopicIds,
-      selectedTopicIds
-    });
+    if (purchaseResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Purchase not found' });
+    }
 
-    // Create transaction ID
-    const transactionId = `TXN_${Date.now()}_${userId}`;
+    const existing = purchaseResult.rows[0];
 
-    // Grant access to topics
-    for (const topicId of topicsToUnlock) {
-      await db.query(
-        `INSERT INTO topic_enrollments (user_id, topic_id, payment_status, amount_paid, transaction_id, purchase_type, enrolled_at, created_at)
-         VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
-         ON CONFLICT (user_id, topic_id) DO UPDATE SET
-           payment_status = EXCLUDED.payment_status,
-           purchase_type = EXCLUDED.purchase_type,
-           transaction_id = COALESCE(EXCLUDED.transaction_id, topic_enrollments.transaction_id)`,
-        [
-          userId,
-          topicId,
-          planType === 'FREE' ? 'free' : 'paid',
-          planType === 'FREE' ? 0 : amount / topicsToUnlock.length,
-          transactionId,
-          purchaseType
-        ]
-      );
+    if (!verifyPaymentSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+      try {
+        await sendPaymentFailedNotification(userId);
+      } catch (notifErr) {
+        console.error('Error sending payment failed notification:', notifErr);
+      }
+      return res.status(400).json({ success: false, error: 'Invalid signature' });
+    }
+
+    const purchase = await fulfillPurchase(existing.id, razorpay_payment_id);
+
+    if (purchase) {
+      await notifyPurchaseFulfilled(purchase);
+      console.log(`✅ Purchase ${purchase.id} completed: user ${userId}, order ${razorpay_order_id}`);
     }
 
+    const invoice = purchase ? await issueInvoiceForOrder(razorpay_order_id) : null;
+    const current = purchase || existing;
+
     res.json({
       success: true,
       data: {
-        message: `Access granted to ${topicsToUnlock.length} topics`,
-        plan_type: planType,
-        purchase_type: purchaseType,
-        topics_unlocked: topicsToUnlock.length,
-        transaction_id: transactionId
+        message: purchase ? 'Payment verified and access granted' : 'Purchase already completed',
+        purchaseId: current.id,
+        planType: current.plan_type,
+        purchaseType: current.purchase_type,
+        status: 'completed',
+        topicsUnlocked: current.topic_ids || [],
+        invoiceId: invoice?.id || null
       }
     });
   } catch (error) {
-    console.error('Error in createPurchase:', error);
+    console.error('Error in verifyPurchase:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 };
@@ -174,43 +394,26 @@ exports.createPurchase = async (req, res) => {
  */
 exports.calculatePrice = async (req, res) => {
   try {
-    const { categoryId, selectedTopicIds } = req.body;
-
-    // Get category info
-    const categoryResult = await db.query(
-      'SELECT plan_type, bundle_price FROM category WHERE id = $1',
-      [categoryId]
-    );
+    const userId = req.user.userId;
+    const { categoryId, purchaseType, selectedTopicIds } = req.body;
 
-    if (categoryResult.rows.length === 0) {
-      return res.status(404).json({ success: false, error: 'Category not found' });
+    if (!categoryId) {
+      return res.status(400).json({ success: false, error: 'Missing categoryId' });
     }
 
-    const { plan_type: planType, bundle_price: bundlePrice } = categoryResult.rows[0];
-
-    // Get topic prices if needed
-    let topicPrices = {};
-    if (planType === 'INDIVIDUAL' || planType === 'FLEXIBLE') {
-      const topicsResult = await db.query(
-        'SELECT id, price FROM topics WHERE category_id = $1',
-        [categoryId]
-      );
-      topicsResult.rows.forEach(t => {
-        topicPrices[t.id] = t.price || 0;
-      });
+    const checkout = await resolveCheckout({ userId, categoryId, purchaseType, selectedTopicIds });
+    if (checkout.error) {
+      return res.status(checkout.status).json({ success: false, error: checkout.error });
     }
 
-    // Calculate price using helper
-    const priceCalculation = calculatePrice({
-      planType,
-      bundlePrice,
-      topicPrices,
-      selectedTopicIds
-    });
-
     res.json({
       success: true,
-      data: priceCalculation
+      data: {
+        ...checkout.priceCalculation,
+        planType: checkout.planType,
+        purchaseType: checkout.purchaseType,
+        topicIds: checkout.topicsToUnlock
+      }
     });
   } catch (error) {
     console.error('Error in calculatePrice:', error);
@@ -220,22 +423,18 @@ exports.calculatePrice = async (req, res) => {
 
 /**
  * Check Topic Access - Enforces plan type rules
- * GET /api/topics/:topicId/access
+ * GET /api/purchases/access/:topicId
  */
 exports.checkTopicAccess = async (req, res) => {
   try {
     const { topicId } = req.params;
-    const userId = req.user?.id; // From auth middleware
-
-    if (!userId) {
-      return res.status(401).json({ success: false, error: 'Unauthorized' });
-    }
+    const userId = req.user.userId;
 
     // Get topic info
     const topicResult = await db.query(
       `SELECT t.id, t.is_free, t.category_id, c.plan_type
        FROM topics t
-       JOIN category c ON t.category_id = c.id
+       LEFT JOIN category c ON t.category_id = c.id
        WHERE t.id = $1`,
       [topicId]
     );
@@ -245,29 +444,24 @@ exports.checkTopicAccess = async (req, res) => {
     }
 
     const { is_free: isFree, plan_type: planType } = topicResult.rows[0];
+    const access = await resolveTopicAccess(db, userId, topicId);
 
-    // Get enrollment info
-    const enrollmentResult = await db.query(
-      `SELECT id, payment_status FROM topic_enrollments 
-       WHERE topic_id = $1 AND user_id = $2`,
-      [topicId, userId]
-    );
-
-    const enrollment = enrollmentResult.rows[0];
-
-    // Validate access using helper
+    // Map user_topics / bundle access onto the plan type rules
     const accessValidation = validateTopicAccess({
       planType,
       userId,
       topicId,
       hasFreeTopic: isFree,
-      topicEnrollment: enrollment
+      topicEnrollment: access.hasAccess
+        ? { payment_status: planType === PlanTypes.FREE ? 'free' : 'paid' }
+        : null
     });
 
     res.json({
       success: true,
       hasAccess: accessValidation.hasAccess,
       reason: accessValidation.reason,
+      accessType: access.accessType,
       message: accessValidation.hasAccess ? '✅ Access granted' : '🔒 Access denied'
     });
   } catch (error) {
@@ -318,38 +512,41 @@ exports.getCategoryDetails = async (req, res) => {
 };
 
 /**
- * Get User Purchases by Category and Plan Type
- * GET /api/users/:userId/purchases
+ * Get the authenticated user's purchases
+ * GET /api/purchases/my
  */
 exports.getUserPurchases = async (req, res) => {
   try {
-    const { userId } = req.params;
+    const userId = req.user.userId;
 
     const result = await db.query(
-      `SELECT 
-        c.id as category_id,
-        c.name as category_name,
-        c.plan_type,
-        COUNT(te.id) as topics_purchased,
-        SUM(te.amount_paid) as total_spent,
-        MAX(te.enrolled_at) as latest_purchase,
-        json_agg(json_build_object(
-          'topic_id', te.topic_id,
-          'purchase_type', te.purchase_type,
-          'amount_paid', te.amount_paid
-        )) as purchases
-       FROM topic_enrollments te
-       JOIN topics t ON te.topic_id = t.id
-       JOIN category c ON t.category_id = c.id
-       WHERE te.user_id = $1 AND te.payment_status IN ('free', 'paid')
-       GROUP BY c.id, c.name, c.plan_type
-       ORDER BY te.enrolled_at DESC`,
+      `SELECT
+        p.*,
+        c.name as category_name
+       FROM purchases p
+       LEFT JOIN category c ON p.category_id = c.id
+       WHERE p.user_id = $1
+       ORDER BY p.created_at DESC`,
       [userId]
     );
 
     res.json({
       success: true,
-      data: result.rows
+      data: result.rows.map(p => ({
+        id: p.id,
+        categoryId: p.category_id,
+        categoryName: p.category_name,
+        planType: p.plan_type,
+        purchaseType: p.purchase_type,
+        topicIds: p.topic_ids || [],
+        amount: parseFloat(p.amount) || 0,
+        currency: p.currency,
+        status: p.status,
+        orderId: p.order_id,
+        paymentId: p.payment_id,
+        completedAt: p.completed_at?.toISOString() || null,
+        createdAt: p.created_at?.toISOString()
+      }))
     });
   } catch (error) {
     console.error('Error in getUserPurchases:', error);
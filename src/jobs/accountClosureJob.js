@@ -0,0 +1,20 @@
+/**
+ * Account Closure Job
+ * Periodically anonymises accounts whose approved closure grace period has ended.
+ * Runs every ACCOUNT_CLOSURE_JOB_INTERVAL_MINUTES (default 60); set it to 0 to disable.
+ */
+
+const { createIntervalJob, getIntervalMs } = require('./intervalJob');
+const { processDueClosures } = require('../utils/accountClosure');
+
+const job = createIntervalJob('Account closure job', getIntervalMs('ACCOUNT_CLOSURE_JOB_INTERVAL_MINUTES', 60), async () => {
+  const completed = await processDueClosures();
+  if (completed > 0) {
+    console.log(`🗑️ Account closure job anonymised ${completed} account(s)`);
+  }
+});
+
+module.exports = {
+  runAccountClosureJob: job.run,
+  startAccountClosureJob: job.start
+};
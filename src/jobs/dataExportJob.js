@@ -0,0 +1,20 @@
+/**
+ * Data Export Job
+ * Periodically retries personal data exports that did not finish and deletes expired archives.
+ * Runs every DATA_EXPORT_JOB_INTERVAL_MINUTES (default 10); set it to 0 to disable.
+ */
+
+const { createIntervalJob, getIntervalMs } = require('./intervalJob');
+const { processDataExportQueue } = require('../utils/dataExport');
+
+const job = createIntervalJob('Data export job', getIntervalMs('DATA_EXPORT_JOB_INTERVAL_MINUTES', 10), async () => {
+  const { retried, expired } = await processDataExportQueue();
+  if (retried > 0 || expired > 0) {
+    console.log(`📦 Data export job retried ${retried} export(s), expired ${expired}`);
+  }
+});
+
+module.exports = {
+  runDataExportJob: job.run,
+  startDataExportJob: job.start
+};
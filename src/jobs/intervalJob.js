@@ -0,0 +1,59 @@
+/**
+ * Interval Job
+ * Shared scheduling for the background jobs: a run never overlaps the previous one, failures
+ * are logged rather than thrown, and the timer doesn't keep the process alive.
+ */
+
+/**
+ * Interval in milliseconds from an env var holding minutes; unset uses the default, 0 disables
+ * @param {string} variable - e.g. DATA_EXPORT_JOB_INTERVAL_MINUTES
+ * @param {number} defaultMinutes
+ * @returns {number}
+ */
+function getIntervalMs(variable, defaultMinutes) {
+  const minutes = process.env[variable] !== undefined
+    ? parseInt(process.env[variable]) || 0
+    : defaultMinutes;
+  return minutes * 60 * 1000;
+}
+
+/**
+ * Build a job that runs fn every intervalMs
+ * @param {string} name - Used in log lines, e.g. 'Data export job'
+ * @param {number} intervalMs - 0 or less disables the job
+ * @param {Function} fn - Async work for one run
+ * @returns {object} { run, start } where run() skips while a run is in progress and start()
+ *   returns the interval handle, or null when disabled
+ */
+function createIntervalJob(name, intervalMs, fn) {
+  let running = false;
+
+  async function run() {
+    if (running) return;
+    running = true;
+    try {
+      await fn();
+    } catch (err) {
+      console.error(`Error in ${name.toLowerCase()}:`, err);
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (intervalMs <= 0) {
+      console.log(`⏸️ ${name} disabled`);
+      return null;
+    }
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    return timer;
+  }
+
+  return { run, start };
+}
+
+module.exports = {
+  getIntervalMs,
+  createIntervalJob
+};
@@ -0,0 +1,21 @@
+/**
+ * Video Transcode Job
+ * Transcodes queued video uploads into HLS renditions, one video at a time.
+ * Runs every VIDEO_TRANSCODE_JOB_INTERVAL_MINUTES (default 1); set it to 0 to disable.
+ * Uploads also start a run straight away so new videos don't wait for the next tick.
+ */
+
+const { createIntervalJob, getIntervalMs } = require('./intervalJob');
+const { processTranscodeQueue } = require('../utils/videoTranscoding');
+
+const job = createIntervalJob('Video transcode job', getIntervalMs('VIDEO_TRANSCODE_JOB_INTERVAL_MINUTES', 1), async () => {
+  const { completed, failed, requeued } = await processTranscodeQueue();
+  if (completed > 0 || failed > 0 || requeued > 0) {
+    console.log(`🎞️ Video transcode job completed ${completed}, failed ${failed}, re-queued ${requeued} stalled job(s)`);
+  }
+});
+
+module.exports = {
+  runVideoTranscodeJob: job.run,
+  startVideoTranscodeJob: job.start
+};
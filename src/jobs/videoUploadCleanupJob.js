@@ -0,0 +1,20 @@
+/**
+ * Video Upload Cleanup Job
+ * Aborts resumable video uploads that expired before being completed, so S3 drops their stored parts.
+ * Runs every VIDEO_UPLOAD_CLEANUP_JOB_INTERVAL_MINUTES (default 60); set it to 0 to disable.
+ */
+
+const { createIntervalJob, getIntervalMs } = require('./intervalJob');
+const { abortExpiredUploads } = require('../utils/videoUploads');
+
+const job = createIntervalJob('Video upload cleanup job', getIntervalMs('VIDEO_UPLOAD_CLEANUP_JOB_INTERVAL_MINUTES', 60), async () => {
+  const { aborted, failed } = await abortExpiredUploads();
+  if (aborted > 0 || failed > 0) {
+    console.log(`🧹 Video upload cleanup job aborted ${aborted} expired upload(s), ${failed} failed to release`);
+  }
+});
+
+module.exports = {
+  runVideoUploadCleanupJob: job.run,
+  startVideoUploadCleanupJob: job.start
+};
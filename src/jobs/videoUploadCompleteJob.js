@@ -0,0 +1,22 @@
+/**
+ * Video Upload Completion Job
+ * Finishes resumable video uploads queued by POST /api/video-uploads/:uploadId/complete: joins the
+ * parts in S3, probes the duration and creates the module video, one upload at a time.
+ * Runs every VIDEO_UPLOAD_COMPLETE_JOB_INTERVAL_MINUTES (default 1); set it to 0 to disable.
+ * Completing an upload also starts a run straight away so it doesn't wait for the next tick.
+ */
+
+const { createIntervalJob, getIntervalMs } = require('./intervalJob');
+const { processUploadCompletions } = require('../utils/videoUploads');
+
+const job = createIntervalJob('Video upload completion job', getIntervalMs('VIDEO_UPLOAD_COMPLETE_JOB_INTERVAL_MINUTES', 1), async () => {
+  const { completed, failed } = await processUploadCompletions();
+  if (completed > 0 || failed > 0) {
+    console.log(`📦 Video upload completion job completed ${completed}, failed ${failed} upload(s)`);
+  }
+});
+
+module.exports = {
+  runVideoUploadCompleteJob: job.run,
+  startVideoUploadCompleteJob: job.start
+};
@@ -0,0 +1,173 @@
+/**
+ * Authentication Middleware
+ * Learner bearer tokens and role-based admin accounts.
+ * Admin routes declare the permission they need with requirePermission(); which roles hold
+ * which permissions is configured in config/permissions.js.
+ */
+
+const jwt = require('jsonwebtoken');
+const db = require('../config/db');
+const { hasPermission, ROLES } = require('../config/permissions');
+const { isSessionActive } = require('../utils/sessions');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'changeme';
+const ADMIN_TOKEN_TYPE = 'admin';
+const ADMIN_TOKEN_EXPIRES_IN = process.env.ADMIN_JWT_EXPIRES_IN || '8h';
+
+// Transitional: the old shared key only works when explicitly configured, and acts as a super admin
+const LEGACY_ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+let legacyKeyWarned = false;
+
+/**
+ * Read the bearer token from the Authorization header
+ * @param {object} req
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+  const authHeader = req.headers['authorization'];
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+  return authHeader.split(' ')[1];
+}
+
+/**
+ * Sign an access token for an admin account
+ * @param {object} admin - admin_users row
+ * @returns {string}
+ */
+function signAdminToken(admin) {
+  return jwt.sign(
+    { adminId: admin.id, email: admin.email, role: admin.role, type: ADMIN_TOKEN_TYPE },
+    JWT_SECRET,
+    { expiresIn: ADMIN_TOKEN_EXPIRES_IN }
+  );
+}
+
+// Middleware to verify a learner JWT token and that its session has not been logged out
+const verifyToken = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ success: false, error: 'No token provided' });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ success: false, error: 'Invalid or expired token' });
+  }
+  if (decoded.type === ADMIN_TOKEN_TYPE) {
+    return res.status(401).json({ success: false, error: 'User token required' });
+  }
+
+  try {
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ success: false, error: 'Session has been logged out' });
+    }
+    req.user = decoded;
+    next();
+  } catch (err) {
+    console.error('Error checking session:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+};
+
+// Middleware to authenticate an admin account; sets req.admin
+const authenticateAdmin = async (req, res, next) => {
+  const token = getBearerToken(req);
+  const apiKey = req.headers['x-admin-api-key'];
+
+  if (!token && apiKey && LEGACY_ADMIN_API_KEY && apiKey === LEGACY_ADMIN_API_KEY) {
+    if (!legacyKeyWarned) {
+      console.warn('⚠️ x-admin-api-key is deprecated; sign in through /api/admin/auth/login instead');
+      legacyKeyWarned = true;
+    }
+    req.admin = { id: null, email: null, name: 'API key', role: ROLES.SUPER_ADMIN };
+    req.user = { id: 'admin', isAdmin: true, role: ROLES.SUPER_ADMIN };
+    return next();
+  }
+
+  if (!token) {
+    return res.status(401).json({ success: false, error: 'Admin access required' });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ success: false, error: 'Invalid or expired token' });
+  }
+  if (decoded.type !== ADMIN_TOKEN_TYPE || !decoded.adminId) {
+    return res.status(401).json({ success: false, error: 'Admin access required' });
+  }
+
+  try {
+    // Re-read the account so deactivation and role changes apply to existing tokens
+    const result = await db.query(
+      'SELECT id, email, name, role, is_active FROM admin_users WHERE id = $1',
+      [decoded.adminId]
+    );
+    const admin = result.rows[0];
+    if (!admin || !admin.is_active) {
+      return res.status(401).json({ success: false, error: 'Admin account is disabled' });
+    }
+
+    req.admin = { id: admin.id, email: admin.email, name: admin.name, role: admin.role };
+    req.user = { id: `admin:${admin.id}`, adminId: admin.id, isAdmin: true, role: admin.role };
+    next();
+  } catch (err) {
+    console.error('Error authenticating admin:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+};
+
+// Middleware that identifies the caller without requiring a token, for public routes that show more
+// to entitled users. Sets req.viewer to { userId }, { adminId, role, isAdmin: true } or null.
+const identifyViewer = async (req, res, next) => {
+  req.viewer = null;
+  const token = getBearerToken(req);
+  if (!token) return next();
+
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.type === ADMIN_TOKEN_TYPE) {
+      const result = await db.query('SELECT id, role, is_active FROM admin_users WHERE id = $1', [decoded.adminId]);
+      const admin = result.rows[0];
+      if (admin?.is_active) {
+        req.viewer = { adminId: admin.id, role: admin.role, isAdmin: true };
+      }
+    } else if (decoded.userId && (!decoded.sid || await isSessionActive(decoded.sid))) {
+      req.viewer = { userId: decoded.userId };
+    }
+  } catch (err) {
+    // An invalid or expired token is treated like no token
+  }
+  next();
+};
+
+/**
+ * Build middleware that authenticates an admin and requires every listed permission
+ * @param {...string} permissions - Values from PERMISSIONS
+ * @returns {Function[]} Express middleware chain
+ */
+function requirePermission(...permissions) {
+  const checkPermissions = (req, res, next) => {
+    const missing = permissions.filter((permission) => !hasPermission(req.admin.role, permission));
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: `Your role (${req.admin.role}) does not have permission: ${missing.join(', ')}`
+      });
+    }
+    next();
+  };
+
+  return [authenticateAdmin, checkPermissions];
+}
+
+module.exports = {
+  verifyToken,
+  authenticateAdmin,
+  identifyViewer,
+  requirePermission,
+  signAdminToken
+};
@@ -0,0 +1,340 @@
+const express = require('express');
+const router = express.Router();
+const {
+  CLOSURE_GRACE_DAYS,
+  ClosureStatus,
+  formatClosureRequest,
+  approveClosure,
+  rejectClosure,
+  completeClosure
+} = require('../utils/accountClosure');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+const CLOSURE_SELECT = `
+  SELECT acr.*, u.name as user_name, u.email as user_email, a.email as reviewed_by_admin_email
+  FROM account_closure_requests acr
+  LEFT JOIN users u ON acr.user_id = u.id
+  LEFT JOIN admin_users a ON acr.reviewed_by_admin_id = a.id
+`;
+
+async function getClosureRequest(pool, id) {
+  const result = await pool.query(`${CLOSURE_SELECT} WHERE acr.id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+// Respond 404 or 409 when a review action did not apply to the request
+async function sendNotActionable(req, res, expected) {
+  const request = await getClosureRequest(req.pool, req.params.id);
+  if (!request) {
+    return res.status(404).json({ success: false, error: 'Account closure request not found' });
+  }
+  return res.status(409).json({
+    success: false,
+    error: `Only ${expected} requests can be updated (request is ${request.status})`,
+    data: formatClosureRequest(request)
+  });
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Account Closures
+ *     description: Admin review queue for learner account closure requests
+ */
+
+/**
+ * @swagger
+ * /api/admin/account-closures:
+ *   get:
+ *     tags: [Account Closures]
+ *     summary: List account closure requests, oldest open requests first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled, completed]
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Match request ID, user name or email
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Closure requests with pagination
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         description: Admin access required
+ */
+router.get('/', requirePermission(PERMISSIONS.USERS_READ), async (req, res) => {
+  try {
+    const { status, search } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = (page - 1) * limit;
+
+    if (status && !Object.values(ClosureStatus).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${Object.values(ClosureStatus).join(', ')}`
+      });
+    }
+
+    const params = [];
+    let whereClause = 'WHERE 1 = 1';
+    if (status) {
+      params.push(status);
+      whereClause += ` AND acr.status = $${params.length}`;
+    }
+    if (search) {
+      params.push(`%${search}%`);
+      whereClause += ` AND (acr.request_id ILIKE $${params.length} OR u.name ILIKE $${params.length} OR u.email ILIKE $${params.length})`;
+    }
+
+    const countResult = await req.pool.query(
+      `SELECT COUNT(*) as total
+       FROM account_closure_requests acr
+       LEFT JOIN users u ON acr.user_id = u.id
+       ${whereClause}`,
+      params
+    );
+
+    const result = await req.pool.query(`
+      ${CLOSURE_SELECT}
+      ${whereClause}
+      ORDER BY CASE WHEN acr.status IN ('pending', 'approved') THEN 0 ELSE 1 END, acr.created_at ASC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    const totalCount = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      success: true,
+      data: result.rows.map(formatClosureRequest),
+      graceDays: CLOSURE_GRACE_DAYS,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount,
+        limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (err) {
+    console.error('Error in GET /admin/account-closures:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/account-closures/{id}:
+ *   get:
+ *     tags: [Account Closures]
+ *     summary: Get an account closure request
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Closure request
+ *       401:
+ *         description: Admin access required
+ *       404:
+ *         description: Request not found
+ */
+router.get('/:id', requirePermission(PERMISSIONS.USERS_READ), async (req, res) => {
+  try {
+    const request = await getClosureRequest(req.pool, req.params.id);
+    if (!request) {
+      return res.status(404).json({ success: false, error: 'Account closure request not found' });
+    }
+    res.json({ success: true, data: formatClosureRequest(request) });
+  } catch (err) {
+    console.error('Error in GET /admin/account-closures/:id:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/account-closures/{id}/approve:
+ *   post:
+ *     tags: [Account Closures]
+ *     summary: Approve a pending closure request
+ *     description: |
+ *       The account stays deactivated and is anonymised by the scheduled job once the grace period
+ *       ends. The user can still cancel by logging in before then.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               adminNotes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request approved
+ *       401:
+ *         description: Admin access required
+ *       404:
+ *         description: Request not found
+ *       409:
+ *         description: Request is not pending
+ */
+router.post('/:id/approve', requirePermission(PERMISSIONS.USERS_WRITE), async (req, res) => {
+  try {
+    const approved = await approveClosure(req.params.id, {
+      adminId: req.admin.id,
+      adminNotes: req.body.adminNotes
+    });
+    if (!approved) {
+      return sendNotActionable(req, res, ClosureStatus.PENDING);
+    }
+
+    console.log(`✅ Account closure ${approved.request_id} approved by ${req.admin.email || 'admin'}`);
+    res.json({ success: true, data: formatClosureRequest(await getClosureRequest(req.pool, approved.id)) });
+  } catch (err) {
+    console.error('Error in POST /admin/account-closures/:id/approve:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/account-closures/{id}/reject:
+ *   post:
+ *     tags: [Account Closures]
+ *     summary: Reject a pending or approved closure request and reactivate the account
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               adminNotes:
+ *                 type: string
+ *                 description: Shown to the user
+ *     responses:
+ *       200:
+ *         description: Request rejected
+ *       401:
+ *         description: Admin access required
+ *       404:
+ *         description: Request not found
+ *       409:
+ *         description: Request is no longer open
+ */
+router.post('/:id/reject', requirePermission(PERMISSIONS.USERS_WRITE), async (req, res) => {
+  try {
+    const rejected = await rejectClosure(req.params.id, {
+      adminId: req.admin.id,
+      adminNotes: req.body.adminNotes
+    });
+    if (!rejected) {
+      return sendNotActionable(req, res, 'pending or approved');
+    }
+
+    console.log(`↩️ Account closure ${rejected.request_id} rejected by ${req.admin.email || 'admin'}`);
+    res.json({ success: true, data: formatClosureRequest(await getClosureRequest(req.pool, rejected.id)) });
+  } catch (err) {
+    console.error('Error in POST /admin/account-closures/:id/reject:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/account-closures/{id}/complete:
+ *   post:
+ *     tags: [Account Closures]
+ *     summary: Anonymise an approved account now, skipping the rest of the grace period
+ *     description: |
+ *       Archives the user record to deleted_users_audit, removes sessions, devices, linked sign-ins,
+ *       OTPs, pending email changes, cart items, notification history, data exports and the avatar, and strips personal data from the user row.
+ *       Enrollments, payments and invoices are kept for accounting.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Account anonymised
+ *       401:
+ *         description: Admin access required
+ *       404:
+ *         description: Request not found
+ *       409:
+ *         description: Request is not approved
+ */
+router.post('/:id/complete', requirePermission(PERMISSIONS.USERS_WRITE), async (req, res) => {
+  try {
+    const completed = await completeClosure(req.params.id);
+    if (!completed) {
+      return sendNotActionable(req, res, ClosureStatus.APPROVED);
+    }
+
+    console.log(`🗑️ Account closure ${completed.request_id} completed early by ${req.admin.email || 'admin'}`);
+    res.json({ success: true, data: formatClosureRequest(await getClosureRequest(req.pool, completed.id)) });
+  } catch (err) {
+    console.error('Error in POST /admin/account-closures/:id/complete:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,385 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateAdmin, requirePermission, signAdminToken } = require('../middleware/auth');
+const { PERMISSIONS, ROLE_PERMISSIONS, isValidRole, getRolePermissions } = require('../config/permissions');
+const { hashPassword, verifyPassword } = require('../utils/passwords');
+
+const MIN_PASSWORD_LENGTH = 10;
+
+// Helper function to format admin account data consistently
+function formatAdmin(admin) {
+  return {
+    id: admin.id,
+    email: admin.email,
+    name: admin.name,
+    role: admin.role,
+    permissions: getRolePermissions(admin.role),
+    isActive: admin.is_active,
+    lastLoginAt: admin.last_login_at?.toISOString(),
+    createdAt: admin.created_at?.toISOString(),
+    updatedAt: admin.updated_at?.toISOString()
+  };
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Admin Auth
+ *     description: Admin accounts, roles and sign-in
+ */
+
+/**
+ * @swagger
+ * /api/admin/auth/login:
+ *   post:
+ *     tags: [Admin Auth]
+ *     summary: Sign in as an admin
+ *     description: Returns a bearer token for the admin routes. Permissions follow the account's role.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, password]
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Signed in
+ *       400:
+ *         description: Missing email or password
+ *       401:
+ *         description: Invalid credentials or account disabled
+ */
+router.post('/auth/login', async (req, res) => {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    return res.status(400).json({ success: false, error: 'Email and password are required' });
+  }
+
+  try {
+    const result = await req.pool.query(
+      'SELECT * FROM admin_users WHERE LOWER(email) = LOWER($1)',
+      [email.trim()]
+    );
+    const admin = result.rows[0];
+
+    if (!admin || !(await verifyPassword(password, admin.password_hash))) {
+      return res.status(401).json({ success: false, error: 'Invalid email or password' });
+    }
+    if (!admin.is_active) {
+      return res.status(401).json({ success: false, error: 'Admin account is disabled' });
+    }
+
+    const updated = await req.pool.query(
+      'UPDATE admin_users SET last_login_at = NOW() WHERE id = $1 RETURNING *',
+      [admin.id]
+    );
+
+    console.log(`🔐 Admin ${admin.email} signed in (${admin.role})`);
+
+    res.json({
+      success: true,
+      token: signAdminToken(admin),
+      data: formatAdmin(updated.rows[0])
+    });
+  } catch (err) {
+    console.error('Error in POST /admin/auth/login:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/auth/me:
+ *   get:
+ *     tags: [Admin Auth]
+ *     summary: Get the signed-in admin and their permissions
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Admin account
+ *       401:
+ *         description: Admin access required
+ */
+router.get('/auth/me', authenticateAdmin, async (req, res) => {
+  try {
+    if (!req.admin.id) {
+      return res.json({ success: true, data: { ...req.admin, permissions: getRolePermissions(req.admin.role) } });
+    }
+
+    const result = await req.pool.query('SELECT * FROM admin_users WHERE id = $1', [req.admin.id]);
+    res.json({ success: true, data: formatAdmin(result.rows[0]) });
+  } catch (err) {
+    console.error('Error in GET /admin/auth/me:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/roles:
+ *   get:
+ *     tags: [Admin Auth]
+ *     summary: List admin roles and the permissions each grants
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles with permissions
+ */
+router.get('/roles', requirePermission(PERMISSIONS.ADMINS_MANAGE), (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(ROLE_PERMISSIONS).map(([role, permissions]) => ({ role, permissions }))
+  });
+});
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     tags: [Admin Auth]
+ *     summary: List admin accounts
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Admin accounts
+ *       403:
+ *         description: Missing admins:manage permission
+ */
+router.get('/users', requirePermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+  try {
+    const result = await req.pool.query('SELECT * FROM admin_users ORDER BY created_at ASC');
+    res.json({ success: true, data: result.rows.map(formatAdmin) });
+  } catch (err) {
+    console.error('Error in GET /admin/users:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   post:
+ *     tags: [Admin Auth]
+ *     summary: Create an admin account
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, password, role]
+ *             properties:
+ *               email:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 10
+ *               role:
+ *                 type: string
+ *                 enum: [super_admin, content_editor, finance, support]
+ *     responses:
+ *       201:
+ *         description: Admin created
+ *       400:
+ *         description: Invalid input
+ *       409:
+ *         description: Email already in use
+ */
+router.post('/users', requirePermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+  const { email, name, password, role } = req.body;
+
+  if (!email || !password || !role) {
+    return res.status(400).json({ success: false, error: 'Email, password and role are required' });
+  }
+  if (!isValidRole(role)) {
+    return res.status(400).json({ success: false, error: `Unknown role: ${role}` });
+  }
+  if (String(password).length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  try {
+    const existing = await req.pool.query(
+      'SELECT id FROM admin_users WHERE LOWER(email) = LOWER($1)',
+      [email.trim()]
+    );
+    if (existing.rows.length > 0) {
+      return res.status(409).json({ success: false, error: 'An admin with this email already exists' });
+    }
+
+    const result = await req.pool.query(
+      `INSERT INTO admin_users (email, name, password_hash, role)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [email.trim().toLowerCase(), name || null, await hashPassword(password), role]
+    );
+
+    console.log(`👤 Admin ${result.rows[0].email} created with role ${role}`);
+    res.status(201).json({ success: true, data: formatAdmin(result.rows[0]) });
+  } catch (err) {
+    console.error('Error in POST /admin/users:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   put:
+ *     tags: [Admin Auth]
+ *     summary: Update an admin's name, role, password or active flag
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [super_admin, content_editor, finance, support]
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Admin updated
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Admin not found
+ */
+router.put('/users/:id', requirePermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+  const { id } = req.params;
+  const { name, password, role, isActive } = req.body;
+
+  if (role !== undefined && !isValidRole(role)) {
+    return res.status(400).json({ success: false, error: `Unknown role: ${role}` });
+  }
+  if (password !== undefined && String(password).length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  if (String(req.admin.id) === String(id) && (isActive === false || (role && role !== req.admin.role))) {
+    return res.status(400).json({ success: false, error: 'You cannot change your own role or disable your own account' });
+  }
+
+  try {
+    const result = await req.pool.query(
+      `UPDATE admin_users SET
+         name = COALESCE($2, name),
+         password_hash = COALESCE($3, password_hash),
+         role = COALESCE($4, role),
+         is_active = COALESCE($5, is_active),
+         updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [
+        id,
+        name ?? null,
+        password !== undefined ? await hashPassword(password) : null,
+        role ?? null,
+        typeof isActive === 'boolean' ? isActive : null
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Admin not found' });
+    }
+
+    res.json({ success: true, data: formatAdmin(result.rows[0]) });
+  } catch (err) {
+    console.error('Error in PUT /admin/users/:id:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   delete:
+ *     tags: [Admin Auth]
+ *     summary: Disable an admin account
+ *     description: Accounts are disabled rather than deleted so audit references stay intact
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Admin disabled
+ *       400:
+ *         description: Cannot disable yourself
+ *       404:
+ *         description: Admin not found
+ */
+router.delete('/users/:id', requirePermission(PERMISSIONS.ADMINS_MANAGE), async (req, res) => {
+  const { id } = req.params;
+
+  if (String(req.admin.id) === String(id)) {
+    return res.status(400).json({ success: false, error: 'You cannot disable your own account' });
+  }
+
+  try {
+    const result = await req.pool.query(
+      'UPDATE admin_users SET is_active = FALSE, updated_at = NOW() WHERE id = $1 RETURNING *',
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Admin not found' });
+    }
+
+    res.json({ success: true, message: 'Admin account disabled', data: formatAdmin(result.rows[0]) });
+  } catch (err) {
+    console.error('Error in DELETE /admin/users/:id:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,4 +1,6 @@
 const express = require('express');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const router = express.Router();
 
 /**
@@ -37,7 +39,7 @@ const router = express.Router();
  *                         type: integer
  */
 // GET /api/dashboard/analytics/users - Get user analytics
-router.get('/dashboard/analytics/users', async (req, res) => {
+router.get('/dashboard/analytics/users', requirePermission(PERMISSIONS.DASHBOARD_READ), async (req, res) => {
     try {
         const { range = '30d' } = req.query;
 
@@ -1,37 +1,10 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const { Pool } = require('pg');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const pool = new Pool();
 
-const JWT_SECRET = process.env.JWT_SECRET || 'changeme';
-const ADMIN_API_KEY = process.env.ADMIN_API_KEY || 'thinkCyberAdminKey2024';
-
-// Middleware to verify JWT token or Admin API key
-const verifyToken = async (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const apiKey = req.headers['x-admin-api-key'];
-  
-  // First check for Admin API key
-  if (apiKey && apiKey === ADMIN_API_KEY) {
-    req.user = { id: 'admin', isAdmin: true };
-    return next();
-  }
-  
-  // Otherwise check for Bearer token
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ success: false, error: 'No token provided' });
-  }
-  const token = authHeader.split(' ')[1];
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (err) {
-    res.status(401).json({ success: false, error: 'Invalid or expired token' });
-  }
-};
-
 /**
  * @swagger
  * tags:
@@ -197,7 +170,7 @@ router.get('/version', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.put('/version', verifyToken, async (req, res) => {
+router.put('/version', requirePermission(PERMISSIONS.SETTINGS_WRITE), async (req, res) => {
   const {
     updateRequired,
     forceUpdate,
@@ -296,7 +269,7 @@ router.put('/version', verifyToken, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/trigger-force-update', verifyToken, async (req, res) => {
+router.post('/trigger-force-update', requirePermission(PERMISSIONS.SETTINGS_WRITE), async (req, res) => {
   const { latestVersionName, latestVersionCode, minVersionCode, message } = req.body;
 
   if (!latestVersionName || latestVersionCode === undefined) {
@@ -365,7 +338,7 @@ router.post('/trigger-force-update', verifyToken, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/disable-force-update', verifyToken, async (req, res) => {
+router.post('/disable-force-update', requirePermission(PERMISSIONS.SETTINGS_WRITE), async (req, res) => {
   try {
     const result = await pool.query(
       `UPDATE app_settings 
@@ -406,7 +379,7 @@ router.post('/disable-force-update', verifyToken, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/', verifyToken, async (req, res) => {
+router.get('/', requirePermission(PERMISSIONS.SETTINGS_WRITE), async (req, res) => {
   try {
     const result = await pool.query('SELECT * FROM app_settings ORDER BY setting_key');
 
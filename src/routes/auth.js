@@ -1,15 +1,121 @@
 const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
-const nodemailer = require('nodemailer');
+const multer = require('multer');
+const transporter = require('../config/mailer');
 const { Pool } = require('pg');
 const pool = new Pool();
-const { sendWelcomeNotification, sendAccountClosureNotification } = require('../config/notificationTriggers');
+const { sendWelcomeNotification } = require('../config/notificationTriggers');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+  getRequestMeta,
+  formatSession,
+  createSession,
+  rotateSession,
+  listActiveSessions,
+  findSessionByRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/sessions');
+const { checkSendRateLimit, issueOtp, verifyOtp } = require('../utils/otp');
+const { sendNewDeviceLoginEmail } = require('../utils/securityAlerts');
+const { PROVIDERS, verifyIdToken } = require('../utils/oauth');
+const { CLOSURE_GRACE_DAYS, requestClosure, getCancellableClosure, cancelClosureOnLogin } = require('../utils/accountClosure');
+const {
+  LINK_TTL_HOURS,
+  formatDataExport,
+  requestDataExport,
+  scheduleDataExport,
+  getDataExportDownload
+} = require('../utils/dataExport');
+const {
+  formatProfile,
+  formatEmailChange,
+  validateProfileUpdate,
+  getPendingEmailChange,
+  requestEmailChange,
+  confirmEmailChange
+} = require('../utils/profile');
+const { claimPendingInvites } = require('../utils/organisations');
+const { LoginEventTypes, recordLoginEvent } = require('../utils/loginAudit');
+const { uploadToS3, deleteFromS3 } = require('../utils/s3-helper');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'changeme';
-const JWT_EXPIRES_IN = '15m';
 const APP_URL = process.env.APP_URL || 'https://yourapp.com';
 
+const AVATAR_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const AVATAR_MAX_BYTES = 5 * 1024 * 1024; // 5MB
+
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: AVATAR_MAX_BYTES },
+  fileFilter: (req, file, cb) => {
+    if (AVATAR_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type. Allowed types: ${AVATAR_TYPES.join(', ')}`), false);
+    }
+  }
+});
+
+// Respond 429 with the wait time so the app can tell the user when to retry
+function sendTooManyRequests(res, limit) {
+  res.set('Retry-After', String(limit.retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: limit.error,
+    message: limit.message,
+    retryAfter: limit.retryAfter
+  });
+}
+
+// Cancel the user's closure request in its grace period and reactivate them; false if the account stays closed
+async function reopenAccountOnLogin(user) {
+  const cancelled = await cancelClosureOnLogin(user);
+  if (!cancelled) return false;
+  user.is_active = true;
+  user.deactivated_at = null;
+  user.deactivation_reason = null;
+  return true;
+}
+
+// Respond 403 for a closed account, pointing the user at the support address
+async function sendAccountClosed(res) {
+  // Get admin contact email from homepage_contact table
+  let adminEmail = 'support@thinkcyber.info'; // default
+  try {
+    const contactResult = await pool.query(
+      'SELECT email, support_email FROM homepage_contact LIMIT 1'
+    );
+    if (contactResult.rows.length > 0) {
+      adminEmail = contactResult.rows[0].support_email || contactResult.rows[0].email || adminEmail;
+    }
+  } catch (contactErr) {
+    console.error('Error fetching contact email:', contactErr);
+  }
+
+  return res.status(403).json({ 
+    success: false, 
+    error: 'Account closed',
+    message: 'Your account closure request has been submitted and your account is now deactivated. You cannot login. Please contact the admin for assistance.',
+    adminEmail: adminEmail,
+    isAccountClosed: true
+  });
+}
+
+// Respond to a failed OTP check from verifyOtp()
+function sendOtpFailure(res, check) {
+  if (check.status === 429) return sendTooManyRequests(res, check);
+  return res.status(check.status).json({
+    success: false,
+    error: check.error,
+    message: check.message,
+    attemptsRemaining: check.attemptsRemaining
+  });
+}
+
 /**
  * @swagger
  * /api/auth/me:
@@ -51,6 +157,9 @@ router.get('/me', async (req, res) => {
   const token = authHeader.split(' ')[1];
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ success: false, error: 'Session has been logged out' });
+    }
     const userRes = await pool.query('SELECT * FROM users WHERE id = $1', [decoded.userId]);
     if (!userRes.rows.length) {
       return res.status(404).json({ success: false, error: 'User not found' });
@@ -62,26 +171,6 @@ router.get('/me', async (req, res) => {
 });
 
 
-// Google SMTP config from .env
-// const transporter = nodemailer.createTransport({
-//   service: 'gmail',
-//   auth: {
-//     user: process.env.GMAIL_USER,
-//     pass: process.env.GMAIL_PASS
-//   }
-// });
-const transporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST,
-  port: Number(process.env.SMTP_PORT),
-  secure: false,
-  auth: {
-    user: process.env.SMTP_USER,
-    pass: process.env.SMTP_PASS
-  },
-  tls: {
-    rejectUnauthorized: false
-  }
-});
 /**
  * @swagger
  * /api/auth/signup:
@@ -131,6 +220,21 @@ const transporter = nodemailer.createTransport({
  *                   type: boolean
  *                 error:
  *                   type: string
+ *       429:
+ *         description: Too many OTP requests or incorrect attempts; retry after retryAfter seconds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 error:
+ *                   type: string
+ *                 message:
+ *                   type: string
+ *                 retryAfter:
+ *                   type: integer
  *       500:
  *         description: Server error
  *         content:
@@ -156,17 +260,17 @@ router.post('/signup', async (req, res) => {
     if (exists.rows.length) {
       return res.status(400).json({ success: false, error: 'User already exists' });
     }
+    const { ipAddress } = getRequestMeta(req);
+    const limit = await checkSendRateLimit({ userId: null, email, ipAddress });
+    if (limit) {
+      return sendTooManyRequests(res, limit);
+    }
     const result = await pool.query(
       'INSERT INTO users (email, name, is_verified) VALUES ($1, $2, $3) RETURNING *',
       [email, name, false]
     );
     // Generate OTP for signup
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 min expiry
-    await pool.query(
-      'INSERT INTO otp_verifications (user_id, otp, expires_at) VALUES ($1, $2, $3)',
-      [result.rows[0].id, otp, expiresAt]
-    );
+    const otp = await issueOtp({ userId: result.rows[0].id, ipAddress });
     await transporter.sendMail({
       from: `"ThinkCyber Team" <${process.env.SMTP_USER}>`,
       to: email,
@@ -230,6 +334,14 @@ router.post('/signup', async (req, res) => {
  *               otp:
  *                 type: string
  *                 example: '123456'
+ *               deviceId:
+ *                 type: string
+ *                 description: Unique device identifier; an existing session on this device is replaced
+ *               deviceType:
+ *                 type: string
+ *                 enum: [android, ios, web]
+ *               deviceName:
+ *                 type: string
  *     responses:
  *       200:
  *         description: User verified and activated
@@ -244,6 +356,12 @@ router.post('/signup', async (req, res) => {
  *                   type: object
  *                 sessionToken:
  *                   type: string
+ *                   description: Access token, valid for 15 minutes
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Rotating refresh token for POST /api/auth/refresh
+ *                 sessionId:
+ *                   type: integer
  *       400:
  *         description: Invalid or expired OTP
  *         content:
@@ -255,6 +373,21 @@ router.post('/signup', async (req, res) => {
  *                   type: boolean
  *                 error:
  *                   type: string
+ *       429:
+ *         description: Too many OTP requests or incorrect attempts; retry after retryAfter seconds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 error:
+ *                   type: string
+ *                 message:
+ *                   type: string
+ *                 retryAfter:
+ *                   type: integer
  *       500:
  *         description: Server error
  *         content:
@@ -270,7 +403,7 @@ router.post('/signup', async (req, res) => {
 
 // POST /auth/verify-signup-otp
 router.post('/verify-signup-otp', async (req, res) => {
-  const { email, otp } = req.body;
+  const { email, otp, deviceId, deviceType, deviceName } = req.body;
   if (!email || !otp) {
     return res.status(400).json({ success: false, error: 'Email and OTP required' });
   }
@@ -280,44 +413,66 @@ router.post('/verify-signup-otp', async (req, res) => {
       return res.status(400).json({ success: false, error: 'User not found' });
     }
     const userId = userRes.rows[0].id;
-    const otpRes = await pool.query(
-      'SELECT * FROM otp_verifications WHERE user_id = $1 AND otp = $2 ORDER BY created_at DESC LIMIT 1',
-      [userId, otp]
-    );
-    if (!otpRes.rows.length || new Date() > new Date(otpRes.rows[0].expires_at)) {
-      return res.status(400).json({ success: false, error: 'Invalid or expired OTP' });
+    const otpCheck = await verifyOtp(userId, otp);
+    if (!otpCheck.valid) {
+      await recordLoginEvent(req, {
+        eventType: LoginEventTypes.OTP_VERIFY, success: false, userId, email, deviceId,
+        failureReason: otpCheck.status === 429 ? 'otp_locked' : 'otp_invalid'
+      });
+      return sendOtpFailure(res, otpCheck);
     }
     // Mark user as verified
     await pool.query('UPDATE users SET is_verified = true WHERE id = $1', [userId]);
     const userResult = await pool.query('SELECT * FROM users WHERE id = $1', [userId]);
     const user = userResult.rows[0];
-    // Issue session JWT
-    // Delete OTP after use
-    await pool.query('DELETE FROM otp_verifications WHERE id = $1', [otpRes.rows[0].id]);
-    const sessionToken = jwt.sign({ userId: user.id, email: user.email }, JWT_SECRET, { expiresIn: '7d' }); 
-    res.json({ success: true, user, sessionToken });
+    await claimPendingInvites(user);
+    const { session, tokens } = await createSession(user, { deviceId, deviceType, deviceName, ...getRequestMeta(req) });
+    await recordLoginEvent(req, {
+      eventType: LoginEventTypes.OTP_VERIFY, success: true, userId, email: user.email, deviceId, sessionId: session.id
+    });
+    res.json({ success: true, user, ...tokens });
   } catch (err) {
     res.status(500).json({ success: false, error: 'DB error' });
   }
 });
+/**
+ * Read the session id from a bearer access token, if one is present and valid
+ * @param {object} req
+ * @returns {object|null} Decoded token
+ */
+function decodeBearer(req) {
+  const authHeader = req.headers['authorization'];
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+  try {
+    return jwt.verify(authHeader.split(' ')[1], JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+}
+
 /**
  * @swagger
- * /api/auth/logout:
+ * /api/auth/refresh:
  *   post:
  *     tags: [Auth]
- *     summary: Log out user and remove FCM token
+ *     summary: Exchange a refresh token for a new access token
+ *     description: |
+ *       Refresh tokens rotate: every call returns a new refreshToken and the old one stops working.
+ *       Presenting a refresh token that was already used revokes the whole session.
  *     requestBody:
+ *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - refreshToken
  *             properties:
- *               fcmToken:
+ *               refreshToken:
  *                 type: string
- *                 description: FCM token to remove for this device
  *     responses:
  *       200:
- *         description: Logged out
+ *         description: New session and refresh tokens
  *         content:
  *           application/json:
  *             schema:
@@ -325,58 +480,68 @@ router.post('/verify-signup-otp', async (req, res) => {
  *               properties:
  *                 success:
  *                   type: boolean
- *                 message:
+ *                 sessionToken:
+ *                   type: string
+ *                 refreshToken:
  *                   type: string
+ *                 sessionId:
+ *                   type: integer
+ *                 accessTokenExpiresIn:
+ *                   type: string
+ *                 refreshTokenExpiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Missing refresh token
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
  */
 
-// POST /auth/logout
-router.post('/logout', async (req, res) => {
-  const { fcmToken } = req.body;
-  
-  // Remove FCM token if provided (for push notifications)
-  if (fcmToken) {
-    try {
-      await pool.query('DELETE FROM user_fcm_tokens WHERE fcm_token = $1', [fcmToken]);
-    } catch (fcmErr) {
-      console.error('Error removing FCM token on logout:', fcmErr);
-      // Don't fail logout if FCM removal fails
+// POST /auth/refresh
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return res.status(400).json({ success: false, error: 'refreshToken is required' });
+  }
+
+  try {
+    const result = await rotateSession(refreshToken, getRequestMeta(req));
+    if (result.error) {
+      return res.status(401).json({ success: false, error: result.error, reason: result.reason });
     }
+    res.json({ success: true, ...result.tokens });
+  } catch (err) {
+    console.error('Refresh token error:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
   }
-  
-  // For JWT, logout is client-side (delete token).
-  // For server-side sessions, destroy session here.
-  res.json({ success: true, message: 'Logged out. Please delete your token on client.' });
 });
-// ...existing code...
-
-/**
- * @swagger
- * tags:
- *   - name: Auth
- *     description: Passwordless Magic Link Authentication
- */
 
 /**
  * @swagger
- * /api/auth/send-otp:
+ * /api/auth/logout:
  *   post:
  *     tags: [Auth]
- *     summary: Send OTP to user's email for login
+ *     summary: Log out this device
+ *     description: |
+ *       Revokes the session identified by the bearer token or the refresh token, so neither can be
+ *       used again, and stops push notifications to the device.
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - email
  *             properties:
- *               email:
+ *               refreshToken:
  *                 type: string
- *                 example: 'user@example.com'
+ *                 description: Refresh token of the session to end (used when the access token has expired)
+ *               fcmToken:
+ *                 type: string
+ *                 description: FCM token to remove for this device
  *     responses:
  *       200:
- *         description: OTP sent successfully
+ *         description: Logged out
  *         content:
  *           application/json:
  *             schema:
@@ -386,8 +551,57 @@ router.post('/logout', async (req, res) => {
  *                   type: boolean
  *                 message:
  *                   type: string
- *       400:
- *         description: Invalid email
+ */
+
+// POST /auth/logout
+router.post('/logout', async (req, res) => {
+  const { fcmToken, refreshToken } = req.body;
+  
+  // Remove FCM token if provided (for push notifications)
+  if (fcmToken) {
+    try {
+      await pool.query('DELETE FROM user_fcm_tokens WHERE fcm_token = $1', [fcmToken]);
+    } catch (fcmErr) {
+      console.error('Error removing FCM token on logout:', fcmErr);
+      // Don't fail logout if FCM removal fails
+    }
+  }
+
+  try {
+    const decoded = decodeBearer(req);
+    let sessionId = decoded?.sid || null;
+    let userId = decoded?.userId || null;
+    if (!sessionId && refreshToken) {
+      const session = await findSessionByRefreshToken(refreshToken);
+      sessionId = session?.id || null;
+      userId = userId || session?.user_id || null;
+    }
+    if (sessionId) {
+      await revokeSession(sessionId, 'logout');
+    }
+    if (userId) {
+      await recordLoginEvent(req, { eventType: LoginEventTypes.LOGOUT, success: true, userId, sessionId });
+    }
+  } catch (err) {
+    console.error('Error revoking session on logout:', err);
+    return res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+
+  res.json({ success: true, message: 'Logged out' });
+});
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Log out all devices
+ *     description: Revokes every session for the user, including this one, and deactivates all their push tokens.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
  *         content:
  *           application/json:
  *             schema:
@@ -395,10 +609,55 @@ router.post('/logout', async (req, res) => {
  *               properties:
  *                 success:
  *                   type: boolean
- *                 error:
- *                   type: string
- *       500:
- *         description: Server or email error
+ *                 revokedSessions:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized
+ */
+
+// POST /auth/logout-all
+router.post('/logout-all', async (req, res) => {
+  const decoded = decodeBearer(req);
+  if (!decoded?.userId) {
+    return res.status(401).json({ success: false, error: 'Invalid or expired token' });
+  }
+
+  try {
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ success: false, error: 'Session has been logged out' });
+    }
+    const revokedSessions = await revokeAllSessions(decoded.userId, 'logout_all');
+    await recordLoginEvent(req, {
+      eventType: LoginEventTypes.LOGOUT_ALL, success: true, userId: decoded.userId, sessionId: decoded.sid || null
+    });
+    console.log(`🔒 User ${decoded.userId} logged out of ${revokedSessions} session(s)`);
+    res.json({ success: true, message: 'Logged out of all devices', revokedSessions });
+  } catch (err) {
+    console.error('Logout all error:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+// ...existing code...
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Auth
+ *     description: Passwordless Magic Link Authentication
+ */
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     tags: [Auth]
+ *     summary: List the user's active sessions (signed-in devices)
+ *     description: lastSeenAt is updated whenever the device refreshes its access token.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, the current one marked isCurrent
  *         content:
  *           application/json:
  *             schema:
@@ -406,16 +665,127 @@ router.post('/logout', async (req, res) => {
  *               properties:
  *                 success:
  *                   type: boolean
- *                 error:
- *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       deviceId:
+ *                         type: string
+ *                       deviceName:
+ *                         type: string
+ *                       deviceType:
+ *                         type: string
+ *                       ipAddress:
+ *                         type: string
+ *                       locationHint:
+ *                         type: string
+ *                       isCurrent:
+ *                         type: boolean
+ *                       lastSeenAt:
+ *                         type: string
+ *                         format: date-time
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *       401:
+ *         description: Unauthorized
+ */
+
+// GET /auth/sessions
+router.get('/sessions', verifyToken, async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.userId);
+    res.json({
+      success: true,
+      data: sessions.map((session) => formatSession(session, req.user.sid || null))
+    });
+  } catch (err) {
+    console.error('Error in GET /auth/sessions:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Sign out one of the user's sessions
+ *     description: The device's refresh and access tokens stop working and its push notifications are turned off.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found or already signed out
  */
 
+// DELETE /auth/sessions/:id
+router.delete('/sessions/:id', verifyToken, async (req, res) => {
+  try {
+    const owned = await pool.query(
+      'SELECT id FROM user_sessions WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+      [req.params.id, req.user.userId]
+    );
+    if (!owned.rows.length) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    const session = await revokeSession(owned.rows[0].id, 'logout');
+    console.log(`🔒 User ${req.user.userId} revoked session ${owned.rows[0].id}`);
+    res.json({
+      success: true,
+      message: 'Session signed out',
+      data: session ? formatSession(session, req.user.sid || null) : null
+    });
+  } catch (err) {
+    console.error('Error in DELETE /auth/sessions/:id:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+// Helper function to format linked identity data consistently
+function formatIdentity(identity) {
+  return {
+    id: identity.id,
+    provider: identity.provider,
+    email: identity.email,
+    emailVerified: identity.email_verified,
+    lastLoginAt: identity.last_login_at?.toISOString(),
+    createdAt: identity.created_at?.toISOString()
+  };
+}
+
 /**
  * @swagger
- * /api/auth/verify-otp:
+ * /api/auth/oauth/{provider}:
  *   post:
  *     tags: [Auth]
- *     summary: Verify OTP and log in user
+ *     summary: Sign in with a Google or Apple ID token
+ *     description: |
+ *       Verifies the ID token against the provider's signing keys, then signs in the user linked to
+ *       that provider account. Unlinked accounts are linked to the user with the same verified email,
+ *       or a new verified user is created. With a bearer token, the identity is linked to the signed-in
+ *       user instead. Returns the same tokens and FCM registration status as verify-otp.
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, apple]
  *     requestBody:
  *       required: true
  *       content:
@@ -423,35 +793,28 @@ router.post('/logout', async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - email
- *               - otp
+ *               - idToken
  *             properties:
- *               email:
+ *               idToken:
  *                 type: string
- *                 example: 'user@example.com'
- *               otp:
+ *               nonce:
  *                 type: string
- *                 example: '123456'
+ *                 description: Nonce the client sent to the provider, checked against the token
+ *               name:
+ *                 type: string
+ *                 description: Display name for new users (Apple only shares it with the app on first sign-in)
  *               fcmToken:
  *                 type: string
- *                 description: Firebase Cloud Messaging token for push notifications
- *                 example: 'fMZvQVn5RJa...'
  *               deviceId:
  *                 type: string
- *                 description: Unique device identifier
- *                 example: 'abc123-device-id'
  *               deviceType:
  *                 type: string
  *                 enum: [android, ios, web]
- *                 description: Type of device
- *                 example: 'android'
  *               deviceName:
  *                 type: string
- *                 description: Human-readable device name
- *                 example: 'Samsung Galaxy S21'
  *     responses:
  *       200:
- *         description: User verified and session token issued
+ *         description: Signed in
  *         content:
  *           application/json:
  *             schema:
@@ -463,153 +826,277 @@ router.post('/logout', async (req, res) => {
  *                   type: object
  *                 sessionToken:
  *                   type: string
- *       400:
- *         description: Invalid or expired OTP
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
+ *                 refreshToken:
+ *                   type: string
+ *                 isNewUser:
  *                   type: boolean
- *                 error:
- *                   type: string
- *       500:
- *         description: Server error
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 error:
+ *                 provider:
  *                   type: string
+ *       400:
+ *         description: Missing ID token or the token has no verified email
+ *       401:
+ *         description: Invalid ID token
+ *       403:
+ *         description: Account closed
+ *       404:
+ *         description: Unsupported provider
+ *       409:
+ *         description: Provider account is linked to a different user
  */
 
-// POST /auth/send-otp
-router.post('/send-otp', async (req, res) => {
-  const { email } = req.body;
-  if (!email || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
-    return res.status(400).json({ success: false, error: 'Valid email required' });
+// POST /auth/oauth/:provider
+router.post('/oauth/:provider', async (req, res) => {
+  const { provider } = req.params;
+  const { idToken, nonce, name, fcmToken, deviceId, deviceType, deviceName } = req.body;
+
+  if (!PROVIDERS[provider]) {
+    return res.status(404).json({ success: false, error: `Unsupported provider: ${provider}` });
   }
-  let user;
+  if (!idToken) {
+    return res.status(400).json({ success: false, error: 'idToken is required' });
+  }
+
+  let identity;
   try {
-    const result = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
-    console.log(result.rows.length);
-    // DEBUG: Inspect result
-    if (!result.rows.length) {
-      return res.status(400).json({ success: false, error: 'User not found. Please register first.' });
+    identity = await verifyIdToken(provider, idToken, { nonce });
+  } catch (err) {
+    console.warn(`${provider} ID token rejected:`, err.message);
+    await recordLoginEvent(req, { eventType: LoginEventTypes.OAUTH, success: false, deviceId, failureReason: 'invalid_token' });
+    return res.status(401).json({ success: false, error: 'Invalid ID token', message: err.message });
+  }
+
+  const bearer = decodeBearer(req);
+  const client = await pool.connect();
+  try {
+    let linkingUserId = null;
+    if (bearer?.userId && (!bearer.sid || await isSessionActive(bearer.sid))) {
+      linkingUserId = bearer.userId;
     }
-    user = result.rows[0];
-    
-    // Check if account is deactivated/closed
-    if (user.is_active === false) {
-      // Get admin contact email from homepage_contact table
-      let adminEmail = 'support@thinkcyber.info'; // default
-      try {
-        const contactResult = await pool.query(
-          'SELECT email, support_email FROM homepage_contact LIMIT 1'
-        );
-        if (contactResult.rows.length > 0) {
-          adminEmail = contactResult.rows[0].support_email || contactResult.rows[0].email || adminEmail;
+
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT * FROM user_identities WHERE provider = $1 AND provider_user_id = $2',
+      [provider, identity.providerUserId]
+    );
+
+    let userId;
+    let isNewUser = false;
+
+    if (existing.rows.length) {
+      userId = existing.rows[0].user_id;
+      if (linkingUserId && linkingUserId !== userId) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({ success: false, error: `This ${provider} account is linked to a different user` });
+      }
+      await client.query(
+        'UPDATE user_identities SET email = COALESCE($2, email), email_verified = $3, last_login_at = NOW() WHERE id = $1',
+        [existing.rows[0].id, identity.email, identity.emailVerified]
+      );
+    } else {
+      if (linkingUserId) {
+        userId = linkingUserId;
+      } else {
+        if (!identity.email || !identity.emailVerified) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ success: false, error: `Your ${provider} account has no verified email address` });
+        }
+
+        const userRes = await client.query('SELECT id, is_verified FROM users WHERE LOWER(email) = $1', [identity.email]);
+        if (userRes.rows.length) {
+          userId = userRes.rows[0].id;
+          if (!userRes.rows[0].is_verified) {
+            // The provider has verified the email, which is what the signup OTP would prove
+            await client.query('UPDATE users SET is_verified = true WHERE id = $1', [userId]);
+          }
+        } else {
+          const displayName = name || identity.name || identity.email.split('@')[0];
+          const created = await client.query(
+            'INSERT INTO users (email, name, is_verified) VALUES ($1, $2, $3) RETURNING id',
+            [identity.email, displayName, true]
+          );
+          userId = created.rows[0].id;
+          isNewUser = true;
         }
-      } catch (contactErr) {
-        console.error('Error fetching contact email:', contactErr);
       }
-      
-      return res.status(403).json({ 
-        success: false, 
-        error: 'Account closed',
-        message: 'Your account closure request has been submitted and your account is now deactivated. You cannot login. Please contact the admin for assistance.',
-        adminEmail: adminEmail,
-        isAccountClosed: true
-      });
+
+      await client.query(
+        `INSERT INTO user_identities (user_id, provider, provider_user_id, email, email_verified, last_login_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())`,
+        [userId, provider, identity.providerUserId, identity.email, identity.emailVerified]
+      );
+      console.log(`🔗 Linked ${provider} identity to user ${userId}${isNewUser ? ' (new user)' : ''}`);
     }
-    
-    if (!user.is_verified) {
-      return res.status(403).json({ success: false, error: 'Please verify your email to login' });
+
+    const userResult = await client.query('SELECT * FROM users WHERE id = $1', [userId]);
+    const user = userResult.rows[0];
+    if (user.is_active === false && !(await getCancellableClosure(user.id))) {
+      await client.query('ROLLBACK');
+      return sendAccountClosed(res);
+    }
+
+    await client.query('COMMIT');
+    if (user.is_active === false && !(await reopenAccountOnLogin(user))) {
+      return sendAccountClosed(res);
     }
+    await completeLogin(req, res, user, { fcmToken, deviceId, deviceType, deviceName }, { isNewUser, provider });
   } catch (err) {
-    return res.status(500).json({ success: false, error: 'DB error' });
+    await client.query('ROLLBACK');
+    console.error(`Error in POST /auth/oauth/${provider}:`, err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  } finally {
+    client.release();
   }
-  // Generate OTP (6 digits)
-  const otp = Math.floor(100000 + Math.random() * 900000).toString();
-  // Store OTP in otp_verifications table
-  const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 min expiry
+});
+
+/**
+ * @swagger
+ * /api/auth/identities:
+ *   get:
+ *     tags: [Auth]
+ *     summary: List the Google/Apple accounts linked to the user
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked identities
+ *       401:
+ *         description: Unauthorized
+ */
+
+// GET /auth/identities
+router.get('/identities', verifyToken, async (req, res) => {
   try {
-    await pool.query(
-      'INSERT INTO otp_verifications (user_id, otp, expires_at) VALUES ($1, $2, $3)',
-      [user.id, otp, expiresAt]
+    const result = await pool.query(
+      'SELECT * FROM user_identities WHERE user_id = $1 ORDER BY created_at ASC',
+      [req.user.userId]
     );
-    await transporter.sendMail({
-      from: `"ThinkCyber Security" <${process.env.SMTP_USER}>`,
-      to: email,
-      subject: "🔐 Your ThinkCyber Login OTP",
-      html: `
-  <div style="font-family: Arial, sans-serif; background-color:#f4f4f4; padding:20px;">
-    <div style="max-width:600px; margin:auto; background:#ffffff; border-radius:8px; overflow:hidden; box-shadow:0 2px 8px rgba(0,0,0,0.1);">
-      
-      <!-- Header -->
-      <div style="background:#0d6efd; padding:20px; text-align:center; color:#ffffff;">
-        <h2 style="margin:0; font-size:22px;">ThinkCyber Login Verification</h2>
-      </div>
-      
-      <!-- Body -->
-      <div style="padding:30px; color:#333333;">
-        <p style="font-size:16px;">Hello,</p>
-        <p style="font-size:16px;">
-          Use the following One-Time Password (OTP) to complete your login. 
-          This code is valid for <b>10 minutes</b>.
-        </p>
-        
-        <div style="text-align:center; margin:30px 0;">
-          <div style="display:inline-block; background:#f0f8ff; border:2px dashed #0d6efd; padding:15px 30px; font-size:24px; font-weight:bold; letter-spacing:4px; color:#0d6efd; border-radius:6px;">
-            ${otp}
-          </div>
-        </div>
-        
-        <p style="font-size:14px; color:#555;">
-          If you didn’t request this, please ignore this email or contact support immediately.
-        </p>
-      </div>
-      
-      <!-- Footer -->
-      <div style="background:#f9f9f9; padding:15px; text-align:center; font-size:12px; color:#999;">
-        © ${new Date().getFullYear()} ThinkCyber Security. All rights reserved.
-      </div>
-      
-    </div>
-  </div>
-  `
-    });
-
-    res.status(200).json({ success: true, message: 'OTP sent' });
+    res.json({ success: true, data: result.rows.map(formatIdentity) });
   } catch (err) {
-    console.error('Send OTP email error:', err);
-    res.status(500).json({ success: false, error: 'Email send failed', details: err.message });
+    console.error('Error in GET /auth/identities:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
   }
 });
 
-// POST /auth/verify-otp
-router.post('/verify-otp', async (req, res) => {
-  const { email, otp, fcmToken, deviceId, deviceType, deviceName } = req.body;
-  
-  // Debug logging for FCM token
-  console.log('verify-otp request body:', { 
-    email, 
-    otp: otp ? '***' : undefined, 
-    fcmToken: fcmToken ? `${fcmToken.substring(0, 20)}...` : 'NOT PROVIDED',
-    deviceId,
-    deviceType,
-    deviceName
-  });
-  
-  if (!email || !otp) {
-    return res.status(400).json({ success: false, error: 'Email and OTP required' });
+/**
+ * @swagger
+ * /api/auth/identities/{id}:
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Unlink a Google/Apple account
+ *     description: The user can still sign in with email OTP.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Identity unlinked
+ *       404:
+ *         description: Identity not found
+ */
+
+// DELETE /auth/identities/:id
+router.delete('/identities/:id', verifyToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM user_identities WHERE id = $1 AND user_id = $2 RETURNING *',
+      [req.params.id, req.user.userId]
+    );
+    if (!result.rows.length) {
+      return res.status(404).json({ success: false, error: 'Identity not found' });
+    }
+    res.json({ success: true, message: `${result.rows[0].provider} account unlinked` });
+  } catch (err) {
+    console.error('Error in DELETE /auth/identities/:id:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
   }
-  // Find OTP for user in DB
-  let user;
+});
+
+/**
+ * @swagger
+ * /api/auth/send-otp:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Send OTP to user's email for login
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: 'user@example.com'
+ *     responses:
+ *       200:
+ *         description: OTP sent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Invalid email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 error:
+ *                   type: string
+ *       429:
+ *         description: Too many OTP requests or incorrect attempts; retry after retryAfter seconds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 error:
+ *                   type: string
+ *                 message:
+ *                   type: string
+ *                 retryAfter:
+ *                   type: integer
+ *       500:
+ *         description: Server or email error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 error:
+ *                   type: string
+ */
+
+/**
+ * Finish a successful login (email OTP or social sign-in): start the device session,
+ * alert on a new device, register the FCM token and send the tokens to the client
+ * @param {object} req
+ * @param {object} res
+ * @param {object} user - users row
+ * @param {object} device - { fcmToken, deviceId, deviceType, deviceName }
+ * @param {object} extra - Additional response fields
+ */
+async function completeLogin(req, res, user, device, extra = {}) {
+  const { fcmToken, deviceId, deviceType, deviceName } = device;
   let notificationStatus = {
     fcmTokenStored: false,
     fcmTokenProvided: !!fcmToken,
@@ -617,273 +1104,1010 @@ router.post('/verify-otp', async (req, res) => {
     notificationMessage: ''
   };
 
+  // Start a device session: short-lived access token plus a rotating refresh token
+  const { session, tokens, isNewDevice } = await createSession(user, { deviceId, deviceType, deviceName, ...getRequestMeta(req) });
+  const { sessionToken } = tokens;
+
+  await recordLoginEvent(req, {
+    eventType: extra.provider ? LoginEventTypes.OAUTH : LoginEventTypes.OTP_VERIFY,
+    success: true,
+    userId: user.id,
+    email: user.email,
+    deviceId,
+    sessionId: session.id
+  });
+
+  // The email is proven at this point, so join any organisations that invited it
+  await claimPendingInvites(user);
+
+  if (isNewDevice) {
+    try {
+      await sendNewDeviceLoginEmail(user, session);
+    } catch (alertErr) {
+      console.error('Error sending new device login email:', alertErr);
+      // Don't fail login if the alert email fails
+    }
+  }
+
+  // Register FCM token if provided (for push notifications)
+  if (fcmToken) {
+    try {
+      console.log('Attempting to store FCM token for user:', user.id);
+      const fcmResult = await pool.query(
+        `INSERT INTO user_fcm_tokens (user_id, fcm_token, device_id, device_type, device_name, is_active, updated_at)
+         VALUES ($1, $2, $3, $4, $5, true, CURRENT_TIMESTAMP)
+         ON CONFLICT (user_id, fcm_token)
+         DO UPDATE SET 
+           device_id = EXCLUDED.device_id,
+           device_type = EXCLUDED.device_type,
+           device_name = EXCLUDED.device_name,
+           is_active = true,
+           updated_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [user.id, fcmToken, deviceId || null, deviceType || null, deviceName || null]
+      );
+      console.log('FCM token stored successfully:', fcmResult.rows[0]?.id);
+      notificationStatus.fcmTokenStored = true;
+      
+      // Send welcome notification on first-ever login only
+      try {
+        // Check if user has already received welcome notification
+        const welcomeCheckResult = await pool.query(
+          'SELECT has_received_welcome FROM users WHERE id = $1',
+          [user.id]
+        );
+        const hasReceivedWelcome = welcomeCheckResult.rows[0]?.has_received_welcome || false;
+        
+        if (!hasReceivedWelcome) {
+          // Send welcome notification
+          await sendWelcomeNotification(user.id, true);
+          
+          // Mark that welcome has been sent
+          await pool.query(
+            'UPDATE users SET has_received_welcome = true WHERE id = $1',
+            [user.id]
+          );
+          console.log(`Welcome notification sent and marked for user ${user.id}`);
+          notificationStatus.welcomeNotificationSent = true;
+          notificationStatus.notificationMessage = 'Welcome notification sent to your device';
+        } else {
+          console.log(`User ${user.id} already received welcome notification`);
+          notificationStatus.welcomeNotificationSent = false;
+          notificationStatus.notificationMessage = 'Welcome notification already sent previously';
+        }
+      } catch (notifErr) {
+        console.error('Error handling welcome notification:', notifErr);
+        notificationStatus.notificationMessage = `Notification error: ${notifErr.message}`;
+        // Don't fail login if notification fails
+      }
+    } catch (fcmErr) {
+      console.error('Error registering FCM token on login:', fcmErr);
+      notificationStatus.notificationMessage = `FCM token storage error: ${fcmErr.message}`;
+      // Don't fail login if FCM registration fails
+    }
+  } else {
+    notificationStatus.notificationMessage = 'No FCM token provided - notifications disabled';
+  }
+    
+  res.cookie('sessionToken', sessionToken, {
+    httpOnly: true,
+    secure: true, // use only over HTTPS
+    sameSite: 'Strict', // or 'Lax'
+    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+  });
+  res.json({ 
+    success: true, 
+    user, 
+    ...tokens,
+    ...extra,
+    notification: notificationStatus  // Include notification status in response
+  });
+}
+
+/**
+ * @swagger
+ * /api/auth/verify-otp:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Verify OTP and log in user
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - otp
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: 'user@example.com'
+ *               otp:
+ *                 type: string
+ *                 example: '123456'
+ *               fcmToken:
+ *                 type: string
+ *                 description: Firebase Cloud Messaging token for push notifications
+ *                 example: 'fMZvQVn5RJa...'
+ *               deviceId:
+ *                 type: string
+ *                 description: Unique device identifier
+ *                 example: 'abc123-device-id'
+ *               deviceType:
+ *                 type: string
+ *                 enum: [android, ios, web]
+ *                 description: Type of device
+ *                 example: 'android'
+ *               deviceName:
+ *                 type: string
+ *                 description: Human-readable device name
+ *                 example: 'Samsung Galaxy S21'
+ *     responses:
+ *       200:
+ *         description: User verified and session token issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 user:
+ *                   type: object
+ *                 sessionToken:
+ *                   type: string
+ *                   description: Access token, valid for 15 minutes
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Rotating refresh token for POST /api/auth/refresh
+ *                 sessionId:
+ *                   type: integer
+ *       400:
+ *         description: Invalid or expired OTP
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 error:
+ *                   type: string
+ *       429:
+ *         description: Too many OTP requests or incorrect attempts; retry after retryAfter seconds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 error:
+ *                   type: string
+ *                 message:
+ *                   type: string
+ *                 retryAfter:
+ *                   type: integer
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 error:
+ *                   type: string
+ */
+
+// POST /auth/send-otp
+router.post('/send-otp', async (req, res) => {
+  const { email } = req.body;
+  if (!email || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+    return res.status(400).json({ success: false, error: 'Valid email required' });
+  }
+  let user;
+  try {
+    const result = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+    console.log(result.rows.length);
+    // DEBUG: Inspect result
+    if (!result.rows.length) {
+      await recordLoginEvent(req, { eventType: LoginEventTypes.OTP_SEND, success: false, email, failureReason: 'user_not_found' });
+      return res.status(400).json({ success: false, error: 'User not found. Please register first.' });
+    }
+    user = result.rows[0];
+    
+    // Check if account is deactivated/closed; a closure still in its grace period is cancelled by logging in
+    if (user.is_active === false && !(await getCancellableClosure(user.id))) {
+      await recordLoginEvent(req, { eventType: LoginEventTypes.OTP_SEND, success: false, userId: user.id, email, failureReason: 'account_closed' });
+      return sendAccountClosed(res);
+    }
+    
+    if (!user.is_verified) {
+      await recordLoginEvent(req, { eventType: LoginEventTypes.OTP_SEND, success: false, userId: user.id, email, failureReason: 'not_verified' });
+      return res.status(403).json({ success: false, error: 'Please verify your email to login' });
+    }
+  } catch (err) {
+    return res.status(500).json({ success: false, error: 'DB error' });
+  }
+  try {
+    const { ipAddress } = getRequestMeta(req);
+    const limit = await checkSendRateLimit({ userId: user.id, ipAddress });
+    if (limit) {
+      await recordLoginEvent(req, { eventType: LoginEventTypes.OTP_SEND, success: false, userId: user.id, email, failureReason: 'rate_limited' });
+      return sendTooManyRequests(res, limit);
+    }
+    // Generate a 6-digit OTP; earlier OTPs for this user stop working
+    const otp = await issueOtp({ userId: user.id, ipAddress });
+    await transporter.sendMail({
+      from: `"ThinkCyber Security" <${process.env.SMTP_USER}>`,
+      to: email,
+      subject: "🔐 Your ThinkCyber Login OTP",
+      html: `
+  <div style="font-family: Arial, sans-serif; background-color:#f4f4f4; padding:20px;">
+    <div style="max-width:600px; margin:auto; background:#ffffff; border-radius:8px; overflow:hidden; box-shadow:0 2px 8px rgba(0,0,0,0.1);">
+      
+      <!-- Header -->
+      <div style="background:#0d6efd; padding:20px; text-align:center; color:#ffffff;">
+        <h2 style="margin:0; font-size:22px;">ThinkCyber Login Verification</h2>
+      </div>
+      
+      <!-- Body -->
+      <div style="padding:30px; color:#333333;">
+        <p style="font-size:16px;">Hello,</p>
+        <p style="font-size:16px;">
+          Use the following One-Time Password (OTP) to complete your login. 
+          This code is valid for <b>10 minutes</b>.
+        </p>
+        
+        <div style="text-align:center; margin:30px 0;">
+          <div style="display:inline-block; background:#f0f8ff; border:2px dashed #0d6efd; padding:15px 30px; font-size:24px; font-weight:bold; letter-spacing:4px; color:#0d6efd; border-radius:6px;">
+            ${otp}
+          </div>
+        </div>
+        
+        <p style="font-size:14px; color:#555;">
+          If you didn’t request this, please ignore this email or contact support immediately.
+        </p>
+      </div>
+      
+      <!-- Footer -->
+      <div style="background:#f9f9f9; padding:15px; text-align:center; font-size:12px; color:#999;">
+        © ${new Date().getFullYear()} ThinkCyber Security. All rights reserved.
+      </div>
+      
+    </div>
+  </div>
+  `
+    });
+
+    await recordLoginEvent(req, { eventType: LoginEventTypes.OTP_SEND, success: true, userId: user.id, email });
+    res.status(200).json({ success: true, message: 'OTP sent' });
+  } catch (err) {
+    console.error('Send OTP email error:', err);
+    await recordLoginEvent(req, { eventType: LoginEventTypes.OTP_SEND, success: false, userId: user.id, email, failureReason: 'email_failed' });
+    res.status(500).json({ success: false, error: 'Email send failed', details: err.message });
+  }
+});
+
+// POST /auth/verify-otp
+router.post('/verify-otp', async (req, res) => {
+  const { email, otp, fcmToken, deviceId, deviceType, deviceName } = req.body;
+  
+  // Debug logging for FCM token
+  console.log('verify-otp request body:', { 
+    email, 
+    otp: otp ? '***' : undefined, 
+    fcmToken: fcmToken ? `${fcmToken.substring(0, 20)}...` : 'NOT PROVIDED',
+    deviceId,
+    deviceType,
+    deviceName
+  });
+  
+  if (!email || !otp) {
+    return res.status(400).json({ success: false, error: 'Email and OTP required' });
+  }
+  // Find OTP for user in DB
+  let user;
+
+  try {
+    // Only allow login for registered and verified users
+    const userRes = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+    if (!userRes.rows.length) {
+      await recordLoginEvent(req, { eventType: LoginEventTypes.OTP_VERIFY, success: false, email, deviceId, failureReason: 'user_not_found' });
+      return res.status(400).json({ success: false, error: 'User not found. Please register first.' });
+    }
+    user = userRes.rows[0];
+    if (!user.is_verified) {
+      await recordLoginEvent(req, { eventType: LoginEventTypes.OTP_VERIFY, success: false, userId: user.id, email, deviceId, failureReason: 'not_verified' });
+      return res.status(403).json({ success: false, error: 'User not verified. Please complete registration and verification.' });
+    }
+    const otpCheck = await verifyOtp(user.id, otp);
+    if (!otpCheck.valid) {
+      await recordLoginEvent(req, {
+        eventType: LoginEventTypes.OTP_VERIFY, success: false, userId: user.id, email, deviceId,
+        failureReason: otpCheck.status === 429 ? 'otp_locked' : 'otp_invalid'
+      });
+      return sendOtpFailure(res, otpCheck);
+    }
+    if (user.is_active === false && !(await reopenAccountOnLogin(user))) {
+      await recordLoginEvent(req, { eventType: LoginEventTypes.OTP_VERIFY, success: false, userId: user.id, email, deviceId, failureReason: 'account_closed' });
+      return sendAccountClosed(res);
+    }
+
+    await completeLogin(req, res, user, { fcmToken, deviceId, deviceType, deviceName });
+
+  } catch (err) {
+    res.status(500).json({ success: false, error: 'DB error' });
+  }
+});
+/**
+ * @swagger
+ * /api/auth/callback:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Verify magic link token and log in
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: JWT token from magic link
+ *     responses:
+ *       200:
+ *         description: User verified and session token issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 user:
+ *                   type: object
+ *                 sessionToken:
+ *                   type: string
+ *       400:
+ *         description: Invalid or expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 error:
+ *                   type: string
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 error:
+ *                   type: string
+ */
+
+
+
+/**
+ * @swagger
+ * /api/auth/resend-otp:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Resend OTP to user's email for login
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: 'user@example.com'
+ *     responses:
+ *       200:
+ *         description: OTP resent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Invalid email or user not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 error:
+ *                   type: string
+ *       403:
+ *         description: User not verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 error:
+ *                   type: string
+ *       429:
+ *         description: Too many OTP requests or incorrect attempts; retry after retryAfter seconds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 error:
+ *                   type: string
+ *                 message:
+ *                   type: string
+ *                 retryAfter:
+ *                   type: integer
+ *       500:
+ *         description: Server or email error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 error:
+ *                   type: string
+ */
+
+// POST /auth/resend-otp
+router.post('/resend-otp', async (req, res) => {
+  const { email } = req.body;
+  if (!email || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+    return res.status(400).json({ success: false, error: 'Valid email required' });
+  }
+  let user;
+  try {
+    const result = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+    if (!result.rows.length) {
+      await recordLoginEvent(req, { eventType: LoginEventTypes.OTP_SEND, success: false, email, failureReason: 'user_not_found' });
+      return res.status(400).json({ success: false, error: 'User not found. Please register first.' });
+    }
+    user = result.rows[0];
+  } catch (err) {
+    return res.status(500).json({ success: false, error: 'DB error' });
+  }
+  try {
+    const { ipAddress } = getRequestMeta(req);
+    const limit = await checkSendRateLimit({ userId: user.id, ipAddress });
+    if (limit) {
+      await recordLoginEvent(req, { eventType: LoginEventTypes.OTP_SEND, success: false, userId: user.id, email, failureReason: 'rate_limited' });
+      return sendTooManyRequests(res, limit);
+    }
+    // Generate a 6-digit OTP; earlier OTPs for this user stop working
+    const otp = await issueOtp({ userId: user.id, ipAddress });
+    await recordLoginEvent(req, { eventType: LoginEventTypes.OTP_SEND, success: true, userId: user.id, email });
+    
+    // Try to send email, but don't fail if email service is down
+    try {
+      await transporter.sendMail({
+        from: process.env.SMTP_USER,
+        to: email,
+        subject: 'Your ThinkCyber Login OTP',
+        html: `<p>Your OTP is: <b>${otp}</b><br>This code is valid for 10 minutes.</p>`
+      });
+      res.status(200).json({ success: true, message: 'OTP resent successfully', otp: process.env.NODE_ENV === 'development' ? otp : undefined });
+    } catch (emailErr) {
+      console.error('Resend OTP email error:', emailErr);
+      // Still return success since OTP was stored, but indicate email failed
+      res.status(200).json({ 
+        success: true, 
+        message: 'OTP generated but email failed to send. Please check console for OTP.',
+        emailFailed: true,
+        otp: process.env.NODE_ENV === 'development' ? otp : undefined // Only show OTP in development
+      });
+    }
+  } catch (err) {
+    console.error('Resend OTP error:', err);
+    res.status(500).json({ success: false, error: 'Failed to generate OTP' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/profile:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Get the signed-in user's profile
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile, including any email change waiting for verification
+ *       401:
+ *         description: Unauthorized
+ *   patch:
+ *     tags: [Auth]
+ *     summary: Update the signed-in user's name, phone or address
+ *     description: Send null or an empty string to clear phone or address. Email changes go through POST /api/auth/profile/email.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 50
+ *                 example: "Asha Rao"
+ *               phone:
+ *                 type: string
+ *                 description: 7 to 14 digits, optionally starting with +; spaces, dashes and brackets are removed
+ *                 example: "+91 98765 43210"
+ *               address:
+ *                 type: string
+ *                 maxLength: 100
+ *     responses:
+ *       200:
+ *         description: Updated profile
+ *       400:
+ *         description: Invalid or read-only field
+ *       401:
+ *         description: Unauthorized
+ */
+
+// GET /auth/profile
+router.get('/profile', verifyToken, async (req, res) => {
+  try {
+    const userRes = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.userId]);
+    if (!userRes.rows.length) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    const emailChange = await getPendingEmailChange(req.user.userId);
+    res.json({ success: true, data: formatProfile(userRes.rows[0], emailChange) });
+  } catch (err) {
+    console.error('Error in GET /auth/profile:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+// PATCH /auth/profile
+router.patch('/profile', verifyToken, async (req, res) => {
+  const { updates, error } = validateProfileUpdate(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    const columns = Object.keys(updates);
+    const setClause = columns.map((column, i) => `${column} = $${i + 2}`).join(', ');
+    const result = await pool.query(
+      `UPDATE users SET ${setClause}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [req.user.userId, ...columns.map((column) => updates[column])]
+    );
+    if (!result.rows.length) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const emailChange = await getPendingEmailChange(req.user.userId);
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: formatProfile(result.rows[0], emailChange)
+    });
+  } catch (err) {
+    console.error('Error in PATCH /auth/profile:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/profile/avatar:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Upload or replace the signed-in user's avatar
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [avatar]
+ *             properties:
+ *               avatar:
+ *                 type: string
+ *                 format: binary
+ *                 description: JPEG, PNG or WebP, at most 5MB
+ *     responses:
+ *       200:
+ *         description: Updated profile with the new avatarUrl
+ *       400:
+ *         description: Missing file or invalid file type
+ *       401:
+ *         description: Unauthorized
+ *       413:
+ *         description: File too large
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Remove the signed-in user's avatar
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Updated profile without an avatar
+ *       401:
+ *         description: Unauthorized
+ */
+
+// POST /auth/profile/avatar
+router.post('/profile/avatar', verifyToken, (req, res, next) => {
+  avatarUpload.single('avatar')(req, res, (err) => {
+    if (err) {
+      const tooLarge = err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        error: tooLarge ? `File too large. Maximum size: ${AVATAR_MAX_BYTES / (1024 * 1024)}MB` : err.message
+      });
+    }
+    next();
+  });
+}, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'No avatar file provided' });
+  }
+
+  try {
+    const current = await pool.query('SELECT avatar_key FROM users WHERE id = $1', [req.user.userId]);
+    if (!current.rows.length) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const uploaded = await uploadToS3(req.file.buffer, req.file.originalname, req.file.mimetype, `avatars/${req.user.userId}`);
+    const result = await pool.query(
+      'UPDATE users SET avatar_url = $2, avatar_key = $3, updated_at = NOW() WHERE id = $1 RETURNING *',
+      [req.user.userId, uploaded.url, uploaded.key]
+    );
+
+    const previousKey = current.rows[0].avatar_key;
+    if (previousKey) {
+      deleteFromS3(previousKey).catch((deleteErr) => console.error('Error deleting previous avatar:', deleteErr));
+    }
+
+    res.json({
+      success: true,
+      message: 'Avatar updated successfully',
+      data: formatProfile(result.rows[0], await getPendingEmailChange(req.user.userId))
+    });
+  } catch (err) {
+    console.error('Error in POST /auth/profile/avatar:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+// DELETE /auth/profile/avatar
+router.delete('/profile/avatar', verifyToken, async (req, res) => {
+  try {
+    const current = await pool.query('SELECT avatar_key FROM users WHERE id = $1', [req.user.userId]);
+    if (!current.rows.length) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const result = await pool.query(
+      'UPDATE users SET avatar_url = NULL, avatar_key = NULL, updated_at = NOW() WHERE id = $1 RETURNING *',
+      [req.user.userId]
+    );
+    if (current.rows[0].avatar_key) {
+      deleteFromS3(current.rows[0].avatar_key).catch((deleteErr) => console.error('Error deleting avatar:', deleteErr));
+    }
+
+    res.json({
+      success: true,
+      message: 'Avatar removed successfully',
+      data: formatProfile(result.rows[0], await getPendingEmailChange(req.user.userId))
+    });
+  } catch (err) {
+    console.error('Error in DELETE /auth/profile/avatar:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/profile/email:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Start changing the signed-in user's email
+ *     description: |
+ *       Emails one OTP to the current address and another to the new address. The email is only
+ *       changed once both are confirmed with POST /api/auth/profile/email/verify. Starting again
+ *       cancels the earlier request. OTP send limits apply.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [newEmail]
+ *             properties:
+ *               newEmail:
+ *                 type: string
+ *                 example: "new.address@example.com"
+ *     responses:
+ *       202:
+ *         description: OTPs sent to both addresses
+ *       400:
+ *         description: Invalid email or same as the current one
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Email already used by another account
+ *       429:
+ *         description: Too many OTP requests; see retryAfter
+ */
+
+// POST /auth/profile/email
+router.post('/profile/email', verifyToken, async (req, res) => {
+  try {
+    const userRes = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.userId]);
+    if (!userRes.rows.length) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const { ipAddress } = getRequestMeta(req);
+    const limit = await checkSendRateLimit({ userId: req.user.userId, ipAddress });
+    if (limit) {
+      return sendTooManyRequests(res, limit);
+    }
+
+    const result = await requestEmailChange(userRes.rows[0], req.body.newEmail, { ipAddress });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'We sent a verification code to your current and your new email address',
+      data: formatEmailChange(result.request)
+    });
+  } catch (err) {
+    console.error('Error in POST /auth/profile/email:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/profile/email/verify:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Confirm an email change with the OTPs sent to both addresses
+ *     description: Both codes can be sent together or one per call; the email changes once both are confirmed.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               currentOtp:
+ *                 type: string
+ *                 description: Code sent to the current address
+ *               newOtp:
+ *                 type: string
+ *                 description: Code sent to the new address
+ *     responses:
+ *       200:
+ *         description: Email changed, or the remaining confirmation still needed
+ *       400:
+ *         description: Missing or wrong OTP
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No pending email change
+ *       409:
+ *         description: Email was taken by another account in the meantime
+ *       429:
+ *         description: Too many incorrect OTP attempts; see retryAfter
+ */
+
+// POST /auth/profile/email/verify
+router.post('/profile/email/verify', verifyToken, async (req, res) => {
+  const { currentOtp, newOtp } = req.body;
+  if (!currentOtp && !newOtp) {
+    return res.status(400).json({ success: false, error: 'currentOtp or newOtp required' });
+  }
+
   try {
-    // Only allow login for registered and verified users
-    const userRes = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+    const userRes = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.userId]);
     if (!userRes.rows.length) {
-      return res.status(400).json({ success: false, error: 'User not found. Please register first.' });
+      return res.status(404).json({ success: false, error: 'User not found' });
     }
-    user = userRes.rows[0];
-    if (!user.is_verified) {
-      return res.status(403).json({ success: false, error: 'User not verified. Please complete registration and verification.' });
+
+    const result = await confirmEmailChange(userRes.rows[0], { currentOtp, newOtp });
+    if (result.otpFailure) {
+      return sendOtpFailure(res, result.otpFailure);
     }
-    const otpRes = await pool.query(
-      'SELECT * FROM otp_verifications WHERE user_id = $1 AND otp = $2 ORDER BY created_at DESC LIMIT 1',
-      [user.id, otp]
-    );
-    if (!otpRes.rows.length || new Date() > new Date(otpRes.rows[0].expires_at)) {
-      return res.status(400).json({ success: false, error: 'Invalid or expired OTP' });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
     }
 
-
-    // Issue session JWT (longer expiry)
-    const sessionToken = jwt.sign({ userId: user.id, email: user.email }, JWT_SECRET, { expiresIn: '7d' });
-    // Delete OTP after use
-    await pool.query('DELETE FROM otp_verifications WHERE id = $1', [otpRes.rows[0].id]);
-
-    // Register FCM token if provided (for push notifications)
-    if (fcmToken) {
-      try {
-        console.log('Attempting to store FCM token for user:', user.id);
-        const fcmResult = await pool.query(
-          `INSERT INTO user_fcm_tokens (user_id, fcm_token, device_id, device_type, device_name, is_active, updated_at)
-           VALUES ($1, $2, $3, $4, $5, true, CURRENT_TIMESTAMP)
-           ON CONFLICT (user_id, fcm_token)
-           DO UPDATE SET 
-             device_id = EXCLUDED.device_id,
-             device_type = EXCLUDED.device_type,
-             device_name = EXCLUDED.device_name,
-             is_active = true,
-             updated_at = CURRENT_TIMESTAMP
-           RETURNING *`,
-          [user.id, fcmToken, deviceId || null, deviceType || null, deviceName || null]
-        );
-        console.log('FCM token stored successfully:', fcmResult.rows[0]?.id);
-        notificationStatus.fcmTokenStored = true;
-        
-        // Send welcome notification on first-ever login only
-        try {
-          // Check if user has already received welcome notification
-          const welcomeCheckResult = await pool.query(
-            'SELECT has_received_welcome FROM users WHERE id = $1',
-            [user.id]
-          );
-          const hasReceivedWelcome = welcomeCheckResult.rows[0]?.has_received_welcome || false;
-          
-          if (!hasReceivedWelcome) {
-            // Send welcome notification
-            await sendWelcomeNotification(user.id, true);
-            
-            // Mark that welcome has been sent
-            await pool.query(
-              'UPDATE users SET has_received_welcome = true WHERE id = $1',
-              [user.id]
-            );
-            console.log(`Welcome notification sent and marked for user ${user.id}`);
-            notificationStatus.welcomeNotificationSent = true;
-            notificationStatus.notificationMessage = 'Welcome notification sent to your device';
-          } else {
-            console.log(`User ${user.id} already received welcome notification`);
-            notificationStatus.welcomeNotificationSent = false;
-            notificationStatus.notificationMessage = 'Welcome notification already sent previously';
-          }
-        } catch (notifErr) {
-          console.error('Error handling welcome notification:', notifErr);
-          notificationStatus.notificationMessage = `Notification error: ${notifErr.message}`;
-          // Don't fail login if notification fails
-        }
-      } catch (fcmErr) {
-        console.error('Error registering FCM token on login:', fcmErr);
-        notificationStatus.notificationMessage = `FCM token storage error: ${fcmErr.message}`;
-        // Don't fail login if FCM registration fails
-      }
-    } else {
-      notificationStatus.notificationMessage = 'No FCM token provided - notifications disabled';
+    if (!result.completed) {
+      return res.json({
+        success: true,
+        message: result.request.current_verified_at
+          ? 'Current email confirmed. Enter the code sent to your new email to finish.'
+          : 'New email confirmed. Enter the code sent to your current email to finish.',
+        data: { emailChange: formatEmailChange(result.request) }
+      });
     }
-      
-    res.cookie('sessionToken', sessionToken, {
-      httpOnly: true,
-      secure: true, // use only over HTTPS
-      sameSite: 'Strict', // or 'Lax'
-      maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-    });
-    res.json({ 
-      success: true, 
-      user, 
-      sessionToken,
-      notification: notificationStatus  // Include notification status in response
-    });
 
+    res.json({
+      success: true,
+      message: 'Email changed successfully',
+      data: { profile: formatProfile(result.user), emailChange: formatEmailChange(result.request) }
+    });
   } catch (err) {
-    res.status(500).json({ success: false, error: 'DB error' });
+    console.error('Error in POST /auth/profile/email/verify:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
   }
 });
+
 /**
  * @swagger
- * /api/auth/callback:
+ * /api/auth/data-export:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Request a copy of the user's personal data
+ *     description: |
+ *       Builds a zip in the background with the profile, topic and bundle enrollments, learning progress,
+ *       payments, refunds, invoices, notification history, devices, sessions, linked sign-ins and account
+ *       closure requests, as data.json plus one CSV per section. The user is emailed a download link that
+ *       expires after DATA_EXPORT_LINK_TTL_HOURS (default 72). An export still being generated is returned
+ *       instead of starting another, and one export can be requested every DATA_EXPORT_COOLDOWN_HOURS (default 24).
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Export queued (or already in progress)
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: An export was already requested recently; see retryAfter
  *   get:
  *     tags: [Auth]
- *     summary: Verify magic link token and log in
- *     parameters:
- *       - in: query
- *         name: token
- *         required: true
- *         schema:
- *           type: string
- *         description: JWT token from magic link
+ *     summary: List the user's recent data exports
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: User verified and session token issued
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 user:
- *                   type: object
- *                 sessionToken:
- *                   type: string
- *       400:
- *         description: Invalid or expired token
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 error:
- *                   type: string
- *       500:
- *         description: Server error
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 error:
- *                   type: string
+ *         description: Data exports, newest first
+ *       401:
+ *         description: Unauthorized
  */
 
+// POST /auth/data-export
+router.post('/data-export', verifyToken, async (req, res) => {
+  try {
+    const result = await requestDataExport(req.user.userId, getRequestMeta(req));
+    if (result.error) {
+      return sendTooManyRequests(res, {
+        error: 'Data export already requested',
+        message: result.error,
+        retryAfter: result.retryAfter
+      });
+    }
+
+    if (result.created) {
+      console.log(`📦 Data export ${result.request.id} requested by user ${req.user.userId}`);
+      scheduleDataExport(result.request.id);
+    }
+
+    res.status(202).json({
+      success: true,
+      message: `We are preparing your data. You will get an email with a download link that works for ${LINK_TTL_HOURS} hours.`,
+      data: formatDataExport(result.request)
+    });
+  } catch (err) {
+    console.error('Error in POST /auth/data-export:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
 
+// GET /auth/data-export
+router.get('/data-export', verifyToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM data_export_requests WHERE user_id = $1 ORDER BY created_at DESC LIMIT 10',
+      [req.user.userId]
+    );
+    res.json({ success: true, data: result.rows.map(formatDataExport) });
+  } catch (err) {
+    console.error('Error in GET /auth/data-export:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
 
 /**
  * @swagger
- * /api/auth/resend-otp:
- *   post:
+ * /api/auth/data-export/{id}/download:
+ *   get:
  *     tags: [Auth]
- *     summary: Resend OTP to user's email for login
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *             properties:
- *               email:
- *                 type: string
- *                 example: 'user@example.com'
+ *     summary: Get a short-lived download URL for a ready data export
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: OTP resent successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 message:
- *                   type: string
- *       400:
- *         description: Invalid email or user not found
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 error:
- *                   type: string
- *       403:
- *         description: User not verified
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 error:
- *                   type: string
- *       500:
- *         description: Server or email error
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 error:
- *                   type: string
+ *         description: Download URL, valid for up to 15 minutes
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Export not found
+ *       409:
+ *         description: Export is not ready yet
+ *       410:
+ *         description: Export link has expired or the export failed
  */
 
-// POST /auth/resend-otp
-router.post('/resend-otp', async (req, res) => {
-  const { email } = req.body;
-  if (!email || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
-    return res.status(400).json({ success: false, error: 'Valid email required' });
-  }
-  let user;
+// GET /auth/data-export/:id/download
+router.get('/data-export/:id/download', verifyToken, async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
-    if (!result.rows.length) {
-      return res.status(400).json({ success: false, error: 'User not found. Please register first.' });
+    const download = await getDataExportDownload(req.user.userId, req.params.id);
+    if (!download) {
+      return res.status(404).json({ success: false, error: 'Data export not found' });
     }
-    user = result.rows[0];
-  } catch (err) {
-    return res.status(500).json({ success: false, error: 'DB error' });
-  }
-  // Generate OTP (6 digits)
-  const otp = Math.floor(100000 + Math.random() * 900000).toString();
-  // Store OTP in otp_verifications table
-  const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 min expiry
-  try {
-    await pool.query(
-      'INSERT INTO otp_verifications (user_id, otp, expires_at) VALUES ($1, $2, $3)',
-      [user.id, otp, expiresAt]
-    );
-    
-    // Try to send email, but don't fail if email service is down
-    try {
-      await transporter.sendMail({
-        from: process.env.SMTP_USER,
-        to: email,
-        subject: 'Your ThinkCyber Login OTP',
-        html: `<p>Your OTP is: <b>${otp}</b><br>This code is valid for 10 minutes.</p>`
-      });
-      res.status(200).json({ success: true, message: 'OTP resent successfully', otp: process.env.NODE_ENV === 'development' ? otp : undefined });
-    } catch (emailErr) {
-      console.error('Resend OTP email error:', emailErr);
-      // Still return success since OTP was stored, but indicate email failed
-      res.status(200).json({ 
-        success: true, 
-        message: 'OTP generated but email failed to send. Please check console for OTP.',
-        emailFailed: true,
-        otp: process.env.NODE_ENV === 'development' ? otp : undefined // Only show OTP in development
+    if (!download.url) {
+      const { status } = download.request;
+      const stillRunning = status === 'pending' || status === 'processing';
+      return res.status(stillRunning ? 409 : 410).json({
+        success: false,
+        error: stillRunning ? 'Your data export is still being prepared' : 'This data export is no longer available. Please request a new one.',
+        data: formatDataExport(download.request)
       });
     }
+
+    res.json({
+      success: true,
+      data: {
+        ...formatDataExport(download.request),
+        url: download.url,
+        urlExpiresAt: download.urlExpiresAt.toISOString()
+      }
+    });
   } catch (err) {
-    console.error('Resend OTP error:', err);
-    res.status(500).json({ success: false, error: 'Failed to generate OTP' });
+    console.error('Error in GET /auth/data-export/:id/download:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
   }
 });
 
@@ -893,7 +2117,10 @@ router.post('/resend-otp', async (req, res) => {
  *   post:
  *     tags: [Auth]
  *     summary: Submit account closure request
- *     description: Allows a user to request account closure/deactivation
+ *     description: |
+ *       Deactivates the account and signs it out everywhere, then queues the request for admin review.
+ *       Once approved, the account is anonymised after the grace period (ACCOUNT_CLOSURE_GRACE_DAYS,
+ *       default 14 days). Logging in again before then cancels the request and reactivates the account.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -909,10 +2136,6 @@ router.post('/resend-otp', async (req, res) => {
  *                 type: string
  *                 description: Reason for closing the account
  *                 example: "I no longer need this service"
- *               user_id:
- *                 type: integer
- *                 description: User ID (optional if using auth token)
- *                 example: 123
  *     responses:
  *       200:
  *         description: Account closure request submitted successfully
@@ -936,6 +2159,13 @@ router.post('/resend-otp', async (req, res) => {
  *                     status:
  *                       type: string
  *                       example: "pending"
+ *                     scheduled_for:
+ *                       type: string
+ *                       format: date-time
+ *                       description: Earliest time the account is anonymised
+ *                     grace_days:
+ *                       type: integer
+ *                       example: 14
  *       400:
  *         description: Bad request
  *       401:
@@ -943,33 +2173,9 @@ router.post('/resend-otp', async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/close-account', async (req, res) => {
+router.post('/close-account', verifyToken, async (req, res) => {
   try {
-    // Get user from token or request body
-    let userId = req.body.user_id;
-    
-    // If no user_id in body, try to get from auth token
-    if (!userId) {
-      const authHeader = req.headers['authorization'];
-      if (authHeader && authHeader.startsWith('Bearer ')) {
-        const token = authHeader.split(' ')[1];
-        try {
-          const decoded = jwt.verify(token, JWT_SECRET);
-          userId = decoded.userId;
-        } catch (err) {
-          // Token invalid, continue without userId
-        }
-      }
-    }
-    
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Failed to submit request',
-        error: 'User ID is required'
-      });
-    }
-    
+    const userId = req.user.userId;
     const { reason } = req.body;
     
     if (!reason || reason.trim().length === 0) {
@@ -981,7 +2187,7 @@ router.post('/close-account', async (req, res) => {
     }
     
     // Check if user exists
-    const userCheck = await pool.query('SELECT id, email, is_active FROM users WHERE id = $1', [userId]);
+    const userCheck = await pool.query('SELECT id, email, name, is_active FROM users WHERE id = $1', [userId]);
     if (!userCheck.rows.length) {
       return res.status(404).json({
         success: false,
@@ -1001,17 +2207,17 @@ router.post('/close-account', async (req, res) => {
       });
     }
     
-    // Check if there's already a pending request
+    // Check if there's already an open request
     const existingRequest = await pool.query(
-      'SELECT id, request_id, status FROM account_closure_requests WHERE user_id = $1 AND status = $2',
-      [userId, 'pending']
+      "SELECT id, request_id, status FROM account_closure_requests WHERE user_id = $1 AND status IN ('pending', 'approved')",
+      [userId]
     );
     
     if (existingRequest.rows.length > 0) {
       return res.status(400).json({
         success: false,
         message: 'Failed to submit request',
-        error: 'You already have a pending account closure request',
+        error: 'You already have an open account closure request',
         data: {
           request_id: existingRequest.rows[0].request_id,
           status: existingRequest.rows[0].status
@@ -1019,54 +2225,19 @@ router.post('/close-account', async (req, res) => {
       });
     }
     
-    // Generate unique request ID
-    const year = new Date().getFullYear();
-    const randomNum = Math.floor(10000 + Math.random() * 90000);
-    const requestId = `CLO-${year}-${randomNum}`;
-    
-    // Insert closure request
-    const insertResult = await pool.query(
-      `INSERT INTO account_closure_requests (request_id, user_id, reason, status, created_at, updated_at)
-       VALUES ($1, $2, $3, 'pending', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-       RETURNING id, request_id, status, created_at`,
-      [requestId, userId, reason.trim()]
-    );
-    
-    const closureRequest = insertResult.rows[0];
-    
-    // Send account closure notification before deactivating FCM tokens
-    try {
-      await sendAccountClosureNotification(userId);
-    } catch (notifErr) {
-      console.error('Error sending account closure notification:', notifErr);
-    }
-    
-    // Immediately deactivate the account
-    await pool.query(
-      `UPDATE users SET is_active = false, deactivated_at = CURRENT_TIMESTAMP, deactivation_reason = $1 WHERE id = $2`,
-      [reason.trim(), userId]
-    );
-    
-    // Deactivate all FCM tokens for this user
-    await pool.query(
-      'UPDATE user_fcm_tokens SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE user_id = $1',
-      [userId]
-    );
-    
-    // Update closure request status to completed
-    await pool.query(
-      `UPDATE account_closure_requests SET status = 'completed', processed_at = CURRENT_TIMESTAMP WHERE id = $1`,
-      [closureRequest.id]
-    );
+    // Deactivate the account now; it is anonymised once an admin approves and the grace period ends
+    const closureRequest = await requestClosure(user, reason.trim());
     
-    console.log(`Account closure request submitted: ${requestId} for user ${userId}`);
+    console.log(`Account closure request submitted: ${closureRequest.request_id} for user ${userId}`);
     
     res.json({
       success: true,
       message: 'Account closure request submitted successfully',
       data: {
         request_id: closureRequest.request_id,
-        status: 'completed'
+        status: closureRequest.status,
+        scheduled_for: closureRequest.scheduled_for?.toISOString(),
+        grace_days: CLOSURE_GRACE_DAYS
       }
     });
     
@@ -1088,43 +2259,18 @@ router.post('/close-account', async (req, res) => {
  *     summary: Get account closure request status
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: user_id
- *         schema:
- *           type: integer
- *         description: User ID (optional if using auth token)
  *     responses:
  *       200:
  *         description: Account closure request status
+ *       401:
+ *         description: Unauthorized
  */
-router.get('/close-account/status', async (req, res) => {
+router.get('/close-account/status', verifyToken, async (req, res) => {
   try {
-    let userId = req.query.user_id;
-    
-    // If no user_id in query, try to get from auth token
-    if (!userId) {
-      const authHeader = req.headers['authorization'];
-      if (authHeader && authHeader.startsWith('Bearer ')) {
-        const token = authHeader.split(' ')[1];
-        try {
-          const decoded = jwt.verify(token, JWT_SECRET);
-          userId = decoded.userId;
-        } catch (err) {
-          // Token invalid
-        }
-      }
-    }
-    
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      });
-    }
-    
+    const userId = req.user.userId;
+
     const result = await pool.query(
-      `SELECT request_id, status, reason, admin_notes, created_at, processed_at
+      `SELECT request_id, status, reason, admin_notes, scheduled_for, created_at, processed_at, cancelled_at, completed_at
        FROM account_closure_requests 
        WHERE user_id = $1 
        ORDER BY created_at DESC 
@@ -1316,7 +2462,7 @@ router.delete('/delete-account', async (req, res) => {
 module.exports = router;
 
 // DEBUG: Inspect users table
-router.get('/debug/users', async (req, res) => {
+router.get('/debug/users', requirePermission(PERMISSIONS.USERS_READ), async (req, res) => {
   try {
     const result = await pool.query('SELECT * FROM users LIMIT 5');
     res.json({ success: true, users: result.rows });
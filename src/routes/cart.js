@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../middleware/auth');
+const cartController = require('../controllers/cartController');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Cart
+ *     description: Multi-topic cart for INDIVIDUAL and FLEXIBLE categories
+ */
+
+/**
+ * @swagger
+ * /api/cart:
+ *   get:
+ *     tags: [Cart]
+ *     summary: Get the authenticated user's cart
+ *     description: |
+ *       Items are priced per category. Topics the user already owns are removed automatically
+ *       and listed in removedTopicIds. bundleSuggestions lists FLEXIBLE categories where the
+ *       bundle costs less than the selected topics.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cart items, per-category subtotals and bundle suggestions
+ *       401:
+ *         description: Unauthorized
+ *   delete:
+ *     tags: [Cart]
+ *     summary: Empty the cart
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cart cleared
+ */
+router.get('/', verifyToken, cartController.getCart);
+router.delete('/', verifyToken, cartController.clearCart);
+
+/**
+ * @swagger
+ * /api/cart/items:
+ *   post:
+ *     tags: [Cart]
+ *     summary: Add a topic to the cart
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - topicId
+ *             properties:
+ *               topicId:
+ *                 type: integer
+ *                 example: 12
+ *     responses:
+ *       201:
+ *         description: Topic added; returns the updated cart
+ *       400:
+ *         description: Topic cannot be bought individually or is already owned
+ *       404:
+ *         description: Topic not found
+ */
+router.post('/items', verifyToken, cartController.addToCart);
+
+/**
+ * @swagger
+ * /api/cart/items/{topicId}:
+ *   delete:
+ *     tags: [Cart]
+ *     summary: Remove a topic from the cart
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Topic removed; returns the updated cart
+ *       404:
+ *         description: Topic is not in the cart
+ */
+router.delete('/items/:topicId', verifyToken, cartController.removeFromCart);
+
+/**
+ * @swagger
+ * /api/cart/checkout:
+ *   post:
+ *     tags: [Cart]
+ *     summary: Create one Razorpay order for every topic in the cart
+ *     description: |
+ *       Complete the payment with POST /api/purchases/verify. Verification unlocks every topic
+ *       in the order and removes them from the cart.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               currency:
+ *                 type: string
+ *                 example: INR
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Razorpay order with the cart breakdown and bundle suggestions
+ *       400:
+ *         description: Cart is empty
+ */
+router.post('/checkout', verifyToken, cartController.checkout);
+
+module.exports = router;
@@ -1,4 +1,6 @@
 const express = require('express');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const router = express.Router();
 
 /**
@@ -263,7 +265,7 @@ router.get('/categories', async (req, res) => {
 });
 
 // Sample POST category
-router.post('/categories', async (req, res) => {
+router.post('/categories', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   const { name, description, price, status, plan_type, bundle_price, subscription_plan_id, priority = 0,
     annual_subscription = false,
     bundled_access = false,
@@ -357,7 +359,7 @@ router.post('/categories', async (req, res) => {
 });
 
 // PUT update category by ID
-router.put('/categories/:id', async (req, res) => {
+router.put('/categories/:id', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   const categoryId = parseInt(req.params.id);
   const { name, description, price, status, plan_type, bundle_price, subscription_plan_id, priority,
     annual_subscription = false,
@@ -489,7 +491,7 @@ router.put('/categories/:id', async (req, res) => {
 });
 
 // DELETE category by ID
-router.delete('/categories/:id', async (req, res) => {
+router.delete('/categories/:id', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   const categoryId = parseInt(req.params.id);
 
   if (!categoryId || isNaN(categoryId)) {
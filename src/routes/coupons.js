@@ -0,0 +1,516 @@
+const express = require('express');
+const router = express.Router();
+const { PlanTypes } = require('../utils/planTypeValidation');
+const { normalizeCouponCode } = require('../utils/coupons');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+
+const DISCOUNT_TYPES = ['percentage', 'flat'];
+
+// Helper function to format coupon data consistently
+function formatCoupon(coupon) {
+  return {
+    id: coupon.id,
+    code: coupon.code,
+    description: coupon.description,
+    discountType: coupon.discount_type,
+    discountValue: parseFloat(coupon.discount_value),
+    maxDiscount: coupon.max_discount !== null ? parseFloat(coupon.max_discount) : null,
+    minOrderAmount: parseFloat(coupon.min_order_amount || 0),
+    topicIds: coupon.topic_ids || [],
+    categoryIds: coupon.category_ids || [],
+    planTypes: coupon.plan_types || [],
+    validFrom: coupon.valid_from?.toISOString() || null,
+    validUntil: coupon.valid_until?.toISOString() || null,
+    maxRedemptions: coupon.max_redemptions,
+    maxRedemptionsPerUser: coupon.max_redemptions_per_user,
+    redemptionCount: parseInt(coupon.redemption_count || 0),
+    totalDiscountGiven: parseFloat(coupon.total_discount || 0),
+    isActive: coupon.is_active,
+    createdAt: coupon.created_at?.toISOString(),
+    updatedAt: coupon.updated_at?.toISOString()
+  };
+}
+
+// Map request body fields to coupon columns, validating whatever is present
+function parseCouponInput(body, { partial = false } = {}) {
+  const fields = {};
+
+  if (body.code !== undefined) {
+    const code = normalizeCouponCode(body.code);
+    if (!/^[A-Z0-9_-]{3,50}$/.test(code)) {
+      return { error: 'Code must be 3-50 letters, numbers, dashes or underscores' };
+    }
+    fields.code = code;
+  } else if (!partial) {
+    return { error: 'code is required' };
+  }
+
+  if (body.discountType !== undefined) {
+    if (!DISCOUNT_TYPES.includes(body.discountType)) {
+      return { error: `discountType must be one of: ${DISCOUNT_TYPES.join(', ')}` };
+    }
+    fields.discount_type = body.discountType;
+  } else if (!partial) {
+    return { error: 'discountType is required' };
+  }
+
+  if (body.discountValue !== undefined) {
+    const value = Number(body.discountValue);
+    if (!(value > 0)) {
+      return { error: 'discountValue must be greater than 0' };
+    }
+    fields.discount_value = value;
+  } else if (!partial) {
+    return { error: 'discountValue is required' };
+  }
+
+  if (fields.discount_type === 'percentage' && fields.discount_value > 100) {
+    return { error: 'Percentage discounts cannot exceed 100' };
+  }
+
+  if (body.planTypes !== undefined) {
+    const planTypes = Array.isArray(body.planTypes) ? body.planTypes : [];
+    const invalid = planTypes.filter(type => !Object.values(PlanTypes).includes(type));
+    if (invalid.length > 0) {
+      return { error: `Invalid plan types: ${invalid.join(', ')}` };
+    }
+    fields.plan_types = planTypes;
+  }
+
+  const toIdArray = (value) => (Array.isArray(value) ? value : [])
+    .map(id => parseInt(id))
+    .filter(id => !isNaN(id));
+
+  if (body.topicIds !== undefined) fields.topic_ids = toIdArray(body.topicIds);
+  if (body.categoryIds !== undefined) fields.category_ids = toIdArray(body.categoryIds);
+  if (body.description !== undefined) fields.description = body.description;
+  if (body.maxDiscount !== undefined) fields.max_discount = body.maxDiscount === null ? null : Number(body.maxDiscount);
+  if (body.minOrderAmount !== undefined) fields.min_order_amount = Number(body.minOrderAmount) || 0;
+  if (body.validFrom !== undefined) fields.valid_from = body.validFrom ? new Date(body.validFrom) : null;
+  if (body.validUntil !== undefined) fields.valid_until = body.validUntil ? new Date(body.validUntil) : null;
+  if (body.maxRedemptions !== undefined) fields.max_redemptions = body.maxRedemptions === null ? null : parseInt(body.maxRedemptions);
+  if (body.maxRedemptionsPerUser !== undefined) {
+    fields.max_redemptions_per_user = body.maxRedemptionsPerUser === null ? null : parseInt(body.maxRedemptionsPerUser);
+  }
+  if (body.isActive !== undefined) fields.is_active = Boolean(body.isActive);
+
+  for (const key of ['valid_from', 'valid_until']) {
+    if (fields[key] && isNaN(fields[key].getTime())) {
+      return { error: `${key === 'valid_from' ? 'validFrom' : 'validUntil'} must be a valid date` };
+    }
+  }
+  if (fields.valid_from && fields.valid_until && fields.valid_from >= fields.valid_until) {
+    return { error: 'validUntil must be after validFrom' };
+  }
+
+  return { fields };
+}
+
+const COUPON_SELECT = `
+  SELECT c.*,
+    COUNT(cr.id) FILTER (WHERE cr.status = 'redeemed') as redemption_count,
+    COALESCE(SUM(cr.discount_amount) FILTER (WHERE cr.status = 'redeemed'), 0) as total_discount
+  FROM coupons c
+  LEFT JOIN coupon_redemptions cr ON cr.coupon_id = c.id
+`;
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Coupons
+ *     description: Admin management of discount codes for /enrollments/create-order and /enrollments/enroll
+ */
+
+/**
+ * @swagger
+ * /api/coupons:
+ *   get:
+ *     tags: [Coupons]
+ *     summary: List coupons with redemption counts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupons, newest first
+ *       401:
+ *         description: Admin access required
+ *   post:
+ *     tags: [Coupons]
+ *     summary: Create a coupon
+ *     description: Empty topicIds, categoryIds and planTypes mean the coupon applies to everything.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - discountType
+ *               - discountValue
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: LAUNCH50
+ *               description:
+ *                 type: string
+ *               discountType:
+ *                 type: string
+ *                 enum: [percentage, flat]
+ *               discountValue:
+ *                 type: number
+ *                 example: 50
+ *               maxDiscount:
+ *                 type: number
+ *                 description: Cap for percentage discounts
+ *               minOrderAmount:
+ *                 type: number
+ *               topicIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               categoryIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               planTypes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [FREE, INDIVIDUAL, BUNDLE, FLEXIBLE]
+ *               validFrom:
+ *                 type: string
+ *                 format: date-time
+ *               validUntil:
+ *                 type: string
+ *                 format: date-time
+ *               maxRedemptions:
+ *                 type: integer
+ *                 description: Total redemptions across all users
+ *               maxRedemptionsPerUser:
+ *                 type: integer
+ *                 default: 1
+ *               isActive:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Coupon created
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Code already exists
+ */
+router.get('/', requirePermission(PERMISSIONS.FINANCE_READ), async (req, res) => {
+  try {
+    const { active, search } = req.query;
+    const params = [];
+    let whereClause = 'WHERE 1 = 1';
+
+    if (active !== undefined) {
+      params.push(active === 'true');
+      whereClause += ` AND c.is_active = $${params.length}`;
+    }
+    if (search) {
+      params.push(`%${search}%`);
+      whereClause += ` AND (c.code ILIKE $${params.length} OR c.description ILIKE $${params.length})`;
+    }
+
+    const result = await req.pool.query(
+      `${COUPON_SELECT} ${whereClause} GROUP BY c.id ORDER BY c.created_at DESC`,
+      params
+    );
+
+    res.json({
+      success: true,
+      data: result.rows.map(formatCoupon)
+    });
+  } catch (err) {
+    console.error('Error in GET /coupons:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+router.post('/', requirePermission(PERMISSIONS.FINANCE_WRITE), async (req, res) => {
+  try {
+    const { fields, error } = parseCouponInput(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const columns = Object.keys(fields);
+    const result = await req.pool.query(
+      `INSERT INTO coupons (${columns.join(', ')})
+       VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+       RETURNING *`,
+      Object.values(fields)
+    );
+
+    console.log(`🏷️ Coupon ${result.rows[0].code} created`);
+
+    res.status(201).json({
+      success: true,
+      data: formatCoupon(result.rows[0])
+    });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ success: false, error: 'A coupon with this code already exists' });
+    }
+    console.error('Error in POST /coupons:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   get:
+ *     tags: [Coupons]
+ *     summary: Get a coupon
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Coupon details
+ *       404:
+ *         description: Coupon not found
+ *   put:
+ *     tags: [Coupons]
+ *     summary: Update a coupon
+ *     description: Accepts the same fields as POST /api/coupons; only the fields sent are changed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Coupon updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Coupon not found
+ *   delete:
+ *     tags: [Coupons]
+ *     summary: Delete a coupon
+ *     description: Coupons that have been used are deactivated instead so redemption history is kept.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Coupon deleted or deactivated
+ *       404:
+ *         description: Coupon not found
+ */
+router.get('/:id', requirePermission(PERMISSIONS.FINANCE_READ), async (req, res) => {
+  try {
+    const result = await req.pool.query(
+      `${COUPON_SELECT} WHERE c.id = $1 GROUP BY c.id`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Coupon not found' });
+    }
+
+    res.json({
+      success: true,
+      data: formatCoupon(result.rows[0])
+    });
+  } catch (err) {
+    console.error('Error in GET /coupons/:id:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+router.put('/:id', requirePermission(PERMISSIONS.FINANCE_WRITE), async (req, res) => {
+  try {
+    const existing = await req.pool.query('SELECT * FROM coupons WHERE id = $1', [req.params.id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Coupon not found' });
+    }
+
+    const { fields, error } = parseCouponInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    // Re-check rules that depend on fields that were not sent
+    const merged = { ...existing.rows[0], ...fields };
+    if (merged.discount_type === 'percentage' && Number(merged.discount_value) > 100) {
+      return res.status(400).json({ success: false, error: 'Percentage discounts cannot exceed 100' });
+    }
+    if (merged.valid_from && merged.valid_until && new Date(merged.valid_from) >= new Date(merged.valid_until)) {
+      return res.status(400).json({ success: false, error: 'validUntil must be after validFrom' });
+    }
+
+    const columns = Object.keys(fields);
+    if (columns.length === 0) {
+      return res.status(400).json({ success: false, error: 'No fields to update' });
+    }
+
+    await req.pool.query(
+      `UPDATE coupons
+       SET ${columns.map((column, i) => `${column} = $${i + 1}`).join(', ')}, updated_at = NOW()
+       WHERE id = $${columns.length + 1}`,
+      [...Object.values(fields), req.params.id]
+    );
+
+    const result = await req.pool.query(
+      `${COUPON_SELECT} WHERE c.id = $1 GROUP BY c.id`,
+      [req.params.id]
+    );
+
+    res.json({
+      success: true,
+      data: formatCoupon(result.rows[0])
+    });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ success: false, error: 'A coupon with this code already exists' });
+    }
+    console.error('Error in PUT /coupons/:id:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+router.delete('/:id', requirePermission(PERMISSIONS.FINANCE_WRITE), async (req, res) => {
+  try {
+    const usage = await req.pool.query(
+      'SELECT COUNT(*) as total FROM coupon_redemptions WHERE coupon_id = $1',
+      [req.params.id]
+    );
+
+    if (parseInt(usage.rows[0].total) > 0) {
+      const result = await req.pool.query(
+        'UPDATE coupons SET is_active = false, updated_at = NOW() WHERE id = $1 RETURNING id',
+        [req.params.id]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ success: false, error: 'Coupon not found' });
+      }
+      return res.json({ success: true, message: 'Coupon has redemptions and was deactivated instead' });
+    }
+
+    const result = await req.pool.query('DELETE FROM coupons WHERE id = $1 RETURNING id', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Coupon not found' });
+    }
+
+    res.json({ success: true, message: 'Coupon deleted' });
+  } catch (err) {
+    console.error('Error in DELETE /coupons/:id:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/coupons/{id}/redemptions:
+ *   get:
+ *     tags: [Coupons]
+ *     summary: List the orders a coupon was used on
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Redemptions, newest first
+ */
+router.get('/:id/redemptions', requirePermission(PERMISSIONS.FINANCE_READ), async (req, res) => {
+  try {
+    const result = await req.pool.query(
+      `SELECT cr.*, u.name as user_name, u.email as user_email, t.title as topic_title, cat.name as category_name
+       FROM coupon_redemptions cr
+       LEFT JOIN users u ON cr.user_id = u.id
+       LEFT JOIN topics t ON cr.topic_id = t.id
+       LEFT JOIN category cat ON cr.category_id = cat.id
+       WHERE cr.coupon_id = $1
+       ORDER BY cr.created_at DESC`,
+      [req.params.id]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows.map(row => ({
+        id: row.id,
+        userId: row.user_id,
+        userName: row.user_name,
+        userEmail: row.user_email,
+        orderId: row.order_id,
+        topicId: row.topic_id,
+        topicTitle: row.topic_title,
+        categoryId: row.category_id,
+        categoryName: row.category_name,
+        originalAmount: parseFloat(row.original_amount),
+        discountAmount: parseFloat(row.discount_amount),
+        finalAmount: parseFloat(row.final_amount),
+        status: row.status,
+        createdAt: row.created_at?.toISOString(),
+        redeemedAt: row.redeemed_at?.toISOString() || null
+      }))
+    });
+  } catch (err) {
+    console.error('Error in GET /coupons/:id/redemptions:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
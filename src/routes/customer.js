@@ -2,33 +2,35 @@
 const express = require('express');
 const router = express.Router();
 const customerController = require('../controllers/customerController');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 // USERS
-router.get('/users/list', customerController.listUsers);
-router.get('/users/stats', customerController.getUserStats);
-router.get('/users/:id', customerController.editUser);
-router.post('/users', customerController.saveUser);
-router.put('/users/:id', customerController.updateUser);
-router.delete('/users/:id', customerController.deleteUser);
+router.get('/users/list', requirePermission(PERMISSIONS.USERS_READ), customerController.listUsers);
+router.get('/users/stats', requirePermission(PERMISSIONS.USERS_READ), customerController.getUserStats);
+router.get('/users/:id', requirePermission(PERMISSIONS.USERS_READ), customerController.editUser);
+router.post('/users', requirePermission(PERMISSIONS.USERS_WRITE), customerController.saveUser);
+router.put('/users/:id', requirePermission(PERMISSIONS.USERS_WRITE), customerController.updateUser);
+router.delete('/users/:id', requirePermission(PERMISSIONS.USERS_WRITE), customerController.deleteUser);
 
 // Legacy routes for backward compatibility
-router.post('/users/add', customerController.saveUser);
-router.get('/users/delete/:id', customerController.deleteUser);
-router.get('/users/edit/:id', customerController.editUser);
-router.post('/users/update/:id', customerController.updateUser);
+router.post('/users/add', requirePermission(PERMISSIONS.USERS_WRITE), customerController.saveUser);
+router.get('/users/delete/:id', requirePermission(PERMISSIONS.USERS_WRITE), customerController.deleteUser);
+router.get('/users/edit/:id', requirePermission(PERMISSIONS.USERS_READ), customerController.editUser);
+router.post('/users/update/:id', requirePermission(PERMISSIONS.USERS_WRITE), customerController.updateUser);
 
 // CATEGORY
 router.get('/categories', customerController.listCategories);
-router.post('/categories/add', customerController.saveCategory);
-router.get('/categories/delete/:id', customerController.deleteCategory);
-router.get('/categories/edit/:id', customerController.editCategory);
-router.post('/categories/update/:id', customerController.updateCategory);
+router.post('/categories/add', requirePermission(PERMISSIONS.CONTENT_WRITE), customerController.saveCategory);
+router.get('/categories/delete/:id', requirePermission(PERMISSIONS.CONTENT_WRITE), customerController.deleteCategory);
+router.get('/categories/edit/:id', requirePermission(PERMISSIONS.CONTENT_WRITE), customerController.editCategory);
+router.post('/categories/update/:id', requirePermission(PERMISSIONS.CONTENT_WRITE), customerController.updateCategory);
 
 // SUBCATEGORY
 router.get('/subcategories', customerController.listSubcategories);
-router.post('/subcategories/add', customerController.saveSubcategory);
-router.get('/subcategories/delete/:id', customerController.deleteSubcategory);
-router.get('/subcategories/edit/:id', customerController.editSubcategory);
-router.post('/subcategories/update/:id', customerController.updateSubcategory);
+router.post('/subcategories/add', requirePermission(PERMISSIONS.CONTENT_WRITE), customerController.saveSubcategory);
+router.get('/subcategories/delete/:id', requirePermission(PERMISSIONS.CONTENT_WRITE), customerController.deleteSubcategory);
+router.get('/subcategories/edit/:id', requirePermission(PERMISSIONS.CONTENT_WRITE), customerController.editSubcategory);
+router.post('/subcategories/update/:id', requirePermission(PERMISSIONS.CONTENT_WRITE), customerController.updateSubcategory);
 
 module.exports = router;
\ No newline at end of file
@@ -3,9 +3,7 @@ const express = require('express');
 const router = express.Router();
 const { Pool } = require('pg');
 const pool = new Pool();
-const jwt = require('jsonwebtoken');
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
+const razorpay = require('../config/razorpay');
 const admin = require('firebase-admin');
 const { 
   sendEnrollmentNotification, 
@@ -13,14 +11,32 @@ const {
   sendPaymentSuccessNotification,
   sendPaymentFailedNotification 
 } = require('../config/notificationTriggers');
-
-const JWT_SECRET = process.env.JWT_SECRET || 'changeme';
-
-// Initialize Razorpay instance
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET,
-});
+const { checkTopicAccess, getSeatTopicIds } = require('../utils/topicAccess');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+  verifyPaymentSignature,
+  verifyWebhookSignature,
+  fulfillTopicOrder,
+  fulfillBundleOrder,
+  fulfillFreeBundle,
+  fulfillSeatLicence,
+  failOrder,
+  fulfillPurchase,
+  notifyPurchaseFulfilled
+} = require('../utils/paymentFulfillment');
+const { ItemTypes, recordOrderCreated } = require('../utils/paymentLedger');
+const { recordRefund, notifyRefund } = require('../utils/paymentRefunds');
+const {
+  getCouponItem,
+  validateCoupon,
+  recordCouponRedemption
+} = require('../utils/coupons');
+const {
+  generateInvoicePdf,
+  issueInvoiceForOrder,
+  formatInvoice
+} = require('../utils/invoices');
 
 // Helper function to send direct Firebase notification
 const sendDirectFirebaseNotification = async (userId, title, body, data = {}) => {
@@ -134,6 +150,105 @@ const sendDirectFirebaseNotification = async (userId, title, body, data = {}) =>
   }
 };
 
+// Send enrollment notifications once a topic payment is completed
+const notifyTopicEnrollment = async (userId, topicId) => {
+  try {
+    const topicResult = await pool.query('SELECT title FROM topics WHERE id = $1', [topicId]);
+    const topicTitle = topicResult.rows[0]?.title || 'the course';
+    
+    // Send enrollment notification using trigger
+    await sendEnrollmentNotification(userId, topicTitle);
+    
+    // Also send direct Firebase notification immediately after DB save
+    await sendDirectFirebaseNotification(
+      userId,
+      'Enrollment Successful! ✅',
+      `You have successfully enrolled in '${topicTitle}'. Start learning now!`,
+      {
+        notificationType: 'TOPIC_ENROLLED',
+        topicId: topicId.toString(),
+        topicTitle: topicTitle,
+      }
+    );
+  } catch (notifErr) {
+    console.error('Error sending enrollment notification:', notifErr);
+    // Don't fail the API response if notification fails
+  }
+};
+
+// Send bundle notifications once a bundle payment is completed
+const notifyBundleEnrollment = async (userId, categoryId) => {
+  try {
+    const categoryNameResult = await pool.query('SELECT name FROM category WHERE id = $1', [categoryId]);
+    const categoryName = categoryNameResult.rows[0]?.name || 'the bundle';
+    
+    // Send bundle purchase notification using trigger
+    await sendBundlePurchaseNotification(userId, categoryName);
+    
+    // Also send direct Firebase notification immediately after DB save
+    await sendDirectFirebaseNotification(
+      userId,
+      'Bundle Unlocked! 🎁',
+      `You now have access to all topics in '${categoryName}'. Happy learning!`,
+      {
+        notificationType: 'BUNDLE_PURCHASED',
+        categoryId: categoryId.toString(),
+        categoryName: categoryName,
+      }
+    );
+  } catch (notifErr) {
+    console.error('Error sending bundle purchase notification:', notifErr);
+    // Don't fail the API response if notification fails
+  }
+};
+
+// Check an optional coupon code against a topic or bundle priced at `amount`.
+// Returns null without a code, { error } when the code can't be used, otherwise { validation, item }
+const resolveCoupon = async (couponCode, userId, { topicId, categoryId, isBundle, amount }) => {
+  if (!couponCode) return null;
+
+  const item = await getCouponItem(pool, { topicId, categoryId, isBundle });
+  if (!item) return { error: isBundle ? 'Category not found' : 'Topic not found' };
+  item.amount = Number(amount) || 0;
+
+  const validation = await validateCoupon(pool, { code: couponCode, userId, item });
+  if (!validation.valid) return { error: validation.error };
+
+  return { validation, item };
+};
+
+const formatCouponSummary = (validation) => ({
+  code: validation.coupon.code,
+  discountType: validation.coupon.discount_type,
+  discountValue: parseFloat(validation.coupon.discount_value),
+  originalAmount: validation.originalAmount,
+  discountAmount: validation.discountAmount,
+  finalAmount: validation.finalAmount
+});
+
+// Unlock a topic or bundle straight away when a coupon brings the price below the Razorpay minimum.
+// Returns { status, error } without enrolling if the coupon's limits were reached in the meantime
+const enrollWithCoupon = async (userId, { topicId, categoryId, isBundle }, coupon) => {
+  const redemption = await recordCouponRedemption(pool, { ...coupon, userId, status: 'redeemed' });
+  if (redemption.error) return redemption;
+
+  if (isBundle) {
+    await fulfillFreeBundle({ userId, categoryId });
+  } else {
+    await pool.query(
+      'INSERT INTO user_topics (user_id, topic_id, payment_status) VALUES ($1, $2, $3) ON CONFLICT (user_id, topic_id) DO UPDATE SET payment_status = $3',
+      [userId, topicId, 'completed']
+    );
+  }
+
+  if (isBundle) {
+    await notifyBundleEnrollment(userId, categoryId);
+  } else {
+    await notifyTopicEnrollment(userId, topicId);
+  }
+  return redemption;
+};
+
 
 /**
  * @swagger
@@ -244,6 +359,77 @@ router.get('/check/:user_id/:topic_id', async (req, res) => {
     res.status(500).json({ error: err.message });
   }
 });
+/**
+ * @swagger
+ * /enrollments/validate-coupon:
+ *   post:
+ *     summary: Preview the discounted price of a topic or bundle before creating the order
+ *     tags: [Enrollments]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - couponCode
+ *             properties:
+ *               userId:
+ *                 type: integer
+ *               couponCode:
+ *                 type: string
+ *                 example: LAUNCH50
+ *               topicId:
+ *                 type: integer
+ *               categoryId:
+ *                 type: integer
+ *               isBundle:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Coupon is valid; returns original, discount and final amounts
+ *       400:
+ *         description: Coupon cannot be applied to this item
+ *       404:
+ *         description: Topic or category not found
+ */
+router.post('/validate-coupon', async (req, res) => {
+  const { userId, couponCode, topicId, categoryId, isBundle } = req.body;
+
+  if (!userId || !couponCode) {
+    return res.status(400).json({ success: false, error: 'userId and couponCode are required' });
+  }
+  if (!topicId && !(isBundle && categoryId)) {
+    return res.status(400).json({ success: false, error: 'Either topicId or categoryId with isBundle must be provided' });
+  }
+
+  try {
+    const item = await getCouponItem(pool, { topicId, categoryId, isBundle });
+    if (!item) {
+      return res.status(404).json({ success: false, error: isBundle ? 'Category not found' : 'Topic not found' });
+    }
+
+    const validation = await validateCoupon(pool, { code: couponCode, userId, item });
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, error: validation.error });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        itemName: item.title,
+        ...formatCouponSummary(validation),
+        // Razorpay can't charge less than 1, so smaller totals are enrolled for free
+        requiresPayment: validation.finalAmount >= 1
+      }
+    });
+  } catch (err) {
+    console.error('Error validating coupon:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /enrollments/create-order:
@@ -261,13 +447,22 @@ router.get('/check/:user_id/:topic_id', async (req, res) => {
  *                 type: integer
  *               topicId:
  *                 type: integer
+ *               categoryId:
+ *                 type: integer
+ *               isBundle:
+ *                 type: boolean
  *               email:
  *                 type: string
  *               currency:
  *                 type: string
+ *               couponCode:
+ *                 type: string
+ *                 description: Optional discount code; see /enrollments/validate-coupon
  *     responses:
  *       200:
- *         description: Razorpay order created
+ *         description: Razorpay order created (or access granted when a coupon covers the full price)
+ *       400:
+ *         description: Coupon cannot be applied
  *         content:
  *           application/json:
  *             schema:
@@ -281,9 +476,11 @@ router.get('/check/:user_id/:topic_id', async (req, res) => {
  *                   type: string
  *                 keyId:
  *                   type: string
+ *       409:
+ *         description: The coupon reached its redemption limit while the order was being created
  */
 router.post('/create-order', async (req, res) => {
-  const { userId, topicId, categoryId, amount, email, currency, isBundle } = req.body;
+  const { userId, topicId, categoryId, amount, email, currency, isBundle, couponCode } = req.body;
   console.log("Create order request received:", req.body);
   
   try {
@@ -325,6 +522,27 @@ router.post('/create-order', async (req, res) => {
       return res.status(400).json({ error: 'Either topicId or categoryId with isBundle must be provided' });
     }
 
+    // Apply the coupon, if any, before the order amount is fixed
+    const coupon = await resolveCoupon(couponCode, userId, { topicId, categoryId, isBundle, amount: price });
+    if (coupon?.error) {
+      return res.status(400).json({ error: coupon.error });
+    }
+    if (coupon) {
+      price = coupon.validation.finalAmount;
+
+      if (price < 1) {
+        const redeemed = await enrollWithCoupon(userId, { topicId, categoryId, isBundle }, coupon);
+        if (redeemed.error) {
+          return res.status(redeemed.status).json({ error: redeemed.error });
+        }
+        return res.json({
+          success: true,
+          message: 'Coupon applied - access granted without payment',
+          coupon: formatCouponSummary(coupon.validation)
+        });
+      }
+    }
+
     // Convert price to smallest currency unit (paise for INR, cents for USD)
     const razorpayAmount = Math.round(Number(price) * 100);
 
@@ -339,31 +557,55 @@ router.post('/create-order', async (req, res) => {
         userId: String(userId),
         email: email,
         itemName: title,
+        ...(coupon && { couponCode: coupon.validation.coupon.code }),
         ...(isBundle ? { categoryId: String(categoryId), isBundle: 'true' } : { topicId: String(topicId) })
       }
     };
 
     const order = await razorpay.orders.create(options);
 
-    // Create pending record
+    // Hold the coupon's redemption slot; an order that loses the race is simply never paid
+    if (coupon) {
+      const redemption = await recordCouponRedemption(pool, { ...coupon, userId, orderId: order.id });
+      if (redemption.error) {
+        return res.status(redemption.status).json({ error: redemption.error });
+      }
+    }
+
+    // Create pending record (never downgrade a completed enrollment)
     if (isBundle) {
       await pool.query(
-        'INSERT INTO user_category_bundles (user_id, category_id, payment_status, order_id) VALUES ($1, $2, $3, $4) ON CONFLICT (user_id, category_id) DO UPDATE SET payment_status = $3, order_id = $4',
+        `INSERT INTO user_category_bundles (user_id, category_id, payment_status, order_id) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (user_id, category_id) DO UPDATE SET payment_status = $3, order_id = $4
+         WHERE user_category_bundles.payment_status IS DISTINCT FROM 'completed'`,
         [userId, categoryId, 'pending', order.id]
       );
     } else {
       await pool.query(
-        'INSERT INTO user_topics (user_id, topic_id, payment_status) VALUES ($1, $2, $3) ON CONFLICT (user_id, topic_id) DO UPDATE SET payment_status = $3',
-        [userId, topicId, 'pending']
+        `INSERT INTO user_topics (user_id, topic_id, payment_status, razorpay_order_id) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (user_id, topic_id) DO UPDATE SET payment_status = $3, razorpay_order_id = $4
+         WHERE user_topics.payment_status IS DISTINCT FROM 'completed'`,
+        [userId, topicId, 'pending', order.id]
       );
     }
 
+    await recordOrderCreated(pool, order, {
+      userId,
+      itemType: isBundle ? ItemTypes.BUNDLE : ItemTypes.TOPIC,
+      topicId: isBundle ? null : topicId,
+      categoryId: isBundle ? categoryId : null,
+      description: title,
+      couponId: coupon?.validation.coupon.id,
+      discountAmount: coupon?.validation.discountAmount
+    });
+
     res.json({
       success: true,
       orderId: order.id,
       amount: order.amount,
       currency: order.currency,
-      keyId: process.env.RAZORPAY_KEY_ID
+      keyId: process.env.RAZORPAY_KEY_ID,
+      ...(coupon && { coupon: formatCouponSummary(coupon.validation) })
     });
   } catch (err) {
     console.error('Error creating Razorpay order:', err);
@@ -392,57 +634,42 @@ router.post('/create-order', async (req, res) => {
  *                 type: string
  *               userId:
  *                 type: integer
- *               topicId:
- *                 type: integer
  *     responses:
  *       200:
  *         description: Payment verified
  */
 router.post('/verify-payment', async (req, res) => {
-  const { razorpay_order_id, razorpay_payment_id, razorpay_signature, userId, topicId } = req.body;
+  const { razorpay_order_id, razorpay_payment_id, razorpay_signature, userId } = req.body;
   
   try {
     // Verify signature
-    const body = razorpay_order_id + "|" + razorpay_payment_id;
-    const expectedSignature = crypto
-      .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
-      .update(body.toString())
-      .digest("hex");
-
-    const isAuthentic = expectedSignature === razorpay_signature;
+    const isAuthentic = verifyPaymentSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature);
 
     if (isAuthentic) {
-      // Update enrollment to completed
-      await pool.query(
-        'UPDATE user_topics SET payment_status = $1 WHERE user_id = $2 AND topic_id = $3',
-        ['completed', userId, topicId]
-      );
+      // Complete the enrollment unless the webhook already did
+      const enrollment = await fulfillTopicOrder({
+        orderId: razorpay_order_id,
+        paymentId: razorpay_payment_id
+      });
 
-      // Get topic title for notification
-      try {
-        const topicResult = await pool.query('SELECT title FROM topics WHERE id = $1', [topicId]);
-        const topicTitle = topicResult.rows[0]?.title || 'the course';
-        
-        // Send enrollment notification using trigger
-        await sendEnrollmentNotification(userId, topicTitle);
-        
-        // Also send direct Firebase notification immediately after DB save
-        await sendDirectFirebaseNotification(
-          userId,
-          'Enrollment Successful! ✅',
-          `You have successfully enrolled in '${topicTitle}'. Start learning now!`,
-          {
-            notificationType: 'TOPIC_ENROLLED',
-            topicId: topicId.toString(),
-            topicTitle: topicTitle,
-          }
-        );
-      } catch (notifErr) {
-        console.error('Error sending enrollment notification:', notifErr);
-        // Don't fail the API response if notification fails
+      if (enrollment) {
+        await notifyTopicEnrollment(enrollment.user_id, enrollment.topic_id);
+        const invoice = await issueInvoiceForOrder(razorpay_order_id);
+        return res.json({
+          success: true,
+          message: 'Payment verified and enrollment completed',
+          invoiceId: invoice?.id || null
+        });
       }
 
-      res.json({ success: true, message: 'Payment verified and enrollment completed' });
+      const existing = await pool.query(
+        'SELECT payment_status FROM user_topics WHERE razorpay_order_id = $1',
+        [razorpay_order_id]
+      );
+      if (existing.rows[0]?.payment_status === 'completed') {
+        return res.json({ success: true, message: 'Enrollment already completed' });
+      }
+      res.status(404).json({ success: false, error: 'Enrollment not found for this order' });
     } else {
       // Send payment failed notification
       try {
@@ -479,96 +706,51 @@ router.post('/verify-payment', async (req, res) => {
  *                 type: string
  *               userId:
  *                 type: integer
- *               categoryId:
- *                 type: integer
  *     responses:
  *       200:
  *         description: Bundle payment verified and all topics enrolled
  */
 router.post('/verify-bundle-payment', async (req, res) => {
-  const { razorpay_order_id, razorpay_payment_id, razorpay_signature, userId, categoryId } = req.body;
+  const { razorpay_order_id, razorpay_payment_id, razorpay_signature, userId } = req.body;
   
   try {
     // Verify signature
-    const body = razorpay_order_id + "|" + razorpay_payment_id;
-    const expectedSignature = crypto
-      .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
-      .update(body.toString())
-      .digest("hex");
-
-    const isAuthentic = expectedSignature === razorpay_signature;
+    const isAuthentic = verifyPaymentSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature);
 
     if (isAuthentic) {
-      // Fetch category to get plan_type (determines future_topics_included)
-      const categoryResult = await pool.query(
-        'SELECT plan_type FROM category WHERE id = $1',
-        [categoryId]
-      );
-      
-      if (!categoryResult.rows.length) {
-        return res.status(404).json({ success: false, error: 'Category not found' });
-      }
-      
-      const planType = categoryResult.rows[0].plan_type;
-      
-      // Determine future_topics_included based on plan type
-      // BUNDLE plans: future_topics_included = true (get all new topics automatically)
-      // FLEXIBLE plans: future_topics_included = false (only get topics at time of purchase)
-      // INDIVIDUAL plans: future_topics_included = false (only get purchased topics)
-      const futureTopicsIncluded = planType === 'BUNDLE' ? true : false;
-      console.log(`🎁 Bundle purchase - Plan type: ${planType}, future_topics_included set to: ${futureTopicsIncluded}`);
-      
-      // Update bundle purchase to completed with future_topics_included flag
-      await pool.query(
-        'UPDATE user_category_bundles SET payment_status = $1, payment_id = $2, future_topics_included = $3, enrolled_at = NOW(), updated_at = NOW() WHERE user_id = $4 AND category_id = $5',
-        ['completed', razorpay_payment_id, futureTopicsIncluded, userId, categoryId]
-      );
-
-      // Get all topics in this category (at time of purchase)
-      const topicsResult = await pool.query(
-        'SELECT id FROM topics WHERE category_id = $1 ORDER BY created_at ASC',
-        [categoryId]
-      );
+      // Complete the bundle and enroll in current topics unless the webhook already did
+      const fulfilled = await fulfillBundleOrder({
+        orderId: razorpay_order_id,
+        paymentId: razorpay_payment_id
+      });
 
-      // Enroll user in all current topics of this category
-      // Future topics will be checked based on futureTopicsIncluded flag and enrolled_at timestamp
-      for (const topic of topicsResult.rows) {
-        await pool.query(
-          'INSERT INTO user_topics (user_id, topic_id, payment_status) VALUES ($1, $2, $3) ON CONFLICT (user_id, topic_id) DO UPDATE SET payment_status = $3',
-          [userId, topic.id, 'completed']
-        );
+      if (fulfilled) {
+        const { bundle, enrolledTopics } = fulfilled;
+        console.log(`🎁 Bundle purchase - category ${bundle.category_id}, future_topics_included: ${bundle.future_topics_included}`);
+        await notifyBundleEnrollment(bundle.user_id, bundle.category_id);
+        const invoice = await issueInvoiceForOrder(razorpay_order_id);
+
+        return res.json({ 
+          success: true, 
+          message: 'Bundle payment verified and enrollment completed',
+          enrolledTopics,
+          futureTopicsIncluded: bundle.future_topics_included,
+          invoiceId: invoice?.id || null
+        });
       }
 
-      // Get category name for notification
-      try {
-        const categoryNameResult = await pool.query('SELECT name FROM category WHERE id = $1', [categoryId]);
-        const categoryName = categoryNameResult.rows[0]?.name || 'the bundle';
-        
-        // Send bundle purchase notification using trigger
-        await sendBundlePurchaseNotification(userId, categoryName);
-        
-        // Also send direct Firebase notification immediately after DB save
-        await sendDirectFirebaseNotification(
-          userId,
-          'Bundle Unlocked! 🎁',
-          `You now have access to all topics in '${categoryName}'. Happy learning!`,
-          {
-            notificationType: 'BUNDLE_PURCHASED',
-            categoryId: categoryId.toString(),
-            categoryName: categoryName,
-          }
-        );
-      } catch (notifErr) {
-        console.error('Error sending bundle purchase notification:', notifErr);
-        // Don't fail the API response if notification fails
+      const existing = await pool.query(
+        'SELECT payment_status, future_topics_included FROM user_category_bundles WHERE order_id = $1',
+        [razorpay_order_id]
+      );
+      if (existing.rows[0]?.payment_status === 'completed') {
+        return res.json({
+          success: true,
+          message: 'Bundle enrollment already completed',
+          futureTopicsIncluded: existing.rows[0].future_topics_included
+        });
       }
-
-      res.json({ 
-        success: true, 
-        message: 'Bundle payment verified and enrollment completed',
-        enrolledTopics: topicsResult.rows.length,
-        futureTopicsIncluded: futureTopicsIncluded
-      });
+      res.status(404).json({ success: false, error: 'Bundle enrollment not found for this order' });
     } else {
       // Send payment failed notification
       try {
@@ -657,6 +839,9 @@ router.get('/check-bundle/:user_id/:category_id', async (req, res) => {
  *                 type: string
  *               currency:
  *                 type: string
+ *               couponCode:
+ *                 type: string
+ *                 description: Optional discount code; see /enrollments/validate-coupon
  *     responses:
  *       200:
  *         description: Enrollment success
@@ -671,7 +856,7 @@ router.get('/check-bundle/:user_id/:category_id', async (req, res) => {
  *                   type: string
  */
 router.post('/enroll', async (req, res) => {
-  const { userId, topicId, email, currency } = req.body;
+  const { userId, topicId, email, currency, couponCode } = req.body;
   console.log("Enroll request received:", req.body);
   try {
     // Get topic details
@@ -714,8 +899,27 @@ router.post('/enroll', async (req, res) => {
       return res.json({ success: true, message: 'Successfully enrolled in the free course' });
     }
 
+    // Apply the coupon, if any, before the order amount is fixed
+    const coupon = await resolveCoupon(couponCode, userId, { topicId, amount: numericPrice });
+    if (coupon?.error) {
+      return res.status(400).json({ success: false, error: coupon.error });
+    }
+    const payablePrice = coupon ? coupon.validation.finalAmount : numericPrice;
+
+    if (payablePrice < 1) {
+      const redeemed = await enrollWithCoupon(userId, { topicId }, coupon);
+      if (redeemed.error) {
+        return res.status(redeemed.status).json({ success: false, error: redeemed.error });
+      }
+      return res.json({
+        success: true,
+        message: 'Coupon applied - successfully enrolled without payment',
+        coupon: formatCouponSummary(coupon.validation)
+      });
+    }
+
     // For paid courses, create Razorpay order
-    const amount = Math.round(numericPrice * 100);
+    const amount = Math.round(payablePrice * 100);
 
     console.log(`Creating Razorpay order for topic ${topicId}, amount: ${amount} paise`);
 
@@ -727,18 +931,38 @@ router.post('/enroll', async (req, res) => {
         userId: String(userId),
         topicId: String(topicId),
         email: email,
-        courseName: title
+        courseName: title,
+        ...(coupon && { couponCode: coupon.validation.coupon.code })
       }
     };
 
     const order = await razorpay.orders.create(options);
 
-    // Create pending enrollment record
+    // Hold the coupon's redemption slot; an order that loses the race is simply never paid
+    if (coupon) {
+      const redemption = await recordCouponRedemption(pool, { ...coupon, userId, orderId: order.id });
+      if (redemption.error) {
+        return res.status(redemption.status).json({ success: false, error: redemption.error });
+      }
+    }
+
+    // Create pending enrollment record (never downgrade a completed enrollment)
     await pool.query(
-      'INSERT INTO user_topics (user_id, topic_id, payment_status) VALUES ($1, $2, $3) ON CONFLICT (user_id, topic_id) DO UPDATE SET payment_status = $3',
-      [userId, topicId, 'pending']
+      `INSERT INTO user_topics (user_id, topic_id, payment_status, razorpay_order_id) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id, topic_id) DO UPDATE SET payment_status = $3, razorpay_order_id = $4
+       WHERE user_topics.payment_status IS DISTINCT FROM 'completed'`,
+      [userId, topicId, 'pending', order.id]
     );
 
+    await recordOrderCreated(pool, order, {
+      userId,
+      itemType: ItemTypes.TOPIC,
+      topicId,
+      description: title,
+      couponId: coupon?.validation.coupon.id,
+      discountAmount: coupon?.validation.discountAmount
+    });
+
     res.json({
       success: true,
       requiresPayment: true,
@@ -746,7 +970,8 @@ router.post('/enroll', async (req, res) => {
       amount: order.amount,
       currency: order.currency,
       keyId: process.env.RAZORPAY_KEY_ID,
-      message: 'Razorpay order created successfully'
+      message: 'Razorpay order created successfully',
+      ...(coupon && { coupon: formatCouponSummary(coupon.validation) })
     });
   } catch (err) {
     console.error('Error in enrollment:', err);
@@ -759,6 +984,7 @@ router.post('/enroll', async (req, res) => {
  * /enrollments/user-topic-access/{user_id}/{topic_id}:
  *   get:
  *     summary: Check if user has access to a topic considering plan type and future topics
+ *     description: Access comes from the user's own purchases, or else from a seat assigned by their organisation (accessType "seat").
  *     tags: [Enrollments]
  *     parameters:
  *       - in: path
@@ -778,62 +1004,8 @@ router.post('/enroll', async (req, res) => {
 router.get('/user-topic-access/:user_id/:topic_id', async (req, res) => {
   const { user_id, topic_id } = req.params;
   try {
-    // Check direct enrollment (individual purchase)
-    const directEnrollment = await pool.query(
-      'SELECT payment_status FROM user_topics WHERE user_id = $1 AND topic_id = $2',
-      [user_id, topic_id]
-    );
-
-    if (directEnrollment.rows.length > 0) {
-      const status = directEnrollment.rows[0].payment_status;
-      return res.json({ 
-        hasAccess: status === 'completed', 
-        accessType: 'individual',
-        enrollmentStatus: status
-      });
-    }
-
-    // Check bundle enrollment considering future topics
-    const topic = await pool.query(
-      'SELECT category_id, created_at FROM topics WHERE id = $1',
-      [topic_id]
-    );
-
-    if (topic.rows.length === 0) {
-      return res.json({ hasAccess: false, accessType: 'none' });
-    }
-
-    const { category_id, created_at: topicCreatedAt } = topic.rows[0];
-    
-    const bundleEnrollment = await pool.query(
-      `SELECT payment_status, enrolled_at, future_topics_included 
-       FROM user_category_bundles 
-       WHERE user_id = $1 AND category_id = $2 AND payment_status = 'completed'`,
-      [user_id, category_id]
-    );
-
-    if (bundleEnrollment.rows.length === 0) {
-      return res.json({ hasAccess: false, accessType: 'none' });
-    }
-
-    const { enrolled_at: bundleEnrolledAt, future_topics_included: futureIncluded } = bundleEnrollment.rows[0];
-
-    // User has bundle access to current topics (enrolled at purchase time)
-    let hasAccess = new Date(topicCreatedAt) <= new Date(bundleEnrolledAt);
-
-    // Check if future topics are included in the bundle
-    if (!hasAccess && futureIncluded) {
-      hasAccess = true; // Future topics are included in this bundle
-    }
-
-    res.json({ 
-      hasAccess, 
-      accessType: 'bundle',
-      enrollmentStatus: 'completed',
-      futureTopicsIncluded: futureIncluded,
-      topicCreatedAt: topicCreatedAt?.toISOString(),
-      bundleEnrolledAt: bundleEnrolledAt?.toISOString()
-    });
+    const access = await checkTopicAccess(pool, user_id, topic_id);
+    res.json(access);
   } catch (err) {
     console.error('Error checking topic access:', err);
     res.status(500).json({ error: err.message });
@@ -926,6 +1098,13 @@ router.get('/category-topics-access/:user_id/:category_id', async (req, res) =>
       console.log('➕ Adding directly enrolled topic:', row.topic_id);
     });
 
+    // 3. And topics granted by organisation seats
+    const seatTopicIds = await getSeatTopicIds(pool, user_id, category_id);
+    seatTopicIds.forEach(topicId => accessibleTopicIds.add(topicId));
+    if (seatTopicIds.length > 0) {
+      console.log('🏢 Seat-granted topics:', seatTopicIds);
+    }
+
     console.log('✨ Final accessible topics:', Array.from(accessibleTopicIds));
     
     res.json({ 
@@ -1003,4 +1182,318 @@ router.get('/user-bundles/:user_id', async (req, res) => {
   }
 });
 
+// Complete whichever record the paid order belongs to: /api/purchases, an organisation seat licence, a bundle or a single topic
+const handlePaymentCompleted = async (orderId, paymentId, notes) => {
+  const licenceResult = await pool.query('SELECT id FROM seat_licences WHERE order_id = $1', [orderId]);
+  if (licenceResult.rows.length > 0) {
+    const licence = await fulfillSeatLicence({ orderId, paymentId });
+    if (!licence) return 'already_completed';
+    await issueInvoiceForOrder(orderId);
+    return 'seat_licence_completed';
+  }
+
+  const purchaseResult = await pool.query('SELECT id FROM purchases WHERE order_id = $1', [orderId]);
+  if (purchaseResult.rows.length > 0) {
+    const purchase = await fulfillPurchase(purchaseResult.rows[0].id, paymentId);
+    if (!purchase) return 'already_completed';
+    await notifyPurchaseFulfilled(purchase);
+    await issueInvoiceForOrder(orderId);
+    return 'purchase_completed';
+  }
+
+  if (notes.isBundle === 'true') {
+    const fulfilled = await fulfillBundleOrder({ orderId, paymentId });
+    if (!fulfilled) return 'already_completed';
+    await notifyBundleEnrollment(fulfilled.bundle.user_id, fulfilled.bundle.category_id);
+    await issueInvoiceForOrder(orderId);
+    return 'bundle_completed';
+  }
+
+  const enrollment = await fulfillTopicOrder({ orderId, paymentId });
+  if (!enrollment) return 'already_completed';
+  await notifyTopicEnrollment(enrollment.user_id, enrollment.topic_id);
+  await issueInvoiceForOrder(orderId);
+  return 'topic_completed';
+};
+
+/**
+ * @swagger
+ * /enrollments/webhook/razorpay:
+ *   post:
+ *     summary: Razorpay webhook receiver
+ *     description: |
+ *       Authoritative payment state from Razorpay, so purchases complete even if the app never
+ *       calls the verify endpoints. Requests must carry a valid x-razorpay-signature computed with
+ *       RAZORPAY_WEBHOOK_SECRET. Handles payment.captured, order.paid, payment.failed and
+ *       refund.processed; other events are acknowledged and ignored. Processing is idempotent with
+ *       the verify endpoints, and repeated deliveries of the same x-razorpay-event-id are skipped.
+ *     tags: [Enrollments]
+ *     parameters:
+ *       - in: header
+ *         name: x-razorpay-signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: x-razorpay-event-id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event processed (or ignored)
+ *       400:
+ *         description: Invalid webhook signature
+ *       500:
+ *         description: Processing failed; Razorpay will retry
+ */
+router.post('/webhook/razorpay', async (req, res) => {
+  const signature = req.headers['x-razorpay-signature'];
+  const eventId = req.headers['x-razorpay-event-id'];
+
+  if (!verifyWebhookSignature(req.rawBody, signature)) {
+    console.warn('⚠️ Razorpay webhook rejected: invalid signature');
+    return res.status(400).json({ success: false, error: 'Invalid webhook signature' });
+  }
+
+  const { event, payload = {} } = req.body;
+  const payment = payload.payment?.entity;
+  const order = payload.order?.entity;
+  const refund = payload.refund?.entity;
+  const orderId = order?.id || payment?.order_id || null;
+  const paymentId = payment?.id || refund?.payment_id || null;
+  const notes = { ...(order?.notes || {}), ...(payment?.notes || {}) };
+
+  try {
+    if (eventId) {
+      const processed = await pool.query(
+        'SELECT result FROM razorpay_webhook_events WHERE event_id = $1',
+        [eventId]
+      );
+      if (processed.rows.length > 0) {
+        return res.json({ success: true, duplicate: true, result: processed.rows[0].result });
+      }
+    }
+
+    let result = 'ignored';
+
+    switch (event) {
+      case 'payment.captured':
+      case 'order.paid':
+        result = await handlePaymentCompleted(orderId, paymentId, notes);
+        break;
+
+      case 'payment.failed': {
+        const userId = await failOrder({ orderId, paymentId });
+        result = userId ? 'marked_failed' : 'no_pending_records';
+        if (userId) {
+          try {
+            await sendPaymentFailedNotification(userId);
+          } catch (notifErr) {
+            console.error('Error sending payment failed notification:', notifErr);
+          }
+        }
+        break;
+      }
+
+      case 'refund.processed': {
+        // Refunds issued through /api/refunds are already recorded; only a full refund revokes access
+        const fullyRefunded = payment && Number(payment.amount_refunded) >= Number(payment.amount);
+        const recorded = await recordRefund({
+          refundId: refund.id,
+          paymentId,
+          amount: Number(refund.amount) / 100,
+          status: 'processed',
+          reason: refund.notes?.reason || null,
+          initiatedBy: 'webhook',
+          revokeAccess: fullyRefunded
+        });
+        if (!recorded) {
+          result = 'already_recorded';
+        } else {
+          // A refund recorded as pending by /api/refunds was already notified when it was issued
+          if (recorded.created && recorded.payment) {
+            await notifyRefund(recorded.payment.user_id, recorded.payment, Number(refund.amount) / 100, fullyRefunded);
+          }
+          result = fullyRefunded
+            ? (recorded.revokedUserId ? 'access_revoked' : 'no_completed_records')
+            : 'partial_refund';
+        }
+        break;
+      }
+    }
+
+    if (eventId) {
+      await pool.query(
+        `INSERT INTO razorpay_webhook_events (event_id, event_type, order_id, payment_id, result, payload)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (event_id) DO NOTHING`,
+        [eventId, event, orderId, paymentId, result, req.body]
+      );
+    }
+
+    console.log(`💳 Razorpay webhook ${event} (order ${orderId}, payment ${paymentId}): ${result}`);
+    res.json({ success: true, event, result });
+  } catch (err) {
+    console.error('Error processing Razorpay webhook:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /enrollments/invoices:
+ *   get:
+ *     summary: List the authenticated user's tax invoices
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invoices, newest first
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/invoices', verifyToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM invoices WHERE user_id = $1 ORDER BY issued_at DESC',
+      [req.user.userId]
+    );
+    res.json({ success: true, data: result.rows.map(formatInvoice) });
+  } catch (err) {
+    console.error('Error listing invoices:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /enrollments/invoices/{id}:
+ *   get:
+ *     summary: Download a tax invoice as PDF
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invoice PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Invoice not found
+ */
+router.get('/invoices/:id', verifyToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM invoices WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Invoice not found' });
+    }
+
+    const invoice = result.rows[0];
+    const pdf = await generateInvoicePdf(invoice);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoice_number.replace(/\//g, '-')}.pdf"`);
+    res.send(pdf);
+  } catch (err) {
+    console.error('Error generating invoice PDF:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /enrollments/admin/invoices/register:
+ *   get:
+ *     summary: Monthly invoice register for GST filing
+ *     tags: [Enrollments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Month in YYYY-MM format
+ *         example: "2026-10"
+ *       - in: query
+ *         name: download
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Set to true to download as CSV
+ *     responses:
+ *       200:
+ *         description: Invoices issued in the month with GST totals
+ *       400:
+ *         description: Invalid month
+ *       401:
+ *         description: Admin access required
+ */
+router.get('/admin/invoices/register', requirePermission(PERMISSIONS.FINANCE_READ), async (req, res) => {
+  const { month, download } = req.query;
+  const [year, monthNum] = String(month || '').split('-').map(part => parseInt(part));
+
+  if (!year || !monthNum || monthNum < 1 || monthNum > 12) {
+    return res.status(400).json({ success: false, error: 'month is required in YYYY-MM format' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT * FROM invoices
+       WHERE EXTRACT(YEAR FROM issued_at) = $1 AND EXTRACT(MONTH FROM issued_at) = $2
+       ORDER BY invoice_number ASC`,
+      [year, monthNum]
+    );
+
+    const invoices = result.rows.map(formatInvoice);
+    const sum = (field) => Math.round(invoices.reduce((total, invoice) => total + invoice[field], 0) * 100) / 100;
+    const totals = {
+      invoiceCount: invoices.length,
+      taxableAmount: sum('taxableAmount'),
+      cgstAmount: sum('cgstAmount'),
+      sgstAmount: sum('sgstAmount'),
+      igstAmount: sum('igstAmount'),
+      totalAmount: sum('totalAmount')
+    };
+
+    if (download === 'true' || download === true) {
+      let csvContent = 'Invoice Number,Date,Buyer Name,Buyer Email,Description,SAC,Place of Supply,Taxable Value,CGST,SGST,IGST,Total,Currency,Order ID,Payment ID\n';
+      invoices.forEach(row => {
+        csvContent += `${row.invoiceNumber},${row.issuedAt},"${row.buyerName || ''}","${row.buyerEmail || ''}","${row.description || ''}",${row.sacCode},"${row.placeOfSupply || ''}",${row.taxableAmount},${row.cgstAmount},${row.sgstAmount},${row.igstAmount},${row.totalAmount},${row.currency},${row.orderId || ''},${row.paymentId || ''}\n`;
+      });
+      csvContent += `TOTAL,,,,,,,${totals.taxableAmount},${totals.cgstAmount},${totals.sgstAmount},${totals.igstAmount},${totals.totalAmount},,,\n`;
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="invoice_register_${year}-${String(monthNum).padStart(2, '0')}.csv"`);
+      return res.send(csvContent);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        month: `${year}-${String(monthNum).padStart(2, '0')}`,
+        totals,
+        invoices
+      }
+    });
+  } catch (err) {
+    console.error('Error generating invoice register:', err);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
 module.exports = router;
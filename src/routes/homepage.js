@@ -1,5 +1,8 @@
 const express = require('express');
 const router = express.Router();
+const { USER_TOPIC_PROGRESS_SQL } = require('../utils/topicProgress');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 /**
  * @swagger
@@ -67,7 +70,7 @@ const router = express.Router();
  *                       example: "4.6"
  */
 // GET /api/dashboard/overview - Dashboard overview statistics
-router.get('/dashboard/overview', async (req, res) => {
+router.get('/dashboard/overview', requirePermission(PERMISSIONS.DASHBOARD_READ), async (req, res) => {
   try {
     // Get total users and verified users
     const usersQuery = `
@@ -94,10 +97,10 @@ router.get('/dashboard/overview', async (req, res) => {
       WHERE payment_status IS NOT NULL
     `;
 
-    // Get total watch time from user_topic_progress
+    // Get total watch time from topic_progress
     const watchTimeQuery = `
-      SELECT COALESCE(SUM(watch_time), 0) as total_watch_time_seconds
-      FROM user_topic_progress
+      SELECT COALESCE(SUM(watch_time_seconds), 0) as total_watch_time_seconds
+      FROM topic_progress
     `;
 
     // Get new users this month
@@ -373,7 +376,7 @@ router.get('/dashboard/overview', async (req, res) => {
  *                       type: string
  */
 // GET /api/dashboard/updates - Get user enrollments and subscriptions with filters
-router.get('/dashboard/updates', async (req, res) => {
+router.get('/dashboard/updates', requirePermission(PERMISSIONS.DASHBOARD_READ), async (req, res) => {
   try {
     const {
       tab = 'enrolled',
@@ -445,7 +448,7 @@ router.get('/dashboard/updates', async (req, res) => {
           topic_id,
           AVG(progress) as total_progress,
           SUM(watch_time) as total_watch_time
-        FROM user_topic_progress
+        FROM (${USER_TOPIC_PROGRESS_SQL}) user_topic_progress
         GROUP BY user_id, topic_id
       ) utp ON ut.user_id = utp.user_id AND ut.topic_id = utp.topic_id
       ${whereClause}
@@ -605,7 +608,7 @@ router.get('/dashboard/updates', async (req, res) => {
  *                       type: integer
  */
 // GET /api/dashboard/earnings - Get monthly earnings data
-router.get('/dashboard/earnings', async (req, res) => {
+router.get('/dashboard/earnings', requirePermission(PERMISSIONS.DASHBOARD_READ), async (req, res) => {
   try {
     const currentYear = new Date().getFullYear();
     const {
@@ -617,17 +620,17 @@ router.get('/dashboard/earnings', async (req, res) => {
     const numMonths = Math.min(Math.max(parseInt(months) || 12, 1), 12);
     const targetYear = parseInt(year) || currentYear;
 
-    // Query to get monthly earnings (revenue) from user_topics with successful payments
+    // Query to get monthly earnings from the amounts actually captured in the payments ledger
     const earningsQuery = `
       SELECT 
-        TO_CHAR(ut.enrolled_at, 'Mon') as month_name,
-        EXTRACT(MONTH FROM ut.enrolled_at) as month_number,
-        COALESCE(SUM(t.price), 0) as total_earnings
-      FROM user_topics ut
-      LEFT JOIN topics t ON ut.topic_id = t.id
-      WHERE ut.payment_status IN ('completed', 'paid', 'subscription')
-        AND EXTRACT(YEAR FROM ut.enrolled_at) = $1
-        AND EXTRACT(MONTH FROM ut.enrolled_at) <= $2
+        TO_CHAR(p.paid_at, 'Mon') as month_name,
+        EXTRACT(MONTH FROM p.paid_at) as month_number,
+        COALESCE(SUM(p.amount - COALESCE(p.amount_refunded, 0)), 0) as total_earnings,
+        COUNT(*) FILTER (WHERE p.status = 'captured') as payment_count
+      FROM payments p
+      WHERE p.status IN ('captured', 'refunded')
+        AND EXTRACT(YEAR FROM p.paid_at) = $1
+        AND EXTRACT(MONTH FROM p.paid_at) <= $2
       GROUP BY month_name, month_number
       ORDER BY month_number ASC
     `;
@@ -643,7 +646,8 @@ router.get('/dashboard/earnings', async (req, res) => {
       const monthIndex = parseInt(row.month_number) - 1;
       dataMap[monthIndex] = {
         month: monthNames[monthIndex],
-        value: parseFloat(row.total_earnings || 0)
+        value: parseFloat(row.total_earnings || 0),
+        count: parseInt(row.payment_count || 0)
       };
     });
 
@@ -653,12 +657,14 @@ router.get('/dashboard/earnings', async (req, res) => {
       if (dataMap[i]) {
         formattedData.push({
           month: monthNames[i],
-          value: parseFloat(dataMap[i].value.toFixed(2))
+          value: parseFloat(dataMap[i].value.toFixed(2)),
+          count: dataMap[i].count
         });
       } else {
         formattedData.push({
           month: monthNames[i],
-          value: 0
+          value: 0,
+          count: 0
         });
       }
     }
@@ -730,7 +736,7 @@ router.get('/dashboard/earnings', async (req, res) => {
  *                         example: "+25.5%"
  */
 // GET /api/dashboard/reports/monthly - Get monthly growth report
-router.get('/dashboard/reports/monthly', async (req, res) => {
+router.get('/dashboard/reports/monthly', requirePermission(PERMISSIONS.DASHBOARD_READ), async (req, res) => {
   try {
     const currentYear = new Date().getFullYear();
     const {
@@ -746,15 +752,23 @@ router.get('/dashboard/reports/monthly', async (req, res) => {
       WITH monthly_stats AS (
         SELECT 
           EXTRACT(MONTH FROM enrolled_at) as month_number,
-          COUNT(*) as enrollments,
-          COALESCE(SUM(t.price), 0) as revenue
+          COUNT(*) as enrollments
         FROM user_topics ut
-        LEFT JOIN topics t ON ut.topic_id = t.id
         WHERE ut.payment_status IN ('completed', 'paid', 'subscription')
           AND EXTRACT(YEAR FROM ut.enrolled_at) = $1
           AND EXTRACT(MONTH FROM ut.enrolled_at) <= $2
         GROUP BY month_number
       ),
+      monthly_revenue AS (
+        SELECT 
+          EXTRACT(MONTH FROM paid_at) as month_number,
+          COALESCE(SUM(amount - COALESCE(amount_refunded, 0)), 0) as revenue
+        FROM payments
+        WHERE status IN ('captured', 'refunded')
+          AND EXTRACT(YEAR FROM paid_at) = $1
+          AND EXTRACT(MONTH FROM paid_at) <= $2
+        GROUP BY month_number
+      ),
       monthly_users AS (
         SELECT 
           EXTRACT(MONTH FROM created_at) as month_number,
@@ -765,12 +779,13 @@ router.get('/dashboard/reports/monthly', async (req, res) => {
         GROUP BY month_number
       )
       SELECT 
-        COALESCE(ms.month_number, mu.month_number) as month_number,
+        COALESCE(ms.month_number, mu.month_number, mr.month_number) as month_number,
         COALESCE(mu.new_users, 0) as users,
         COALESCE(ms.enrollments, 0) as enrollments,
-        COALESCE(ms.revenue, 0) as revenue
+        COALESCE(mr.revenue, 0) as revenue
       FROM monthly_stats ms
       FULL OUTER JOIN monthly_users mu ON ms.month_number = mu.month_number
+      FULL OUTER JOIN monthly_revenue mr ON COALESCE(ms.month_number, mu.month_number) = mr.month_number
       ORDER BY month_number ASC
     `;
 
@@ -888,11 +903,17 @@ router.get('/dashboard/reports/monthly', async (req, res) => {
  *                 totalSubscribed:
  *                   type: integer
  *                   example: 2000
+ *                 totalEarnings:
+ *                   type: number
+ *                   description: Captured payments net of refunds in the payments ledger (earnings segment only)
+ *                 totalRefunded:
+ *                   type: number
+ *                   description: Refunded payments in the payments ledger (earnings segment only)
  *                 data:
  *                   type: array
  */
 // GET /api/dashboard/reports/monthlyReport - Generate monthly report by segment
-router.get('/dashboard/reports/monthlyReport', async (req, res) => {
+router.get('/dashboard/reports/monthlyReport', requirePermission(PERMISSIONS.DASHBOARD_READ), async (req, res) => {
   try {
     const { segment, month, download } = req.query;
 
@@ -905,6 +926,7 @@ router.get('/dashboard/reports/monthlyReport', async (req, res) => {
 
     const shouldDownload = download === 'true' || download === true;
     let whereClause = '';
+    let paymentsWhereClause = '';
     let monthDisplay = 'All Time';
 
     // Apply month filter if provided
@@ -912,6 +934,7 @@ router.get('/dashboard/reports/monthlyReport', async (req, res) => {
       const [year, monthNum] = month.split('-');
       if (year && monthNum) {
         whereClause = `AND EXTRACT(YEAR FROM ut.enrolled_at) = ${parseInt(year)} AND EXTRACT(MONTH FROM ut.enrolled_at) = ${parseInt(monthNum)}`;
+        paymentsWhereClause = `AND EXTRACT(YEAR FROM COALESCE(p.paid_at, p.created_at)) = ${parseInt(year)} AND EXTRACT(MONTH FROM COALESCE(p.paid_at, p.created_at)) = ${parseInt(monthNum)}`;
         const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
         monthDisplay = `${monthNames[parseInt(monthNum) - 1]} ${year}`;
       }
@@ -919,6 +942,8 @@ router.get('/dashboard/reports/monthlyReport', async (req, res) => {
 
     let reportData = [];
     let totals = {
+      totalEarnings: 0,
+      totalRefunded: 0,
       totalPaymentTransactions: 0,
       totalTopics: 0,
       totalEnrolled: 0,
@@ -926,28 +951,36 @@ router.get('/dashboard/reports/monthlyReport', async (req, res) => {
     };
 
     if (segment === 'earnings') {
-      // Earnings Report - Payment transactions with revenue
+      // Earnings Report - Payment transactions from the payments ledger
       const earningsQuery = `
         SELECT 
           u.id as user_id,
           u.name as user_name,
           u.email as user_email,
-          t.id as topic_id,
-          t.title as topic_title,
-          ut.payment_status,
-          ut.enrolled_at,
-          COALESCE(t.price, 0) as amount,
+          p.item_type,
+          p.topic_id,
+          COALESCE(t.title, p.description) as item_title,
+          p.order_id,
+          p.payment_id,
+          p.amount,
+          COALESCE(p.amount_refunded, 0) as amount_refunded,
+          p.currency,
+          p.status as payment_status,
+          COALESCE(p.paid_at, p.created_at) as payment_date,
           CASE 
-            WHEN ut.payment_status IN ('completed', 'paid') THEN 'Success'
-            WHEN ut.payment_status = 'pending' THEN 'Pending'
+            WHEN p.status = 'captured' AND COALESCE(p.amount_refunded, 0) > 0 THEN 'Partially Refunded'
+            WHEN p.status = 'captured' THEN 'Success'
+            WHEN p.status = 'created' THEN 'Pending'
+            WHEN p.status = 'failed' THEN 'Failed'
+            WHEN p.status = 'refunded' THEN 'Refunded'
             ELSE 'Other'
           END as transaction_status
-        FROM user_topics ut
-        JOIN users u ON ut.user_id = u.id
-        JOIN topics t ON ut.topic_id = t.id
-        WHERE ut.payment_status IN ('completed', 'paid', 'pending')
-        ${whereClause}
-        ORDER BY ut.enrolled_at DESC
+        FROM payments p
+        JOIN users u ON p.user_id = u.id
+        LEFT JOIN topics t ON p.topic_id = t.id
+        WHERE 1 = 1
+        ${paymentsWhereClause}
+        ORDER BY payment_date DESC
       `;
 
       const result = await req.pool.query(earningsQuery);
@@ -955,18 +988,31 @@ router.get('/dashboard/reports/monthlyReport', async (req, res) => {
         userId: row.user_id,
         userName: row.user_name,
         userEmail: row.user_email,
+        itemType: row.item_type,
         topicId: row.topic_id,
-        topicTitle: row.topic_title,
+        itemTitle: row.item_title,
+        orderId: row.order_id,
+        paymentId: row.payment_id,
         amount: parseFloat(row.amount),
+        amountRefunded: parseFloat(row.amount_refunded),
+        currency: row.currency,
         transactionStatus: row.transaction_status,
         paymentStatus: row.payment_status,
-        date: row.enrolled_at
+        date: row.payment_date
       }));
 
       // Get totals for earnings
       const totalQuery = `
         SELECT 
-          COUNT(*) as total_transactions,
+          COUNT(*) FILTER (WHERE p.status = 'captured') as total_transactions,
+          COALESCE(SUM(p.amount - COALESCE(p.amount_refunded, 0)) FILTER (WHERE p.status IN ('captured', 'refunded')), 0) as total_earnings,
+          COALESCE(SUM(p.amount_refunded), 0) as total_refunded
+        FROM payments p
+        WHERE 1 = 1
+        ${paymentsWhereClause}
+      `;
+      const enrollmentTotalQuery = `
+        SELECT 
           COUNT(DISTINCT ut.topic_id) as total_topics,
           COUNT(CASE WHEN ut.payment_status IN ('completed', 'paid', 'pending') THEN 1 END) as total_enrolled,
           COUNT(CASE WHEN ut.payment_status = 'subscription' THEN 1 END) as total_subscribed
@@ -974,12 +1020,19 @@ router.get('/dashboard/reports/monthlyReport', async (req, res) => {
         WHERE ut.payment_status IN ('completed', 'paid', 'pending', 'subscription')
         ${whereClause}
       `;
-      const totalResult = await req.pool.query(totalQuery);
+      const [totalResult, enrollmentTotalResult] = await Promise.all([
+        req.pool.query(totalQuery),
+        req.pool.query(enrollmentTotalQuery)
+      ]);
       if (totalResult.rows.length > 0) {
         totals.totalPaymentTransactions = parseInt(totalResult.rows[0].total_transactions || 0);
-        totals.totalTopics = parseInt(totalResult.rows[0].total_topics || 0);
-        totals.totalEnrolled = parseInt(totalResult.rows[0].total_enrolled || 0);
-        totals.totalSubscribed = parseInt(totalResult.rows[0].total_subscribed || 0);
+        totals.totalEarnings = parseFloat(parseFloat(totalResult.rows[0].total_earnings || 0).toFixed(2));
+        totals.totalRefunded = parseFloat(parseFloat(totalResult.rows[0].total_refunded || 0).toFixed(2));
+      }
+      if (enrollmentTotalResult.rows.length > 0) {
+        totals.totalTopics = parseInt(enrollmentTotalResult.rows[0].total_topics || 0);
+        totals.totalEnrolled = parseInt(enrollmentTotalResult.rows[0].total_enrolled || 0);
+        totals.totalSubscribed = parseInt(enrollmentTotalResult.rows[0].total_subscribed || 0);
       }
 
     } else if (segment === 'topics') {
@@ -995,7 +1048,7 @@ router.get('/dashboard/reports/monthlyReport', async (req, res) => {
           COALESCE(AVG(utp.progress), 0) as average_progress
         FROM topics t
         LEFT JOIN user_topics ut ON t.id = ut.topic_id ${whereClause.replace('ut.enrolled_at', 'enrolled_at')}
-        LEFT JOIN user_topic_progress utp ON t.id = utp.topic_id
+        LEFT JOIN (${USER_TOPIC_PROGRESS_SQL}) utp ON t.id = utp.topic_id
         GROUP BY t.id, t.title, t.description, t.price
         ORDER BY total_enrollments DESC
       `;
@@ -1050,7 +1103,7 @@ router.get('/dashboard/reports/monthlyReport', async (req, res) => {
         FROM user_topics ut
         JOIN users u ON ut.user_id = u.id
         JOIN topics t ON ut.topic_id = t.id
-        LEFT JOIN user_topic_progress utp ON ut.user_id = utp.user_id AND ut.topic_id = utp.topic_id
+        LEFT JOIN (${USER_TOPIC_PROGRESS_SQL}) utp ON ut.user_id = utp.user_id AND ut.topic_id = utp.topic_id
         WHERE ut.payment_status IN ('completed', 'paid', 'pending', 'active', 'processing')
         ${whereClause}
         ORDER BY ut.enrolled_at DESC
@@ -1096,9 +1149,9 @@ router.get('/dashboard/reports/monthlyReport', async (req, res) => {
       let filename = `${segment}_report_${monthDisplay.replace(' ', '_')}.csv`;
 
       if (segment === 'earnings') {
-        csvContent = 'User ID,User Name,User Email,Topic ID,Topic Title,Amount,Transaction Status,Payment Status,Date\n';
+        csvContent = 'User ID,User Name,User Email,Item Type,Topic ID,Item,Order ID,Payment ID,Amount,Amount Refunded,Currency,Transaction Status,Payment Status,Date\n';
         reportData.forEach(row => {
-          csvContent += `${row.userId},"${row.userName}","${row.userEmail}",${row.topicId},"${row.topicTitle}",${row.amount},${row.transactionStatus},${row.paymentStatus},${row.date}\n`;
+          csvContent += `${row.userId},"${row.userName}","${row.userEmail}",${row.itemType},${row.topicId || ''},"${row.itemTitle || ''}",${row.orderId || ''},${row.paymentId || ''},${row.amount},${row.amountRefunded},${row.currency},${row.transactionStatus},${row.paymentStatus},${row.date}\n`;
         });
       } else if (segment === 'topics') {
         csvContent = 'Topic ID,Topic Title,Description,Price,Total Enrollments,Completed Enrollments,Average Progress\n';
@@ -1127,6 +1180,10 @@ router.get('/dashboard/reports/monthlyReport', async (req, res) => {
         totalTopics: totals.totalTopics,
         totalEnrolled: totals.totalEnrolled,
         totalSubscribed: totals.totalSubscribed,
+        ...(segment === 'earnings' && {
+          totalEarnings: totals.totalEarnings,
+          totalRefunded: totals.totalRefunded
+        }),
         reportData: reportData
       }
     });
@@ -1616,7 +1673,7 @@ router.get('/homepage/:language', async (req, res) => {
  *                   $ref: '#/components/schemas/Homepage'
  */
 // POST/PUT homepage content
-router.post('/homepage/content', async (req, res) => {
+router.post('/homepage/content', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     const { language, hero, about, contact, faqs } = req.body;
 
@@ -1991,7 +2048,7 @@ router.post('/homepage/content', async (req, res) => {
  *                   $ref: '#/components/schemas/FAQ'
  */
 // POST new FAQ
-router.post('/homepage/faqs', async (req, res) => {
+router.post('/homepage/faqs', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     const { language, question, answer, order, isActive } = req.body;
 
@@ -2152,7 +2209,7 @@ router.post('/homepage/faqs', async (req, res) => {
  *         description: FAQ not found
  */
 // PUT update FAQ by ID
-router.put('/homepage/faqs/:id', async (req, res) => {
+router.put('/homepage/faqs/:id', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     const faqId = parseInt(req.params.id);
     const { question, answer, order, isActive } = req.body;
@@ -2249,7 +2306,7 @@ router.put('/homepage/faqs/:id', async (req, res) => {
 });
 
 // DELETE FAQ by ID
-router.delete('/homepage/faqs/:id', async (req, res) => {
+router.delete('/homepage/faqs/:id', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     const faqId = parseInt(req.params.id);
 
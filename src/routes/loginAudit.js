@@ -0,0 +1,333 @@
+const express = require('express');
+const router = express.Router();
+const {
+  LoginEventTypes,
+  SecurityRules,
+  formatLoginEvent,
+  formatSecurityFlag
+} = require('../utils/loginAudit');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+const FLAG_SELECT = `
+  SELECT f.*, u.name as user_name, u.email as user_email, a.email as resolved_by_admin_email
+  FROM account_security_flags f
+  LEFT JOIN users u ON f.user_id = u.id
+  LEFT JOIN admin_users a ON f.resolved_by_admin_id = a.id
+`;
+
+function getPaging(query) {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 50, 1), 200);
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+function buildPagination(page, limit, totalCount) {
+  const totalPages = Math.ceil(totalCount / limit);
+  return {
+    currentPage: page,
+    totalPages,
+    totalCount,
+    limit,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1
+  };
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Login Audit
+ *     description: Admin search of learner sign-in activity and accounts flagged by anomaly detection
+ */
+
+/**
+ * @swagger
+ * /api/admin/security/login-events:
+ *   get:
+ *     tags: [Login Audit]
+ *     summary: Search login events, newest first
+ *     description: |
+ *       OTP sends, OTP verifies, Google/Apple sign-ins and logouts with their outcome, IP, user agent,
+ *       device id and location hints. Filters combine with AND.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Exact email, case-insensitive
+ *       - in: query
+ *         name: ipAddress
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: eventType
+ *         schema:
+ *           type: string
+ *           enum: [otp_send, otp_verify, oauth, logout, logout_all]
+ *       - in: query
+ *         name: success
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Login events with pagination
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         description: Admin access required
+ */
+router.get('/login-events', requirePermission(PERMISSIONS.USERS_READ), async (req, res) => {
+  const { userId, email, ipAddress, deviceId, eventType, success, country, from, to } = req.query;
+
+  if (eventType && !Object.values(LoginEventTypes).includes(eventType)) {
+    return res.status(400).json({
+      success: false,
+      error: `eventType must be one of: ${Object.values(LoginEventTypes).join(', ')}`
+    });
+  }
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && isNaN(new Date(value).getTime())) {
+      return res.status(400).json({ success: false, error: `${name} must be a valid date` });
+    }
+  }
+
+  try {
+    const { page, limit, offset } = getPaging(req.query);
+    const params = [];
+    let whereClause = 'WHERE 1 = 1';
+    const addFilter = (sql, value) => {
+      params.push(value);
+      whereClause += ` AND ${sql.replace('?', `$${params.length}`)}`;
+    };
+
+    if (userId) addFilter('le.user_id = ?', parseInt(userId));
+    if (email) addFilter('LOWER(le.email) = ?', String(email).trim().toLowerCase());
+    if (ipAddress) addFilter('le.ip_address = ?', ipAddress);
+    if (deviceId) addFilter('le.device_id = ?', deviceId);
+    if (eventType) addFilter('le.event_type = ?', eventType);
+    if (success === 'true' || success === 'false') addFilter('le.success = ?', success === 'true');
+    if (country) addFilter('le.country = ?', String(country).toUpperCase());
+    if (from) addFilter('le.created_at >= ?', new Date(from));
+    if (to) addFilter('le.created_at <= ?', new Date(to));
+
+    const countResult = await req.pool.query(
+      `SELECT COUNT(*) as total FROM login_events le ${whereClause}`,
+      params
+    );
+
+    const result = await req.pool.query(`
+      SELECT le.*, u.name as user_name
+      FROM login_events le
+      LEFT JOIN users u ON le.user_id = u.id
+      ${whereClause}
+      ORDER BY le.created_at DESC, le.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    res.json({
+      success: true,
+      data: result.rows.map(formatLoginEvent),
+      pagination: buildPagination(page, limit, parseInt(countResult.rows[0].total))
+    });
+  } catch (err) {
+    console.error('Error in GET /admin/security/login-events:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/security/flags:
+ *   get:
+ *     tags: [Login Audit]
+ *     summary: List accounts flagged by login anomaly detection
+ *     description: |
+ *       Rules are many_failures (LOGIN_FAILURE_THRESHOLD failed sign-ins within LOGIN_FAILURE_WINDOW_MINUTES),
+ *       new_country (successful sign-in from a country the user has not signed in from before) and
+ *       impossible_travel (two sign-ins further apart than IMPOSSIBLE_TRAVEL_KMH allows).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, resolved]
+ *       - in: query
+ *         name: rule
+ *         schema:
+ *           type: string
+ *           enum: [many_failures, new_country, impossible_travel]
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Security flags with pagination
+ *       401:
+ *         description: Admin access required
+ */
+router.get('/flags', requirePermission(PERMISSIONS.USERS_READ), async (req, res) => {
+  const { status, rule, userId } = req.query;
+
+  if (rule && !Object.values(SecurityRules).includes(rule)) {
+    return res.status(400).json({
+      success: false,
+      error: `rule must be one of: ${Object.values(SecurityRules).join(', ')}`
+    });
+  }
+
+  try {
+    const { page, limit, offset } = getPaging(req.query);
+    const params = [];
+    let whereClause = 'WHERE 1 = 1';
+    if (status === 'open' || status === 'resolved') {
+      params.push(status);
+      whereClause += ` AND f.status = $${params.length}`;
+    }
+    if (rule) {
+      params.push(rule);
+      whereClause += ` AND f.rule = $${params.length}`;
+    }
+    if (userId) {
+      params.push(parseInt(userId));
+      whereClause += ` AND f.user_id = $${params.length}`;
+    }
+
+    const countResult = await req.pool.query(
+      `SELECT COUNT(*) as total FROM account_security_flags f ${whereClause}`,
+      params
+    );
+
+    const result = await req.pool.query(`
+      ${FLAG_SELECT}
+      ${whereClause}
+      ORDER BY f.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    res.json({
+      success: true,
+      data: result.rows.map(formatSecurityFlag),
+      pagination: buildPagination(page, limit, parseInt(countResult.rows[0].total))
+    });
+  } catch (err) {
+    console.error('Error in GET /admin/security/flags:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/security/flags/{id}/resolve:
+ *   post:
+ *     tags: [Login Audit]
+ *     summary: Resolve a security flag after review
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 example: Confirmed with the learner, they were travelling
+ *     responses:
+ *       200:
+ *         description: Flag resolved
+ *       404:
+ *         description: Flag not found
+ *       409:
+ *         description: Flag already resolved
+ */
+router.post('/flags/:id/resolve', requirePermission(PERMISSIONS.USERS_WRITE), async (req, res) => {
+  try {
+    const result = await req.pool.query(
+      `UPDATE account_security_flags
+       SET status = 'resolved', resolved_by_admin_id = $2, resolution_notes = $3, resolved_at = NOW()
+       WHERE id = $1 AND status = 'open'
+       RETURNING id`,
+      [req.params.id, req.admin.id, req.body.notes || null]
+    );
+
+    const flagResult = await req.pool.query(`${FLAG_SELECT} WHERE f.id = $1`, [req.params.id]);
+    if (flagResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Security flag not found' });
+    }
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Security flag is already resolved',
+        data: formatSecurityFlag(flagResult.rows[0])
+      });
+    }
+
+    console.log(`✅ Security flag ${req.params.id} resolved by ${req.admin.email}`);
+    res.json({ success: true, data: formatSecurityFlag(flagResult.rows[0]) });
+  } catch (err) {
+    console.error('Error in POST /admin/security/flags/:id/resolve:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,5 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const { Pool } = require('pg');
 const pool = new Pool();
 const {
@@ -15,34 +14,8 @@ const {
   subscribeToTopic,
   unsubscribeFromTopic,
 } = require('../controllers/notificationController');
-
-const JWT_SECRET = process.env.JWT_SECRET || 'changeme';
-const ADMIN_API_KEY = process.env.ADMIN_API_KEY || 'thinkCyberAdminKey2024';
-
-// Middleware to verify JWT token or Admin API key
-const verifyToken = async (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const apiKey = req.headers['x-admin-api-key'];
-  
-  // First check for Admin API key
-  if (apiKey && apiKey === ADMIN_API_KEY) {
-    req.user = { id: 'admin', isAdmin: true };
-    return next();
-  }
-  
-  // Otherwise check for Bearer token
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ success: false, error: 'No token provided' });
-  }
-  const token = authHeader.split(' ')[1];
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (err) {
-    res.status(401).json({ success: false, error: 'Invalid or expired token' });
-  }
-};
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 /**
  * @swagger
@@ -458,8 +431,7 @@ router.post('/unsubscribe-topic', verifyToken, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/send', verifyToken, async (req, res) => {
-  // TODO: Add admin role check
+router.post('/send', requirePermission(PERMISSIONS.NOTIFICATIONS_SEND), async (req, res) => {
   const { userId, title, body, imageUrl, data } = req.body;
 
   if (!userId || !title || !body) {
@@ -520,8 +492,7 @@ router.post('/send', verifyToken, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/send-multiple', verifyToken, async (req, res) => {
-  // TODO: Add admin role check
+router.post('/send-multiple', requirePermission(PERMISSIONS.NOTIFICATIONS_SEND), async (req, res) => {
   const { userIds, title, body, imageUrl, data } = req.body;
 
   if (!userIds || !Array.isArray(userIds) || !title || !body) {
@@ -577,8 +548,7 @@ router.post('/send-multiple', verifyToken, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.post('/broadcast', verifyToken, async (req, res) => {
-  // TODO: Add admin role check
+router.post('/broadcast', requirePermission(PERMISSIONS.NOTIFICATIONS_SEND), async (req, res) => {
   const { title, body, imageUrl, data } = req.body;
 
   if (!title || !body) {
@@ -633,7 +603,7 @@ router.post('/broadcast', verifyToken, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/broadcast-history', verifyToken, async (req, res) => {
+router.get('/broadcast-history', requirePermission(PERMISSIONS.NOTIFICATIONS_SEND), async (req, res) => {
   const limit = parseInt(req.query.limit) || 50;
   const offset = parseInt(req.query.offset) || 0;
 
@@ -680,7 +650,7 @@ router.get('/broadcast-history', verifyToken, async (req, res) => {
  *       500:
  *         description: Server error
  */
-router.get('/stats', verifyToken, async (req, res) => {
+router.get('/stats', requirePermission(PERMISSIONS.NOTIFICATIONS_SEND), async (req, res) => {
   try {
     const [devicesResult, activeDevicesResult, broadcastsResult, usersWithDevicesResult] = await Promise.all([
       pool.query('SELECT COUNT(*) as total FROM user_fcm_tokens'),
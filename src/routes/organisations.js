@@ -0,0 +1,691 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../middleware/auth');
+const {
+  MANAGER_ROLES,
+  formatOrganisation,
+  formatMember,
+  formatLicence,
+  getMembership,
+  createOrganisation,
+  inviteMember,
+  createSeatOrder,
+  listLicences,
+  assignSeat,
+  reclaimSeats,
+  removeMember,
+  getTeamProgress
+} = require('../utils/organisations');
+const { verifyPaymentSignature, fulfillSeatLicence } = require('../utils/paymentFulfillment');
+const { issueInvoiceForOrder } = require('../utils/invoices');
+
+router.use(verifyToken);
+
+// Load the caller's membership of :id; managers only unless anyMember is set
+async function loadMembership(req, res, { anyMember = false } = {}) {
+  const organisationId = parseInt(req.params.id);
+  if (!organisationId) {
+    res.status(400).json({ success: false, error: 'Invalid organisation id' });
+    return null;
+  }
+
+  const membership = await getMembership(organisationId, req.user.userId);
+  if (!membership) {
+    res.status(404).json({ success: false, error: 'Organisation not found' });
+    return null;
+  }
+  if (!anyMember && !MANAGER_ROLES.includes(membership.role)) {
+    res.status(403).json({ success: false, error: 'Only organisation owners and admins can do this' });
+    return null;
+  }
+  return membership;
+}
+
+async function getUser(pool, userId) {
+  const result = await pool.query('SELECT * FROM users WHERE id = $1', [userId]);
+  return result.rows[0];
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Organisations
+ *     description: Team accounts that buy seats of topics or bundles and assign them to members
+ */
+
+/**
+ * @swagger
+ * /api/organisations:
+ *   post:
+ *     tags: [Organisations]
+ *     summary: Create an organisation
+ *     description: The caller becomes its owner.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Acme Corp
+ *               billingEmail:
+ *                 type: string
+ *                 description: Defaults to the owner's email
+ *     responses:
+ *       201:
+ *         description: Organisation created
+ *       400:
+ *         description: Name missing
+ *   get:
+ *     tags: [Organisations]
+ *     summary: List the organisations the caller belongs to
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Organisations with the caller's role
+ */
+router.post('/', async (req, res) => {
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  if (!name || name.length > 255) {
+    return res.status(400).json({ success: false, error: 'name is required (max 255 characters)' });
+  }
+
+  try {
+    const user = await getUser(req.pool, req.user.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const organisation = await createOrganisation(user, { name, billingEmail: req.body.billingEmail });
+    console.log(`🏢 Organisation ${organisation.id} created by user ${user.id}`);
+    res.status(201).json({ success: true, data: formatOrganisation({ ...organisation, member_count: 1 }) });
+  } catch (err) {
+    console.error('Error in POST /organisations:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const result = await req.pool.query(
+      `SELECT o.*, om.role as my_role,
+              (SELECT COUNT(*) FROM organisation_members m WHERE m.organisation_id = o.id AND m.status = 'active') as member_count
+       FROM organisation_members om
+       JOIN organisations o ON o.id = om.organisation_id AND o.is_active = true
+       WHERE om.user_id = $1 AND om.status = 'active'
+       ORDER BY o.name ASC`,
+      [req.user.userId]
+    );
+    res.json({ success: true, data: result.rows.map(formatOrganisation) });
+  } catch (err) {
+    console.error('Error in GET /organisations:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organisations/{id}:
+ *   get:
+ *     tags: [Organisations]
+ *     summary: Get an organisation the caller belongs to
+ *     description: Members also see the licences they hold a seat on.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Organisation details
+ *       404:
+ *         description: Not a member of this organisation
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res, { anyMember: true });
+    if (!membership) return;
+
+    const result = await req.pool.query(
+      `SELECT o.*, (SELECT COUNT(*) FROM organisation_members m WHERE m.organisation_id = o.id AND m.status = 'active') as member_count
+       FROM organisations o WHERE o.id = $1`,
+      [membership.organisation_id]
+    );
+    const seats = await req.pool.query(
+      `SELECT sa.licence_id, sa.assigned_at FROM seat_assignments sa
+       WHERE sa.member_id = $1 AND sa.reclaimed_at IS NULL`,
+      [membership.id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        ...formatOrganisation({ ...result.rows[0], my_role: membership.role }),
+        mySeats: seats.rows.map((seat) => ({
+          licenceId: seat.licence_id,
+          assignedAt: seat.assigned_at?.toISOString()
+        }))
+      }
+    });
+  } catch (err) {
+    console.error('Error in GET /organisations/:id:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organisations/{id}/members:
+ *   get:
+ *     tags: [Organisations]
+ *     summary: List members and pending invites
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [invited, active, removed]
+ *     responses:
+ *       200:
+ *         description: Members with the licences they hold seats on
+ *       403:
+ *         description: Owner or admin role required
+ *   post:
+ *     tags: [Organisations]
+ *     summary: Invite a member by email
+ *     description: |
+ *       The invitee is emailed and joins as soon as they sign up or log in with that address
+ *       and confirm the OTP. Removed members can be invited again.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [admin, member]
+ *                 default: member
+ *     responses:
+ *       201:
+ *         description: Invite sent
+ *       400:
+ *         description: Invalid email or role
+ *       409:
+ *         description: Already a member or invited
+ */
+router.get('/:id/members', async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res);
+    if (!membership) return;
+
+    const params = [membership.organisation_id];
+    let statusClause = `AND om.status <> 'removed'`;
+    if (['invited', 'active', 'removed'].includes(req.query.status)) {
+      params.push(req.query.status);
+      statusClause = `AND om.status = $${params.length}`;
+    }
+
+    const result = await req.pool.query(
+      `SELECT om.*, u.name as user_name,
+              ARRAY(SELECT sa.licence_id FROM seat_assignments sa
+                    WHERE sa.member_id = om.id AND sa.reclaimed_at IS NULL ORDER BY sa.licence_id) as assigned_licence_ids
+       FROM organisation_members om
+       LEFT JOIN users u ON u.id = om.user_id
+       WHERE om.organisation_id = $1 ${statusClause}
+       ORDER BY om.status ASC, om.invited_at DESC`,
+      params
+    );
+    res.json({ success: true, data: result.rows.map(formatMember) });
+  } catch (err) {
+    console.error('Error in GET /organisations/:id/members:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+router.post('/:id/members', async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res);
+    if (!membership) return;
+
+    const inviter = await getUser(req.pool, req.user.userId);
+    const result = await inviteMember(membership, inviter, { email: req.body.email, role: req.body.role });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    console.log(`✉️ ${result.member.email} invited to organisation ${membership.organisation_id}`);
+    res.status(201).json({ success: true, data: formatMember(result.member) });
+  } catch (err) {
+    console.error('Error in POST /organisations/:id/members:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organisations/{id}/members/{memberId}:
+ *   delete:
+ *     tags: [Organisations]
+ *     summary: Remove a member or cancel an invite
+ *     description: Any seats the member holds are reclaimed. The owner cannot be removed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       400:
+ *         description: Cannot remove the owner
+ *       404:
+ *         description: Member not found
+ */
+router.delete('/:id/members/:memberId', async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res);
+    if (!membership) return;
+
+    const result = await removeMember(membership, parseInt(req.params.memberId), req.user.userId);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({
+      success: true,
+      message: 'Member removed',
+      data: { ...formatMember(result.member), reclaimedSeats: result.reclaimedSeats }
+    });
+  } catch (err) {
+    console.error('Error in DELETE /organisations/:id/members/:memberId:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organisations/{id}/licences:
+ *   get:
+ *     tags: [Organisations]
+ *     summary: List seat licences with seats used and available
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Seat licences
+ *   post:
+ *     tags: [Organisations]
+ *     summary: Create a Razorpay order for seats
+ *     description: |
+ *       Buys seats of a topic (topicId) or a category bundle (categoryId) at the regular price per seat.
+ *       The licence stays pending until the payment is verified or the payment webhook arrives.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - seats
+ *             properties:
+ *               topicId:
+ *                 type: integer
+ *               categoryId:
+ *                 type: integer
+ *               seats:
+ *                 type: integer
+ *                 example: 25
+ *               currency:
+ *                 type: string
+ *                 default: INR
+ *     responses:
+ *       201:
+ *         description: Razorpay order and pending licence
+ *       400:
+ *         description: Invalid seats or free item
+ *       404:
+ *         description: Topic or category not found
+ */
+router.get('/:id/licences', async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res);
+    if (!membership) return;
+
+    const licences = await listLicences(membership.organisation_id, req.pool);
+    res.json({ success: true, data: licences.map(formatLicence) });
+  } catch (err) {
+    console.error('Error in GET /organisations/:id/licences:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+router.post('/:id/licences', async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res);
+    if (!membership) return;
+
+    const buyer = await getUser(req.pool, req.user.userId);
+    const result = await createSeatOrder(membership, buyer, {
+      topicId: req.body.topicId,
+      categoryId: req.body.categoryId,
+      seats: req.body.seats,
+      currency: req.body.currency
+    });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        licence: formatLicence(result.licence),
+        order: result.order
+      }
+    });
+  } catch (err) {
+    console.error('Error in POST /organisations/:id/licences:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organisations/{id}/licences/verify:
+ *   post:
+ *     tags: [Organisations]
+ *     summary: Verify a seat payment and activate the licence
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               razorpay_order_id:
+ *                 type: string
+ *               razorpay_payment_id:
+ *                 type: string
+ *               razorpay_signature:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Licence active
+ *       400:
+ *         description: Invalid payment signature
+ *       404:
+ *         description: Licence not found for this order
+ */
+router.post('/:id/licences/verify', async (req, res) => {
+  const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+
+  try {
+    const membership = await loadMembership(req, res);
+    if (!membership) return;
+
+    const existing = await req.pool.query(
+      'SELECT id FROM seat_licences WHERE order_id = $1 AND organisation_id = $2',
+      [razorpay_order_id, membership.organisation_id]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Licence not found for this order' });
+    }
+
+    if (!verifyPaymentSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature)) {
+      return res.status(400).json({ success: false, error: 'Payment verification failed' });
+    }
+
+    // Null when the webhook already activated it
+    const activated = await fulfillSeatLicence({ orderId: razorpay_order_id, paymentId: razorpay_payment_id });
+    let invoice = null;
+    if (activated) {
+      console.log(`🎟️ Seat licence ${activated.id} active: ${activated.seats} seats for organisation ${activated.organisation_id}`);
+      invoice = await issueInvoiceForOrder(razorpay_order_id);
+    }
+
+    const licences = await listLicences(membership.organisation_id, req.pool);
+    const licence = licences.find((row) => row.id === existing.rows[0].id);
+    res.json({
+      success: true,
+      message: activated ? 'Payment verified and seats are ready to assign' : 'Licence already active',
+      data: formatLicence(licence),
+      invoiceId: invoice?.id || null
+    });
+  } catch (err) {
+    console.error('Error in POST /organisations/:id/licences/verify:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organisations/{id}/licences/{licenceId}/assignments:
+ *   post:
+ *     tags: [Organisations]
+ *     summary: Assign a seat to a member
+ *     description: The member must have joined. They get access immediately and are notified.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: licenceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - memberId
+ *             properties:
+ *               memberId:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Seat assigned
+ *       404:
+ *         description: Licence or member not found
+ *       409:
+ *         description: Licence not paid, no seats left, member not joined or already seated
+ */
+router.post('/:id/licences/:licenceId/assignments', async (req, res) => {
+  const memberId = parseInt(req.body.memberId);
+  if (!memberId) {
+    return res.status(400).json({ success: false, error: 'memberId is required' });
+  }
+
+  try {
+    const membership = await loadMembership(req, res);
+    if (!membership) return;
+
+    const result = await assignSeat(membership, parseInt(req.params.licenceId), memberId, req.user.userId);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    const { assignment } = result;
+    res.status(201).json({
+      success: true,
+      data: {
+        id: assignment.id,
+        licenceId: assignment.licence_id,
+        memberId: assignment.member_id,
+        userId: assignment.user_id,
+        assignedAt: assignment.assigned_at?.toISOString()
+      }
+    });
+  } catch (err) {
+    console.error('Error in POST /organisations/:id/licences/:licenceId/assignments:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organisations/{id}/licences/{licenceId}/assignments/{memberId}:
+ *   delete:
+ *     tags: [Organisations]
+ *     summary: Reclaim a member's seat
+ *     description: The member loses access straight away and the seat can be assigned to someone else.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: licenceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Seat reclaimed
+ *       404:
+ *         description: Member has no seat on this licence
+ */
+router.delete('/:id/licences/:licenceId/assignments/:memberId', async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res);
+    if (!membership) return;
+
+    const reclaimed = await reclaimSeats(
+      membership,
+      { licenceId: parseInt(req.params.licenceId), memberId: parseInt(req.params.memberId) },
+      req.user.userId
+    );
+    if (reclaimed.length === 0) {
+      return res.status(404).json({ success: false, error: 'Member has no seat on this licence' });
+    }
+
+    res.json({ success: true, message: 'Seat reclaimed' });
+  } catch (err) {
+    console.error('Error in DELETE /organisations/:id/licences/:licenceId/assignments/:memberId:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/organisations/{id}/progress:
+ *   get:
+ *     tags: [Organisations]
+ *     summary: Team progress on seat-assigned topics
+ *     description: Per member, progress and watch time on every topic their seats cover.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Progress per member with a team summary
+ *       403:
+ *         description: Owner or admin role required
+ */
+router.get('/:id/progress', async (req, res) => {
+  try {
+    const membership = await loadMembership(req, res);
+    if (!membership) return;
+
+    const members = await getTeamProgress(membership.organisation_id);
+    const seated = members.filter((member) => member.assignedTopics > 0);
+    res.json({
+      success: true,
+      data: {
+        summary: {
+          activeMembers: members.length,
+          membersWithSeats: seated.length,
+          averageProgress: seated.length
+            ? Math.round(seated.reduce((sum, member) => sum + member.averageProgress, 0) / seated.length * 10) / 10
+            : 0,
+          totalWatchTimeSeconds: members.reduce((sum, member) => sum + member.watchTimeSeconds, 0)
+        },
+        members
+      }
+    });
+  } catch (err) {
+    console.error('Error in GET /organisations/:id/progress:', err);
+    res.status(500).json({ success: false, error: err.message || 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,4 +1,6 @@
 const express = require('express');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const router = express.Router();
 
 /**
@@ -355,7 +357,7 @@ router.get('/privacy', async (req, res) => {
 });
 
 // POST create privacy policy
-router.post('/privacy', async (req, res) => {
+router.post('/privacy', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   const { title, content, version, language, status, effectiveDate, createdBy } = req.body;
   
   if (!title || title.trim() === '') {
@@ -492,7 +494,7 @@ router.get('/privacy/:id', async (req, res) => {
 });
 
 // PUT update privacy policy by ID
-router.put('/privacy/:id', async (req, res) => {
+router.put('/privacy/:id', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   const policyId = parseInt(req.params.id);
   const { title, content, version, language, status, effectiveDate, updatedBy } = req.body;
   
@@ -596,7 +598,7 @@ router.put('/privacy/:id', async (req, res) => {
 });
 
 // DELETE privacy policy by ID
-router.delete('/privacy/:id', async (req, res) => {
+router.delete('/privacy/:id', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   const policyId = parseInt(req.params.id);
   
   if (!policyId || isNaN(policyId)) {
@@ -640,7 +642,7 @@ router.delete('/privacy/:id', async (req, res) => {
 });
 
 // POST publish privacy policy by ID
-router.post('/privacy/:id/publish', async (req, res) => {
+router.post('/privacy/:id/publish', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   const policyId = parseInt(req.params.id);
   const { effectiveDate, publishedBy } = req.body;
   
@@ -0,0 +1,191 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../middleware/auth');
+const categoryPlanController = require('../controllers/categoryPlanController');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Purchases
+ *     description: Plan-type aware checkout for FREE, INDIVIDUAL, BUNDLE and FLEXIBLE categories
+ */
+
+/**
+ * @swagger
+ * /api/purchases/calculate:
+ *   post:
+ *     tags: [Purchases]
+ *     summary: Calculate the price of a checkout without creating an order
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - categoryId
+ *             properties:
+ *               categoryId:
+ *                 type: integer
+ *                 example: 3
+ *               purchaseType:
+ *                 type: string
+ *                 enum: [free, bundle, individual_topics]
+ *                 description: Defaults from the category plan type when omitted
+ *               selectedTopicIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [12, 15]
+ *     responses:
+ *       200:
+ *         description: Price breakdown and the topics that would be unlocked
+ *       400:
+ *         description: Purchase not allowed for this plan type
+ *       404:
+ *         description: Category not found
+ */
+router.post('/calculate', verifyToken, categoryPlanController.calculatePrice);
+
+/**
+ * @swagger
+ * /api/purchases/create:
+ *   post:
+ *     tags: [Purchases]
+ *     summary: Start a purchase
+ *     description: |
+ *       Prices are always computed on the server from the category plan type.
+ *       FREE categories and zero-priced selections are unlocked immediately;
+ *       paid purchases return a Razorpay order to complete with /api/purchases/verify.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - categoryId
+ *             properties:
+ *               categoryId:
+ *                 type: integer
+ *                 example: 3
+ *               purchaseType:
+ *                 type: string
+ *                 enum: [free, bundle, individual_topics]
+ *               selectedTopicIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [12, 15]
+ *               currency:
+ *                 type: string
+ *                 example: INR
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Razorpay order details, or the unlocked topics for free purchases
+ *       400:
+ *         description: Purchase not allowed for this plan type
+ *       404:
+ *         description: Category not found
+ */
+router.post('/create', verifyToken, categoryPlanController.createPurchase);
+
+/**
+ * @swagger
+ * /api/purchases/verify:
+ *   post:
+ *     tags: [Purchases]
+ *     summary: Verify a Razorpay payment and unlock the purchased topics
+ *     description: Safe to retry; a purchase that is already completed is returned as is.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - razorpay_order_id
+ *               - razorpay_payment_id
+ *               - razorpay_signature
+ *             properties:
+ *               razorpay_order_id:
+ *                 type: string
+ *               razorpay_payment_id:
+ *                 type: string
+ *               razorpay_signature:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment verified and access granted
+ *       400:
+ *         description: Invalid signature
+ *       404:
+ *         description: Purchase not found
+ */
+router.post('/verify', verifyToken, categoryPlanController.verifyPurchase);
+
+/**
+ * @swagger
+ * /api/purchases/my:
+ *   get:
+ *     tags: [Purchases]
+ *     summary: List the authenticated user's purchases
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Purchases, newest first
+ */
+router.get('/my', verifyToken, categoryPlanController.getUserPurchases);
+
+/**
+ * @swagger
+ * /api/purchases/access/{topicId}:
+ *   get:
+ *     tags: [Purchases]
+ *     summary: Check the authenticated user's access to a topic under its plan type
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Access decision and reason
+ *       404:
+ *         description: Topic not found
+ */
+router.get('/access/:topicId', verifyToken, categoryPlanController.checkTopicAccess);
+
+/**
+ * @swagger
+ * /api/purchases/categories/{id}:
+ *   get:
+ *     tags: [Purchases]
+ *     summary: Get a category's plan type, bundle price and topics for checkout
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Category checkout details
+ *       404:
+ *         description: Category not found
+ */
+router.get('/categories/:id', categoryPlanController.getCategoryDetails);
+
+module.exports = router;
@@ -0,0 +1,276 @@
+const express = require('express');
+const router = express.Router();
+const {
+  requestRazorpayRefund,
+  recordRefund,
+  notifyRefund
+} = require('../utils/paymentRefunds');
+const { revokePayment } = require('../utils/paymentFulfillment');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+
+// Helper function to format refund data consistently
+function formatRefund(refund) {
+  return {
+    id: refund.id,
+    refundId: refund.refund_id,
+    paymentId: refund.payment_id,
+    orderId: refund.order_id,
+    userId: refund.user_id,
+    userName: refund.user_name,
+    userEmail: refund.user_email,
+    itemType: refund.item_type,
+    amount: parseFloat(refund.amount),
+    currency: refund.currency,
+    status: refund.status,
+    reason: refund.reason,
+    accessRevoked: refund.access_revoked,
+    initiatedBy: refund.initiated_by,
+    createdAt: refund.created_at?.toISOString()
+  };
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Refunds
+ *     description: Admin refunds for topic, bundle and multi-topic purchases
+ */
+
+/**
+ * @swagger
+ * /api/refunds:
+ *   post:
+ *     tags: [Refunds]
+ *     summary: Refund a captured Razorpay payment
+ *     description: |
+ *       Refunds the whole remaining amount when amount is omitted. A full refund always revokes the
+ *       topic or bundle access the payment unlocked and marks those enrollments refunded; a partial
+ *       refund only revokes access when revokeAccess is true. The user is notified either way.
+ *       Set RAZORPAY_MOCK_REFUNDS=true to simulate Razorpay locally.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               paymentId:
+ *                 type: string
+ *                 description: Razorpay payment ID (or pass orderId)
+ *               orderId:
+ *                 type: string
+ *                 description: Razorpay order ID
+ *               amount:
+ *                 type: number
+ *                 description: Amount to refund in major currency units; defaults to the remaining amount
+ *                 example: 499
+ *               reason:
+ *                 type: string
+ *               revokeAccess:
+ *                 type: boolean
+ *                 description: Revoke access on a partial refund
+ *     responses:
+ *       201:
+ *         description: Refund issued
+ *       400:
+ *         description: Invalid amount or payment is not refundable
+ *       401:
+ *         description: Admin access required
+ *       404:
+ *         description: Payment not found
+ *       502:
+ *         description: Razorpay rejected the refund
+ */
+router.post('/', requirePermission(PERMISSIONS.FINANCE_WRITE), async (req, res) => {
+  const { paymentId, orderId, amount, reason, revokeAccess } = req.body;
+
+  if (!paymentId && !orderId) {
+    return res.status(400).json({ success: false, error: 'paymentId or orderId is required' });
+  }
+
+  try {
+    const paymentResult = await req.pool.query(
+      `SELECT * FROM payments
+       WHERE ${paymentId ? 'payment_id' : 'order_id'} = $1
+       ORDER BY id DESC LIMIT 1`,
+      [paymentId || orderId]
+    );
+
+    if (paymentResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Payment not found' });
+    }
+
+    const payment = paymentResult.rows[0];
+
+    if (payment.status !== 'captured' || !payment.payment_id) {
+      return res.status(400).json({
+        success: false,
+        error: `Only captured payments can be refunded (payment is ${payment.status})`
+      });
+    }
+
+    const remaining = Math.round((Number(payment.amount) - Number(payment.amount_refunded || 0)) * 100) / 100;
+    const refundAmount = amount === undefined || amount === null
+      ? remaining
+      : Math.round(Number(amount) * 100) / 100;
+
+    if (!(refundAmount > 0) || refundAmount > remaining) {
+      return res.status(400).json({
+        success: false,
+        error: `Refund amount must be greater than 0 and at most ${remaining}`
+      });
+    }
+
+    const isFullRefund = refundAmount >= remaining;
+    const shouldRevoke = isFullRefund || revokeAccess === true;
+
+    let razorpayRefund;
+    try {
+      razorpayRefund = await requestRazorpayRefund(payment.payment_id, Math.round(refundAmount * 100), {
+        reason: reason || '',
+        ledgerId: String(payment.id)
+      });
+    } catch (rzpErr) {
+      console.error('Razorpay refund failed:', rzpErr);
+      return res.status(502).json({
+        success: false,
+        error: rzpErr.error?.description || rzpErr.message || 'Razorpay refund failed'
+      });
+    }
+
+    const recorded = await recordRefund({
+      refundId: razorpayRefund.id,
+      paymentId: payment.payment_id,
+      amount: refundAmount,
+      status: razorpayRefund.status === 'processed' ? 'processed' : 'pending',
+      reason,
+      initiatedBy: req.admin.email || 'admin',
+      revokeAccess: shouldRevoke
+    });
+
+    if (recorded) {
+      await notifyRefund(payment.user_id, payment, refundAmount, shouldRevoke);
+    } else if (shouldRevoke) {
+      // The refund.processed webhook got here first and only revokes on full refunds
+      await revokePayment(payment.payment_id);
+    }
+
+    console.log(`💸 Refund ${razorpayRefund.id}: ${refundAmount} on payment ${payment.payment_id}${shouldRevoke ? ' (access revoked)' : ''}`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        refundId: razorpayRefund.id,
+        paymentId: payment.payment_id,
+        orderId: payment.order_id,
+        amount: refundAmount,
+        currency: payment.currency,
+        status: recorded?.refund.status || razorpayRefund.status,
+        isFullRefund,
+        accessRevoked: shouldRevoke,
+        paymentStatus: recorded?.payment?.status || payment.status,
+        amountRefunded: recorded?.payment ? parseFloat(recorded.payment.amount_refunded) : refundAmount
+      }
+    });
+  } catch (err) {
+    console.error('Error in POST /refunds:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/refunds:
+ *   get:
+ *     tags: [Refunds]
+ *     summary: List refunds, newest first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: paymentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Refunds with pagination
+ *       401:
+ *         description: Admin access required
+ */
+router.get('/', requirePermission(PERMISSIONS.FINANCE_READ), async (req, res) => {
+  try {
+    const { paymentId, userId } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = (page - 1) * limit;
+
+    const params = [];
+    let whereClause = 'WHERE 1 = 1';
+    if (paymentId) {
+      params.push(paymentId);
+      whereClause += ` AND r.payment_id = $${params.length}`;
+    }
+    if (userId) {
+      params.push(userId);
+      whereClause += ` AND r.user_id = $${params.length}`;
+    }
+
+    const countResult = await req.pool.query(
+      `SELECT COUNT(*) as total FROM refunds r ${whereClause}`,
+      params
+    );
+
+    const result = await req.pool.query(`
+      SELECT r.*, p.order_id, p.item_type, u.name as user_name, u.email as user_email
+      FROM refunds r
+      LEFT JOIN payments p ON r.ledger_id = p.id
+      LEFT JOIN users u ON r.user_id = u.id
+      ${whereClause}
+      ORDER BY r.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    const totalCount = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      success: true,
+      data: result.rows.map(formatRefund),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount,
+        limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (err) {
+    console.error('Error in GET /refunds:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,4 +1,6 @@
 const express = require('express');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const router = express.Router();
 
 /**
@@ -360,7 +362,7 @@ router.get('/subcategories', async (req, res) => {
 });
 
 // POST subcategory
-router.post('/subcategories', async (req, res) => {
+router.post('/subcategories', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   const { name, category_id, categoryId, description, status, displayOrder, priority } = req.body;
 
   if (!name || name.trim() === '') {
@@ -514,7 +516,7 @@ router.get('/subcategories/:id', async (req, res) => {
 });
 
 // PUT update subcategory by ID
-router.put('/subcategories/:id', async (req, res) => {
+router.put('/subcategories/:id', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   const subcategoryId = parseInt(req.params.id);
   const { name, category_id, categoryId, description, status, displayOrder, priority } = req.body;
 
@@ -624,7 +626,7 @@ router.put('/subcategories/:id', async (req, res) => {
 });
 
 // DELETE subcategory by ID
-router.delete('/subcategories/:id', async (req, res) => {
+router.delete('/subcategories/:id', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   const subcategoryId = parseInt(req.params.id);
 
   if (!subcategoryId || isNaN(subcategoryId)) {
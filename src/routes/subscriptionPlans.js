@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const subscriptionPlansController = require('../controllers/subscriptionPlansController');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 /**
  * @swagger
@@ -72,7 +74,7 @@ router.get('/', subscriptionPlansController.listSubscriptionPlans);
  *       200:
  *         description: Subscription plans statistics
  */
-router.get('/stats', subscriptionPlansController.getSubscriptionPlansStats);
+router.get('/stats', requirePermission(PERMISSIONS.DASHBOARD_READ), subscriptionPlansController.getSubscriptionPlansStats);
 
 /**
  * @swagger
@@ -129,7 +131,7 @@ router.get('/active', subscriptionPlansController.getActiveSubscriptionPlans);
  *       409:
  *         description: Plan with same name already exists
  */
-router.post('/', subscriptionPlansController.createSubscriptionPlan);
+router.post('/', requirePermission(PERMISSIONS.FINANCE_WRITE), subscriptionPlansController.createSubscriptionPlan);
 
 /**
  * @swagger
@@ -194,7 +196,7 @@ router.get('/:id', subscriptionPlansController.getSubscriptionPlan);
  *       404:
  *         description: Subscription plan not found
  */
-router.put('/:id', subscriptionPlansController.updateSubscriptionPlan);
+router.put('/:id', requirePermission(PERMISSIONS.FINANCE_WRITE), subscriptionPlansController.updateSubscriptionPlan);
 
 /**
  * @swagger
@@ -215,6 +217,6 @@ router.put('/:id', subscriptionPlansController.updateSubscriptionPlan);
  *       404:
  *         description: Subscription plan not found
  */
-router.delete('/:id', subscriptionPlansController.deleteSubscriptionPlan);
+router.delete('/:id', requirePermission(PERMISSIONS.FINANCE_WRITE), subscriptionPlansController.deleteSubscriptionPlan);
 
 module.exports = router;
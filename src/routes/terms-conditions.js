@@ -1,4 +1,6 @@
 const express = require('express');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const router = express.Router();
 
 /**
@@ -355,7 +357,7 @@ router.get('/terms', async (req, res) => {
 });
 
 // POST create terms and conditions
-router.post('/terms', async (req, res) => {
+router.post('/terms', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   const { title, content, version, language, status, effectiveDate, createdBy } = req.body;
   
   if (!title || title.trim() === '') {
@@ -492,7 +494,7 @@ router.get('/terms/:id', async (req, res) => {
 });
 
 // PUT update terms and conditions by ID
-router.put('/terms/:id', async (req, res) => {
+router.put('/terms/:id', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   const termsId = parseInt(req.params.id);
   const { title, content, version, language, status, effectiveDate, updatedBy } = req.body;
   
@@ -596,7 +598,7 @@ router.put('/terms/:id', async (req, res) => {
 });
 
 // DELETE terms and conditions by ID
-router.delete('/terms/:id', async (req, res) => {
+router.delete('/terms/:id', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   const termsId = parseInt(req.params.id);
   
   if (!termsId || isNaN(termsId)) {
@@ -640,7 +642,7 @@ router.delete('/terms/:id', async (req, res) => {
 });
 
 // POST publish terms and conditions by ID
-router.post('/terms/:id/publish', async (req, res) => {
+router.post('/terms/:id/publish', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   const termsId = parseInt(req.params.id);
   const { effectiveDate, publishedBy } = req.body;
   
@@ -3,6 +3,10 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const { uploadToS3 } = require('../utils/s3-helper');
+const { requirePermission, identifyViewer } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { getTopicResources } = require('../utils/lessonResources');
+const { canViewTopicVideos, lockVideo } = require('../utils/topicAccess');
 
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
@@ -64,6 +68,7 @@ function formatTopicData(topic, modules = []) {
     enrollmentCount: topic.enrollment_count,
     displayOrder: topic.display_order || 0,
     rating: topic.rating, // This might come from joins
+    averageRating: topic.average_rating, // Approved reviews only
     reviewCount: topic.review_count, // This might come from joins
     createdAt: topic.created_at?.toISOString(),
     updatedAt: topic.updated_at?.toISOString(),
@@ -437,7 +442,7 @@ router.get('/topics', async (req, res) => {
 });
 
 // POST /api/topics - Create new topic
-router.post('/topics', async (req, res) => {
+router.post('/topics', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     const {
       title,
@@ -775,6 +780,9 @@ router.post('/topics', async (req, res) => {
  * /api/topics/{id}:
  *   get:
  *     summary: Get topic by ID
+ *     description: |
+ *       Video URLs are only included for preview videos, admins and learners with access to the topic;
+ *       other videos have isLocked set and null URLs. Learners play them through /api/topics/{topicId}/videos/{videoId}/play.
  *     parameters:
  *       - in: path
  *         name: id
@@ -811,7 +819,7 @@ router.post('/topics', async (req, res) => {
  */
 
 // GET /api/topics/:id - Get topic by ID
-router.get('/topics/:id', async (req, res) => {
+router.get('/topics/:id', identifyViewer, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -821,10 +829,18 @@ router.get('/topics/:id', async (req, res) => {
         c.name as category_name,
         c.name as category_slug,
         sc.name as subcategory_name,
-        sc.name as subcategory_slug
+        sc.name as subcategory_slug,
+        COALESCE(rv.average_rating, 0) as average_rating,
+        COALESCE(rv.review_count, 0) as review_count
       FROM topics t
       LEFT JOIN category c ON t.category_id = c.id
       LEFT JOIN subcategory sc ON t.subcategory_id = sc.id
+      LEFT JOIN (
+        SELECT topic_id, AVG(rating) as average_rating, COUNT(*) as review_count
+        FROM topic_reviews
+        WHERE status = 'approved'
+        GROUP BY topic_id
+      ) rv ON rv.topic_id = t.id
       WHERE t.id = $1
     `, [id]);
 
@@ -850,6 +866,9 @@ router.get('/topics/:id', async (req, res) => {
       ORDER BY module_id ASC, order_index ASC
     `, [id]);
 
+    const lessonResources = await getTopicResources(id, req.pool);
+    const entitled = await canViewTopicVideos(req.pool, req.viewer, topic.id);
+
     const modules = modulesResult.rows.map(module => ({
       id: module.id,
       topicId: module.topic_id,
@@ -861,11 +880,12 @@ router.get('/topics/:id', async (req, res) => {
       durationMinutes: module.duration_minutes,
       createdAt: module.created_at?.toISOString(),
       updatedAt: module.updated_at?.toISOString(),
+      lessonResources: lessonResources.filter(resource => resource.moduleId == module.id && !resource.videoId),
       videos: videosResult.rows
         .filter(video => video.module_id == module.id)
         .map(video => {
           console.log(`[Topic Detail] Video: ${video.id}, DurationSeconds: ${video.duration_seconds} (Type: ${typeof video.duration_seconds})`);
-          return {
+          return lockVideo({
             id: video.id,
             topicId: video.topic_id,
             moduleId: video.module_id,
@@ -884,16 +904,18 @@ router.get('/topics/:id', async (req, res) => {
             isPreview: video.is_preview,
             transcript: video.transcript,
             resources: video.resources || [],
+            lessonResources: lessonResources.filter(resource => resource.videoId == video.id),
             createdAt: video.created_at?.toISOString(),
             updatedAt: video.updated_at?.toISOString()
-          };
+          }, entitled);
         })
     }));
 
     // Add additional fields to topic
     topic.category = topic.category_slug;
     topic.subcategory = topic.subcategory_slug;
-    topic.rating = parseFloat(topic.rating) || 0;
+    topic.average_rating = Math.round((parseFloat(topic.average_rating) || 0) * 10) / 10;
+    topic.rating = topic.average_rating;
     topic.review_count = parseInt(topic.review_count) || 0;
 
     res.json({
@@ -911,7 +933,7 @@ router.get('/topics/:id', async (req, res) => {
 });
 
 // PUT /api/topics/:id - Update topic
-router.put('/topics/:id', upload.single('thumbnail'), async (req, res) => {
+router.put('/topics/:id', requirePermission(PERMISSIONS.CONTENT_WRITE), upload.single('thumbnail'), async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
@@ -1365,6 +1387,7 @@ router.put('/topics/:id', upload.single('thumbnail'), async (req, res) => {
           tv.description,
           tv.video_url,
           tv.thumbnail_url,
+          tv.sprite_vtt_url,
           tv.duration_seconds,
           tv.order_index,
           tv.video_type,
@@ -1386,6 +1409,7 @@ router.put('/topics/:id', upload.single('thumbnail'), async (req, res) => {
         videoUrl: video.video_url,
         thumbnail: video.thumbnail_url || '',
         thumbnailUrl: video.thumbnail_url,
+        spriteVttUrl: video.sprite_vtt_url || null,
         order: video.order_index,
         orderIndex: video.order_index,
         videoType: video.video_type || 'mp4',
@@ -1421,7 +1445,7 @@ router.put('/topics/:id', upload.single('thumbnail'), async (req, res) => {
 });
 
 // DELETE /api/topics/:id - Delete topic
-router.delete('/topics/:id', async (req, res) => {
+router.delete('/topics/:id', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -1566,7 +1590,7 @@ router.get('/topics/category/:categoryId', async (req, res) => {
 });
 
 // DELETE /api/topics/bulk-delete - Bulk delete topics
-router.delete('/topics/bulk-delete', async (req, res) => {
+router.delete('/topics/bulk-delete', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     const { ids } = req.body;
 
@@ -1822,6 +1846,8 @@ router.get('/topics/deep/search', async (req, res) => {
               SELECT 1 FROM topic_videos tv
               WHERE tv.topic_id = t.id AND tv.is_active = TRUE AND tv.transcript ILIKE $1
             ) THEN 'video.transcript'
+
+            WHEN cue.id IS NOT NULL THEN 'video.caption'
           END AS matched_field,
 
           -- WHAT TEXT MATCHED?
@@ -1855,9 +1881,30 @@ router.get('/topics/deep/search', async (req, res) => {
               SELECT 1 FROM topic_videos tv
               WHERE tv.topic_id = t.id AND tv.is_active = TRUE AND tv.transcript ILIKE $1
             ) THEN (SELECT tv.transcript FROM topic_videos tv WHERE tv.topic_id = t.id AND tv.is_active = TRUE AND tv.transcript ILIKE $1 LIMIT 1)
-          END AS matched_value
+
+            WHEN cue.id IS NOT NULL THEN cue.text
+          END AS matched_value,
+
+          -- WHERE IN THE VIDEO? First matching caption cue, preferring default tracks
+          cue.video_id AS cue_video_id,
+          cue.module_id AS cue_module_id,
+          cue.video_title AS cue_video_title,
+          cue.language AS cue_language,
+          cue.start_seconds AS cue_start_seconds,
+          cue.end_seconds AS cue_end_seconds,
+          cue.text AS cue_text
 
         FROM topics t
+        LEFT JOIN LATERAL (
+          SELECT c.id, c.video_id, tv.module_id, tv.title AS video_title, ct.language,
+                 c.start_seconds, c.end_seconds, c.text
+          FROM video_caption_cues c
+          JOIN video_caption_tracks ct ON ct.id = c.track_id
+          JOIN topic_videos tv ON tv.id = c.video_id
+          WHERE tv.topic_id = t.id AND tv.is_active = TRUE AND c.text ILIKE $1
+          ORDER BY ct.is_default DESC, tv.order_index, c.start_seconds
+          LIMIT 1
+        ) cue ON TRUE
         WHERE t.status = 'published'
         AND (
           t.title ILIKE $1
@@ -1866,6 +1913,7 @@ router.get('/topics/deep/search', async (req, res) => {
           OR t.tags::text ILIKE $1 
           OR EXISTS (SELECT 1 FROM topic_modules tm WHERE tm.topic_id = t.id AND tm.is_active = TRUE AND (tm.title ILIKE $1 OR tm.description ILIKE $1))
           OR EXISTS (SELECT 1 FROM topic_videos tv WHERE tv.topic_id = t.id AND tv.is_active = TRUE AND (tv.title ILIKE $1 OR tv.description ILIKE $1 OR tv.transcript ILIKE $1))
+          OR cue.id IS NOT NULL
         )
       ),
 
@@ -1877,6 +1925,13 @@ router.get('/topics/deep/search', async (req, res) => {
         t.*,
         m.matched_field,
         m.matched_value,
+        m.cue_video_id,
+        m.cue_module_id,
+        m.cue_video_title,
+        m.cue_language,
+        m.cue_start_seconds,
+        m.cue_end_seconds,
+        m.cue_text,
         c.name AS category_name,
         sc.name AS subcategory_name,
         total.total
@@ -1912,6 +1967,15 @@ router.get('/topics/deep/search', async (req, res) => {
       // NEW → what matched?
       matchedField: row.matched_field,
       matchedValue: row.matched_value,
+      matchedCue: row.cue_video_id ? {
+        videoId: row.cue_video_id,
+        moduleId: row.cue_module_id,
+        videoTitle: row.cue_video_title,
+        language: row.cue_language,
+        startSeconds: parseFloat(row.cue_start_seconds),
+        endSeconds: parseFloat(row.cue_end_seconds),
+        text: row.cue_text
+      } : null,
 
       categoryName: row.category_name,
       subcategoryName: row.subcategory_name
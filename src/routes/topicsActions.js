@@ -1,8 +1,10 @@
 const express = require('express');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const router = express.Router();
 
 // POST /api/topics/:id/toggle-status - Toggle topic status
-router.post('/topics/:id/toggle-status', async (req, res) => {
+router.post('/topics/:id/toggle-status', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -66,7 +68,7 @@ router.post('/topics/:id/toggle-status', async (req, res) => {
 });
 
 // POST /api/topics/:id/toggle-featured - Toggle featured status
-router.post('/topics/:id/toggle-featured', async (req, res) => {
+router.post('/topics/:id/toggle-featured', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -105,7 +107,7 @@ router.post('/topics/:id/toggle-featured', async (req, res) => {
 });
 
 // POST /api/topics/:id/duplicate - Duplicate a topic
-router.post('/topics/:id/duplicate', async (req, res) => {
+router.post('/topics/:id/duplicate', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -191,7 +193,7 @@ router.post('/topics/:id/duplicate', async (req, res) => {
 });
 
 // POST /api/topics/:id/publish - Publish a topic
-router.post('/topics/:id/publish', async (req, res) => {
+router.post('/topics/:id/publish', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -231,7 +233,7 @@ router.post('/topics/:id/publish', async (req, res) => {
 });
 
 // POST /api/topics/:id/archive - Archive a topic
-router.post('/topics/:id/archive', async (req, res) => {
+router.post('/topics/:id/archive', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -270,7 +272,7 @@ router.post('/topics/:id/archive', async (req, res) => {
 });
 
 // GET /api/topics/export - Export topics to CSV/JSON
-router.get('/topics/export', async (req, res) => {
+router.get('/topics/export', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     const { format = 'json', status } = req.query;
 
@@ -350,7 +352,7 @@ router.get('/topics/export', async (req, res) => {
 });
 
 // POST /api/topics/import - Import topics from JSON
-router.post('/topics/import', async (req, res) => {
+router.post('/topics/import', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     const { topics } = req.body;
 
@@ -0,0 +1,339 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const router = express.Router();
+const {
+  listCaptionTracks,
+  saveCaptionTrack,
+  updateCaptionTrack,
+  deleteCaptionTrack
+} = require('../utils/captions');
+const { requirePermission, identifyViewer } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { canViewTopicVideos } = require('../utils/topicAccess');
+
+const CAPTION_EXTENSIONS = ['.srt', '.vtt'];
+
+// Caption files are small text files; their MIME type varies by browser, so check the extension
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB
+  },
+  fileFilter: (req, file, cb) => {
+    if (CAPTION_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only .srt and .vtt caption files are allowed.'), false);
+    }
+  }
+});
+
+function parseBoolean(value) {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return undefined;
+}
+
+// Respond 404 unless the video belongs to the topic and module in the path
+async function findVideo(req, res) {
+  const { topicId, moduleId, videoId } = req.params;
+  const result = await req.pool.query(
+    'SELECT id, topic_id, is_preview FROM topic_videos WHERE id = $1 AND module_id = $2 AND topic_id = $3',
+    [videoId, moduleId, topicId]
+  );
+  if (result.rows.length === 0) {
+    res.status(404).json({ success: false, error: 'Video not found' });
+    return null;
+  }
+  return result.rows[0];
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Video Captions
+ *     description: Caption tracks per video and language, uploaded as SRT or WebVTT and served as WebVTT
+ */
+
+/**
+ * @swagger
+ * /api/topics/{topicId}/modules/{moduleId}/videos/{videoId}/captions:
+ *   get:
+ *     tags: [Video Captions]
+ *     summary: List a video's caption tracks, default track first
+ *     description: |
+ *       Preview videos' captions are open to everyone. For other videos the caller must be signed in
+ *       and enrolled in the topic, as for /play. Track URLs are presigned and expire.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Caption tracks with presigned WebVTT URLs
+ *       401:
+ *         description: Not signed in
+ *       403:
+ *         description: Not enrolled in the topic
+ *       404:
+ *         description: Video not found
+ *   post:
+ *     tags: [Video Captions]
+ *     summary: Upload a caption track
+ *     description: |
+ *       Accepts an SRT or WebVTT file and stores it as WebVTT. Uploading a language the video
+ *       already has replaces that track. A video's first track becomes its default unless
+ *       isDefault is false.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [caption, language]
+ *             properties:
+ *               caption:
+ *                 type: string
+ *                 format: binary
+ *                 description: .srt or .vtt file (max 5MB)
+ *               language:
+ *                 type: string
+ *                 example: en-GB
+ *               label:
+ *                 type: string
+ *                 example: English (UK)
+ *               isDefault:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Caption track created
+ *       200:
+ *         description: Existing track for the language replaced
+ *       400:
+ *         description: Missing file, invalid language or unparseable captions
+ *       404:
+ *         description: Video not found
+ */
+router.get('/topics/:topicId/modules/:moduleId/videos/:videoId/captions', identifyViewer, async (req, res) => {
+  try {
+    const video = await findVideo(req, res);
+    if (!video) return;
+    if (!video.is_preview) {
+      if (!req.viewer) {
+        return res.status(401).json({ success: false, error: 'Sign in to view captions for this video' });
+      }
+      if (!(await canViewTopicVideos(req.pool, req.viewer, video.topic_id))) {
+        return res.status(403).json({ success: false, error: 'Enroll in this topic to view captions for this video' });
+      }
+    }
+
+    res.json({ success: true, data: await listCaptionTracks(video.id, req.pool) });
+  } catch (err) {
+    console.error('Error in GET /topics/:topicId/modules/:moduleId/videos/:videoId/captions:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+router.post('/topics/:topicId/modules/:moduleId/videos/:videoId/captions', requirePermission(PERMISSIONS.CONTENT_WRITE), upload.single('caption'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No caption file provided' });
+    }
+
+    const video = await findVideo(req, res);
+    if (!video) return;
+
+    const result = await saveCaptionTrack(video.id, {
+      language: req.body.language,
+      label: req.body.label,
+      isDefault: parseBoolean(req.body.isDefault),
+      buffer: req.file.buffer
+    });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.status(result.created ? 201 : 200).json({ success: true, data: result.track });
+  } catch (err) {
+    console.error('Error in POST /topics/:topicId/modules/:moduleId/videos/:videoId/captions:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/topics/{topicId}/modules/{moduleId}/videos/{videoId}/captions/{language}:
+ *   put:
+ *     tags: [Video Captions]
+ *     summary: Update a caption track's label or make it the default
+ *     description: To change the cues, upload the file again with POST.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: language
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *               isDefault:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Caption track updated
+ *       404:
+ *         description: Video or caption track not found
+ *   delete:
+ *     tags: [Video Captions]
+ *     summary: Delete a caption track
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: language
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Caption track deleted
+ *       404:
+ *         description: Video or caption track not found
+ */
+router.put('/topics/:topicId/modules/:moduleId/videos/:videoId/captions/:language', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
+  try {
+    const video = await findVideo(req, res);
+    if (!video) return;
+
+    const result = await updateCaptionTrack(video.id, req.params.language, {
+      label: req.body.label,
+      isDefault: parseBoolean(req.body.isDefault)
+    });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, data: result.track });
+  } catch (err) {
+    console.error('Error in PUT /topics/:topicId/modules/:moduleId/videos/:videoId/captions/:language:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+router.delete('/topics/:topicId/modules/:moduleId/videos/:videoId/captions/:language', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
+  try {
+    const video = await findVideo(req, res);
+    if (!video) return;
+
+    const result = await deleteCaptionTrack(video.id, req.params.language);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, data: { deleted: true, track: result.track } });
+  } catch (err) {
+    console.error('Error in DELETE /topics/:topicId/modules/:moduleId/videos/:videoId/captions/:language:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+// Error handling middleware for multer errors
+router.use((error, req, res, next) => {
+  console.error('Topics captions route error:', error);
+
+  if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({
+      success: false,
+      error: 'Caption file too large. Maximum size is 5MB'
+    });
+  }
+
+  res.status(400).json({
+    success: false,
+    error: error.message || 'Caption upload failed'
+  });
+});
+
+module.exports = router;
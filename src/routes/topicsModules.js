@@ -1,4 +1,8 @@
 const express = require('express');
+const { requirePermission, identifyViewer } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { getModuleResources } = require('../utils/lessonResources');
+const { canViewTopicVideos, lockVideo } = require('../utils/topicAccess');
 const router = express.Router();
 
 /**
@@ -176,7 +180,7 @@ router.get('/topics/:topicId/modules', async (req, res) => {
 });
 
 // POST /api/topics/:topicId/modules - Create new module
-router.post('/topics/:topicId/modules', async (req, res) => {
+router.post('/topics/:topicId/modules', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     const { topicId } = req.params;
     const { title, description, orderIndex, durationMinutes = 0, isActive = true } = req.body;
@@ -293,7 +297,7 @@ router.post('/topics/:topicId/modules', async (req, res) => {
  */
 
 // GET /api/topics/:topicId/modules/:moduleId - Get module by ID
-router.get('/topics/:topicId/modules/:moduleId', async (req, res) => {
+router.get('/topics/:topicId/modules/:moduleId', identifyViewer, async (req, res) => {
   try {
     const { topicId, moduleId } = req.params;
 
@@ -318,7 +322,10 @@ router.get('/topics/:topicId/modules/:moduleId', async (req, res) => {
       ORDER BY order_index ASC
     `, [moduleId]);
 
-    const videos = videosResult.rows.map(video => ({
+    const lessonResources = await getModuleResources(module.id, req.pool);
+    const entitled = await canViewTopicVideos(req.pool, req.viewer, module.topic_id);
+
+    const videos = videosResult.rows.map(video => lockVideo({
       id: video.id,
       topicId: video.topic_id,
       moduleId: video.module_id,
@@ -333,9 +340,10 @@ router.get('/topics/:topicId/modules/:moduleId', async (req, res) => {
       isPreview: video.is_preview,
       transcript: video.transcript,
       resources: video.resources || [],
+      lessonResources: lessonResources.filter(resource => resource.videoId === video.id),
       createdAt: video.created_at?.toISOString(),
       updatedAt: video.updated_at?.toISOString()
-    }));
+    }, entitled));
 
     res.json({
       success: true,
@@ -349,6 +357,7 @@ router.get('/topics/:topicId/modules/:moduleId', async (req, res) => {
         durationMinutes: module.duration_minutes,
         createdAt: module.created_at?.toISOString(),
         updatedAt: module.updated_at?.toISOString(),
+        lessonResources: lessonResources.filter(resource => !resource.videoId),
         videos
       }
     });
@@ -363,7 +372,7 @@ router.get('/topics/:topicId/modules/:moduleId', async (req, res) => {
 });
 
 // PUT /api/topics/:topicId/modules/:moduleId - Update module
-router.put('/topics/:topicId/modules/:moduleId', async (req, res) => {
+router.put('/topics/:topicId/modules/:moduleId', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     const { topicId, moduleId } = req.params;
     const updateData = req.body;
@@ -442,7 +451,7 @@ router.put('/topics/:topicId/modules/:moduleId', async (req, res) => {
 });
 
 // DELETE /api/topics/:topicId/modules/:moduleId - Delete module
-router.delete('/topics/:topicId/modules/:moduleId', async (req, res) => {
+router.delete('/topics/:topicId/modules/:moduleId', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     const { topicId, moduleId } = req.params;
 
@@ -479,7 +488,7 @@ router.delete('/topics/:topicId/modules/:moduleId', async (req, res) => {
 });
 
 // POST /api/topics/:topicId/modules/reorder - Reorder modules
-router.post('/topics/:topicId/modules/reorder', async (req, res) => {
+router.post('/topics/:topicId/modules/reorder', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     const { topicId } = req.params;
     const { moduleIds } = req.body;
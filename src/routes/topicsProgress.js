@@ -0,0 +1,493 @@
+const express = require('express');
+const router = express.Router();
+const { verifyToken, identifyViewer } = require('../middleware/auth');
+const {
+  getTopicVideo,
+  recordVideoHeartbeat,
+  markVideoCompleted,
+  formatVideoProgress,
+  getTopicProgress
+} = require('../utils/topicProgress');
+const { updateTopicCompletion } = require('../utils/topicCompletion');
+const { checkTopicAccess, canViewTopicVideos } = require('../utils/topicAccess');
+const { getPlaybackUrl, verifyPlaybackToken, renderPlaylist } = require('../utils/videoPlayback');
+
+// Respond 403 unless the user can access the video's topic; preview videos are open to everyone signed in
+async function ensureVideoAccess(req, res, video) {
+  if (video.is_preview) return true;
+
+  const access = await checkTopicAccess(req.pool, req.user.userId, video.topic_id);
+  if (!access.hasAccess) {
+    res.status(403).json({ success: false, error: 'Enroll in this topic to track progress on its videos' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Topic Progress
+ *     description: Server-side video progress tracking for learners
+ */
+
+/**
+ * @swagger
+ * /api/topics/{topicId}/progress:
+ *   get:
+ *     tags: [Topic Progress]
+ *     summary: Get the authenticated user's progress for a topic
+ *     description: Returns per-module and per-topic completion percentages, watch time and the resume point
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Topic progress summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     topicId:
+ *                       type: integer
+ *                     totalVideos:
+ *                       type: integer
+ *                     completedVideos:
+ *                       type: integer
+ *                     completionPercentage:
+ *                       type: number
+ *                       example: 62.5
+ *                     watchTimeSeconds:
+ *                       type: integer
+ *                     completionThreshold:
+ *                       type: integer
+ *                       example: 90
+ *                     resumeFrom:
+ *                       type: object
+ *                     modules:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Topic not found
+ */
+router.get('/topics/:topicId/progress', verifyToken, async (req, res) => {
+  try {
+    const { topicId } = req.params;
+
+    const topicCheck = await req.pool.query('SELECT id FROM topics WHERE id = $1', [topicId]);
+    if (topicCheck.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Topic not found' });
+    }
+
+    const progress = await getTopicProgress(req.pool, req.user.userId, topicId);
+
+    res.json({
+      success: true,
+      data: progress
+    });
+
+  } catch (err) {
+    console.error('Error in GET /topics/:topicId/progress:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/topics/{topicId}/progress/heartbeat:
+ *   post:
+ *     tags: [Topic Progress]
+ *     summary: Record a player heartbeat for a video
+ *     description: |
+ *       Adds the seconds watched since the previous heartbeat to the video's watch time and stores
+ *       the current playback position for resume. The video is marked completed once the watch time
+ *       reaches VIDEO_COMPLETION_THRESHOLD percent of its duration. A single heartbeat counts at most 120 seconds,
+ *       and never more than the time since the previous heartbeat (plus a few seconds of slack).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - videoId
+ *             properties:
+ *               videoId:
+ *                 type: integer
+ *                 example: 12
+ *               positionSeconds:
+ *                 type: integer
+ *                 description: Current playback position
+ *                 example: 245
+ *               watchedSeconds:
+ *                 type: integer
+ *                 description: Seconds actually played since the previous heartbeat
+ *                 example: 15
+ *     responses:
+ *       200:
+ *         description: Heartbeat recorded. topicCompletion is included when this heartbeat completed the video.
+ *       400:
+ *         description: videoId is required
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: User has not enrolled in the topic and the video is not a preview
+ *       404:
+ *         description: Video not found in this topic
+ */
+router.post('/topics/:topicId/progress/heartbeat', verifyToken, async (req, res) => {
+  try {
+    const { topicId } = req.params;
+    const { videoId, positionSeconds, watchedSeconds } = req.body;
+
+    if (!videoId) {
+      return res.status(400).json({ success: false, error: 'videoId is required' });
+    }
+
+    const video = await getTopicVideo(req.pool, topicId, videoId);
+    if (!video) {
+      return res.status(404).json({ success: false, error: 'Video not found in this topic' });
+    }
+    if (!(await ensureVideoAccess(req, res, video))) return;
+
+    const { progress, justCompleted } = await recordVideoHeartbeat(req.pool, {
+      userId: req.user.userId,
+      video,
+      positionSeconds,
+      watchedSeconds
+    });
+
+    // Recalculate topic progress and fire milestone notifications when a video is newly completed
+    const topicCompletion = justCompleted
+      ? await updateTopicCompletion(req.pool, req.user.userId, video.topic_id)
+      : null;
+
+    res.json({
+      success: true,
+      data: {
+        ...formatVideoProgress(progress),
+        justCompleted,
+        topicCompletion
+      }
+    });
+
+  } catch (err) {
+    console.error('Error in POST /topics/:topicId/progress/heartbeat:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/topics/{topicId}/progress/videos/{videoId}:
+ *   get:
+ *     tags: [Topic Progress]
+ *     summary: Get the resume point for a single video
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Video progress
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Video not found in this topic
+ */
+router.get('/topics/:topicId/progress/videos/:videoId', verifyToken, async (req, res) => {
+  try {
+    const { topicId, videoId } = req.params;
+
+    const video = await getTopicVideo(req.pool, topicId, videoId);
+    if (!video) {
+      return res.status(404).json({ success: false, error: 'Video not found in this topic' });
+    }
+
+    const result = await req.pool.query(
+      'SELECT * FROM topic_progress WHERE video_id = $1 AND user_id = $2',
+      [video.id, req.user.userId]
+    );
+
+    const progress = result.rows[0] || {
+      topic_id: video.topic_id,
+      module_id: video.module_id,
+      video_id: video.id
+    };
+
+    res.json({
+      success: true,
+      data: formatVideoProgress(progress)
+    });
+
+  } catch (err) {
+    console.error('Error in GET /topics/:topicId/progress/videos/:videoId:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/topics/{topicId}/progress/videos/{videoId}/complete:
+ *   post:
+ *     tags: [Topic Progress]
+ *     summary: Mark a video as completed
+ *     description: |
+ *       Used by the player when playback ends. Only succeeds once the recorded watch time reaches
+ *       VIDEO_END_MIN_WATCHED_PERCENT (default 50) of the video's duration.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Video marked completed. topicCompletion is included when the video was not already completed.
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: User has not enrolled in the topic and the video is not a preview
+ *       409:
+ *         description: Not enough of the video has been watched
+ *       404:
+ *         description: Video not found in this topic
+ */
+router.post('/topics/:topicId/progress/videos/:videoId/complete', verifyToken, async (req, res) => {
+  try {
+    const { topicId, videoId } = req.params;
+
+    const video = await getTopicVideo(req.pool, topicId, videoId);
+    if (!video) {
+      return res.status(404).json({ success: false, error: 'Video not found in this topic' });
+    }
+    if (!(await ensureVideoAccess(req, res, video))) return;
+
+    const result = await markVideoCompleted(req.pool, {
+      userId: req.user.userId,
+      video
+    });
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error,
+        data: { requiredSeconds: result.requiredSeconds, watchTimeSeconds: result.watchTimeSeconds }
+      });
+    }
+    const { progress, justCompleted } = result;
+
+    // Recalculate topic progress and fire milestone notifications when a video is newly completed
+    const topicCompletion = justCompleted
+      ? await updateTopicCompletion(req.pool, req.user.userId, video.topic_id)
+      : null;
+
+    res.json({
+      success: true,
+      data: {
+        ...formatVideoProgress(progress),
+        justCompleted,
+        topicCompletion
+      }
+    });
+
+  } catch (err) {
+    console.error('Error in POST /topics/:topicId/progress/videos/:videoId/complete:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/topics/{topicId}/videos/{videoId}/play:
+ *   get:
+ *     tags: [Topic Progress]
+ *     summary: Get a short-lived playback URL for a video
+ *     description: |
+ *       Course videos are stored privately, so players fetch a signed URL here. Preview videos are
+ *       open to every signed-in learner; other videos need access to the topic through a purchase,
+ *       bundle or organisation seat. Admins can play every video. The URL expires after
+ *       VIDEO_PLAYBACK_URL_TTL_SECONDS (default 4 hours). MP4s get a presigned S3 URL. HLS videos get
+ *       an API URL for the master playlist; its rendition playlists and segments are signed with it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Playback URL with its lifetime in seconds (null for videos hosted outside S3)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: User has not enrolled in the topic and the video is not a preview
+ *       404:
+ *         description: Video not found in this topic
+ */
+router.get('/topics/:topicId/videos/:videoId/play', identifyViewer, async (req, res) => {
+  try {
+    if (!req.viewer) {
+      return res.status(401).json({ success: false, error: 'Sign in to watch this video' });
+    }
+    const { topicId, videoId } = req.params;
+
+    const video = await getTopicVideo(req.pool, topicId, videoId);
+    if (!video || !video.video_url) {
+      return res.status(404).json({ success: false, error: 'Video not found in this topic' });
+    }
+    if (!video.is_preview && !(await canViewTopicVideos(req.pool, req.viewer, video.topic_id))) {
+      return res.status(403).json({ success: false, error: 'Enroll in this topic to watch this video' });
+    }
+
+    const { url, expiresIn } = await getPlaybackUrl(video, `${req.protocol}://${req.get('host')}`);
+
+    res.json({
+      success: true,
+      data: {
+        videoId: video.id,
+        videoType: video.video_type,
+        url,
+        expiresIn
+      }
+    });
+
+  } catch (err) {
+    console.error('Error in GET /topics/:topicId/videos/:videoId/play:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/topics/{topicId}/videos/{videoId}/hls/{playlist}:
+ *   get:
+ *     tags: [Topic Progress]
+ *     summary: Get a signed HLS playlist
+ *     description: |
+ *       Players follow the URL returned by /play rather than calling this directly. Authorised by the
+ *       playback token in the query string, because native HLS players can't send headers. Nested
+ *       playlists link back here with the same token and segments are presigned S3 URLs.
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: playlist
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: master.m3u8
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Playlist
+ *         content:
+ *           application/vnd.apple.mpegurl:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Missing, invalid or expired playback token
+ *       404:
+ *         description: Video or playlist not found
+ */
+router.get('/topics/:topicId/videos/:videoId/hls/:playlist', async (req, res) => {
+  try {
+    const { topicId, videoId, playlist } = req.params;
+
+    const video = await getTopicVideo(req.pool, topicId, videoId);
+    if (!video) {
+      return res.status(404).json({ success: false, error: 'Video not found in this topic' });
+    }
+    if (!verifyPlaybackToken(req.query.token, video)) {
+      return res.status(401).json({ success: false, error: 'Invalid or expired playback token' });
+    }
+
+    const body = await renderPlaylist(video, playlist, req.query.token);
+    if (body === null) {
+      return res.status(404).json({ success: false, error: 'Playlist not found' });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.type('application/vnd.apple.mpegurl').send(body);
+
+  } catch (err) {
+    console.error('Error in GET /topics/:topicId/videos/:videoId/hls/:playlist:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
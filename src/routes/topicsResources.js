@@ -0,0 +1,487 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const router = express.Router();
+const {
+  ResourceTypes,
+  ALLOWED_EXTENSIONS,
+  MAX_RESOURCE_BYTES,
+  formatLessonResource,
+  getModuleResources,
+  resolveResourceVideo,
+  createLessonResource,
+  getResourceDownload
+} = require('../utils/lessonResources');
+const { deleteFromS3 } = require('../utils/s3-helper');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_RESOURCE_BYTES
+  },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type. Allowed extensions: ${ALLOWED_EXTENSIONS.join(', ')}`), false);
+    }
+  }
+});
+
+// Respond 404 unless the module belongs to the topic in the path
+async function findModule(req, res) {
+  const { topicId, moduleId } = req.params;
+  const result = await req.pool.query(
+    'SELECT id, topic_id FROM topic_modules WHERE id = $1 AND topic_id = $2',
+    [moduleId, topicId]
+  );
+  if (result.rows.length === 0) {
+    res.status(404).json({ success: false, error: 'Module not found in this topic' });
+    return null;
+  }
+  return result.rows[0];
+}
+
+// Respond 404 unless the resource belongs to the topic and module in the path
+async function findResource(req, res) {
+  const { topicId, moduleId, resourceId } = req.params;
+  const result = await req.pool.query(
+    'SELECT * FROM lesson_resources WHERE id = $1 AND module_id = $2 AND topic_id = $3',
+    [resourceId, moduleId, topicId]
+  );
+  if (result.rows.length === 0) {
+    res.status(404).json({ success: false, error: 'Resource not found' });
+    return null;
+  }
+  return result.rows[0];
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Lesson Resources
+ *     description: Downloadable PDFs, lab files and cheat sheets attached to modules and videos
+ */
+
+/**
+ * @swagger
+ * /api/topics/{topicId}/modules/{moduleId}/resources:
+ *   get:
+ *     tags: [Lesson Resources]
+ *     summary: List a module's resources, including those attached to its videos
+ *     description: File locations are never listed; use the download endpoint.
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Resources in display order
+ *       404:
+ *         description: Module not found
+ *   post:
+ *     tags: [Lesson Resources]
+ *     summary: Upload a resource to a module or one of its videos
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: PDF, document, archive, capture or script (max 100MB)
+ *               title:
+ *                 type: string
+ *                 description: Defaults to the file name
+ *               description:
+ *                 type: string
+ *               resourceType:
+ *                 type: string
+ *                 enum: [document, lab, cheat_sheet, other]
+ *                 default: document
+ *               videoId:
+ *                 type: integer
+ *                 description: Attach to this video instead of the module
+ *               order:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Resource uploaded
+ *       400:
+ *         description: Missing file or invalid resource type
+ *       404:
+ *         description: Module or video not found
+ */
+router.get('/topics/:topicId/modules/:moduleId/resources', async (req, res) => {
+  try {
+    const module = await findModule(req, res);
+    if (!module) return;
+
+    res.json({ success: true, data: await getModuleResources(module.id, req.pool) });
+  } catch (err) {
+    console.error('Error in GET /topics/:topicId/modules/:moduleId/resources:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+router.post('/topics/:topicId/modules/:moduleId/resources', requirePermission(PERMISSIONS.CONTENT_WRITE), upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No resource file provided' });
+    }
+
+    const module = await findModule(req, res);
+    if (!module) return;
+
+    const result = await createLessonResource(req.pool, {
+      topicId: module.topic_id,
+      moduleId: module.id,
+      videoId: req.body.videoId,
+      title: req.body.title,
+      description: req.body.description,
+      resourceType: req.body.resourceType,
+      order: req.body.order,
+      file: req.file,
+      adminId: req.admin?.id
+    });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.status(201).json({ success: true, data: result.resource });
+  } catch (err) {
+    console.error('Error in POST /topics/:topicId/modules/:moduleId/resources:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/topics/{topicId}/modules/{moduleId}/resources/{resourceId}:
+ *   put:
+ *     tags: [Lesson Resources]
+ *     summary: Update a resource's details or move it between the module and its videos
+ *     description: To replace the file, upload a new resource and delete this one.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: resourceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               resourceType:
+ *                 type: string
+ *                 enum: [document, lab, cheat_sheet, other]
+ *               videoId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: null moves the resource to module level
+ *               order:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Resource updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Resource or video not found
+ *   delete:
+ *     tags: [Lesson Resources]
+ *     summary: Delete a resource and its file
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: resourceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Resource deleted
+ *       404:
+ *         description: Resource not found
+ */
+router.put('/topics/:topicId/modules/:moduleId/resources/:resourceId', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
+  try {
+    const resource = await findResource(req, res);
+    if (!resource) return;
+
+    const { title, description, resourceType, videoId, order } = req.body;
+
+    if (title !== undefined && !String(title).trim()) {
+      return res.status(400).json({ success: false, error: 'title cannot be empty' });
+    }
+    if (resourceType !== undefined && !Object.values(ResourceTypes).includes(resourceType)) {
+      return res.status(400).json({
+        success: false,
+        error: `resourceType must be one of: ${Object.values(ResourceTypes).join(', ')}`
+      });
+    }
+
+    let targetVideoId = resource.video_id;
+    if (videoId !== undefined) {
+      const video = await resolveResourceVideo(req.pool, resource.module_id, videoId);
+      if (video.error) {
+        return res.status(video.status).json({ success: false, error: video.error });
+      }
+      targetVideoId = video.videoId;
+    }
+
+    const result = await req.pool.query(
+      `UPDATE lesson_resources SET
+         title = COALESCE($2, title),
+         description = CASE WHEN $3::boolean THEN $4 ELSE description END,
+         resource_type = COALESCE($5, resource_type),
+         video_id = $6,
+         order_index = COALESCE($7, order_index),
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [
+        resource.id,
+        title !== undefined ? String(title).trim() : null,
+        description !== undefined,
+        description?.trim() || null,
+        resourceType || null,
+        targetVideoId,
+        order !== undefined ? parseInt(order) || 0 : null
+      ]
+    );
+
+    res.json({ success: true, data: formatLessonResource(result.rows[0]) });
+  } catch (err) {
+    console.error('Error in PUT /topics/:topicId/modules/:moduleId/resources/:resourceId:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+router.delete('/topics/:topicId/modules/:moduleId/resources/:resourceId', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
+  try {
+    const resource = await findResource(req, res);
+    if (!resource) return;
+
+    await req.pool.query('DELETE FROM lesson_resources WHERE id = $1', [resource.id]);
+    await deleteFromS3(resource.s3_key).catch((err) => {
+      console.error(`Failed to delete resource file ${resource.s3_key}:`, err.message);
+    });
+
+    res.json({ success: true, data: { deleted: true } });
+  } catch (err) {
+    console.error('Error in DELETE /topics/:topicId/modules/:moduleId/resources/:resourceId:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/topics/{topicId}/modules/{moduleId}/resources/{resourceId}/download:
+ *   get:
+ *     tags: [Lesson Resources]
+ *     summary: Get a short-lived download URL for a resource
+ *     description: |
+ *       Requires access to the topic through a purchase, bundle or organisation seat; resources on
+ *       preview videos are open to every signed-in learner. The URL expires after
+ *       LESSON_RESOURCE_URL_TTL_SECONDS (default 300) and each call counts as a download.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: resourceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Presigned URL, its lifetime in seconds and the user's download count
+ *       401:
+ *         description: Sign-in required
+ *       403:
+ *         description: User does not have access to the topic
+ *       404:
+ *         description: Resource not found
+ */
+router.get('/topics/:topicId/modules/:moduleId/resources/:resourceId/download', verifyToken, async (req, res) => {
+  try {
+    const resource = await findResource(req, res);
+    if (!resource) return;
+
+    const result = await getResourceDownload(req.pool, resource, req.user.userId);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, data: result });
+  } catch (err) {
+    console.error('Error in GET /topics/:topicId/modules/:moduleId/resources/:resourceId/download:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/topics/{topicId}/modules/{moduleId}/resources/{resourceId}/downloads:
+ *   get:
+ *     tags: [Lesson Resources]
+ *     summary: Per-user download counts for a resource, most downloads first
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: resourceId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Download counts per user
+ *       404:
+ *         description: Resource not found
+ */
+router.get('/topics/:topicId/modules/:moduleId/resources/:resourceId/downloads', requirePermission(PERMISSIONS.USERS_READ), async (req, res) => {
+  try {
+    const resource = await findResource(req, res);
+    if (!resource) return;
+
+    const result = await req.pool.query(
+      `SELECT d.*, u.name as user_name, u.email as user_email
+       FROM lesson_resource_downloads d
+       LEFT JOIN users u ON d.user_id = u.id
+       WHERE d.resource_id = $1
+       ORDER BY d.download_count DESC, d.last_downloaded_at DESC`,
+      [resource.id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        resource: formatLessonResource(resource),
+        downloads: result.rows.map(row => ({
+          userId: row.user_id,
+          userName: row.user_name,
+          userEmail: row.user_email,
+          downloadCount: row.download_count,
+          firstDownloadedAt: row.first_downloaded_at?.toISOString(),
+          lastDownloadedAt: row.last_downloaded_at?.toISOString()
+        }))
+      }
+    });
+  } catch (err) {
+    console.error('Error in GET /topics/:topicId/modules/:moduleId/resources/:resourceId/downloads:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+// Error handling middleware for multer errors
+router.use((error, req, res, next) => {
+  console.error('Topics resources route error:', error);
+
+  if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({
+      success: false,
+      error: 'Resource file too large. Maximum size is 100MB'
+    });
+  }
+
+  res.status(400).json({
+    success: false,
+    error: error.message || 'Resource upload failed'
+  });
+});
+
+module.exports = router;
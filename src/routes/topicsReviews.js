@@ -0,0 +1,507 @@
+const express = require('express');
+const router = express.Router();
+const { checkTopicAccess } = require('../utils/topicAccess');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+const MAX_REVIEW_LENGTH = 2000;
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Helper function to format review data consistently
+function formatReview(review) {
+  return {
+    id: review.id,
+    topicId: review.topic_id,
+    topicTitle: review.topic_title,
+    userId: review.user_id,
+    userName: review.user_name,
+    rating: review.rating,
+    reviewText: review.review_text,
+    status: review.status,
+    isApproved: review.is_approved,
+    rejectionReason: review.rejection_reason,
+    moderatedAt: review.moderated_at?.toISOString() || null,
+    createdAt: review.created_at?.toISOString(),
+    updatedAt: review.updated_at?.toISOString()
+  };
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Topic Reviews
+ *     description: Learner reviews and ratings for topics, with admin moderation
+ */
+
+/**
+ * @swagger
+ * /api/topics/{topicId}/reviews:
+ *   get:
+ *     tags: [Topic Reviews]
+ *     summary: List approved reviews for a topic
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Approved reviews with the rating summary
+ *   post:
+ *     tags: [Topic Reviews]
+ *     summary: Submit or update the authenticated user's review
+ *     description: |
+ *       Only users with completed access to the topic (individual purchase or bundle) can review it.
+ *       Each user has one review per topic; resubmitting replaces it and sends it back to moderation.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 example: 5
+ *               reviewText:
+ *                 type: string
+ *                 example: "Clear explanations and great labs"
+ *     responses:
+ *       201:
+ *         description: Review submitted and pending moderation
+ *       400:
+ *         description: Invalid rating or review text
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: User does not have access to this topic
+ *       404:
+ *         description: Topic not found
+ */
+
+// GET /api/topics/:topicId/reviews - List approved reviews
+router.get('/topics/:topicId/reviews', async (req, res) => {
+  try {
+    const { topicId } = req.params;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+    const offset = (page - 1) * limit;
+
+    const summaryResult = await req.pool.query(`
+      SELECT
+        COALESCE(AVG(rating), 0) as average_rating,
+        COUNT(*) as review_count,
+        COUNT(*) FILTER (WHERE rating = 5) as five_star,
+        COUNT(*) FILTER (WHERE rating = 4) as four_star,
+        COUNT(*) FILTER (WHERE rating = 3) as three_star,
+        COUNT(*) FILTER (WHERE rating = 2) as two_star,
+        COUNT(*) FILTER (WHERE rating = 1) as one_star
+      FROM topic_reviews
+      WHERE topic_id = $1 AND status = 'approved'
+    `, [topicId]);
+
+    const reviewsResult = await req.pool.query(`
+      SELECT tr.*, u.name as user_name
+      FROM topic_reviews tr
+      LEFT JOIN users u ON tr.user_id = u.id
+      WHERE tr.topic_id = $1 AND tr.status = 'approved'
+      ORDER BY tr.updated_at DESC
+      LIMIT $2 OFFSET $3
+    `, [topicId, limit, offset]);
+
+    const summary = summaryResult.rows[0];
+    const totalCount = parseInt(summary.review_count);
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      success: true,
+      data: {
+        averageRating: Math.round(parseFloat(summary.average_rating) * 10) / 10,
+        reviewCount: totalCount,
+        distribution: {
+          5: parseInt(summary.five_star),
+          4: parseInt(summary.four_star),
+          3: parseInt(summary.three_star),
+          2: parseInt(summary.two_star),
+          1: parseInt(summary.one_star)
+        },
+        reviews: reviewsResult.rows.map(review => {
+          const { status, isApproved, rejectionReason, moderatedAt, ...publicReview } = formatReview(review);
+          return publicReview;
+        })
+      },
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount,
+        limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (err) {
+    console.error('Error in GET /topics/:topicId/reviews:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+// POST /api/topics/:topicId/reviews - Submit a review
+router.post('/topics/:topicId/reviews', verifyToken, async (req, res) => {
+  try {
+    const { topicId } = req.params;
+    const { rating, reviewText } = req.body;
+    const userId = req.user.userId;
+
+    const ratingValue = Number(rating);
+    if (!Number.isInteger(ratingValue) || ratingValue < 1 || ratingValue > 5) {
+      return res.status(400).json({ success: false, error: 'Rating must be an integer between 1 and 5' });
+    }
+
+    const text = typeof reviewText === 'string' ? reviewText.trim() : null;
+    if (text && text.length > MAX_REVIEW_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Review text cannot exceed ${MAX_REVIEW_LENGTH} characters`
+      });
+    }
+
+    const topicCheck = await req.pool.query('SELECT id FROM topics WHERE id = $1', [topicId]);
+    if (topicCheck.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Topic not found' });
+    }
+
+    const access = await checkTopicAccess(req.pool, userId, topicId);
+    if (!access.hasAccess) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only enrolled learners can review this topic'
+      });
+    }
+
+    const result = await req.pool.query(`
+      INSERT INTO topic_reviews (topic_id, user_id, rating, review_text, status, is_approved)
+      VALUES ($1, $2, $3, $4, 'pending', false)
+      ON CONFLICT (topic_id, user_id)
+      DO UPDATE SET
+        rating = EXCLUDED.rating,
+        review_text = EXCLUDED.review_text,
+        status = 'pending',
+        is_approved = false,
+        rejection_reason = NULL,
+        moderated_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [topicId, userId, ratingValue, text || null]);
+
+    console.log(`📝 Review submitted for topic ${topicId} by user ${userId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Review submitted and awaiting moderation',
+      data: formatReview(result.rows[0])
+    });
+
+  } catch (err) {
+    console.error('Error in POST /topics/:topicId/reviews:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/topics/{topicId}/reviews/me:
+ *   get:
+ *     tags: [Topic Reviews]
+ *     summary: Get the authenticated user's review and its moderation status
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The user's review, or null if none was submitted
+ *       401:
+ *         description: Unauthorized
+ */
+
+// GET /api/topics/:topicId/reviews/me - Get own review
+router.get('/topics/:topicId/reviews/me', verifyToken, async (req, res) => {
+  try {
+    const { topicId } = req.params;
+
+    const result = await req.pool.query(
+      'SELECT * FROM topic_reviews WHERE topic_id = $1 AND user_id = $2',
+      [topicId, req.user.userId]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows.length > 0 ? formatReview(result.rows[0]) : null
+    });
+
+  } catch (err) {
+    console.error('Error in GET /topics/:topicId/reviews/me:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reviews/moderation:
+ *   get:
+ *     tags: [Topic Reviews]
+ *     summary: Admin moderation queue
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *       - in: query
+ *         name: topicId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reviews in the requested state, oldest first
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         description: Admin access required
+ */
+
+// GET /api/reviews/moderation - Admin moderation queue
+router.get('/reviews/moderation', requirePermission(PERMISSIONS.REVIEWS_MODERATE), async (req, res) => {
+  try {
+    const { status = 'pending', topicId } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = (page - 1) * limit;
+
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${REVIEW_STATUSES.join(', ')}`
+      });
+    }
+
+    const params = [status];
+    let whereClause = 'WHERE tr.status = $1';
+    if (topicId) {
+      params.push(topicId);
+      whereClause += ` AND tr.topic_id = $${params.length}`;
+    }
+
+    const countResult = await req.pool.query(
+      `SELECT COUNT(*) as total FROM topic_reviews tr ${whereClause}`,
+      params
+    );
+
+    const result = await req.pool.query(`
+      SELECT tr.*, u.name as user_name, t.title as topic_title
+      FROM topic_reviews tr
+      LEFT JOIN users u ON tr.user_id = u.id
+      LEFT JOIN topics t ON tr.topic_id = t.id
+      ${whereClause}
+      ORDER BY tr.updated_at ASC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    const totalCount = parseInt(countResult.rows[0].total);
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      success: true,
+      data: result.rows.map(formatReview),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount,
+        limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (err) {
+    console.error('Error in GET /reviews/moderation:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reviews/{id}/approve:
+ *   put:
+ *     tags: [Topic Reviews]
+ *     summary: Approve a review so it is published and counted in ratings
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Review approved
+ *       401:
+ *         description: Admin access required
+ *       404:
+ *         description: Review not found
+ */
+
+// PUT /api/reviews/:id/approve - Approve a review
+router.put('/reviews/:id/approve', requirePermission(PERMISSIONS.REVIEWS_MODERATE), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await req.pool.query(`
+      UPDATE topic_reviews
+      SET status = 'approved',
+          is_approved = true,
+          rejection_reason = NULL,
+          moderated_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Review not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Review approved',
+      data: formatReview(result.rows[0])
+    });
+
+  } catch (err) {
+    console.error('Error in PUT /reviews/:id/approve:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reviews/{id}/reject:
+ *   put:
+ *     tags: [Topic Reviews]
+ *     summary: Reject a review
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Contains personal information"
+ *     responses:
+ *       200:
+ *         description: Review rejected
+ *       401:
+ *         description: Admin access required
+ *       404:
+ *         description: Review not found
+ */
+
+// PUT /api/reviews/:id/reject - Reject a review
+router.put('/reviews/:id/reject', requirePermission(PERMISSIONS.REVIEWS_MODERATE), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const result = await req.pool.query(`
+      UPDATE topic_reviews
+      SET status = 'rejected',
+          is_approved = false,
+          rejection_reason = $2,
+          moderated_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [id, reason || null]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Review not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Review rejected',
+      data: formatReview(result.rows[0])
+    });
+
+  } catch (err) {
+    console.error('Error in PUT /reviews/:id/reject:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,12 +2,21 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const crypto = require('crypto');
-const { uploadToS3, uploadFileToS3, deleteFromS3 } = require('../utils/s3-helper');
+const { uploadToS3, uploadFileToS3, deleteFromS3, getKeyFromUrl } = require('../utils/s3-helper');
 const ffmpeg = require('fluent-ffmpeg');
 const { Readable } = require('stream');
 const ffprobe = require('ffprobe-static');
 const fs = require('fs');
 const os = require('os');
+const { requirePermission, identifyViewer } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { formatTranscodeJob, enqueueTranscode, getLatestTranscodeJob } = require('../utils/videoTranscoding');
+const { runVideoTranscodeJob } = require('../jobs/videoTranscodeJob');
+const { queueVideoPreviews } = require('../utils/videoPreviews');
+const { probeVideoDuration, createModuleVideo, formatIngestedVideo } = require('../utils/videoIngest');
+const { listCaptionTracks } = require('../utils/captions');
+const { getVideoResources } = require('../utils/lessonResources');
+const { canViewTopicVideos, lockVideo } = require('../utils/topicAccess');
 const router = express.Router();
 
 // Set ffprobe path
@@ -168,7 +177,7 @@ const getVideoDurationFromPath = async (filePath) => {
  */
 
 // GET /api/topics/:topicId/modules/:moduleId/videos - Get all videos for a module
-router.get('/topics/:topicId/modules/:moduleId/videos', async (req, res) => {
+router.get('/topics/:topicId/modules/:moduleId/videos', identifyViewer, async (req, res) => {
   try {
     const { topicId, moduleId } = req.params;
     const { includeInactive = false } = req.query;
@@ -199,7 +208,9 @@ router.get('/topics/:topicId/modules/:moduleId/videos', async (req, res) => {
       ORDER BY order_index ASC, created_at ASC
     `, queryParams);
 
-    const videos = result.rows.map(row => ({
+    const entitled = await canViewTopicVideos(req.pool, req.viewer, topicId);
+
+    const videos = result.rows.map(row => lockVideo({
       id: row.id,
       topicId: row.topic_id,
       moduleId: row.module_id,
@@ -208,6 +219,8 @@ router.get('/topics/:topicId/modules/:moduleId/videos', async (req, res) => {
       videoUrl: row.video_url,
       videoType: row.video_type,
       thumbnailUrl: row.thumbnail_url,
+      spriteUrl: row.sprite_url || null,
+      spriteVttUrl: row.sprite_vtt_url || null,
       durationSeconds: row.duration_seconds,
       orderIndex: row.order_index,
       isActive: row.is_active,
@@ -216,7 +229,7 @@ router.get('/topics/:topicId/modules/:moduleId/videos', async (req, res) => {
       resources: row.resources || [],
       createdAt: row.created_at?.toISOString(),
       updatedAt: row.updated_at?.toISOString()
-    }));
+    }, entitled));
 
     res.json({
       success: true,
@@ -233,7 +246,7 @@ router.get('/topics/:topicId/modules/:moduleId/videos', async (req, res) => {
 });
 
 // POST /api/topics/:topicId/modules/:moduleId/videos - Create new video
-router.post('/topics/:topicId/modules/:moduleId/videos', async (req, res) => {
+router.post('/topics/:topicId/modules/:moduleId/videos', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     const { topicId, moduleId } = req.params;
     const {
@@ -415,7 +428,7 @@ router.post('/topics/:topicId/modules/:moduleId/videos', async (req, res) => {
  */
 
 // GET /api/topics/:topicId/modules/:moduleId/videos/:videoId - Get video by ID
-router.get('/topics/:topicId/modules/:moduleId/videos/:videoId', async (req, res) => {
+router.get('/topics/:topicId/modules/:moduleId/videos/:videoId', identifyViewer, async (req, res) => {
   try {
     const { topicId, moduleId, videoId } = req.params;
 
@@ -432,10 +445,14 @@ router.get('/topics/:topicId/modules/:moduleId/videos/:videoId', async (req, res
     }
 
     const video = result.rows[0];
+    const lessonResources = await getVideoResources(video.id, req.pool);
+    const entitled = await canViewTopicVideos(req.pool, req.viewer, video.topic_id);
+    // Caption links are presigned, so only sign them for viewers who may watch the video
+    const captions = entitled || video.is_preview ? await listCaptionTracks(video.id, req.pool) : null;
 
     res.json({
       success: true,
-      data: {
+      data: lockVideo({
         id: video.id,
         topicId: video.topic_id,
         moduleId: video.module_id,
@@ -443,16 +460,21 @@ router.get('/topics/:topicId/modules/:moduleId/videos/:videoId', async (req, res
         description: video.description,
         videoUrl: video.video_url,
         videoType: video.video_type,
+        sourceVideoUrl: video.source_video_url || null,
         thumbnailUrl: video.thumbnail_url,
+        spriteUrl: video.sprite_url || null,
+        spriteVttUrl: video.sprite_vtt_url || null,
         durationSeconds: video.duration_seconds,
         orderIndex: video.order_index,
         isActive: video.is_active,
         isPreview: video.is_preview,
         transcript: video.transcript,
+        captions,
         resources: video.resources || [],
+        lessonResources,
         createdAt: video.created_at?.toISOString(),
         updatedAt: video.updated_at?.toISOString()
-      }
+      }, entitled)
     });
 
   } catch (err) {
@@ -465,7 +487,7 @@ router.get('/topics/:topicId/modules/:moduleId/videos/:videoId', async (req, res
 });
 
 // PUT /api/topics/:topicId/modules/:moduleId/videos/:videoId - Update video
-router.put('/topics/:topicId/modules/:moduleId/videos/:videoId', async (req, res) => {
+router.put('/topics/:topicId/modules/:moduleId/videos/:videoId', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     const { topicId, moduleId, videoId } = req.params;
     const updateData = req.body;
@@ -525,6 +547,11 @@ router.put('/topics/:topicId/modules/:moduleId/videos/:videoId', async (req, res
       });
     }
 
+    // A thumbnail set here is the admin's choice; clearing it lets the next upload fill in a poster
+    if (updateData.thumbnailUrl !== undefined) {
+      updateFields.push(`thumbnail_source = ${updateData.thumbnailUrl ? "'manual'" : 'NULL'}`);
+    }
+
     updateFields.push('updated_at = CURRENT_TIMESTAMP');
     updateValues.push(videoId);
 
@@ -570,7 +597,7 @@ router.put('/topics/:topicId/modules/:moduleId/videos/:videoId', async (req, res
 });
 
 // DELETE /api/topics/:topicId/modules/:moduleId/videos/:videoId - Delete video
-router.delete('/topics/:topicId/modules/:moduleId/videos/:videoId', async (req, res) => {
+router.delete('/topics/:topicId/modules/:moduleId/videos/:videoId', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     const { topicId, moduleId, videoId } = req.params;
 
@@ -607,7 +634,7 @@ router.delete('/topics/:topicId/modules/:moduleId/videos/:videoId', async (req,
 });
 
 // POST /api/topics/:topicId/modules/:moduleId/videos/upload - FIXED Single Video Upload
-router.post('/topics/:topicId/modules/:moduleId/videos/upload', upload.single('video'), async (req, res) => {
+router.post('/topics/:topicId/modules/:moduleId/videos/upload', requirePermission(PERMISSIONS.CONTENT_WRITE), upload.single('video'), async (req, res) => {
   let uploadedFilePath = null;
   try {
     const { topicId, moduleId } = req.params;
@@ -647,134 +674,32 @@ router.post('/topics/:topicId/modules/:moduleId/videos/upload', upload.single('v
     }
 
     // ✅ 1. DURATION FIRST - File guaranteed to exist
-    let durationSeconds = 1; // Safe minimum
-    const clientDuration = duration;
-
-    // File exists verification
-    if (!fs.existsSync(uploadedFilePath)) {
-      throw new Error(`File missing before processing: ${uploadedFilePath}`);
-    }
-
-    try {
-      // Import FIXED getVideoDurationFromPath from s3-helper
-      const { getVideoDurationFromPath } = require('../utils/s3-helper');
-      durationSeconds = await getVideoDurationFromPath(uploadedFilePath);
-      console.log(`✅ FFProbe SUCCESS ${req.file.originalname}: ${durationSeconds}s`);
-    } catch (durErr) {
-      console.warn(`⚠️ FFProbe FAILED ${req.file.originalname}:`, durErr.message);
-      // Fallback to client duration (MM:SS or minutes → seconds)
-      if (clientDuration && !isNaN(parseFloat(clientDuration)) && parseFloat(clientDuration) > 0) {
-        durationSeconds = Math.round(parseFloat(clientDuration) * 60);
-        console.log(`✅ Client fallback duration: ${durationSeconds}s`);
-      } else {
-        console.warn(`⚠️ No valid fallback, using default: 1s`);
-      }
-    }
-
-    // Ensure positive integer
-    durationSeconds = Math.max(Math.round(durationSeconds), 1);
+    const durationSeconds = await probeVideoDuration(uploadedFilePath, duration, req.file.originalname);
     console.log(`🎯 FINAL duration for DB: ${durationSeconds}s`);
 
     // ✅ 2. THEN S3 upload (file still exists)
-    const s3Result = await uploadFileToS3(uploadedFilePath, req.file.originalname, req.file.mimetype, 'videos');
+    const s3Result = await uploadFileToS3(uploadedFilePath, req.file.originalname, req.file.mimetype, 'videos', { private: true });
     console.log(`✅ S3 upload success: ${s3Result.url}`);
 
     // ✅ 3. THEN DB insert with confirmed duration
-    const fileData = {
-      id: crypto.randomUUID(),
-      url: s3Result.url,
-      filename: s3Result.key,
-      originalName: req.file.originalname,
-      size: req.file.size,
-      mimeType: req.file.mimetype,
-      uploadedAt: new Date().toISOString(),
-      title: title.trim(),
-      description: description?.trim() || '',
-      order: parseInt(order) || 1,
-    };
-
-    console.log(`📹 Saving to DB: "${fileData.title}" (${durationSeconds}s) → ${s3Result.url}`);
-
-    let videoId = null;
     if (req.pool) {
-      const videoResult = await req.pool.query(`
-        INSERT INTO topic_videos (
-          topic_id, module_id, title, description, video_url, 
-          duration_seconds, video_type, order_index, is_active, created_at, updated_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, true, $9, $10)
-        RETURNING id, title, description, video_url, duration_seconds, order_index, is_active, created_at, updated_at
-      `, [
-        topicId, moduleId, fileData.title, fileData.description, fileData.url,
-        durationSeconds, 'mp4', fileData.order, new Date(), new Date()
-      ]);
-
-      const video = videoResult.rows[0];
-      videoId = video.id;
-
-      console.log(`✅ DB saved! Video ID: ${videoId}, Duration: ${video.duration_seconds}s`);
-
-      // Update aggregate durations
-      await req.pool.query(`
-        UPDATE topic_modules SET 
-        duration_minutes = (
-          SELECT CEIL(COALESCE(SUM(duration_seconds), 0) / 60.0)::int 
-          FROM topic_videos WHERE module_id = $1
-        ), updated_at = CURRENT_TIMESTAMP 
-        WHERE id = $1
-      `, [moduleId]);
-
-      await req.pool.query(`
-        UPDATE topics SET 
-        duration_minutes = (
-          SELECT COALESCE(SUM(tm.duration_minutes), 0) 
-          FROM topic_modules tm WHERE tm.topic_id = $1
-        ), updated_at = CURRENT_TIMESTAMP 
-        WHERE id = $1
-      `, [topicId]);
-
-      // Save upload metadata
-      await req.pool.query(`
-        INSERT INTO uploads (id, filename, original_name, file_path, file_size, mime_type, upload_type, category, metadata, created_at)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-      `, [
-        fileData.id, fileData.filename, fileData.originalName, fileData.url,
-        fileData.size, fileData.mimeType, 'video', 'topic-videos',
-        JSON.stringify({
-          title: fileData.title,
-          description: fileData.description,
-          duration: durationSeconds,
-          topicId: parseInt(topicId),
-          moduleId: parseInt(moduleId),
-          videoId: videoId,
-          order: fileData.order,
-          linkedAt: new Date().toISOString()
-        }),
-        new Date()
-      ]);
+      const ingested = await createModuleVideo(req.pool, {
+        topicId,
+        moduleId,
+        title,
+        description,
+        order,
+        durationSeconds,
+        s3: s3Result,
+        originalName: req.file.originalname,
+        size: req.file.size,
+        mimeType: req.file.mimetype
+      });
 
       res.json({
         success: true,
-        data: {
-          id: video.id,
-          title: video.title,
-          description: video.description || '',
-          videoUrl: video.video_url,
-          durationSeconds: video.duration_seconds,  // ✅ CORRECT!
-          duration: Math.floor(video.duration_seconds / 60).toString().padStart(2, '0') + ':' +
-            (video.duration_seconds % 60).toString().padStart(2, '0'),  // MM:SS
-          order: video.order_index,
-          isActive: video.is_active,
-          createdAt: video.created_at?.toISOString(),
-          updatedAt: video.updated_at?.toISOString(),
-          uploadInfo: {
-            uploadId: fileData.id,
-            filename: fileData.filename,
-            s3Key: fileData.filename,
-            originalName: fileData.originalName,
-            size: fileData.size
-          }
-        },
-        message: `Video "${video.title}" uploaded successfully (${video.duration_seconds}s)`
+        data: formatIngestedVideo(ingested),
+        message: `Video "${ingested.video.title}" uploaded successfully (${ingested.video.duration_seconds}s)`
       });
 
     } else {
@@ -802,7 +727,7 @@ router.post('/topics/:topicId/modules/:moduleId/videos/upload', upload.single('v
 
 
 // POST /api/topics/:topicId/modules/:moduleId/videos/upload-multiple - Upload multiple videos
-router.post('/topics/:topicId/modules/:moduleId/videos/upload-multiple', upload.array('videos', 10), async (req, res) => {
+router.post('/topics/:topicId/modules/:moduleId/videos/upload-multiple', requirePermission(PERMISSIONS.CONTENT_WRITE), upload.array('videos', 10), async (req, res) => {
   const uploadedFiles = [];
   try {
     const { topicId, moduleId } = req.params;
@@ -862,7 +787,7 @@ router.post('/topics/:topicId/modules/:moduleId/videos/upload-multiple', upload.
         durationSeconds = Math.round(durationSeconds);
 
         // Upload to S3 (Parallel thanks to Promise.all)
-        const s3Result = await uploadFileToS3(file.path, file.originalname, file.mimetype, 'videos');
+        const s3Result = await uploadFileToS3(file.path, file.originalname, file.mimetype, 'videos', { private: true });
 
         const fileData = {
           id: crypto.randomUUID(),
@@ -933,6 +858,9 @@ router.post('/topics/:topicId/modules/:moduleId/videos/upload-multiple', upload.
             new Date()
           ]);
 
+          const { job: transcodeJob } = await enqueueTranscode(videoId, s3Result.key, req.pool);
+          queueVideoPreviews(videoId, s3Result.key);
+
           return {
             success: true,
             data: {
@@ -942,6 +870,7 @@ router.post('/topics/:topicId/modules/:moduleId/videos/upload-multiple', upload.
               s3Key: fileData.filename,
               durationSeconds: video.duration_seconds,
               order: video.order_index,
+              transcodeJob: formatTranscodeJob(transcodeJob)
             }
           };
         }
@@ -971,6 +900,10 @@ router.post('/topics/:topicId/modules/:moduleId/videos/upload-multiple', upload.
       }
     });
 
+    if (results.length > 0) {
+      setImmediate(runVideoTranscodeJob);
+    }
+
     // Update aggregate durations
     if (req.pool && results.length > 0) {
       try {
@@ -1019,7 +952,7 @@ router.post('/topics/:topicId/modules/:moduleId/videos/upload-multiple', upload.
 });
 
 // POST /api/topics/:topicId/modules/:moduleId/videos/reorder - Reorder videos
-router.post('/topics/:topicId/modules/:moduleId/videos/reorder', async (req, res) => {
+router.post('/topics/:topicId/modules/:moduleId/videos/reorder', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     const { topicId, moduleId } = req.params;
     const { videoIds } = req.body;
@@ -1069,6 +1002,132 @@ router.post('/topics/:topicId/modules/:moduleId/videos/reorder', async (req, res
   }
 });
 
+/**
+ * @swagger
+ * /api/topics/{topicId}/modules/{moduleId}/videos/{videoId}/transcode:
+ *   get:
+ *     summary: Get the latest HLS transcoding job of a video
+ *     description: |
+ *       Uploaded videos are transcoded in the background into 360p/720p/1080p HLS renditions (never above
+ *       the source resolution). When the job completes the video switches to videoType stream and
+ *       videoUrl points at the master playlist; the original upload stays in sourceVideoUrl.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Latest job, or null if the video was never queued
+ *       404:
+ *         description: Video not found
+ *   post:
+ *     summary: Queue a video for HLS transcoding
+ *     description: |
+ *       For videos uploaded before transcoding existed, or to retry a failed job. The source is the
+ *       original upload, which must be stored in this app's S3 bucket.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: topicId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: videoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       202:
+ *         description: Job queued
+ *       200:
+ *         description: A job is already queued or running for this video
+ *       400:
+ *         description: Video is not an uploaded file in the S3 bucket
+ *       404:
+ *         description: Video not found
+ */
+router.get('/topics/:topicId/modules/:moduleId/videos/:videoId/transcode', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
+  try {
+    const { moduleId, videoId } = req.params;
+
+    const existing = await req.pool.query(
+      'SELECT id FROM topic_videos WHERE id = $1 AND module_id = $2',
+      [videoId, moduleId]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Video not found' });
+    }
+
+    const job = await getLatestTranscodeJob(videoId);
+    res.json({ success: true, data: job ? formatTranscodeJob(job) : null });
+  } catch (err) {
+    console.error('Error in GET /topics/:topicId/modules/:moduleId/videos/:videoId/transcode:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+router.post('/topics/:topicId/modules/:moduleId/videos/:videoId/transcode', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
+  try {
+    const { moduleId, videoId } = req.params;
+
+    const existing = await req.pool.query(
+      'SELECT id, video_url, source_video_url FROM topic_videos WHERE id = $1 AND module_id = $2',
+      [videoId, moduleId]
+    );
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Video not found' });
+    }
+
+    const video = existing.rows[0];
+    const sourceKey = getKeyFromUrl(video.source_video_url || video.video_url);
+    if (!sourceKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only videos uploaded to this server\'s storage can be transcoded'
+      });
+    }
+
+    const { job, created } = await enqueueTranscode(video.id, sourceKey, req.pool);
+    setImmediate(runVideoTranscodeJob);
+
+    res.status(created ? 202 : 200).json({
+      success: true,
+      message: created ? 'Video queued for transcoding' : 'Video is already queued for transcoding',
+      data: formatTranscodeJob(job)
+    });
+  } catch (err) {
+    console.error('Error in POST /topics/:topicId/modules/:moduleId/videos/:videoId/transcode:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
 // Error handling middleware for multer errors
 router.use((error, req, res, next) => {
   console.error('Topics videos route error:', error);
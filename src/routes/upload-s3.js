@@ -2,6 +2,8 @@ const express = require('express');
 const multer = require('multer');
 const crypto = require('crypto');
 const { uploadToS3, deleteFromS3, uploadMultipleToS3 } = require('../utils/s3-helper');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const router = express.Router();
 
 // Configure multer to store files in memory
@@ -67,7 +69,7 @@ const validateFileSize = (file, type) => {
  *       200:
  *         description: Image uploaded successfully
  */
-router.post('/image', upload.single('image'), async (req, res) => {
+router.post('/image', requirePermission(PERMISSIONS.CONTENT_WRITE), upload.single('image'), async (req, res) => {
   try {
     console.log('POST /api/upload-s3/image called');
     
@@ -170,7 +172,7 @@ router.post('/image', upload.single('image'), async (req, res) => {
  *       200:
  *         description: Video uploaded successfully
  */
-router.post('/video', upload.single('video'), async (req, res) => {
+router.post('/video', requirePermission(PERMISSIONS.CONTENT_WRITE), upload.single('video'), async (req, res) => {
   try {
     console.log('POST /api/upload-s3/video called');
     console.log('File:', req.file ? `${req.file.originalname} (${Math.round(req.file.size / 1024 / 1024)}MB)` : 'No file');
@@ -296,7 +298,7 @@ router.post('/video', upload.single('video'), async (req, res) => {
  *       200:
  *         description: Thumbnail uploaded successfully
  */
-router.post('/thumbnail', upload.single('thumbnail'), async (req, res) => {
+router.post('/thumbnail', requirePermission(PERMISSIONS.CONTENT_WRITE), upload.single('thumbnail'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -359,7 +361,7 @@ router.post('/thumbnail', upload.single('thumbnail'), async (req, res) => {
  *       200:
  *         description: Files uploaded successfully
  */
-router.post('/multiple', upload.array('files', 10), async (req, res) => {
+router.post('/multiple', requirePermission(PERMISSIONS.CONTENT_WRITE), upload.array('files', 10), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -410,7 +412,7 @@ router.post('/multiple', upload.array('files', 10), async (req, res) => {
  *       200:
  *         description: File deleted successfully
  */
-router.delete('/delete', async (req, res) => {
+router.delete('/delete', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     const { key } = req.query;
 
@@ -2,6 +2,9 @@ const express = require('express');
 const multer = require('multer');
 const crypto = require('crypto');
 const { uploadToS3, deleteFromS3 } = require('../utils/s3-helper');
+const { queueVideoPreviews } = require('../utils/videoPreviews');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const router = express.Router();
 
 // Configure multer for memory storage (S3 upload)
@@ -114,7 +117,7 @@ const validateFileSize = (file, type) => {
  *       413:
  *         description: File too large
  */
-router.post('/image', upload.single('image'), async (req, res) => {
+router.post('/image', requirePermission(PERMISSIONS.CONTENT_WRITE), upload.single('image'), async (req, res) => {
   try {
     console.log('POST /api/upload/image called');
     if (!req.file) {
@@ -219,7 +222,7 @@ router.post('/image', upload.single('image'), async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/UploadResponse'
  */
-router.post('/video', upload.single('video'), async (req, res) => {
+router.post('/video', requirePermission(PERMISSIONS.CONTENT_WRITE), upload.single('video'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -233,7 +236,7 @@ router.post('/video', upload.single('video'), async (req, res) => {
     const { title, description, duration, topicId, moduleId } = req.body;
 
     // Upload to S3
-    const s3Result = await uploadToS3(req.file.buffer, req.file.originalname, req.file.mimetype, 'videos');
+    const s3Result = await uploadToS3(req.file.buffer, req.file.originalname, req.file.mimetype, 'videos', { private: true });
 
     const fileData = {
       id: crypto.randomUUID(),
@@ -341,7 +344,7 @@ router.post('/video', upload.single('video'), async (req, res) => {
  *       200:
  *         description: Document uploaded successfully
  */
-router.post('/document', upload.single('document'), async (req, res) => {
+router.post('/document', requirePermission(PERMISSIONS.CONTENT_WRITE), upload.single('document'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -433,7 +436,7 @@ router.post('/document', upload.single('document'), async (req, res) => {
  *       200:
  *         description: Thumbnail uploaded successfully
  */
-router.post('/thumbnail', upload.single('thumbnail'), async (req, res) => {
+router.post('/thumbnail', requirePermission(PERMISSIONS.CONTENT_WRITE), upload.single('thumbnail'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -466,7 +469,7 @@ router.post('/thumbnail', upload.single('thumbnail'), async (req, res) => {
       try {
         if (videoId) {
           await req.pool.query(
-            'UPDATE topic_videos SET thumbnail_url = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            `UPDATE topic_videos SET thumbnail_url = $1, thumbnail_source = 'manual', updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
             [fileData.url, videoId]
           );
         }
@@ -559,7 +562,7 @@ router.post('/thumbnail', upload.single('thumbnail'), async (req, res) => {
  *       200:
  *         description: Video uploaded successfully
  */
-router.post('/topics/:topicId/modules/:moduleId/video', upload.single('video'), async (req, res) => {
+router.post('/topics/:topicId/modules/:moduleId/video', requirePermission(PERMISSIONS.CONTENT_WRITE), upload.single('video'), async (req, res) => {
   try {
     const { topicId, moduleId } = req.params;
     const { title, description, duration, order } = req.body;
@@ -608,7 +611,7 @@ router.post('/topics/:topicId/modules/:moduleId/video', upload.single('video'),
     }
 
     // Upload to S3
-    const s3Result = await uploadToS3(req.file.buffer, req.file.originalname, req.file.mimetype, 'videos');
+    const s3Result = await uploadToS3(req.file.buffer, req.file.originalname, req.file.mimetype, 'videos', { private: true });
 
     const fileData = {
       id: crypto.randomUUID(),
@@ -716,6 +719,9 @@ router.post('/topics/:topicId/modules/:moduleId/video', upload.single('video'),
       }
     }
 
+    // Poster frame and scrub sprite, extracted in the background; failures leave the video without previews
+    queueVideoPreviews(videoId, s3Result.key);
+
     res.json({
       success: true,
       data: {
@@ -758,7 +764,7 @@ router.post('/topics/:topicId/modules/:moduleId/video', upload.single('video'),
  *       200:
  *         description: Thumbnail uploaded successfully
  */
-router.post('/topics/:topicId/thumbnail', upload.single('thumbnail'), async (req, res) => {
+router.post('/topics/:topicId/thumbnail', requirePermission(PERMISSIONS.CONTENT_WRITE), upload.single('thumbnail'), async (req, res) => {
   try {
     const { topicId } = req.params;
 
@@ -870,7 +876,7 @@ router.post('/topics/:topicId/thumbnail', upload.single('thumbnail'), async (req
  *       200:
  *         description: Video thumbnail uploaded successfully
  */
-router.post('/videos/:videoId/thumbnail', upload.single('thumbnail'), async (req, res) => {
+router.post('/videos/:videoId/thumbnail', requirePermission(PERMISSIONS.CONTENT_WRITE), upload.single('thumbnail'), async (req, res) => {
   try {
     const { videoId } = req.params;
 
@@ -916,7 +922,7 @@ router.post('/videos/:videoId/thumbnail', upload.single('thumbnail'), async (req
     if (req.pool) {
       try {
         await req.pool.query(
-          'UPDATE topic_videos SET thumbnail_url = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+          `UPDATE topic_videos SET thumbnail_url = $1, thumbnail_source = 'manual', updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
           [fileData.url, videoId]
         );
 
@@ -982,7 +988,7 @@ router.post('/videos/:videoId/thumbnail', upload.single('thumbnail'), async (req
  *       200:
  *         description: Files uploaded successfully
  */
-router.post('/bulk', upload.array('files', 10), async (req, res) => {
+router.post('/bulk', requirePermission(PERMISSIONS.CONTENT_WRITE), upload.array('files', 10), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -1099,7 +1105,7 @@ router.post('/bulk', upload.array('files', 10), async (req, res) => {
  *       200:
  *         description: Video replaced successfully
  */
-router.put('/videos/:videoId/replace', upload.single('video'), async (req, res) => {
+router.put('/videos/:videoId/replace', requirePermission(PERMISSIONS.CONTENT_WRITE), upload.single('video'), async (req, res) => {
   try {
     const { videoId } = req.params;
     const { title, description, duration } = req.body;
@@ -1132,7 +1138,7 @@ router.put('/videos/:videoId/replace', upload.single('video'), async (req, res)
     }
 
     // Upload to S3
-    const s3Result = await uploadToS3(req.file.buffer, req.file.originalname, req.file.mimetype, 'videos');
+    const s3Result = await uploadToS3(req.file.buffer, req.file.originalname, req.file.mimetype, 'videos', { private: true });
 
     const fileData = {
       id: crypto.randomUUID(),
@@ -1237,6 +1243,11 @@ router.put('/videos/:videoId/replace', upload.single('video'), async (req, res)
       }
     }
 
+    // The old sprite no longer matches; an auto poster is replaced too, a manual one is kept
+    if (req.pool) {
+      queueVideoPreviews(videoId, s3Result.key);
+    }
+
     res.json({
       success: true,
       data: fileData,
@@ -1277,7 +1288,7 @@ router.put('/videos/:videoId/replace', upload.single('video'), async (req, res)
  *       200:
  *         description: Files list retrieved successfully
  */
-router.get('/files', async (req, res) => {
+router.get('/files', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     if (!req.pool) {
       return res.status(500).json({
@@ -1363,7 +1374,7 @@ router.get('/files', async (req, res) => {
  *       404:
  *         description: File not found
  */
-router.delete('/files/:id', async (req, res) => {
+router.delete('/files/:id', requirePermission(PERMISSIONS.CONTENT_WRITE), async (req, res) => {
   try {
     const { id } = req.params;
 
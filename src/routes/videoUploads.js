@@ -0,0 +1,470 @@
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const {
+  MIN_PART_SIZE,
+  MAX_PART_SIZE,
+  DEFAULT_PART_SIZE,
+  MAX_PARTS,
+  MAX_UPLOAD_BYTES,
+  UPLOAD_TTL_HOURS,
+  ALLOWED_VIDEO_TYPES,
+  UploadStatus,
+  getExpectedPartSize,
+  formatUploadSession,
+  getUploadSession,
+  releaseUploadStorage
+} = require('../utils/videoUploads');
+const { runVideoUploadCompleteJob } = require('../jobs/videoUploadCompleteJob');
+const { createMultipartUpload, uploadPart } = require('../utils/s3-helper');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+router.use(requirePermission(PERMISSIONS.CONTENT_WRITE));
+
+// Load the session named by :uploadId, or respond 404
+async function loadUploadSession(req, res) {
+  const found = UUID_PATTERN.test(req.params.uploadId)
+    ? await getUploadSession(req.params.uploadId, req.pool)
+    : null;
+  if (!found) {
+    res.status(404).json({ success: false, error: 'Upload not found' });
+    return null;
+  }
+  return found;
+}
+
+function isExpired(session) {
+  return session.expires_at <= new Date();
+}
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Video Uploads
+ *     description: Resumable chunked uploads of large course videos, backed by S3 multipart uploads
+ */
+
+/**
+ * @swagger
+ * /api/video-uploads:
+ *   post:
+ *     tags: [Video Uploads]
+ *     summary: Start a resumable video upload
+ *     description: |
+ *       Creates an upload session for a module video. Send the file in parts of partSize bytes
+ *       (the last part holds the remainder) to PUT /api/video-uploads/{uploadId}/parts/{partNumber},
+ *       then call complete. Parts can be sent in any order and re-sent; an interrupted upload resumes
+ *       by checking missingParts on GET /api/video-uploads/{uploadId}. Unfinished uploads expire after
+ *       VIDEO_UPLOAD_TTL_HOURS (default 24).
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [topicId, moduleId, title, filename, mimeType, size]
+ *             properties:
+ *               topicId:
+ *                 type: integer
+ *               moduleId:
+ *                 type: integer
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               order:
+ *                 type: integer
+ *               duration:
+ *                 type: number
+ *                 description: Duration in minutes, used only if the server cannot probe the file
+ *               filename:
+ *                 type: string
+ *                 example: network-security-101.mp4
+ *               mimeType:
+ *                 type: string
+ *                 enum: [video/mp4, video/webm, video/avi, video/mov, video/wmv]
+ *               size:
+ *                 type: integer
+ *                 description: Total file size in bytes (VIDEO_UPLOAD_MAX_BYTES, default 5GB, at most)
+ *               partSize:
+ *                 type: integer
+ *                 description: Bytes per part, 5MB to 100MB
+ *                 default: 10485760
+ *     responses:
+ *       201:
+ *         description: Upload session created
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Topic or module not found
+ */
+router.post('/', async (req, res) => {
+  const { topicId, moduleId, title, description, order, duration, filename, mimeType } = req.body;
+  const size = parseInt(req.body.size);
+  const partSize = req.body.partSize !== undefined ? parseInt(req.body.partSize) : DEFAULT_PART_SIZE;
+
+  if (!topicId || !moduleId) {
+    return res.status(400).json({ success: false, error: 'topicId and moduleId are required' });
+  }
+  if (!title || !title.trim()) {
+    return res.status(400).json({ success: false, error: 'Video title is required' });
+  }
+  if (!filename || !filename.trim()) {
+    return res.status(400).json({ success: false, error: 'filename is required' });
+  }
+  if (!ALLOWED_VIDEO_TYPES.includes(mimeType)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid file type. Only ${ALLOWED_VIDEO_TYPES.join(', ')} are allowed.`
+    });
+  }
+  if (!size || size <= 0 || size > MAX_UPLOAD_BYTES) {
+    return res.status(400).json({
+      success: false,
+      error: `size must be between 1 and ${MAX_UPLOAD_BYTES} bytes`
+    });
+  }
+  if (!partSize || partSize < MIN_PART_SIZE || partSize > MAX_PART_SIZE) {
+    return res.status(400).json({
+      success: false,
+      error: `partSize must be between ${MIN_PART_SIZE} and ${MAX_PART_SIZE} bytes`
+    });
+  }
+
+  const totalParts = Math.ceil(size / partSize);
+  if (totalParts > MAX_PARTS) {
+    return res.status(400).json({
+      success: false,
+      error: `File needs ${totalParts} parts at this partSize; use a larger partSize (at most ${MAX_PARTS} parts)`
+    });
+  }
+
+  try {
+    const moduleCheck = await req.pool.query(
+      'SELECT id FROM topic_modules WHERE id = $1 AND topic_id = $2',
+      [moduleId, topicId]
+    );
+    if (moduleCheck.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Module not found in this topic' });
+    }
+
+    const multipart = await createMultipartUpload(filename.trim(), mimeType, 'videos', { private: true });
+
+    const result = await req.pool.query(
+      `INSERT INTO video_upload_sessions (
+         id, s3_upload_id, s3_key, topic_id, module_id, title, description, order_index, duration_hint,
+         original_name, mime_type, total_size, part_size, total_parts, created_by_admin_id, expires_at
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW() + make_interval(hours => $16))
+       RETURNING *`,
+      [
+        crypto.randomUUID(), multipart.uploadId, multipart.key, topicId, moduleId, title.trim(),
+        description?.trim() || null, parseInt(order) || null,
+        parseFloat(duration) > 0 ? parseFloat(duration) : null,
+        filename.trim(), mimeType, size, partSize, totalParts, req.admin?.id || null, UPLOAD_TTL_HOURS
+      ]
+    );
+
+    const session = result.rows[0];
+    console.log(`📤 Started chunked upload ${session.id}: ${session.original_name} (${size} bytes, ${totalParts} part(s))`);
+    res.status(201).json({ success: true, data: formatUploadSession(session) });
+  } catch (err) {
+    console.error('Error in POST /video-uploads:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/video-uploads/{uploadId}:
+ *   get:
+ *     tags: [Video Uploads]
+ *     summary: Get upload status and progress
+ *     description: progress.missingParts lists the part numbers still to send when resuming.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Upload session with progress
+ *       404:
+ *         description: Upload not found
+ */
+router.get('/:uploadId', async (req, res) => {
+  try {
+    const found = await loadUploadSession(req, res);
+    if (!found) return;
+
+    res.json({ success: true, data: formatUploadSession(found.session, found.parts) });
+  } catch (err) {
+    console.error('Error in GET /video-uploads/:uploadId:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/video-uploads/{uploadId}/parts/{partNumber}:
+ *   put:
+ *     tags: [Video Uploads]
+ *     summary: Upload one part
+ *     description: |
+ *       The request body is the raw bytes of the part. Every part but the last must be exactly partSize
+ *       bytes. Re-sending a part replaces it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: partNumber
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Part stored; returns updated progress
+ *       400:
+ *         description: Invalid part number or size
+ *       404:
+ *         description: Upload not found
+ *       409:
+ *         description: Upload is no longer accepting parts
+ *       410:
+ *         description: Upload expired
+ */
+router.put('/:uploadId/parts/:partNumber', express.raw({ type: () => true, limit: MAX_PART_SIZE }), async (req, res) => {
+  try {
+    const found = await loadUploadSession(req, res);
+    if (!found) return;
+    const { session } = found;
+
+    if (session.s3_completed_at || ![UploadStatus.UPLOADING, UploadStatus.FAILED].includes(session.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Upload is not accepting parts (upload is ${session.status})`
+      });
+    }
+    if (isExpired(session)) {
+      return res.status(410).json({ success: false, error: 'Upload has expired' });
+    }
+
+    const partNumber = parseInt(req.params.partNumber);
+    if (!partNumber || partNumber < 1 || partNumber > session.total_parts) {
+      return res.status(400).json({
+        success: false,
+        error: `partNumber must be between 1 and ${session.total_parts}`
+      });
+    }
+
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const expectedSize = getExpectedPartSize(session, partNumber);
+    if (body.length !== expectedSize) {
+      return res.status(400).json({
+        success: false,
+        error: `Part ${partNumber} must be ${expectedSize} bytes (received ${body.length})`
+      });
+    }
+
+    const etag = await uploadPart(session.s3_key, session.s3_upload_id, partNumber, body);
+
+    // A complete or abort that landed while the part was uploading wins; the part isn't recorded
+    const accepting = await req.pool.query(
+      `UPDATE video_upload_sessions SET status = 'uploading', updated_at = NOW()
+       WHERE id = $1 AND status IN ('uploading', 'failed') AND s3_completed_at IS NULL
+       RETURNING id`,
+      [session.id]
+    );
+    if (accepting.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Upload is no longer accepting parts'
+      });
+    }
+
+    await req.pool.query(
+      `INSERT INTO video_upload_parts (upload_id, part_number, etag, size)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (upload_id, part_number)
+       DO UPDATE SET etag = EXCLUDED.etag, size = EXCLUDED.size, uploaded_at = NOW()`,
+      [session.id, partNumber, etag, body.length]
+    );
+
+    const updated = await getUploadSession(session.id, req.pool);
+    res.json({ success: true, data: formatUploadSession(updated.session, updated.parts) });
+  } catch (err) {
+    console.error('Error in PUT /video-uploads/:uploadId/parts/:partNumber:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/video-uploads/{uploadId}/complete:
+ *   post:
+ *     tags: [Video Uploads]
+ *     summary: Finish an upload and create the module video
+ *     description: |
+ *       Queues the upload for completion and returns straight away with status "completing". In the
+ *       background the parts are joined in S3, the duration is probed and the module video is created
+ *       exactly like a single-request upload, including HLS transcoding and preview extraction.
+ *       Poll GET /api/video-uploads/{uploadId} until the status is "completed" (videoId is then set)
+ *       or "failed", in which case error says why and complete can be called again.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       202:
+ *         description: Upload queued for completion
+ *       400:
+ *         description: Parts are missing
+ *       404:
+ *         description: Upload not found
+ *       409:
+ *         description: Upload already completing, completed or aborted
+ *       410:
+ *         description: Upload expired
+ */
+router.post('/:uploadId/complete', async (req, res) => {
+  try {
+    const found = await loadUploadSession(req, res);
+    if (!found) return;
+
+    if (isExpired(found.session) && !found.session.s3_completed_at) {
+      return res.status(410).json({ success: false, error: 'Upload has expired' });
+    }
+    const missingParts = formatUploadSession(found.session, found.parts).progress.missingParts;
+    if (missingParts.length > 0 && !found.session.s3_completed_at) {
+      return res.status(400).json({
+        success: false,
+        error: `${missingParts.length} part(s) have not been uploaded`,
+        data: { missingParts }
+      });
+    }
+
+    // Claim the session so concurrent completes can't queue it twice
+    const claimed = await req.pool.query(
+      `UPDATE video_upload_sessions
+       SET status = 'completing', error = NULL, completion_started_at = NULL, updated_at = NOW()
+       WHERE id = $1 AND status IN ('uploading', 'failed')
+       RETURNING *`,
+      [found.session.id]
+    );
+    if (claimed.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Upload cannot be completed (upload is ${found.session.status})`,
+        data: formatUploadSession(found.session, found.parts)
+      });
+    }
+
+    setImmediate(runVideoUploadCompleteJob);
+
+    res.status(202).json({
+      success: true,
+      data: formatUploadSession(claimed.rows[0], found.parts),
+      message: 'Upload is being completed; poll the upload for its status'
+    });
+  } catch (err) {
+    console.error('Error in POST /video-uploads/:uploadId/complete:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/video-uploads/{uploadId}:
+ *   delete:
+ *     tags: [Video Uploads]
+ *     summary: Abort an upload
+ *     description: Discards the parts stored in S3. Completed uploads cannot be aborted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Upload aborted
+ *       404:
+ *         description: Upload not found
+ *       409:
+ *         description: Upload is completing, completed or already aborted
+ */
+router.delete('/:uploadId', async (req, res) => {
+  try {
+    const found = await loadUploadSession(req, res);
+    if (!found) return;
+
+    const result = await req.pool.query(
+      `UPDATE video_upload_sessions SET status = 'aborted', updated_at = NOW()
+       WHERE id = $1 AND status IN ('uploading', 'failed')
+       RETURNING *`,
+      [found.session.id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Upload cannot be aborted (upload is ${found.session.status})`,
+        data: formatUploadSession(found.session, found.parts)
+      });
+    }
+
+    await releaseUploadStorage(result.rows[0]);
+    console.log(`🗑️ Chunked upload ${found.session.id} aborted`);
+
+    res.json({ success: true, data: formatUploadSession(result.rows[0], found.parts) });
+  } catch (err) {
+    console.error('Error in DELETE /video-uploads/:uploadId:', err);
+    res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
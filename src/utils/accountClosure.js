@@ -0,0 +1,406 @@
+/**
+ * Account Closure
+ * Grace-period workflow for account closure requests: admins approve or reject them, users cancel
+ * them by logging in, and approved requests are anonymised once the grace period has passed.
+ * The grace period is ACCOUNT_CLOSURE_GRACE_DAYS (default 14).
+ */
+
+const db = require('../config/db');
+const transporter = require('../config/mailer');
+const { sendAccountClosureNotification } = require('../config/notificationTriggers');
+const { revokeAllSessions } = require('./sessions');
+const { deleteUserDataExports } = require('./dataExport');
+const { deleteFromS3 } = require('./s3-helper');
+const { escapeHtml } = require('./securityAlerts');
+
+const CLOSURE_GRACE_DAYS = parseInt(process.env.ACCOUNT_CLOSURE_GRACE_DAYS) || 14;
+
+const ClosureStatus = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled',
+  COMPLETED: 'completed'
+};
+
+// Personal data removed when a closure completes. Enrollments, payments and invoices are kept
+// (linked to the anonymised user) for accounting and tax records.
+const PERSONAL_DATA_TABLES = [
+  'user_fcm_tokens',
+  'user_sessions',
+  'user_identities',
+  'otp_verifications',
+  'email_change_requests',
+  'cart_items',
+  'notification_history',
+  'account_security_flags',
+  'login_events',
+  'lesson_resource_downloads',
+  // Cascades to seat_assignments, freeing the member's seats
+  'organisation_members'
+];
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+/**
+ * Format a closure request for API responses
+ * @param {object} request - account_closure_requests row, optionally joined with user_name / user_email
+ * @returns {object}
+ */
+function formatClosureRequest(request) {
+  return {
+    id: request.id,
+    requestId: request.request_id,
+    userId: request.user_id,
+    userName: request.user_name,
+    userEmail: request.user_email,
+    reason: request.reason,
+    status: request.status,
+    adminNotes: request.admin_notes,
+    reviewedByAdminId: request.reviewed_by_admin_id,
+    reviewedByAdminEmail: request.reviewed_by_admin_email,
+    scheduledFor: request.scheduled_for?.toISOString(),
+    processedAt: request.processed_at?.toISOString(),
+    cancelledAt: request.cancelled_at?.toISOString(),
+    completedAt: request.completed_at?.toISOString(),
+    createdAt: request.created_at?.toISOString(),
+    updatedAt: request.updated_at?.toISOString()
+  };
+}
+
+/**
+ * Email the user about a closure status change
+ * @param {object} user - { email, name }
+ * @param {object} request - account_closure_requests row
+ */
+async function sendClosureStatusEmail(user, request) {
+  const scheduledDate = request.scheduled_for ? formatDate(request.scheduled_for) : null;
+  const messages = {
+    pending: {
+      subject: 'We received your account closure request',
+      body: `Your request <b>${request.request_id}</b> to close your ThinkCyber account has been received and your account is deactivated.
+        ${scheduledDate ? `It will be closed permanently after <b>${scheduledDate}</b>.` : ''}
+        Changed your mind? Just log in before then and the request will be cancelled.`
+    },
+    approved: {
+      subject: 'Your account closure has been approved',
+      body: `Your request <b>${request.request_id}</b> has been approved. Your account and personal data will be removed on
+        <b>${scheduledDate}</b>. Log in before then if you want to keep your account.`
+    },
+    rejected: {
+      subject: 'Your account closure request was not approved',
+      body: `Your request <b>${request.request_id}</b> was not approved and your account is active again.
+        ${request.admin_notes ? `<br><br>Note from our team: ${escapeHtml(request.admin_notes)}` : ''}`
+    },
+    cancelled: {
+      subject: 'Your account closure request has been cancelled',
+      body: `You logged in to your ThinkCyber account, so closure request <b>${request.request_id}</b> has been cancelled. Welcome back!`
+    },
+    completed: {
+      subject: 'Your ThinkCyber account has been closed',
+      body: `As requested (<b>${request.request_id}</b>), your ThinkCyber account has been closed and your personal data removed.
+        Thank you for learning with us.`
+    }
+  };
+  const message = messages[request.status];
+  if (!message || !user.email) return;
+
+  await transporter.sendMail({
+    from: `"ThinkCyber Support" <${process.env.SMTP_USER}>`,
+    to: user.email,
+    subject: message.subject,
+    html: `
+  <div style="font-family: Arial, sans-serif; background-color:#f9fafb; padding:20px;">
+    <div style="max-width:600px; margin:auto; background:#ffffff; border-radius:8px; padding:30px; box-shadow:0 4px 12px rgba(0,0,0,0.08);">
+      <h2 style="color:#1a73e8;">${message.subject}</h2>
+      <p style="font-size:15px; color:#444;">Hi <b>${escapeHtml(user.name || 'there')}</b>,</p>
+      <p style="font-size:15px; color:#444; line-height:1.6;">${message.body}</p>
+      <hr style="margin:30px 0; border:none; border-top:1px solid #eee;">
+      <p style="font-size:12px; color:#999; text-align:center;">ThinkCyber © ${new Date().getFullYear()}</p>
+    </div>
+  </div>
+  `
+  });
+}
+
+/**
+ * Notify the user of a closure status change by push and email. Never throws.
+ * @param {object} user - { id, email, name }
+ * @param {object} request - account_closure_requests row
+ */
+async function notifyClosureStatus(user, request) {
+  // A completed closure has already removed the user's devices and notification history
+  if (request.status !== ClosureStatus.COMPLETED) {
+    try {
+      await sendAccountClosureNotification(user.id, request.status, {
+        scheduledDate: request.scheduled_for ? formatDate(request.scheduled_for) : '',
+        adminNotes: request.admin_notes || ''
+      });
+    } catch (notifErr) {
+      console.error('Error sending account closure notification:', notifErr);
+    }
+  }
+
+  try {
+    await sendClosureStatusEmail(user, request);
+  } catch (emailErr) {
+    console.error('Error sending account closure email:', emailErr);
+  }
+}
+
+/**
+ * Open a closure request: deactivate the account, sign it out everywhere and start the grace period
+ * @param {object} user - users row
+ * @param {string} reason
+ * @returns {Promise<object>} account_closure_requests row
+ */
+async function requestClosure(user, reason) {
+  const year = new Date().getFullYear();
+  const randomNum = Math.floor(10000 + Math.random() * 90000);
+  const requestId = `CLO-${year}-${randomNum}`;
+
+  const insertResult = await db.query(
+    `INSERT INTO account_closure_requests (request_id, user_id, reason, status, scheduled_for, created_at, updated_at)
+     VALUES ($1, $2, $3, 'pending', NOW() + INTERVAL '${CLOSURE_GRACE_DAYS} days', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+     RETURNING *`,
+    [requestId, user.id, reason]
+  );
+  const request = insertResult.rows[0];
+
+  // Notify before the FCM tokens are deactivated so the push still reaches the device
+  await notifyClosureStatus(user, request);
+
+  await db.query(
+    `UPDATE users SET is_active = false, deactivated_at = CURRENT_TIMESTAMP, deactivation_reason = $1 WHERE id = $2`,
+    [reason, user.id]
+  );
+  await revokeAllSessions(user.id, 'account_closed');
+
+  return request;
+}
+
+/**
+ * Get the closure request a user can still cancel by logging in
+ * @param {number} userId
+ * @returns {Promise<object|null>} account_closure_requests row
+ */
+async function getCancellableClosure(userId) {
+  const result = await db.query(
+    `SELECT * FROM account_closure_requests
+     WHERE user_id = $1 AND status IN ('pending', 'approved') AND (scheduled_for IS NULL OR scheduled_for > NOW())
+     ORDER BY created_at DESC LIMIT 1`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Reactivate a user and close their open closure request with the given status
+ * @param {object} executor - pg pool or client
+ * @param {object} request - account_closure_requests row
+ * @param {string} status - 'rejected' or 'cancelled'
+ * @param {object} review - { adminId, adminNotes }
+ * @returns {Promise<object|null>} Updated request, or null if it was no longer open
+ */
+async function reopenAccount(executor, request, status, review = {}) {
+  const updated = await executor.query(
+    `UPDATE account_closure_requests SET
+       status = $2,
+       admin_notes = COALESCE($3, admin_notes),
+       reviewed_by_admin_id = COALESCE($4, reviewed_by_admin_id),
+       processed_at = CASE WHEN $2 = 'rejected' THEN CURRENT_TIMESTAMP ELSE processed_at END,
+       cancelled_at = CASE WHEN $2 = 'cancelled' THEN CURRENT_TIMESTAMP ELSE cancelled_at END,
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status IN ('pending', 'approved')
+     RETURNING *`,
+    [request.id, status, review.adminNotes || null, review.adminId || null]
+  );
+  if (updated.rows.length === 0) return null;
+
+  await executor.query(
+    'UPDATE users SET is_active = true, deactivated_at = NULL, deactivation_reason = NULL WHERE id = $1',
+    [request.user_id]
+  );
+  return updated.rows[0];
+}
+
+/**
+ * Cancel the user's closure request because they logged in during the grace period
+ * @param {object} user - users row
+ * @returns {Promise<object|null>} Cancelled request, or null if there was nothing to cancel
+ */
+async function cancelClosureOnLogin(user) {
+  const request = await getCancellableClosure(user.id);
+  if (!request) return null;
+
+  const cancelled = await reopenAccount(db, request, ClosureStatus.CANCELLED);
+  if (cancelled) {
+    console.log(`↩️ Account closure ${cancelled.request_id} cancelled by login of user ${user.id}`);
+    await notifyClosureStatus(user, cancelled);
+  }
+  return cancelled;
+}
+
+/**
+ * Approve a pending closure request; the account is anonymised once scheduled_for passes
+ * @param {number} id - account_closure_requests.id
+ * @param {object} review - { adminId, adminNotes }
+ * @returns {Promise<object|null>} Updated request, or null if it is not pending
+ */
+async function approveClosure(id, review = {}) {
+  const result = await db.query(
+    `UPDATE account_closure_requests SET
+       status = 'approved',
+       admin_notes = COALESCE($2, admin_notes),
+       reviewed_by_admin_id = $3,
+       processed_at = CURRENT_TIMESTAMP,
+       scheduled_for = GREATEST(COALESCE(scheduled_for, NOW()), NOW()),
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'pending'
+     RETURNING *`,
+    [id, review.adminNotes || null, review.adminId || null]
+  );
+  const request = result.rows[0] || null;
+  if (request) {
+    const user = await db.query('SELECT id, email, name FROM users WHERE id = $1', [request.user_id]);
+    if (user.rows[0]) await notifyClosureStatus(user.rows[0], request);
+  }
+  return request;
+}
+
+/**
+ * Reject an open closure request and reactivate the account
+ * @param {number} id - account_closure_requests.id
+ * @param {object} review - { adminId, adminNotes }
+ * @returns {Promise<object|null>} Updated request, or null if it is not open
+ */
+async function rejectClosure(id, review = {}) {
+  const existing = await db.query('SELECT * FROM account_closure_requests WHERE id = $1', [id]);
+  if (existing.rows.length === 0) return null;
+
+  const request = await reopenAccount(db, existing.rows[0], ClosureStatus.REJECTED, review);
+  if (request) {
+    const user = await db.query('SELECT id, email, name FROM users WHERE id = $1', [request.user_id]);
+    if (user.rows[0]) await notifyClosureStatus(user.rows[0], request);
+  }
+  return request;
+}
+
+/**
+ * Anonymise the account of an approved closure request: the user row is kept (payments and
+ * invoices reference it) but stripped of personal data, which is archived to deleted_users_audit.
+ * @param {number} id - account_closure_requests.id
+ * @returns {Promise<object|null>} Completed request, or null if it is not approved
+ */
+async function completeClosure(id) {
+  const client = await db.connect();
+  let request;
+  let user;
+  try {
+    await client.query('BEGIN');
+
+    const requestResult = await client.query(
+      "SELECT * FROM account_closure_requests WHERE id = $1 AND status = 'approved' FOR UPDATE",
+      [id]
+    );
+    if (requestResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    request = requestResult.rows[0];
+
+    const userResult = await client.query('SELECT * FROM users WHERE id = $1', [request.user_id]);
+    user = userResult.rows[0];
+
+    if (user) {
+      await client.query(
+        `INSERT INTO deleted_users_audit (original_user_id, email, name, reason, other_reason, full_user_data)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [user.id, user.email, user.name, request.reason, `Account closure ${request.request_id}`, JSON.stringify(user)]
+      );
+
+      for (const table of PERSONAL_DATA_TABLES) {
+        await client.query(`DELETE FROM ${table} WHERE user_id = $1`, [user.id]);
+      }
+
+      await client.query(
+        `UPDATE users SET
+           email = $2,
+           name = 'Deleted User',
+           address = NULL,
+           phone = NULL,
+           avatar_url = NULL,
+           avatar_key = NULL,
+           is_active = false,
+           is_verified = false,
+           deactivation_reason = 'Account closed'
+         WHERE id = $1`,
+        [user.id, `deleted-user-${user.id}@deleted.invalid`]
+      );
+    }
+
+    const completed = await client.query(
+      `UPDATE account_closure_requests
+       SET status = 'completed', completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING *`,
+      [id]
+    );
+    request = completed.rows[0];
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  console.log(`🗑️ Account closure ${request.request_id} completed; user ${request.user_id} anonymised`);
+  try {
+    await deleteUserDataExports(request.user_id);
+    if (user?.avatar_key) await deleteFromS3(user.avatar_key);
+  } catch (storageErr) {
+    console.error('Error deleting stored files of closed account:', storageErr);
+  }
+  // The user row no longer has the address, so email the one captured before anonymising
+  if (user) await notifyClosureStatus(user, request);
+  return request;
+}
+
+/**
+ * Complete every approved closure whose grace period has ended
+ * @returns {Promise<number>} Number of accounts anonymised
+ */
+async function processDueClosures() {
+  const due = await db.query(
+    `SELECT id FROM account_closure_requests
+     WHERE status = 'approved' AND scheduled_for <= NOW()
+     ORDER BY scheduled_for ASC`
+  );
+
+  let completed = 0;
+  for (const row of due.rows) {
+    try {
+      if (await completeClosure(row.id)) completed++;
+    } catch (err) {
+      console.error(`Error completing account closure ${row.id}:`, err);
+    }
+  }
+  return completed;
+}
+
+module.exports = {
+  CLOSURE_GRACE_DAYS,
+  ClosureStatus,
+  formatClosureRequest,
+  requestClosure,
+  getCancellableClosure,
+  cancelClosureOnLogin,
+  approveClosure,
+  rejectClosure,
+  completeClosure,
+  processDueClosures
+};
@@ -0,0 +1,347 @@
+/**
+ * Video Captions
+ * Parses SRT and WebVTT caption files, normalises them to WebVTT and stores one track per
+ * video and language. Parsed cues are kept in video_caption_cues for timestamped search.
+ */
+
+const db = require('../config/db');
+const { uploadToS3, deleteFromS3, getPresignedUrl } = require('./s3-helper');
+const { formatVttTime } = require('./videoPreviews');
+const { PLAYBACK_URL_TTL_SECONDS } = require('./videoPlayback');
+
+const CaptionFormats = {
+  SRT: 'srt',
+  VTT: 'vtt'
+};
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+const TIMING_PATTERN = /^\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})(.*)$/;
+
+/**
+ * Parse an SRT or WebVTT timestamp
+ * @param {string} value - e.g. 00:01:02,500 or 01:02.500
+ * @returns {number} Seconds
+ */
+function parseTimestamp(value) {
+  const parts = value.replace(',', '.').split(':');
+  const seconds = parseFloat(parts.pop());
+  const minutes = parseInt(parts.pop());
+  const hours = parts.length > 0 ? parseInt(parts.pop()) : 0;
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Cue text without WebVTT/SRT markup (<i>, <c.class>, <v Speaker>, {\an8}), for search
+ * @param {string} text
+ * @returns {string}
+ */
+function stripCueMarkup(text) {
+  return text
+    .replace(/<[^>]*>/g, '')
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * BCP 47 language tag in canonical case (en, en-GB, zh-Hant), or null when invalid
+ * @param {string} language
+ * @returns {string|null}
+ */
+function normaliseLanguage(language) {
+  if (!language || !LANGUAGE_PATTERN.test(String(language).trim())) return null;
+  const [primary, ...subtags] = String(language).trim().split('-');
+  return [
+    primary.toLowerCase(),
+    ...subtags.map((subtag) => {
+      if (subtag.length === 2) return subtag.toUpperCase();
+      if (subtag.length === 4) return subtag[0].toUpperCase() + subtag.slice(1).toLowerCase();
+      return subtag.toLowerCase();
+    })
+  ].join('-');
+}
+
+function getLanguageName(language) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+  } catch (err) {
+    return language;
+  }
+}
+
+/**
+ * Parse an SRT or WebVTT file into cues
+ * @param {string} content - File contents
+ * @returns {object} { format, cues: [{ start, end, settings, text }] }, or { status, error } when invalid
+ */
+function parseCaptions(content) {
+  const normalised = String(content || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim();
+  const format = /^WEBVTT(\s|$)/.test(normalised) ? CaptionFormats.VTT : CaptionFormats.SRT;
+  const blocks = normalised.split(/\n\s*\n/);
+  const cues = [];
+
+  for (const [index, block] of blocks.entries()) {
+    const lines = block.split('\n');
+    if (format === CaptionFormats.VTT && (index === 0 || /^(NOTE|STYLE|REGION)(\s|$)/.test(lines[0]))) {
+      continue;
+    }
+
+    // Anything before the timing line is a cue identifier (SRT sequence numbers, optional VTT ids)
+    const timingIndex = lines.findIndex((line) => line.includes('-->'));
+    const timing = timingIndex === -1 ? null : lines[timingIndex].match(TIMING_PATTERN);
+    if (!timing) {
+      return { status: 400, error: `Invalid cue timing near "${lines[0].slice(0, 60)}"` };
+    }
+
+    const start = parseTimestamp(timing[1]);
+    const end = parseTimestamp(timing[2]);
+    if (end <= start) {
+      return { status: 400, error: `Cue ending at ${timing[2]} must end after it starts` };
+    }
+
+    let text = lines.slice(timingIndex + 1).join('\n').trim();
+    if (format === CaptionFormats.SRT) {
+      // WebVTT has no <font> tags or {\anN} positioning overrides
+      text = text.replace(/<\/?font[^>]*>/gi, '').replace(/\{\\[^}]*\}/g, '').trim();
+    }
+    if (!text) continue;
+
+    cues.push({
+      start,
+      end,
+      // SRT coordinates (X1:... Y2:...) have no WebVTT equivalent and are dropped
+      settings: format === CaptionFormats.VTT ? timing[3].trim() : '',
+      text
+    });
+  }
+
+  if (cues.length === 0) {
+    return { status: 400, error: 'Caption file has no cues' };
+  }
+  cues.sort((a, b) => a.start - b.start);
+  return { format, cues };
+}
+
+/**
+ * WebVTT file for parsed cues
+ * @param {Array} cues - From parseCaptions
+ * @returns {string}
+ */
+function buildWebVtt(cues) {
+  const lines = ['WEBVTT', ''];
+  for (const cue of cues) {
+    lines.push(`${formatVttTime(cue.start)} --> ${formatVttTime(cue.end)}${cue.settings ? ` ${cue.settings}` : ''}`);
+    lines.push(cue.text);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+function formatCaptionTrack(track) {
+  return {
+    id: track.id,
+    videoId: track.video_id,
+    language: track.language,
+    label: track.label,
+    sourceFormat: track.source_format,
+    url: track.vtt_url,
+    isDefault: track.is_default,
+    cueCount: track.cue_count,
+    createdAt: track.created_at?.toISOString(),
+    updatedAt: track.updated_at?.toISOString()
+  };
+}
+
+/**
+ * Caption tracks of a video, default track first. The files are private, so each track's url is
+ * a presigned link that lasts as long as a playback link; only list tracks for callers who may
+ * watch the video.
+ * @param {number} videoId
+ * @param {object} [executor] - pg pool or client
+ * @returns {Promise<Array>} Formatted tracks
+ */
+async function listCaptionTracks(videoId, executor = db) {
+  const result = await executor.query(
+    'SELECT * FROM video_caption_tracks WHERE video_id = $1 ORDER BY is_default DESC, language',
+    [videoId]
+  );
+  return Promise.all(result.rows.map(async (track) => ({
+    ...formatCaptionTrack(track),
+    url: await getPresignedUrl(track.s3_key, PLAYBACK_URL_TTL_SECONDS)
+  })));
+}
+
+/**
+ * Create or replace the caption track for a video and language
+ * @param {number} videoId
+ * @param {object} options
+ * @param {string} options.language - BCP 47 tag
+ * @param {string} [options.label] - Defaults to the language's English name, or the replaced track's label
+ * @param {boolean} [options.isDefault] - Defaults to true for a video's first track
+ * @param {Buffer} options.buffer - SRT or WebVTT file contents
+ * @returns {Promise<object>} { track, created }, or { status, error }
+ */
+async function saveCaptionTrack(videoId, { language, label, isDefault, buffer }) {
+  const tag = normaliseLanguage(language);
+  if (!tag) {
+    return { status: 400, error: 'language must be a BCP 47 tag such as en, en-GB or hi' };
+  }
+
+  const parsed = parseCaptions(buffer.toString('utf8'));
+  if (parsed.error) return parsed;
+
+  const vtt = await uploadToS3(Buffer.from(buildWebVtt(parsed.cues)), `video-${videoId}-${tag}.vtt`, 'text/vtt', 'captions', { private: true });
+
+  const client = await db.connect();
+  let previous = null;
+  let track;
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      'SELECT id, language, s3_key FROM video_caption_tracks WHERE video_id = $1 FOR UPDATE',
+      [videoId]
+    );
+    previous = existing.rows.find((row) => row.language === tag) || null;
+    const makeDefault = isDefault !== undefined ? isDefault : existing.rows.length === 0 || undefined;
+
+    if (makeDefault) {
+      await client.query(
+        'UPDATE video_caption_tracks SET is_default = FALSE WHERE video_id = $1 AND language <> $2',
+        [videoId, tag]
+      );
+    }
+
+    const trackResult = await client.query(
+      `INSERT INTO video_caption_tracks (video_id, language, label, source_format, vtt_url, s3_key, is_default, cue_count)
+       VALUES ($1, $2, COALESCE($3, $9), $4, $5, $6, COALESCE($7, FALSE), $8)
+       ON CONFLICT (video_id, language) DO UPDATE SET
+         label = COALESCE($3, video_caption_tracks.label),
+         source_format = EXCLUDED.source_format,
+         vtt_url = EXCLUDED.vtt_url,
+         s3_key = EXCLUDED.s3_key,
+         is_default = COALESCE($7, video_caption_tracks.is_default),
+         cue_count = EXCLUDED.cue_count,
+         updated_at = NOW()
+       RETURNING *`,
+      [videoId, tag, label?.trim() || null, parsed.format, vtt.url, vtt.key, makeDefault, parsed.cues.length, getLanguageName(tag)]
+    );
+    track = trackResult.rows[0];
+
+    await client.query('DELETE FROM video_caption_cues WHERE track_id = $1', [track.id]);
+    await client.query(
+      `INSERT INTO video_caption_cues (track_id, video_id, cue_index, start_seconds, end_seconds, text)
+       SELECT $1, $2, cue.* FROM unnest($3::int[], $4::numeric[], $5::numeric[], $6::text[]) AS cue`,
+      [
+        track.id,
+        videoId,
+        parsed.cues.map((cue, index) => index + 1),
+        parsed.cues.map((cue) => cue.start),
+        parsed.cues.map((cue) => cue.end),
+        parsed.cues.map((cue) => stripCueMarkup(cue.text))
+      ]
+    );
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    await deleteFromS3(vtt.key).catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (previous) {
+    await deleteFromS3(previous.s3_key).catch((err) => {
+      console.error(`Failed to delete replaced caption file ${previous.s3_key}:`, err.message);
+    });
+  }
+
+  console.log(`💬 ${previous ? 'Replaced' : 'Added'} ${tag} captions for video ${videoId} (${parsed.cues.length} cues)`);
+  return { track: formatCaptionTrack(track), created: !previous };
+}
+
+/**
+ * Update a track's label or default flag
+ * @param {number} videoId
+ * @param {string} language
+ * @param {object} updates - { label, isDefault }
+ * @returns {Promise<object>} { track }, or { status, error }
+ */
+async function updateCaptionTrack(videoId, language, { label, isDefault }) {
+  const tag = normaliseLanguage(language);
+  if (label !== undefined && !String(label).trim()) {
+    return { status: 400, error: 'label cannot be empty' };
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    if (isDefault === true) {
+      await client.query(
+        'UPDATE video_caption_tracks SET is_default = FALSE WHERE video_id = $1 AND language <> $2',
+        [videoId, tag]
+      );
+    }
+    const result = await client.query(
+      `UPDATE video_caption_tracks SET
+         label = COALESCE($3, label),
+         is_default = COALESCE($4, is_default),
+         updated_at = NOW()
+       WHERE video_id = $1 AND language = $2
+       RETURNING *`,
+      [videoId, tag, label !== undefined ? String(label).trim() : null, isDefault ?? null]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { status: 404, error: 'Caption track not found' };
+    }
+    await client.query('COMMIT');
+    return { track: formatCaptionTrack(result.rows[0]) };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete a caption track, its cues and its S3 file
+ * @param {number} videoId
+ * @param {string} language
+ * @returns {Promise<object>} { track }, or { status, error }
+ */
+async function deleteCaptionTrack(videoId, language) {
+  const result = await db.query(
+    'DELETE FROM video_caption_tracks WHERE video_id = $1 AND language = $2 RETURNING *',
+    [videoId, normaliseLanguage(language)]
+  );
+  if (result.rows.length === 0) {
+    return { status: 404, error: 'Caption track not found' };
+  }
+
+  const track = result.rows[0];
+  await deleteFromS3(track.s3_key).catch((err) => {
+    console.error(`Failed to delete caption file ${track.s3_key}:`, err.message);
+  });
+  return { track: formatCaptionTrack(track) };
+}
+
+module.exports = {
+  CaptionFormats,
+  parseTimestamp,
+  stripCueMarkup,
+  normaliseLanguage,
+  parseCaptions,
+  buildWebVtt,
+  formatCaptionTrack,
+  listCaptionTracks,
+  saveCaptionTrack,
+  updateCaptionTrack,
+  deleteCaptionTrack
+};
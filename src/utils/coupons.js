@@ -0,0 +1,258 @@
+/**
+ * Coupon Engine
+ * Validates discount codes against an item and tracks their redemptions per Razorpay order
+ */
+
+// Unpaid orders hold a redemption slot for this long, so abandoned checkouts eventually free their slot
+const RESERVATION_MINUTES = 30;
+
+const ACTIVE_REDEMPTION_SQL = `(status = 'redeemed' OR (status = 'pending' AND created_at > NOW() - INTERVAL '${RESERVATION_MINUTES} minutes'))`;
+
+/**
+ * Normalize a coupon code for storage and lookup
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeCouponCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * Calculate the discount a coupon gives on an amount
+ * @param {object} coupon - coupons row
+ * @param {number} amount - Price in major currency units
+ * @returns {object} { originalAmount, discountAmount, finalAmount }
+ */
+function calculateDiscount(coupon, amount) {
+  const originalAmount = Math.round(Number(amount) * 100) / 100;
+  let discountAmount = coupon.discount_type === 'percentage'
+    ? originalAmount * Number(coupon.discount_value) / 100
+    : Number(coupon.discount_value);
+
+  if (coupon.max_discount !== null && coupon.max_discount !== undefined) {
+    discountAmount = Math.min(discountAmount, Number(coupon.max_discount));
+  }
+  discountAmount = Math.round(Math.min(discountAmount, originalAmount) * 100) / 100;
+
+  return {
+    originalAmount,
+    discountAmount,
+    finalAmount: Math.round((originalAmount - discountAmount) * 100) / 100
+  };
+}
+
+/**
+ * Look up the price and plan type of a topic or category bundle for coupon checks
+ * @param {object} executor - pg pool or client
+ * @param {object} options - { topicId, categoryId, isBundle }
+ * @returns {Promise<object|null>} { topicId, categoryId, planType, title, amount }, or null if not found
+ */
+async function getCouponItem(executor, options) {
+  const { topicId, categoryId, isBundle } = options;
+
+  if (isBundle && categoryId) {
+    const result = await executor.query(
+      'SELECT id, name, plan_type, bundle_price FROM category WHERE id = $1',
+      [categoryId]
+    );
+    if (result.rows.length === 0) return null;
+    const category = result.rows[0];
+    return {
+      topicId: null,
+      categoryId: category.id,
+      planType: category.plan_type,
+      title: `${category.name} - Bundle`,
+      amount: Number(category.bundle_price) || 0
+    };
+  }
+
+  if (!topicId) return null;
+
+  const result = await executor.query(
+    `SELECT t.id, t.title, t.price, t.category_id, c.plan_type
+     FROM topics t
+     LEFT JOIN category c ON t.category_id = c.id
+     WHERE t.id = $1`,
+    [topicId]
+  );
+  if (result.rows.length === 0) return null;
+  const topic = result.rows[0];
+  return {
+    topicId: topic.id,
+    categoryId: topic.category_id,
+    planType: topic.plan_type,
+    title: topic.title,
+    amount: Number(topic.price) || 0
+  };
+}
+
+/**
+ * Check a coupon code against a user and item
+ * @param {object} executor - pg pool or client
+ * @param {object} options - { code, userId, item } where item comes from getCouponItem
+ * @returns {Promise<object>} { valid, error } or { valid, coupon, originalAmount, discountAmount, finalAmount }
+ */
+async function validateCoupon(executor, options) {
+  const { code, userId, item } = options;
+
+  const result = await executor.query('SELECT * FROM coupons WHERE code = $1', [normalizeCouponCode(code)]);
+  if (result.rows.length === 0) {
+    return { valid: false, error: 'Invalid coupon code' };
+  }
+
+  const coupon = result.rows[0];
+  const now = new Date();
+
+  if (!coupon.is_active) {
+    return { valid: false, error: 'This coupon is no longer active' };
+  }
+  if (coupon.valid_from && now < new Date(coupon.valid_from)) {
+    return { valid: false, error: 'This coupon is not valid yet' };
+  }
+  if (coupon.valid_until && now > new Date(coupon.valid_until)) {
+    return { valid: false, error: 'This coupon has expired' };
+  }
+
+  const topicIds = coupon.topic_ids || [];
+  const categoryIds = coupon.category_ids || [];
+  const planTypes = coupon.plan_types || [];
+
+  if (topicIds.length > 0 && !topicIds.includes(Number(item.topicId))) {
+    return { valid: false, error: 'This coupon does not apply to this topic' };
+  }
+  if (categoryIds.length > 0 && !categoryIds.includes(Number(item.categoryId))) {
+    return { valid: false, error: 'This coupon does not apply to this category' };
+  }
+  if (planTypes.length > 0 && !planTypes.includes(item.planType)) {
+    return { valid: false, error: `This coupon does not apply to ${item.planType || 'this'} plans` };
+  }
+  if (Number(coupon.min_order_amount) > 0 && item.amount < Number(coupon.min_order_amount)) {
+    return { valid: false, error: `This coupon requires a minimum order of ${Number(coupon.min_order_amount)}` };
+  }
+
+  const limitError = await checkRedemptionLimits(executor, coupon, userId);
+  if (limitError) {
+    return { valid: false, error: limitError };
+  }
+
+  return { valid: true, coupon, ...calculateDiscount(coupon, item.amount) };
+}
+
+/**
+ * Check a coupon's total and per-user redemption limits against its active redemptions
+ * @param {object} executor - pg pool or client
+ * @param {object} coupon - coupons row
+ * @param {number} userId
+ * @returns {Promise<string|null>} Error message, or null if a redemption is still available
+ */
+async function checkRedemptionLimits(executor, coupon, userId) {
+  const usage = await executor.query(
+    `SELECT
+       COUNT(*) as total,
+       COUNT(*) FILTER (WHERE user_id = $2) as user_total
+     FROM coupon_redemptions
+     WHERE coupon_id = $1 AND ${ACTIVE_REDEMPTION_SQL}`,
+    [coupon.id, userId]
+  );
+  const { total, user_total: userTotal } = usage.rows[0];
+
+  if (coupon.max_redemptions && parseInt(total) >= coupon.max_redemptions) {
+    return 'This coupon has reached its redemption limit';
+  }
+  if (coupon.max_redemptions_per_user && parseInt(userTotal) >= coupon.max_redemptions_per_user) {
+    return 'You have already used this coupon';
+  }
+  return null;
+}
+
+/**
+ * Record a coupon redemption for an order.
+ * The coupon row is locked while the limits are checked again, so concurrent checkouts
+ * can't redeem past max_redemptions or max_redemptions_per_user.
+ * @param {object} pool - pg pool
+ * @param {object} options - { validation, userId, item, orderId, status }
+ * @returns {Promise<object>} { redemption }, or { status, error } if a limit has been reached
+ */
+async function recordCouponRedemption(pool, options) {
+  const { validation, userId, item, orderId = null, status = 'pending' } = options;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const couponResult = await client.query('SELECT * FROM coupons WHERE id = $1 FOR UPDATE', [validation.coupon.id]);
+    const limitError = couponResult.rows[0]
+      ? await checkRedemptionLimits(client, couponResult.rows[0], userId)
+      : 'Invalid coupon code';
+    if (limitError) {
+      await client.query('ROLLBACK');
+      return { status: 409, error: limitError };
+    }
+
+    const result = await client.query(
+      `INSERT INTO coupon_redemptions
+         (coupon_id, user_id, order_id, topic_id, category_id, original_amount, discount_amount, final_amount, status, redeemed_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        validation.coupon.id,
+        userId,
+        orderId,
+        item.topicId,
+        item.categoryId,
+        validation.originalAmount,
+        validation.discountAmount,
+        validation.finalAmount,
+        status,
+        status === 'redeemed' ? new Date() : null
+      ]
+    );
+
+    await client.query('COMMIT');
+    return { redemption: result.rows[0] };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Mark the coupon redemption for a paid order as used
+ * @param {object} executor - pg pool or client
+ * @param {string} orderId
+ */
+async function markCouponRedeemed(executor, orderId) {
+  if (!orderId) return;
+  await executor.query(
+    `UPDATE coupon_redemptions SET status = 'redeemed', redeemed_at = NOW()
+     WHERE order_id = $1 AND status = 'pending'`,
+    [orderId]
+  );
+}
+
+/**
+ * Release the redemption slot held by a failed order
+ * @param {object} executor - pg pool or client
+ * @param {string} orderId
+ */
+async function cancelCouponRedemption(executor, orderId) {
+  if (!orderId) return;
+  await executor.query(
+    `UPDATE coupon_redemptions SET status = 'cancelled'
+     WHERE order_id = $1 AND status = 'pending'`,
+    [orderId]
+  );
+}
+
+module.exports = {
+  RESERVATION_MINUTES,
+  normalizeCouponCode,
+  calculateDiscount,
+  getCouponItem,
+  validateCoupon,
+  recordCouponRedemption,
+  markCouponRedeemed,
+  cancelCouponRedemption
+};
@@ -0,0 +1,470 @@
+/**
+ * Personal Data Export
+ * Builds a zip of everything we hold about a user (data.json plus one CSV per section), stores it
+ * privately in S3 and emails a presigned link that stops working after DATA_EXPORT_LINK_TTL_HOURS
+ * (default 72, at most 168 because presigned URLs cannot outlive 7 days).
+ */
+
+const archiver = require('archiver');
+const { PutObjectCommand } = require('@aws-sdk/client-s3');
+const { s3Client, bucketName } = require('../config/s3');
+const db = require('../config/db');
+const transporter = require('../config/mailer');
+const { deleteFromS3, getPresignedUrl } = require('./s3-helper');
+
+const LINK_TTL_HOURS = Math.min(Math.max(parseInt(process.env.DATA_EXPORT_LINK_TTL_HOURS) || 72, 1), 168);
+const EXPORT_COOLDOWN_HOURS = parseInt(process.env.DATA_EXPORT_COOLDOWN_HOURS) || 24;
+const MAX_ATTEMPTS = 3;
+const DOWNLOAD_URL_SECONDS = 15 * 60;
+
+// Each section becomes a key in data.json and a CSV file. Secrets (token hashes, FCM tokens,
+// OTPs) are left out; they are not personal data the user can use and would weaken their account.
+const EXPORT_SECTIONS = [
+  {
+    name: 'profile',
+    sql: 'SELECT * FROM users WHERE id = $1'
+  },
+  {
+    name: 'topic_enrollments',
+    sql: `SELECT ut.*, t.title as topic_title
+          FROM user_topics ut LEFT JOIN topics t ON ut.topic_id = t.id
+          WHERE ut.user_id = $1 ORDER BY ut.id`
+  },
+  {
+    name: 'bundle_enrollments',
+    sql: `SELECT ucb.*, c.name as category_name
+          FROM user_category_bundles ucb LEFT JOIN category c ON ucb.category_id = c.id
+          WHERE ucb.user_id = $1 ORDER BY ucb.id`
+  },
+  {
+    name: 'learning_progress',
+    sql: `SELECT tp.*, t.title as topic_title, tv.title as video_title
+          FROM topic_progress tp
+          LEFT JOIN topics t ON tp.topic_id = t.id
+          LEFT JOIN topic_videos tv ON tp.video_id = tv.id
+          WHERE tp.user_id = $1 ORDER BY tp.topic_id, tp.id`
+  },
+  {
+    name: 'progress_milestones',
+    sql: 'SELECT * FROM topic_progress_milestones WHERE user_id = $1 ORDER BY reached_at'
+  },
+  {
+    name: 'reviews',
+    sql: 'SELECT * FROM topic_reviews WHERE user_id = $1 ORDER BY created_at'
+  },
+  {
+    name: 'cart',
+    sql: 'SELECT * FROM cart_items WHERE user_id = $1 ORDER BY id'
+  },
+  {
+    name: 'payments',
+    sql: 'SELECT * FROM payments WHERE user_id = $1 ORDER BY created_at'
+  },
+  {
+    name: 'refunds',
+    sql: 'SELECT * FROM refunds WHERE user_id = $1 ORDER BY created_at'
+  },
+  {
+    name: 'invoices',
+    sql: 'SELECT * FROM invoices WHERE user_id = $1 ORDER BY issued_at'
+  },
+  {
+    name: 'coupon_redemptions',
+    sql: `SELECT cr.*, c.code as coupon_code
+          FROM coupon_redemptions cr LEFT JOIN coupons c ON cr.coupon_id = c.id
+          WHERE cr.user_id = $1 ORDER BY cr.created_at`
+  },
+  {
+    name: 'notifications',
+    sql: 'SELECT * FROM notification_history WHERE user_id = $1 ORDER BY created_at'
+  },
+  {
+    name: 'devices',
+    sql: `SELECT id, device_id, device_type, device_name, is_active, created_at, updated_at
+          FROM user_fcm_tokens WHERE user_id = $1 ORDER BY created_at`
+  },
+  {
+    name: 'sessions',
+    sql: `SELECT id, device_id, device_type, device_name, ip_address, user_agent, location_hint,
+                 created_at, last_used_at, expires_at, revoked_at, revoked_reason
+          FROM user_sessions WHERE user_id = $1 ORDER BY created_at`
+  },
+  {
+    name: 'login_history',
+    sql: `SELECT id, event_type, success, failure_reason, ip_address, user_agent, device_id, country, location_hint, created_at
+          FROM login_events WHERE user_id = $1 ORDER BY created_at`
+  },
+  {
+    name: 'linked_accounts',
+    sql: `SELECT id, provider, email, email_verified, created_at, last_login_at
+          FROM user_identities WHERE user_id = $1 ORDER BY created_at`
+  },
+  {
+    name: 'account_closure_requests',
+    sql: 'SELECT * FROM account_closure_requests WHERE user_id = $1 ORDER BY created_at'
+  },
+  {
+    name: 'organisation_memberships',
+    sql: `SELECT om.id, o.name as organisation_name, om.email, om.role, om.status, om.invited_at, om.joined_at, om.removed_at
+          FROM organisation_members om JOIN organisations o ON o.id = om.organisation_id
+          WHERE om.user_id = $1 ORDER BY om.invited_at`
+  },
+  {
+    name: 'lesson_resource_downloads',
+    sql: `SELECT d.id, lr.title as resource_title, lr.file_name, t.title as topic_title,
+                 d.download_count, d.first_downloaded_at, d.last_downloaded_at
+          FROM lesson_resource_downloads d
+          JOIN lesson_resources lr ON lr.id = d.resource_id
+          LEFT JOIN topics t ON t.id = lr.topic_id
+          WHERE d.user_id = $1 ORDER BY d.first_downloaded_at`
+  }
+];
+
+/**
+ * Format an export request for API responses
+ * @param {object} request - data_export_requests row
+ * @returns {object}
+ */
+function formatDataExport(request) {
+  return {
+    id: request.id,
+    status: request.status,
+    fileSize: request.file_size !== null && request.file_size !== undefined ? Number(request.file_size) : null,
+    error: request.status === 'failed' ? 'The export could not be generated. Please request a new one.' : null,
+    expiresAt: request.expires_at?.toISOString(),
+    createdAt: request.created_at?.toISOString(),
+    completedAt: request.completed_at?.toISOString()
+  };
+}
+
+/**
+ * Collect every export section for a user. Sections whose table does not exist in this
+ * deployment are exported empty.
+ * @param {number} userId
+ * @returns {Promise<object>} Section name to rows
+ */
+async function collectUserData(userId) {
+  const data = {};
+  for (const section of EXPORT_SECTIONS) {
+    try {
+      const result = await db.query(section.sql, [userId]);
+      data[section.name] = result.rows;
+    } catch (err) {
+      if (err.code !== '42P01') throw err; // undefined_table
+      data[section.name] = [];
+    }
+  }
+  return data;
+}
+
+function formatCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  else text = String(value);
+
+  // Stop spreadsheet apps from treating user-provided text as a formula
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV with a header of every column seen
+ * @param {object[]} rows
+ * @returns {string}
+ */
+function toCsv(rows) {
+  const columns = [];
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      if (!columns.includes(key)) columns.push(key);
+    }
+  }
+  if (columns.length === 0) return '';
+
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => formatCsvValue(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Zip the collected data as data.json plus csv/<section>.csv
+ * @param {object} data - Output of collectUserData
+ * @param {object} meta - { userId, generatedAt }
+ * @returns {Promise<Buffer>}
+ */
+function buildArchive(data, meta) {
+  return new Promise((resolve, reject) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const chunks = [];
+
+    archive.on('data', (chunk) => chunks.push(chunk));
+    archive.on('warning', reject);
+    archive.on('error', reject);
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+
+    archive.append(JSON.stringify({ exportedAt: meta.generatedAt, userId: meta.userId, ...data }, null, 2), {
+      name: 'data.json'
+    });
+    for (const [name, rows] of Object.entries(data)) {
+      archive.append(toCsv(rows), { name: `csv/${name}.csv` });
+    }
+    archive.append(
+      `ThinkCyber personal data export for user ${meta.userId}\r\n` +
+      `Generated ${meta.generatedAt}\r\n\r\n` +
+      'data.json has everything in one file; the csv folder has one spreadsheet per section.\r\n',
+      { name: 'README.txt' }
+    );
+    archive.finalize();
+  });
+}
+
+/**
+ * Email the user a link to their finished export
+ * @param {object} user - { email, name }
+ * @param {string} url - Presigned download URL
+ * @param {Date} expiresAt
+ */
+async function sendDataExportEmail(user, url, expiresAt) {
+  const expiresOn = new Date(expiresAt).toLocaleString('en-IN', {
+    day: 'numeric', month: 'long', year: 'numeric', hour: '2-digit', minute: '2-digit'
+  });
+
+  await transporter.sendMail({
+    from: `"ThinkCyber Support" <${process.env.SMTP_USER}>`,
+    to: user.email,
+    subject: 'Your ThinkCyber data export is ready',
+    html: `
+  <div style="font-family: Arial, sans-serif; background-color:#f9fafb; padding:20px;">
+    <div style="max-width:600px; margin:auto; background:#ffffff; border-radius:8px; padding:30px; box-shadow:0 4px 12px rgba(0,0,0,0.08);">
+      <h2 style="color:#1a73e8;">Your data export is ready</h2>
+      <p style="font-size:15px; color:#444;">Hi <b>${user.name || 'there'}</b>,</p>
+      <p style="font-size:15px; color:#444; line-height:1.6;">
+        The copy of your ThinkCyber data you asked for is ready. It is a zip file with your profile,
+        enrollments, payments, learning progress, notifications, devices and account requests as JSON and CSV.
+      </p>
+      <div style="text-align:center; margin:30px 0;">
+        <a href="${url}" style="background:#1a73e8; color:#ffffff; padding:12px 24px; border-radius:6px; text-decoration:none; font-size:15px;">Download my data</a>
+      </div>
+      <p style="font-size:13px; color:#777; line-height:1.6;">
+        This link works until <b>${expiresOn}</b>. After that you can request a new export from the app.
+        If you didn't ask for this, please contact support immediately.
+      </p>
+      <hr style="margin:30px 0; border:none; border-top:1px solid #eee;">
+      <p style="font-size:12px; color:#999; text-align:center;">ThinkCyber © ${new Date().getFullYear()}</p>
+    </div>
+  </div>
+  `
+  });
+}
+
+/**
+ * Queue a data export for a user. An export that is still being generated is returned as is;
+ * a new one can only be requested once per EXPORT_COOLDOWN_HOURS.
+ * @param {number} userId
+ * @param {object} meta - { ipAddress }
+ * @returns {Promise<object>} { request, created } or { error, retryAfter }
+ */
+async function requestDataExport(userId, meta = {}) {
+  const open = await db.query(
+    `SELECT * FROM data_export_requests
+     WHERE user_id = $1 AND status IN ('pending', 'processing')
+     ORDER BY created_at DESC LIMIT 1`,
+    [userId]
+  );
+  if (open.rows[0]) return { request: open.rows[0], created: false };
+
+  const recent = await db.query(
+    `SELECT created_at FROM data_export_requests
+     WHERE user_id = $1 AND status IN ('ready', 'expired')
+       AND created_at > NOW() - INTERVAL '${EXPORT_COOLDOWN_HOURS} hours'
+     ORDER BY created_at DESC LIMIT 1`,
+    [userId]
+  );
+  if (recent.rows[0]) {
+    const availableAt = new Date(recent.rows[0].created_at).getTime() + EXPORT_COOLDOWN_HOURS * 3600 * 1000;
+    return {
+      error: `You can request one data export every ${EXPORT_COOLDOWN_HOURS} hours`,
+      retryAfter: Math.max(Math.ceil((availableAt - Date.now()) / 1000), 1)
+    };
+  }
+
+  const result = await db.query(
+    'INSERT INTO data_export_requests (user_id, requested_ip) VALUES ($1, $2) RETURNING *',
+    [userId, meta.ipAddress || null]
+  );
+  return { request: result.rows[0], created: true };
+}
+
+/**
+ * Generate, upload and email one pending export. Failures put it back to pending until
+ * MAX_ATTEMPTS, then mark it failed. Never throws.
+ * @param {number} id - data_export_requests.id
+ * @returns {Promise<object|null>} Updated request, or null if it was not pending
+ */
+async function processDataExport(id) {
+  const claimed = await db.query(
+    `UPDATE data_export_requests
+     SET status = 'processing', attempts = attempts + 1, started_at = NOW(), updated_at = NOW()
+     WHERE id = $1 AND status = 'pending'
+     RETURNING *`,
+    [id]
+  );
+  const request = claimed.rows[0];
+  if (!request) return null;
+
+  try {
+    const userResult = await db.query('SELECT id, email, name FROM users WHERE id = $1', [request.user_id]);
+    const user = userResult.rows[0];
+    if (!user) throw new Error('User not found');
+
+    const generatedAt = new Date().toISOString();
+    const data = await collectUserData(user.id);
+    const archive = await buildArchive(data, { userId: user.id, generatedAt });
+
+    const key = `data-exports/${user.id}/thinkcyber-data-${user.id}-${Date.now()}.zip`;
+    await s3Client.send(new PutObjectCommand({
+      Bucket: bucketName,
+      Key: key,
+      Body: archive,
+      ContentType: 'application/zip',
+      ContentDisposition: `attachment; filename="thinkcyber-data-export-${generatedAt.slice(0, 10)}.zip"`
+    }));
+
+    const ready = await db.query(
+      `UPDATE data_export_requests
+       SET status = 'ready', s3_key = $2, file_size = $3, error_message = NULL,
+           expires_at = NOW() + INTERVAL '${LINK_TTL_HOURS} hours', completed_at = NOW(), updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, key, archive.length]
+    );
+    console.log(`📦 Data export ${id} ready for user ${user.id} (${archive.length} bytes)`);
+
+    try {
+      const url = await getPresignedUrl(key, LINK_TTL_HOURS * 3600);
+      await sendDataExportEmail(user, url, ready.rows[0].expires_at);
+    } catch (emailErr) {
+      // The export can still be downloaded from the app
+      console.error('Error sending data export email:', emailErr);
+    }
+    return ready.rows[0];
+  } catch (err) {
+    console.error(`Error generating data export ${id}:`, err);
+    const failed = await db.query(
+      `UPDATE data_export_requests
+       SET status = CASE WHEN attempts >= $2 THEN 'failed' ELSE 'pending' END,
+           error_message = $3, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, MAX_ATTEMPTS, err.message]
+    );
+    return failed.rows[0];
+  }
+}
+
+/**
+ * Start generating an export without waiting for it
+ * @param {number} id - data_export_requests.id
+ */
+function scheduleDataExport(id) {
+  setImmediate(() => {
+    processDataExport(id).catch((err) => console.error(`Error processing data export ${id}:`, err));
+  });
+}
+
+/**
+ * Get a short-lived download URL for a user's ready export
+ * @param {number} userId
+ * @param {number} id - data_export_requests.id
+ * @returns {Promise<object|null>} { request, url, urlExpiresAt }, { request } if not downloadable, or null if not found
+ */
+async function getDataExportDownload(userId, id) {
+  const result = await db.query(
+    'SELECT * FROM data_export_requests WHERE id = $1 AND user_id = $2',
+    [id, userId]
+  );
+  const request = result.rows[0];
+  if (!request) return null;
+  if (request.status !== 'ready' || !request.s3_key || new Date(request.expires_at) <= new Date()) {
+    return { request };
+  }
+
+  const remaining = Math.floor((new Date(request.expires_at).getTime() - Date.now()) / 1000);
+  const expiresIn = Math.max(Math.min(DOWNLOAD_URL_SECONDS, remaining), 1);
+  return {
+    request,
+    url: await getPresignedUrl(request.s3_key, expiresIn),
+    urlExpiresAt: new Date(Date.now() + expiresIn * 1000)
+  };
+}
+
+/**
+ * Retry exports left pending or stuck in processing (e.g. by a restart), and delete expired archives
+ * @returns {Promise<object>} { retried, expired }
+ */
+async function processDataExportQueue() {
+  await db.query(
+    `UPDATE data_export_requests SET status = 'pending', updated_at = NOW()
+     WHERE status = 'processing' AND started_at < NOW() - INTERVAL '30 minutes'`
+  );
+
+  const pending = await db.query(
+    `SELECT id FROM data_export_requests
+     WHERE status = 'pending' AND updated_at < NOW() - INTERVAL '1 minute'
+     ORDER BY created_at ASC LIMIT 20`
+  );
+  for (const row of pending.rows) {
+    await processDataExport(row.id);
+  }
+
+  const expired = await db.query(
+    `SELECT id, s3_key FROM data_export_requests WHERE status = 'ready' AND expires_at <= NOW()`
+  );
+  for (const row of expired.rows) {
+    try {
+      if (row.s3_key) await deleteFromS3(row.s3_key);
+      await db.query(
+        `UPDATE data_export_requests SET status = 'expired', s3_key = NULL, updated_at = NOW() WHERE id = $1`,
+        [row.id]
+      );
+    } catch (err) {
+      console.error(`Error expiring data export ${row.id}:`, err);
+    }
+  }
+
+  return { retried: pending.rows.length, expired: expired.rows.length };
+}
+
+/**
+ * Delete every export archive and request of a user, e.g. when their account is closed
+ * @param {number} userId
+ */
+async function deleteUserDataExports(userId) {
+  const result = await db.query(
+    'SELECT id, s3_key FROM data_export_requests WHERE user_id = $1 AND s3_key IS NOT NULL',
+    [userId]
+  );
+  for (const row of result.rows) {
+    await deleteFromS3(row.s3_key);
+  }
+  await db.query('DELETE FROM data_export_requests WHERE user_id = $1', [userId]);
+}
+
+module.exports = {
+  LINK_TTL_HOURS,
+  EXPORT_COOLDOWN_HOURS,
+  formatDataExport,
+  collectUserData,
+  toCsv,
+  buildArchive,
+  requestDataExport,
+  processDataExport,
+  scheduleDataExport,
+  getDataExportDownload,
+  processDataExportQueue,
+  deleteUserDataExports
+};
@@ -0,0 +1,353 @@
+/**
+ * GST Invoices
+ * Issues numbered tax invoices for captured payments, renders them as PDF and emails them to the buyer.
+ * Seller details come from the INVOICE_* / SELLER_* environment variables.
+ */
+
+const PDFDocument = require('pdfkit');
+const db = require('../config/db');
+const transporter = require('../config/mailer');
+const { escapeHtml } = require('./securityAlerts');
+
+const GST_RATE = Number(process.env.GST_RATE || 18);
+const INVOICE_PREFIX = process.env.INVOICE_PREFIX || 'TC';
+// SAC 999293: commercial training and coaching services
+const SAC_CODE = process.env.INVOICE_SAC_CODE || '999293';
+
+const seller = {
+  name: process.env.SELLER_NAME || 'ThinkCyber',
+  gstin: process.env.SELLER_GSTIN || '',
+  address: process.env.SELLER_ADDRESS || '',
+  state: process.env.SELLER_STATE || 'Telangana',
+  stateCode: process.env.SELLER_STATE_CODE || '36'
+};
+
+// GST state codes; names are matched against the buyer's address to find the place of supply
+const GST_STATES = [
+  ['01', 'Jammu and Kashmir'], ['02', 'Himachal Pradesh'], ['03', 'Punjab'], ['04', 'Chandigarh'],
+  ['05', 'Uttarakhand'], ['06', 'Haryana'], ['07', 'Delhi'], ['08', 'Rajasthan'], ['09', 'Uttar Pradesh'],
+  ['10', 'Bihar'], ['11', 'Sikkim'], ['12', 'Arunachal Pradesh'], ['13', 'Nagaland'], ['14', 'Manipur'],
+  ['15', 'Mizoram'], ['16', 'Tripura'], ['17', 'Meghalaya'], ['18', 'Assam'], ['19', 'West Bengal'],
+  ['20', 'Jharkhand'], ['21', 'Odisha'], ['21', 'Orissa'], ['22', 'Chhattisgarh'], ['23', 'Madhya Pradesh'],
+  ['24', 'Gujarat'], ['26', 'Dadra and Nagar Haveli and Daman and Diu'], ['27', 'Maharashtra'],
+  ['29', 'Karnataka'], ['30', 'Goa'], ['31', 'Lakshadweep'], ['32', 'Kerala'], ['33', 'Tamil Nadu'],
+  ['34', 'Puducherry'], ['34', 'Pondicherry'], ['35', 'Andaman and Nicobar Islands'], ['36', 'Telangana'],
+  ['37', 'Andhra Pradesh'], ['38', 'Ladakh']
+].sort((a, b) => b[1].length - a[1].length);
+
+/**
+ * Find the buyer's state in a free-text address
+ * @param {string} address
+ * @returns {object|null} { code, name }, or null if no state is named
+ */
+function findGstState(address) {
+  if (!address) return null;
+  const match = GST_STATES.find(([, name]) => new RegExp(`\\b${name.replace(/ /g, '\\s+')}\\b`, 'i').test(address));
+  return match ? { code: match[0], name: match[1] } : null;
+}
+
+/**
+ * Indian financial year (April - March) for a date, e.g. "2026-27"
+ * @param {Date} date
+ * @returns {string}
+ */
+function getFinancialYear(date = new Date()) {
+  const year = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Split a GST-inclusive total into taxable value and tax.
+ * Buyers without a known state are treated as intra-state (CGST + SGST), the place of supply
+ * for unregistered recipients without an address on record.
+ * @param {number} total - Amount paid, GST inclusive
+ * @param {boolean} interState - Charge IGST instead of CGST + SGST
+ * @returns {object} { taxableAmount, cgstAmount, sgstAmount, igstAmount }
+ */
+function calculateGst(total, interState = false) {
+  const round = (value) => Math.round(value * 100) / 100;
+  const taxableAmount = round(total / (1 + GST_RATE / 100));
+  const tax = round(total - taxableAmount);
+
+  if (interState) {
+    return { taxableAmount, cgstAmount: 0, sgstAmount: 0, igstAmount: tax };
+  }
+
+  const cgstAmount = round(tax / 2);
+  return { taxableAmount, cgstAmount, sgstAmount: round(tax - cgstAmount), igstAmount: 0 };
+}
+
+/**
+ * Create the invoice for a captured ledger payment, or return the existing one
+ * @param {number} ledgerId - payments.id
+ * @returns {Promise<object|null>} invoices row, or null if the payment is not captured
+ */
+async function createInvoice(ledgerId) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query('SELECT * FROM invoices WHERE ledger_id = $1', [ledgerId]);
+    if (existing.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return existing.rows[0];
+    }
+
+    const paymentResult = await client.query(
+      `SELECT p.*, u.name as user_name, u.email as user_email, u.phone as user_phone, u.address as user_address,
+              t.title as topic_title
+       FROM payments p
+       JOIN users u ON p.user_id = u.id
+       LEFT JOIN topics t ON p.topic_id = t.id
+       WHERE p.id = $1 AND p.status = 'captured'
+       FOR UPDATE OF p`,
+      [ledgerId]
+    );
+    if (paymentResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const payment = paymentResult.rows[0];
+    const issuedAt = payment.paid_at || new Date();
+    const financialYear = getFinancialYear(issuedAt);
+
+    // Row lock on the sequence keeps numbers gapless under concurrent payments
+    const sequence = await client.query(
+      `INSERT INTO invoice_sequences (financial_year, last_number) VALUES ($1, 1)
+       ON CONFLICT (financial_year) DO UPDATE SET last_number = invoice_sequences.last_number + 1
+       RETURNING last_number`,
+      [financialYear]
+    );
+    const invoiceNumber = `${INVOICE_PREFIX}/${financialYear}/${String(sequence.rows[0].last_number).padStart(6, '0')}`;
+
+    // Place of supply is the buyer's state when their address names one, otherwise the seller's
+    const buyerState = findGstState(payment.user_address);
+    const placeOfSupply = buyerState || { code: seller.stateCode, name: seller.state };
+    const interState = placeOfSupply.code !== seller.stateCode;
+
+    const totalAmount = Number(payment.amount);
+    const gst = calculateGst(totalAmount, interState);
+
+    const result = await client.query(
+      `INSERT INTO invoices (
+         invoice_number, financial_year, ledger_id, user_id, order_id, payment_id,
+         buyer_name, buyer_email, buyer_phone, buyer_address, description, sac_code, currency,
+         gst_rate, taxable_amount, cgst_amount, sgst_amount, igst_amount, total_amount, place_of_supply, issued_at
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
+       RETURNING *`,
+      [
+        invoiceNumber,
+        financialYear,
+        payment.id,
+        payment.user_id,
+        payment.order_id,
+        payment.payment_id,
+        payment.user_name,
+        payment.user_email,
+        payment.user_phone,
+        payment.user_address,
+        (payment.item_type !== 'seats' && payment.topic_title) || payment.description || 'ThinkCyber course access',
+        SAC_CODE,
+        payment.currency || 'INR',
+        GST_RATE,
+        gst.taxableAmount,
+        gst.cgstAmount,
+        gst.sgstAmount,
+        gst.igstAmount,
+        totalAmount,
+        `${placeOfSupply.name} (${placeOfSupply.code})`,
+        issuedAt
+      ]
+    );
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Render an invoice as a PDF
+ * @param {object} invoice - invoices row
+ * @returns {Promise<Buffer>}
+ */
+function generateInvoicePdf(invoice) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const money = (value) => `${invoice.currency} ${Number(value).toFixed(2)}`;
+    const issuedOn = new Date(invoice.issued_at).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+
+    doc.fontSize(20).text('TAX INVOICE', { align: 'right' });
+    doc.moveDown(0.5);
+    doc.fontSize(10)
+      .text(`Invoice No: ${invoice.invoice_number}`, { align: 'right' })
+      .text(`Date: ${issuedOn}`, { align: 'right' })
+      .text(`Place of Supply: ${invoice.place_of_supply}`, { align: 'right' });
+
+    doc.moveDown();
+    doc.fontSize(12).text(seller.name, 50, doc.y);
+    doc.fontSize(10);
+    if (seller.address) doc.text(seller.address);
+    if (seller.gstin) doc.text(`GSTIN: ${seller.gstin}`);
+    doc.text(`State: ${seller.state} (${seller.stateCode})`);
+
+    doc.moveDown();
+    doc.fontSize(11).text('Billed To');
+    doc.fontSize(10).text(invoice.buyer_name || invoice.buyer_email);
+    if (invoice.buyer_address) doc.text(invoice.buyer_address);
+    doc.text(invoice.buyer_email);
+    if (invoice.buyer_phone) doc.text(invoice.buyer_phone);
+
+    doc.moveDown(1.5);
+    const tableTop = doc.y;
+    doc.fontSize(10)
+      .text('Description', 50, tableTop)
+      .text('SAC', 330, tableTop)
+      .text('Taxable Value', 420, tableTop, { width: 125, align: 'right' });
+    doc.moveTo(50, tableTop + 15).lineTo(545, tableTop + 15).stroke();
+
+    const rowTop = tableTop + 25;
+    doc.text(invoice.description, 50, rowTop, { width: 270 })
+      .text(invoice.sac_code, 330, rowTop)
+      .text(money(invoice.taxable_amount), 420, rowTop, { width: 125, align: 'right' });
+
+    let y = Math.max(doc.y, rowTop + 15) + 20;
+    const rate = Number(invoice.gst_rate);
+    const totals = Number(invoice.igst_amount) > 0
+      ? [[`IGST @ ${rate}%`, invoice.igst_amount]]
+      : [[`CGST @ ${rate / 2}%`, invoice.cgst_amount], [`SGST @ ${rate / 2}%`, invoice.sgst_amount]];
+    totals.push(['Total (GST inclusive)', invoice.total_amount]);
+
+    totals.forEach(([label, value]) => {
+      doc.text(label, 300, y, { width: 120 }).text(money(value), 420, y, { width: 125, align: 'right' });
+      y += 18;
+    });
+
+    doc.moveDown(2);
+    doc.fontSize(9).fillColor('#666666')
+      .text(`Razorpay order ${invoice.order_id || '-'} / payment ${invoice.payment_id || '-'}`, 50, y + 20)
+      .text('This is a computer generated invoice and does not require a signature.');
+
+    doc.end();
+  });
+}
+
+/**
+ * Email an invoice PDF to the buyer
+ * @param {object} invoice - invoices row
+ * @param {Buffer} pdf
+ */
+async function sendInvoiceEmail(invoice, pdf) {
+  await transporter.sendMail({
+    from: `"ThinkCyber Billing" <${process.env.SMTP_USER}>`,
+    to: invoice.buyer_email,
+    subject: `Your ThinkCyber invoice ${invoice.invoice_number}`,
+    html: `
+  <div style="font-family: Arial, sans-serif; background-color:#f9fafb; padding:20px;">
+    <div style="max-width:600px; margin:auto; background:#ffffff; border-radius:8px; padding:30px; box-shadow:0 4px 12px rgba(0,0,0,0.08);">
+      <h2 style="color:#1a73e8;">Thank you for your purchase</h2>
+      <p style="font-size:15px; color:#444;">Hi <b>${escapeHtml(invoice.buyer_name || 'there')}</b>,</p>
+      <p style="font-size:15px; color:#444; line-height:1.6;">
+        Your tax invoice <b>${escapeHtml(invoice.invoice_number)}</b> for <b>${escapeHtml(invoice.description)}</b>
+        (${escapeHtml(invoice.currency)} ${Number(invoice.total_amount).toFixed(2)}) is attached.
+      </p>
+      <hr style="margin:30px 0; border:none; border-top:1px solid #eee;">
+      <p style="font-size:12px; color:#999; text-align:center;">ThinkCyber © ${new Date().getFullYear()}</p>
+    </div>
+  </div>
+  `,
+    attachments: [{
+      filename: `${invoice.invoice_number.replace(/\//g, '-')}.pdf`,
+      content: pdf,
+      contentType: 'application/pdf'
+    }]
+  });
+
+  await db.query('UPDATE invoices SET emailed_at = NOW() WHERE id = $1', [invoice.id]);
+}
+
+/**
+ * Issue and email the invoice for a paid Razorpay order.
+ * Never throws: invoicing problems must not fail the payment flow.
+ * @param {string} orderId
+ * @returns {Promise<object|null>} invoices row, or null if nothing was issued
+ */
+async function issueInvoiceForOrder(orderId) {
+  if (!orderId) return null;
+
+  try {
+    const payment = await db.query(
+      "SELECT id FROM payments WHERE order_id = $1 AND status = 'captured'",
+      [orderId]
+    );
+    if (payment.rows.length === 0) return null;
+
+    const invoice = await createInvoice(payment.rows[0].id);
+    if (!invoice || invoice.emailed_at) return invoice;
+
+    try {
+      const pdf = await generateInvoicePdf(invoice);
+      await sendInvoiceEmail(invoice, pdf);
+      console.log(`🧾 Invoice ${invoice.invoice_number} emailed to ${invoice.buyer_email}`);
+    } catch (mailErr) {
+      console.error(`Error emailing invoice ${invoice.invoice_number}:`, mailErr);
+    }
+
+    return invoice;
+  } catch (err) {
+    console.error(`Error issuing invoice for order ${orderId}:`, err);
+    return null;
+  }
+}
+
+/**
+ * Format an invoice row for API responses
+ * @param {object} invoice - invoices row
+ * @returns {object}
+ */
+function formatInvoice(invoice) {
+  return {
+    id: invoice.id,
+    invoiceNumber: invoice.invoice_number,
+    financialYear: invoice.financial_year,
+    orderId: invoice.order_id,
+    paymentId: invoice.payment_id,
+    buyerName: invoice.buyer_name,
+    buyerEmail: invoice.buyer_email,
+    description: invoice.description,
+    sacCode: invoice.sac_code,
+    currency: invoice.currency,
+    gstRate: parseFloat(invoice.gst_rate),
+    taxableAmount: parseFloat(invoice.taxable_amount),
+    cgstAmount: parseFloat(invoice.cgst_amount),
+    sgstAmount: parseFloat(invoice.sgst_amount),
+    igstAmount: parseFloat(invoice.igst_amount),
+    totalAmount: parseFloat(invoice.total_amount),
+    placeOfSupply: invoice.place_of_supply,
+    issuedAt: invoice.issued_at?.toISOString(),
+    emailedAt: invoice.emailed_at?.toISOString() || null
+  };
+}
+
+module.exports = {
+  GST_RATE,
+  getFinancialYear,
+  calculateGst,
+  findGstState,
+  createInvoice,
+  generateInvoicePdf,
+  sendInvoiceEmail,
+  issueInvoiceForOrder,
+  formatInvoice
+};
@@ -0,0 +1,206 @@
+/**
+ * Lesson Resources
+ * Downloadable files (PDFs, lab files, cheat sheets) attached to a module or one of its videos.
+ * Files are uploaded privately, so responses never carry their S3 location; learners get a
+ * short-lived presigned URL after an access check, and each download is counted per user.
+ */
+
+const path = require('path');
+const db = require('../config/db');
+const { uploadToS3, getPresignedUrl } = require('./s3-helper');
+const { checkTopicAccess } = require('./topicAccess');
+
+const ResourceTypes = {
+  DOCUMENT: 'document',
+  LAB: 'lab',
+  CHEAT_SHEET: 'cheat_sheet',
+  OTHER: 'other'
+};
+
+// Lab files are often archives, captures or scripts whose MIME type browsers guess differently, so check extensions
+const ALLOWED_EXTENSIONS = [
+  '.pdf', '.txt', '.md', '.csv', '.json', '.docx', '.pptx', '.xlsx',
+  '.zip', '.7z', '.tar', '.gz', '.pcap', '.pcapng', '.py', '.sh', '.ps1'
+];
+const MAX_RESOURCE_BYTES = 100 * 1024 * 1024;
+const DOWNLOAD_URL_TTL_SECONDS = parseInt(process.env.LESSON_RESOURCE_URL_TTL_SECONDS) || 300;
+
+function formatLessonResource(resource) {
+  return {
+    id: resource.id,
+    topicId: resource.topic_id,
+    moduleId: resource.module_id,
+    videoId: resource.video_id,
+    title: resource.title,
+    description: resource.description,
+    resourceType: resource.resource_type,
+    fileName: resource.file_name,
+    mimeType: resource.mime_type,
+    fileSize: parseInt(resource.file_size),
+    orderIndex: resource.order_index,
+    downloadCount: resource.download_count,
+    createdAt: resource.created_at?.toISOString(),
+    updatedAt: resource.updated_at?.toISOString()
+  };
+}
+
+/**
+ * Resources of a module, including those attached to its videos
+ * @param {number} moduleId
+ * @param {object} [executor] - pg pool or client
+ * @returns {Promise<Array>} Formatted resources in display order
+ */
+async function getModuleResources(moduleId, executor = db) {
+  const result = await executor.query(
+    'SELECT * FROM lesson_resources WHERE module_id = $1 ORDER BY order_index ASC, id ASC',
+    [moduleId]
+  );
+  return result.rows.map(formatLessonResource);
+}
+
+/**
+ * Resources of every module in a topic, for topic detail responses
+ * @param {number} topicId
+ * @param {object} [executor] - pg pool or client
+ * @returns {Promise<Array>} Formatted resources in display order
+ */
+async function getTopicResources(topicId, executor = db) {
+  const result = await executor.query(
+    'SELECT * FROM lesson_resources WHERE topic_id = $1 ORDER BY module_id ASC, order_index ASC, id ASC',
+    [topicId]
+  );
+  return result.rows.map(formatLessonResource);
+}
+
+/**
+ * Resources attached to a video
+ * @param {number} videoId
+ * @param {object} [executor] - pg pool or client
+ * @returns {Promise<Array>} Formatted resources in display order
+ */
+async function getVideoResources(videoId, executor = db) {
+  const result = await executor.query(
+    'SELECT * FROM lesson_resources WHERE video_id = $1 ORDER BY order_index ASC, id ASC',
+    [videoId]
+  );
+  return result.rows.map(formatLessonResource);
+}
+
+/**
+ * Validate a video id for a module's resource: it must belong to that module
+ * @param {object} executor - pg pool or client
+ * @param {number} moduleId
+ * @param {number|string|null} videoId
+ * @returns {Promise<object>} { videoId } (null for module-level), or { status, error }
+ */
+async function resolveResourceVideo(executor, moduleId, videoId) {
+  if (videoId === undefined || videoId === null || videoId === '') return { videoId: null };
+
+  const result = await executor.query(
+    'SELECT id FROM topic_videos WHERE id = $1 AND module_id = $2',
+    [parseInt(videoId) || 0, moduleId]
+  );
+  if (result.rows.length === 0) {
+    return { status: 404, error: 'Video not found in this module' };
+  }
+  return { videoId: result.rows[0].id };
+}
+
+/**
+ * Upload a file and attach it to a module or video
+ * @param {object} executor - pg pool
+ * @param {object} details - { topicId, moduleId, videoId, title, description, resourceType, order, file, adminId }
+ * @returns {Promise<object>} { resource }, or { status, error }
+ */
+async function createLessonResource(executor, details) {
+  const { topicId, moduleId, file } = details;
+  const resourceType = details.resourceType || ResourceTypes.DOCUMENT;
+
+  if (!Object.values(ResourceTypes).includes(resourceType)) {
+    return { status: 400, error: `resourceType must be one of: ${Object.values(ResourceTypes).join(', ')}` };
+  }
+
+  const video = await resolveResourceVideo(executor, moduleId, details.videoId);
+  if (video.error) return video;
+
+  const s3Result = await uploadToS3(file.buffer, file.originalname, file.mimetype, 'lesson-resources', { private: true });
+
+  const result = await executor.query(
+    `INSERT INTO lesson_resources (
+       topic_id, module_id, video_id, title, description, resource_type,
+       file_name, s3_key, mime_type, file_size, order_index, created_by_admin_id
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+     RETURNING *`,
+    [
+      topicId, moduleId, video.videoId,
+      details.title?.trim() || path.basename(file.originalname, path.extname(file.originalname)),
+      details.description?.trim() || null, resourceType,
+      file.originalname, s3Result.key, file.mimetype, file.size,
+      parseInt(details.order) || 0, details.adminId || null
+    ]
+  );
+
+  console.log(`📎 Attached "${file.originalname}" to module ${moduleId}${video.videoId ? `, video ${video.videoId}` : ''}`);
+  return { resource: formatLessonResource(result.rows[0]) };
+}
+
+/**
+ * Presigned download URL for a learner, after checking they can access the topic.
+ * Resources attached to preview videos are open to every signed-in learner, like the videos themselves.
+ * @param {object} executor - pg pool
+ * @param {object} resource - lesson_resources row
+ * @param {number} userId
+ * @returns {Promise<object>} { url, expiresIn, fileName, userDownloadCount }, or { status, error }
+ */
+async function getResourceDownload(executor, resource, userId) {
+  let isPreview = false;
+  if (resource.video_id) {
+    const videoResult = await executor.query('SELECT is_preview FROM topic_videos WHERE id = $1', [resource.video_id]);
+    isPreview = videoResult.rows[0]?.is_preview === true;
+  }
+
+  if (!isPreview) {
+    const access = await checkTopicAccess(executor, userId, resource.topic_id);
+    if (!access.hasAccess) {
+      return { status: 403, error: 'Enroll in this topic to download its resources' };
+    }
+  }
+
+  const url = await getPresignedUrl(resource.s3_key, DOWNLOAD_URL_TTL_SECONDS, { downloadName: resource.file_name });
+
+  const countResult = await executor.query(
+    `WITH user_download AS (
+       INSERT INTO lesson_resource_downloads (resource_id, user_id)
+       VALUES ($1, $2)
+       ON CONFLICT (resource_id, user_id) DO UPDATE SET
+         download_count = lesson_resource_downloads.download_count + 1,
+         last_downloaded_at = NOW()
+       RETURNING download_count
+     )
+     UPDATE lesson_resources SET download_count = download_count + 1
+     WHERE id = $1
+     RETURNING (SELECT download_count FROM user_download) AS user_download_count`,
+    [resource.id, userId]
+  );
+
+  return {
+    url,
+    expiresIn: DOWNLOAD_URL_TTL_SECONDS,
+    fileName: resource.file_name,
+    userDownloadCount: countResult.rows[0]?.user_download_count || 1
+  };
+}
+
+module.exports = {
+  ResourceTypes,
+  ALLOWED_EXTENSIONS,
+  MAX_RESOURCE_BYTES,
+  DOWNLOAD_URL_TTL_SECONDS,
+  formatLessonResource,
+  getModuleResources,
+  getTopicResources,
+  getVideoResources,
+  resolveResourceVideo,
+  createLessonResource,
+  getResourceDownload
+};
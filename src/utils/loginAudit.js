@@ -0,0 +1,312 @@
+/**
+ * Login Audit
+ * Records OTP sends, OTP verifies, OAuth sign-ins and logouts in login_events, and runs simple
+ * anomaly detection on each event: repeated failures, a sign-in from a new country and impossible
+ * travel between sign-ins. A match opens an account_security_flags row and alerts the user.
+ */
+
+const db = require('../config/db');
+const { getGeoHeaders, getRequestMeta } = require('./sessions');
+const { sendSuspiciousActivityEmail } = require('./securityAlerts');
+const { sendSuspiciousLoginNotification } = require('../config/notificationTriggers');
+
+const LoginEventTypes = {
+  OTP_SEND: 'otp_send',
+  OTP_VERIFY: 'otp_verify',
+  OAUTH: 'oauth',
+  LOGOUT: 'logout',
+  LOGOUT_ALL: 'logout_all'
+};
+
+const SecurityRules = {
+  MANY_FAILURES: 'many_failures',
+  NEW_COUNTRY: 'new_country',
+  IMPOSSIBLE_TRAVEL: 'impossible_travel'
+};
+
+const FAILURE_THRESHOLD = parseInt(process.env.LOGIN_FAILURE_THRESHOLD) || 5;
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+// Faster than a commercial flight between two sign-ins is treated as impossible
+const IMPOSSIBLE_TRAVEL_KMH = parseInt(process.env.IMPOSSIBLE_TRAVEL_KMH) || 900;
+// IP geolocation is coarse, so short hops are never flagged
+const IMPOSSIBLE_TRAVEL_MIN_KM = parseInt(process.env.IMPOSSIBLE_TRAVEL_MIN_KM) || 500;
+// An open flag for the same rule suppresses repeats for this long
+const FLAG_COOLDOWN_HOURS = 24;
+
+const SIGN_IN_EVENTS = [LoginEventTypes.OTP_VERIFY, LoginEventTypes.OAUTH];
+
+function parseCoordinate(value, limit) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && Math.abs(number) <= limit ? number : null;
+}
+
+/**
+ * Country and coordinates from the geo headers of the CDN configured in GEO_HEADERS_PROVIDER
+ * @param {object} req
+ * @returns {object} { country, latitude, longitude }, each null when unknown
+ */
+function getGeoHints(req) {
+  const geo = getGeoHeaders(req);
+  let country = geo.country && /^[A-Za-z]{2}$/.test(geo.country) ? geo.country.toUpperCase() : null;
+  // Cloudflare reports XX for unknown and T1 for Tor
+  if (country === 'XX') country = null;
+
+  let latitude = parseCoordinate(geo.latitude, 90);
+  let longitude = parseCoordinate(geo.longitude, 180);
+  if (latitude === null || longitude === null) {
+    latitude = null;
+    longitude = null;
+  }
+
+  return { country, latitude, longitude };
+}
+
+/**
+ * Great-circle distance between two points
+ * @returns {number} Kilometres
+ */
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Format a login event for API responses
+ * @param {object} event - login_events row, optionally with user_name
+ * @returns {object}
+ */
+function formatLoginEvent(event) {
+  return {
+    id: event.id,
+    userId: event.user_id,
+    userName: event.user_name,
+    email: event.email,
+    eventType: event.event_type,
+    success: event.success,
+    failureReason: event.failure_reason,
+    ipAddress: event.ip_address,
+    userAgent: event.user_agent,
+    deviceId: event.device_id,
+    sessionId: event.session_id,
+    country: event.country,
+    locationHint: event.location_hint,
+    latitude: event.latitude !== null && event.latitude !== undefined ? parseFloat(event.latitude) : null,
+    longitude: event.longitude !== null && event.longitude !== undefined ? parseFloat(event.longitude) : null,
+    createdAt: event.created_at?.toISOString()
+  };
+}
+
+/**
+ * Format a security flag for API responses
+ * @param {object} flag - account_security_flags row, optionally with user and admin details
+ * @returns {object}
+ */
+function formatSecurityFlag(flag) {
+  return {
+    id: flag.id,
+    userId: flag.user_id,
+    userName: flag.user_name,
+    userEmail: flag.user_email,
+    loginEventId: flag.login_event_id,
+    rule: flag.rule,
+    details: flag.details,
+    status: flag.status,
+    resolvedByAdminEmail: flag.resolved_by_admin_email,
+    resolutionNotes: flag.resolution_notes,
+    resolvedAt: flag.resolved_at?.toISOString(),
+    createdAt: flag.created_at?.toISOString()
+  };
+}
+
+async function hasRecentOpenFlag(userId, rule) {
+  const result = await db.query(
+    `SELECT 1 FROM account_security_flags
+     WHERE user_id = $1 AND rule = $2 AND status = 'open'
+       AND created_at > NOW() - INTERVAL '${FLAG_COOLDOWN_HOURS} hours'
+     LIMIT 1`,
+    [userId, rule]
+  );
+  return result.rows.length > 0;
+}
+
+async function checkManyFailures(event) {
+  const result = await db.query(
+    `SELECT COUNT(*) as total FROM login_events
+     WHERE user_id = $1 AND success = false AND event_type = ANY($2)
+       AND created_at > NOW() - INTERVAL '${FAILURE_WINDOW_MINUTES} minutes'`,
+    [event.user_id, SIGN_IN_EVENTS]
+  );
+  const failures = parseInt(result.rows[0].total);
+  if (failures < FAILURE_THRESHOLD) return null;
+
+  return {
+    rule: SecurityRules.MANY_FAILURES,
+    reason: `${failures} failed sign-in attempts in the last ${FAILURE_WINDOW_MINUTES} minutes`,
+    details: { failures, windowMinutes: FAILURE_WINDOW_MINUTES }
+  };
+}
+
+async function checkNewCountry(event) {
+  if (!event.country) return null;
+
+  const result = await db.query(
+    `SELECT ARRAY_AGG(DISTINCT country) as countries FROM login_events
+     WHERE user_id = $1 AND success = true AND event_type = ANY($2) AND country IS NOT NULL AND id <> $3`,
+    [event.user_id, SIGN_IN_EVENTS, event.id]
+  );
+  const knownCountries = result.rows[0].countries || [];
+  // The first sign-in with a country has nothing to compare against
+  if (knownCountries.length === 0 || knownCountries.includes(event.country)) return null;
+
+  return {
+    rule: SecurityRules.NEW_COUNTRY,
+    reason: `Sign-in from a new country (${event.country})`,
+    details: { country: event.country, knownCountries }
+  };
+}
+
+async function checkImpossibleTravel(event) {
+  if (event.latitude === null || event.longitude === null) return null;
+
+  const result = await db.query(
+    `SELECT * FROM login_events
+     WHERE user_id = $1 AND success = true AND event_type = ANY($2)
+       AND latitude IS NOT NULL AND longitude IS NOT NULL AND id < $3
+     ORDER BY id DESC LIMIT 1`,
+    [event.user_id, SIGN_IN_EVENTS, event.id]
+  );
+  const previous = result.rows[0];
+  if (!previous) return null;
+
+  const km = distanceKm(
+    parseFloat(previous.latitude), parseFloat(previous.longitude),
+    parseFloat(event.latitude), parseFloat(event.longitude)
+  );
+  if (km < IMPOSSIBLE_TRAVEL_MIN_KM) return null;
+
+  // At least a minute apart so back-to-back sign-ins don't divide by zero
+  const hours = Math.max((new Date(event.created_at) - new Date(previous.created_at)) / 3600000, 1 / 60);
+  const speedKmh = km / hours;
+  if (speedKmh <= IMPOSSIBLE_TRAVEL_KMH) return null;
+
+  const from = previous.location_hint || previous.country || 'another location';
+  const to = event.location_hint || event.country || 'a distant location';
+  return {
+    rule: SecurityRules.IMPOSSIBLE_TRAVEL,
+    reason: `Sign-in from ${to} ${Math.round(hours * 60)} minutes after one from ${from}`,
+    details: {
+      previousEventId: previous.id,
+      distanceKm: Math.round(km),
+      hoursBetween: Math.round(hours * 100) / 100,
+      speedKmh: Math.round(speedKmh)
+    }
+  };
+}
+
+/**
+ * Run the anomaly rules for an event, flag the account and alert the user on a match
+ * @param {object} event - login_events row
+ * @returns {Promise<object[]>} account_security_flags rows that were opened
+ */
+async function detectSuspiciousActivity(event) {
+  if (!event.user_id || !SIGN_IN_EVENTS.includes(event.event_type)) return [];
+
+  const matches = event.success
+    ? [await checkNewCountry(event), await checkImpossibleTravel(event)]
+    : [await checkManyFailures(event)];
+
+  const flags = [];
+  const reasons = [];
+  for (const match of matches.filter(Boolean)) {
+    if (await hasRecentOpenFlag(event.user_id, match.rule)) continue;
+
+    const result = await db.query(
+      `INSERT INTO account_security_flags (user_id, login_event_id, rule, details)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [event.user_id, event.id, match.rule, JSON.stringify({ ...match.details, reason: match.reason })]
+    );
+    flags.push(result.rows[0]);
+    reasons.push(match.reason);
+    console.warn(`🚩 User ${event.user_id} flagged (${match.rule}): ${match.reason}`);
+  }
+
+  if (flags.length === 0) return flags;
+
+  const reason = reasons.join('; ');
+  try {
+    const userResult = await db.query('SELECT id, email, name FROM users WHERE id = $1', [event.user_id]);
+    if (userResult.rows[0]) {
+      await sendSuspiciousActivityEmail(userResult.rows[0], reason, event);
+    }
+  } catch (emailErr) {
+    console.error('Error sending suspicious activity email:', emailErr);
+  }
+  try {
+    await sendSuspiciousLoginNotification(event.user_id, reason, flags[0].rule);
+  } catch (notifErr) {
+    console.error('Error sending suspicious login notification:', notifErr);
+  }
+
+  return flags;
+}
+
+/**
+ * Record a login event and run anomaly detection on it.
+ * Never throws: auditing problems must not fail the login flow.
+ * @param {object} req - Request the event came from, for IP, user agent and geo headers
+ * @param {object} details - { eventType, success, userId, email, failureReason, deviceId, sessionId }
+ * @returns {Promise<object|null>} login_events row, or null if it could not be recorded
+ */
+async function recordLoginEvent(req, details) {
+  const { eventType, success, userId = null, email = null, failureReason = null, deviceId = null, sessionId = null } = details;
+
+  try {
+    const { ipAddress, userAgent, locationHint } = getRequestMeta(req);
+    const { country, latitude, longitude } = getGeoHints(req);
+
+    const result = await db.query(
+      `INSERT INTO login_events
+         (user_id, email, event_type, success, failure_reason, ip_address, user_agent, device_id, session_id,
+          country, location_hint, latitude, longitude)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING *`,
+      [
+        userId,
+        email ? String(email).trim().toLowerCase() : null,
+        eventType,
+        success,
+        failureReason,
+        ipAddress,
+        userAgent,
+        deviceId || null,
+        sessionId,
+        country,
+        locationHint,
+        latitude,
+        longitude
+      ]
+    );
+    const event = result.rows[0];
+
+    await detectSuspiciousActivity(event);
+    return event;
+  } catch (err) {
+    console.error('Error recording login event:', err);
+    return null;
+  }
+}
+
+module.exports = {
+  LoginEventTypes,
+  SecurityRules,
+  getGeoHints,
+  formatLoginEvent,
+  formatSecurityFlag,
+  detectSuspiciousActivity,
+  recordLoginEvent
+};
@@ -0,0 +1,124 @@
+/**
+ * Social Sign-in
+ * Verifies Google and Apple ID tokens against the providers' published signing keys (JWKS).
+ * Set OAUTH_JWKS_FILE to a local JWKS JSON file to verify tokens signed with your own test keys.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+
+const PROVIDERS = {
+  google: {
+    jwksUrl: process.env.GOOGLE_JWKS_URL || 'https://www.googleapis.com/oauth2/v3/certs',
+    issuers: ['https://accounts.google.com', 'accounts.google.com'],
+    clientIds: (process.env.GOOGLE_CLIENT_IDS || process.env.GOOGLE_CLIENT_ID || '').split(',').map((id) => id.trim()).filter(Boolean)
+  },
+  apple: {
+    jwksUrl: process.env.APPLE_JWKS_URL || 'https://appleid.apple.com/auth/keys',
+    issuers: ['https://appleid.apple.com'],
+    clientIds: (process.env.APPLE_CLIENT_IDS || process.env.APPLE_CLIENT_ID || '').split(',').map((id) => id.trim()).filter(Boolean)
+  }
+};
+
+const DEFAULT_JWKS_CACHE_SECONDS = 60 * 60;
+const jwksCache = {};
+
+/**
+ * Load a provider's signing keys, cached for as long as the provider's Cache-Control allows
+ * @param {string} provider - 'google' or 'apple'
+ * @param {boolean} forceRefresh - Skip the cache, e.g. after the provider rotated its keys
+ * @returns {Promise<object[]>} JWK list
+ */
+async function getSigningKeys(provider, forceRefresh = false) {
+  if (process.env.OAUTH_JWKS_FILE) {
+    return JSON.parse(fs.readFileSync(process.env.OAUTH_JWKS_FILE, 'utf8')).keys || [];
+  }
+
+  const cached = jwksCache[provider];
+  if (!forceRefresh && cached && cached.expiresAt > Date.now()) {
+    return cached.keys;
+  }
+
+  const response = await fetch(PROVIDERS[provider].jwksUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${provider} signing keys (${response.status})`);
+  }
+  const body = await response.json();
+  const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+  jwksCache[provider] = {
+    keys: body.keys || [],
+    expiresAt: Date.now() + (maxAge ? parseInt(maxAge[1]) : DEFAULT_JWKS_CACHE_SECONDS) * 1000
+  };
+  return jwksCache[provider].keys;
+}
+
+/**
+ * Find the public key an ID token was signed with
+ * @param {string} provider
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<crypto.KeyObject|null>}
+ */
+async function getPublicKey(provider, kid) {
+  let jwk = (await getSigningKeys(provider)).find((key) => key.kid === kid);
+  if (!jwk) {
+    // The provider may have rotated keys since we cached them
+    jwk = (await getSigningKeys(provider, true)).find((key) => key.kid === kid);
+  }
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+}
+
+/**
+ * Verify a Google or Apple ID token
+ * @param {string} provider - 'google' or 'apple'
+ * @param {string} idToken
+ * @param {object} options - { nonce } to check against the token's nonce claim (raw or SHA-256 hex)
+ * @returns {Promise<object>} { provider, providerUserId, email, emailVerified, name, claims }
+ */
+async function verifyIdToken(provider, idToken, options = {}) {
+  const config = PROVIDERS[provider];
+  if (!config) {
+    throw new Error(`Unsupported provider: ${provider}`);
+  }
+  if (config.clientIds.length === 0) {
+    throw new Error(`${provider} sign-in is not configured`);
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header.kid) {
+    throw new Error('Malformed ID token');
+  }
+
+  const publicKey = await getPublicKey(provider, decoded.header.kid);
+  if (!publicKey) {
+    throw new Error('ID token signed with an unknown key');
+  }
+
+  const claims = jwt.verify(idToken, publicKey, {
+    algorithms: ['RS256'],
+    issuer: config.issuers,
+    audience: config.clientIds
+  });
+
+  if (options.nonce) {
+    const hashedNonce = crypto.createHash('sha256').update(options.nonce).digest('hex');
+    if (claims.nonce !== options.nonce && claims.nonce !== hashedNonce) {
+      throw new Error('ID token nonce mismatch');
+    }
+  }
+
+  return {
+    provider,
+    providerUserId: claims.sub,
+    email: claims.email ? String(claims.email).toLowerCase() : null,
+    // Apple sends booleans as strings
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || null,
+    claims
+  };
+}
+
+module.exports = {
+  PROVIDERS,
+  verifyIdToken
+};
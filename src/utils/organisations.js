@@ -0,0 +1,576 @@
+/**
+ * Organisations
+ * Team accounts that buy seats of a topic or category bundle and hand them out to members.
+ * Members are invited by email and join once they verify that address through OTP signup or
+ * login; a seat grants access while it is assigned (see topicAccess.getSeatGrant).
+ */
+
+const db = require('../config/db');
+const razorpay = require('../config/razorpay');
+const transporter = require('../config/mailer');
+const { PlanTypes } = require('./planTypeValidation');
+const { ItemTypes, recordOrderCreated } = require('./paymentLedger');
+const { getCouponItem } = require('./coupons');
+const { USER_TOPIC_PROGRESS_SQL } = require('./topicProgress');
+const { sendSeatNotification } = require('../config/notificationTriggers');
+
+const OrgRoles = {
+  OWNER: 'owner',
+  ADMIN: 'admin',
+  MEMBER: 'member'
+};
+
+// Roles that can invite members, buy seats and assign them
+const MANAGER_ROLES = [OrgRoles.OWNER, OrgRoles.ADMIN];
+
+const MAX_SEATS_PER_ORDER = parseInt(process.env.ORG_MAX_SEATS_PER_ORDER) || 1000;
+
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+// Seats in use per licence
+const SEATS_USED_SQL = `(SELECT COUNT(*) FROM seat_assignments sa WHERE sa.licence_id = sl.id AND sa.reclaimed_at IS NULL)`;
+
+/**
+ * Format an organisation for API responses
+ * @param {object} organisation - organisations row, optionally with my_role
+ * @returns {object}
+ */
+function formatOrganisation(organisation) {
+  return {
+    id: organisation.id,
+    name: organisation.name,
+    billingEmail: organisation.billing_email,
+    isActive: organisation.is_active,
+    myRole: organisation.my_role,
+    memberCount: organisation.member_count !== undefined ? parseInt(organisation.member_count) : undefined,
+    createdAt: organisation.created_at?.toISOString(),
+    updatedAt: organisation.updated_at?.toISOString()
+  };
+}
+
+/**
+ * Format an organisation member for API responses
+ * @param {object} member - organisation_members row, optionally joined with user_name and seat counts
+ * @returns {object}
+ */
+function formatMember(member) {
+  return {
+    id: member.id,
+    userId: member.user_id,
+    email: member.email,
+    name: member.user_name || null,
+    role: member.role,
+    status: member.status,
+    assignedLicenceIds: member.assigned_licence_ids || [],
+    invitedAt: member.invited_at?.toISOString(),
+    joinedAt: member.joined_at?.toISOString(),
+    removedAt: member.removed_at?.toISOString()
+  };
+}
+
+/**
+ * Format a seat licence for API responses
+ * @param {object} licence - seat_licences row, optionally with seats_used and item_title
+ * @returns {object}
+ */
+function formatLicence(licence) {
+  const seatsUsed = parseInt(licence.seats_used) || 0;
+  return {
+    id: licence.id,
+    organisationId: licence.organisation_id,
+    itemType: licence.item_type,
+    topicId: licence.topic_id,
+    categoryId: licence.category_id,
+    itemTitle: licence.item_title,
+    seats: licence.seats,
+    seatsUsed,
+    seatsAvailable: Math.max(licence.seats - seatsUsed, 0),
+    unitPrice: parseFloat(licence.unit_price),
+    amount: parseFloat(licence.amount),
+    currency: licence.currency,
+    status: licence.status,
+    futureTopicsIncluded: licence.future_topics_included,
+    orderId: licence.order_id,
+    activatedAt: licence.activated_at?.toISOString(),
+    createdAt: licence.created_at?.toISOString()
+  };
+}
+
+/**
+ * Get a user's active membership of an active organisation
+ * @param {number} organisationId
+ * @param {number} userId
+ * @returns {Promise<object|null>} organisation_members row with organisation_name
+ */
+async function getMembership(organisationId, userId) {
+  const result = await db.query(
+    `SELECT om.*, o.name as organisation_name
+     FROM organisation_members om
+     JOIN organisations o ON o.id = om.organisation_id AND o.is_active = true
+     WHERE om.organisation_id = $1 AND om.user_id = $2 AND om.status = 'active'`,
+    [organisationId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Create an organisation owned by the user
+ * @param {object} user - users row
+ * @param {object} details - { name, billingEmail }
+ * @returns {Promise<object>} organisations row with my_role
+ */
+async function createOrganisation(user, details) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `INSERT INTO organisations (name, billing_email, created_by_user_id)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [details.name, details.billingEmail || user.email, user.id]
+    );
+    const organisation = result.rows[0];
+
+    await client.query(
+      `INSERT INTO organisation_members (organisation_id, user_id, email, role, status, invited_by_user_id, joined_at)
+       VALUES ($1, $2, $3, 'owner', 'active', $2, NOW())`,
+      [organisation.id, user.id, String(user.email).toLowerCase()]
+    );
+
+    await client.query('COMMIT');
+    return { ...organisation, my_role: OrgRoles.OWNER };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function sendInviteEmail(email, organisationName, inviterName) {
+  const appUrl = process.env.APP_URL || 'https://thinkcyber.info';
+  await transporter.sendMail({
+    from: `"ThinkCyber" <${process.env.SMTP_USER}>`,
+    to: email,
+    subject: `You're invited to join ${organisationName} on ThinkCyber`,
+    html: `
+  <div style="font-family: Arial, sans-serif; background-color:#f9fafb; padding:20px;">
+    <div style="max-width:600px; margin:auto; background:#ffffff; border-radius:8px; padding:30px; box-shadow:0 4px 12px rgba(0,0,0,0.08);">
+      <h2 style="color:#1a73e8;">Join ${organisationName} on ThinkCyber</h2>
+      <p style="font-size:15px; color:#444; line-height:1.6;">
+        ${inviterName || 'Your team admin'} has invited you to ${organisationName}'s cybersecurity training on ThinkCyber.
+      </p>
+      <p style="font-size:15px; color:#444; line-height:1.6;">
+        Sign up or log in with <b>${email}</b>. As soon as you confirm the one-time code we email you,
+        you'll join the team and see any training assigned to you.
+      </p>
+      <div style="text-align:center; margin:30px 0;">
+        <a href="${appUrl}" style="background:#1a73e8; color:#ffffff; padding:12px 24px; border-radius:6px; text-decoration:none; font-size:15px;">Open ThinkCyber</a>
+      </div>
+      <hr style="margin:30px 0; border:none; border-top:1px solid #eee;">
+      <p style="font-size:12px; color:#999; text-align:center;">ThinkCyber © ${new Date().getFullYear()}</p>
+    </div>
+  </div>
+  `
+  });
+}
+
+/**
+ * Invite someone to an organisation by email. Removed members can be invited again.
+ * @param {object} membership - Inviter's membership from getMembership
+ * @param {object} inviter - users row
+ * @param {object} details - { email, role }
+ * @returns {Promise<object>} { member } or { status, error }
+ */
+async function inviteMember(membership, inviter, details) {
+  const email = String(details.email || '').trim().toLowerCase();
+  const role = details.role || OrgRoles.MEMBER;
+
+  if (!EMAIL_PATTERN.test(email)) {
+    return { status: 400, error: 'Valid email required' };
+  }
+  if (![OrgRoles.ADMIN, OrgRoles.MEMBER].includes(role)) {
+    return { status: 400, error: 'Role must be admin or member' };
+  }
+
+  const result = await db.query(
+    `INSERT INTO organisation_members (organisation_id, email, role, status, invited_by_user_id)
+     VALUES ($1, $2, $3, 'invited', $4)
+     ON CONFLICT (organisation_id, email) DO UPDATE SET
+       role = EXCLUDED.role,
+       status = 'invited',
+       user_id = NULL,
+       invited_by_user_id = EXCLUDED.invited_by_user_id,
+       invited_at = NOW(),
+       joined_at = NULL,
+       removed_at = NULL
+     WHERE organisation_members.status = 'removed'
+     RETURNING *`,
+    [membership.organisation_id, email, role, inviter.id]
+  );
+  if (result.rows.length === 0) {
+    return { status: 409, error: 'This email is already a member or has a pending invite' };
+  }
+
+  try {
+    await sendInviteEmail(email, membership.organisation_name, inviter.name);
+  } catch (emailErr) {
+    console.error('Error sending organisation invite email:', emailErr);
+  }
+  return { member: result.rows[0] };
+}
+
+/**
+ * Join every organisation that invited this user's email. Called once the user has proven
+ * they own the address with an OTP (signup or login). Never throws.
+ * @param {object} user - users row
+ * @returns {Promise<object[]>} organisation_members rows that were activated
+ */
+async function claimPendingInvites(user) {
+  if (!user?.email) return [];
+  try {
+    const result = await db.query(
+      `UPDATE organisation_members SET user_id = $1, status = 'active', joined_at = NOW()
+       WHERE LOWER(email) = LOWER($2) AND status = 'invited'
+       RETURNING *`,
+      [user.id, user.email]
+    );
+    for (const member of result.rows) {
+      console.log(`🏢 User ${user.id} joined organisation ${member.organisation_id}`);
+    }
+    return result.rows;
+  } catch (err) {
+    console.error('Error claiming organisation invites:', err);
+    return [];
+  }
+}
+
+/**
+ * Create a Razorpay order for seats of a topic or category bundle
+ * @param {object} membership - Buyer's membership from getMembership
+ * @param {object} buyer - users row
+ * @param {object} details - { topicId, categoryId, seats, currency }
+ * @returns {Promise<object>} { licence, order } or { status, error }
+ */
+async function createSeatOrder(membership, buyer, details) {
+  const seats = parseInt(details.seats);
+  if (!Number.isInteger(seats) || seats < 1 || seats > MAX_SEATS_PER_ORDER) {
+    return { status: 400, error: `seats must be a whole number from 1 to ${MAX_SEATS_PER_ORDER}` };
+  }
+  if (!details.topicId === !details.categoryId) {
+    return { status: 400, error: 'Provide either topicId or categoryId' };
+  }
+
+  const isBundle = Boolean(details.categoryId);
+  const item = await getCouponItem(db, { topicId: details.topicId, categoryId: details.categoryId, isBundle });
+  if (!item) {
+    return { status: 404, error: isBundle ? 'Category not found' : 'Topic not found' };
+  }
+  if (!(item.amount > 0)) {
+    return { status: 400, error: 'This item is free and does not need seats' };
+  }
+
+  const unitPrice = Math.round(item.amount * 100) / 100;
+  const amount = Math.round(unitPrice * seats * 100) / 100;
+  const description = `${seats} seat${seats === 1 ? '' : 's'} - ${item.title}`;
+
+  const order = await razorpay.orders.create({
+    amount: Math.round(amount * 100),
+    currency: details.currency || 'INR',
+    receipt: `seats_${membership.organisation_id}_${Date.now()}`,
+    notes: {
+      userId: String(buyer.id),
+      email: buyer.email,
+      itemName: description,
+      organisationId: String(membership.organisation_id),
+      seats: String(seats)
+    }
+  });
+
+  const result = await db.query(
+    `INSERT INTO seat_licences
+       (organisation_id, item_type, topic_id, category_id, seats, unit_price, amount, currency, future_topics_included, order_id, purchased_by_user_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     RETURNING *`,
+    [
+      membership.organisation_id,
+      isBundle ? 'bundle' : 'topic',
+      isBundle ? null : item.topicId,
+      isBundle ? item.categoryId : null,
+      seats,
+      unitPrice,
+      amount,
+      order.currency,
+      // Same rule as bundle purchases: BUNDLE plans include topics added later
+      isBundle && item.planType === PlanTypes.BUNDLE,
+      order.id,
+      buyer.id
+    ]
+  );
+
+  await recordOrderCreated(db, order, {
+    userId: buyer.id,
+    itemType: ItemTypes.SEATS,
+    topicId: isBundle ? null : item.topicId,
+    categoryId: isBundle ? item.categoryId : null,
+    description
+  });
+
+  return { licence: { ...result.rows[0], item_title: item.title }, order };
+}
+
+/**
+ * List an organisation's seat licences with usage
+ * @param {number} organisationId
+ * @param {object} [executor] - pg pool or client
+ * @returns {Promise<object[]>} seat_licences rows with seats_used and item_title
+ */
+async function listLicences(organisationId, executor = db) {
+  const result = await executor.query(
+    `SELECT sl.*, ${SEATS_USED_SQL} as seats_used, COALESCE(t.title, c.name) as item_title
+     FROM seat_licences sl
+     LEFT JOIN topics t ON t.id = sl.topic_id
+     LEFT JOIN category c ON c.id = sl.category_id
+     WHERE sl.organisation_id = $1
+     ORDER BY sl.created_at DESC`,
+    [organisationId]
+  );
+  return result.rows;
+}
+
+async function notifySeatChange(userId, licenceId, organisationName, assigned) {
+  try {
+    const result = await db.query(
+      `SELECT COALESCE(t.title, c.name) as item_title
+       FROM seat_licences sl
+       LEFT JOIN topics t ON t.id = sl.topic_id
+       LEFT JOIN category c ON c.id = sl.category_id
+       WHERE sl.id = $1`,
+      [licenceId]
+    );
+    await sendSeatNotification(userId, organisationName, result.rows[0]?.item_title || 'your training', assigned);
+  } catch (notifErr) {
+    console.error('Error sending seat notification:', notifErr);
+  }
+}
+
+/**
+ * Assign a seat of a licence to an active member
+ * @param {object} membership - Assigner's membership from getMembership
+ * @param {number} licenceId
+ * @param {number} memberId - organisation_members.id
+ * @param {number} assignedBy - users.id
+ * @returns {Promise<object>} { assignment } or { status, error }
+ */
+async function assignSeat(membership, licenceId, memberId, assignedBy) {
+  const client = await db.connect();
+  let assignment;
+  try {
+    await client.query('BEGIN');
+
+    // Lock the licence so concurrent assignments can't exceed its seats
+    const licenceResult = await client.query(
+      'SELECT * FROM seat_licences WHERE id = $1 AND organisation_id = $2 FOR UPDATE',
+      [licenceId, membership.organisation_id]
+    );
+    const licence = licenceResult.rows[0];
+    if (!licence) {
+      await client.query('ROLLBACK');
+      return { status: 404, error: 'Licence not found' };
+    }
+    if (licence.status !== 'active') {
+      await client.query('ROLLBACK');
+      return { status: 409, error: `Seats can only be assigned from a paid licence (licence is ${licence.status})` };
+    }
+
+    const memberResult = await client.query(
+      'SELECT * FROM organisation_members WHERE id = $1 AND organisation_id = $2',
+      [memberId, membership.organisation_id]
+    );
+    const member = memberResult.rows[0];
+    if (!member) {
+      await client.query('ROLLBACK');
+      return { status: 404, error: 'Member not found' };
+    }
+    if (member.status !== 'active' || !member.user_id) {
+      await client.query('ROLLBACK');
+      return { status: 409, error: 'Seats can only be assigned to members who have joined' };
+    }
+
+    const used = await client.query(
+      'SELECT COUNT(*) as total FROM seat_assignments WHERE licence_id = $1 AND reclaimed_at IS NULL',
+      [licenceId]
+    );
+    if (parseInt(used.rows[0].total) >= licence.seats) {
+      await client.query('ROLLBACK');
+      return { status: 409, error: 'No seats left on this licence. Reclaim a seat or buy more.' };
+    }
+
+    const result = await client.query(
+      `INSERT INTO seat_assignments (licence_id, organisation_id, member_id, user_id, assigned_by_user_id)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (licence_id, member_id) WHERE reclaimed_at IS NULL DO NOTHING
+       RETURNING *`,
+      [licenceId, membership.organisation_id, member.id, member.user_id, assignedBy]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { status: 409, error: 'This member already has a seat on this licence' };
+    }
+    assignment = result.rows[0];
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  await notifySeatChange(assignment.user_id, licenceId, membership.organisation_name, true);
+  return { assignment };
+}
+
+/**
+ * Reclaim seats so they can be assigned to someone else
+ * @param {object} membership - Reclaimer's membership from getMembership
+ * @param {object} filter - { licenceId, memberId }; omit licenceId to reclaim all of a member's seats
+ * @param {number} reclaimedBy - users.id
+ * @param {object} [executor] - pg pool or client
+ * @returns {Promise<object[]>} Reclaimed seat_assignments rows
+ */
+async function reclaimSeats(membership, filter, reclaimedBy, executor = db) {
+  const params = [membership.organisation_id, filter.memberId, reclaimedBy];
+  let licenceClause = '';
+  if (filter.licenceId) {
+    params.push(filter.licenceId);
+    licenceClause = `AND licence_id = $${params.length}`;
+  }
+
+  const result = await executor.query(
+    `UPDATE seat_assignments SET reclaimed_at = NOW(), reclaimed_by_user_id = $3
+     WHERE organisation_id = $1 AND member_id = $2 AND reclaimed_at IS NULL ${licenceClause}
+     RETURNING *`,
+    params
+  );
+
+  for (const assignment of result.rows) {
+    await notifySeatChange(assignment.user_id, assignment.licence_id, membership.organisation_name, false);
+  }
+  return result.rows;
+}
+
+/**
+ * Remove a member and reclaim their seats. The owner cannot be removed.
+ * @param {object} membership - Remover's membership from getMembership
+ * @param {number} memberId - organisation_members.id
+ * @param {number} removedBy - users.id
+ * @returns {Promise<object>} { member, reclaimedSeats } or { status, error }
+ */
+async function removeMember(membership, memberId, removedBy) {
+  const existing = await db.query(
+    'SELECT * FROM organisation_members WHERE id = $1 AND organisation_id = $2',
+    [memberId, membership.organisation_id]
+  );
+  const member = existing.rows[0];
+  if (!member || member.status === 'removed') {
+    return { status: 404, error: 'Member not found' };
+  }
+  if (member.role === OrgRoles.OWNER) {
+    return { status: 400, error: 'The organisation owner cannot be removed' };
+  }
+
+  const reclaimed = await reclaimSeats(membership, { memberId }, removedBy);
+  const result = await db.query(
+    `UPDATE organisation_members SET status = 'removed', removed_at = NOW() WHERE id = $1 RETURNING *`,
+    [memberId]
+  );
+  return { member: result.rows[0], reclaimedSeats: reclaimed.length };
+}
+
+/**
+ * Progress of every member on the topics their seats cover
+ * @param {number} organisationId
+ * @returns {Promise<object[]>} One entry per active member
+ */
+async function getTeamProgress(organisationId) {
+  const membersResult = await db.query(
+    `SELECT om.id, om.user_id, om.email, om.role, u.name as user_name
+     FROM organisation_members om
+     LEFT JOIN users u ON u.id = om.user_id
+     WHERE om.organisation_id = $1 AND om.status = 'active'
+     ORDER BY u.name ASC NULLS LAST, om.email ASC`,
+    [organisationId]
+  );
+
+  const progressResult = await db.query(
+    `WITH granted AS (
+       SELECT DISTINCT sa.member_id, sa.user_id, t.id as topic_id, t.title as topic_title
+       FROM seat_assignments sa
+       JOIN seat_licences sl ON sl.id = sa.licence_id AND sl.status = 'active'
+       JOIN topics t ON (sl.item_type = 'topic' AND t.id = sl.topic_id)
+         OR (sl.item_type = 'bundle' AND t.category_id = sl.category_id
+             AND (sl.future_topics_included OR t.created_at <= sl.activated_at))
+       WHERE sa.organisation_id = $1 AND sa.reclaimed_at IS NULL
+     )
+     SELECT g.member_id, g.topic_id, g.topic_title,
+            COALESCE(up.progress, 0) as progress,
+            COALESCE(up.watch_time, 0) as watch_time,
+            lw.last_watched_at
+     FROM granted g
+     LEFT JOIN (${USER_TOPIC_PROGRESS_SQL}) up ON up.user_id = g.user_id AND up.topic_id = g.topic_id
+     LEFT JOIN (
+       SELECT user_id, topic_id, MAX(last_watched_at) as last_watched_at
+       FROM topic_progress
+       GROUP BY user_id, topic_id
+     ) lw ON lw.user_id = g.user_id AND lw.topic_id = g.topic_id
+     ORDER BY g.member_id, g.topic_title`,
+    [organisationId]
+  );
+
+  return membersResult.rows.map((member) => {
+    const topics = progressResult.rows
+      .filter((row) => row.member_id === member.id)
+      .map((row) => ({
+        topicId: row.topic_id,
+        title: row.topic_title,
+        progress: Math.round(parseFloat(row.progress) * 10) / 10,
+        watchTimeSeconds: parseInt(row.watch_time) || 0,
+        lastWatchedAt: row.last_watched_at?.toISOString() || null
+      }));
+    const averageProgress = topics.length
+      ? Math.round(topics.reduce((sum, topic) => sum + topic.progress, 0) / topics.length * 10) / 10
+      : 0;
+
+    return {
+      memberId: member.id,
+      userId: member.user_id,
+      name: member.user_name,
+      email: member.email,
+      role: member.role,
+      assignedTopics: topics.length,
+      completedTopics: topics.filter((topic) => topic.progress >= 100).length,
+      averageProgress,
+      watchTimeSeconds: topics.reduce((sum, topic) => sum + topic.watchTimeSeconds, 0),
+      topics
+    };
+  });
+}
+
+module.exports = {
+  OrgRoles,
+  MANAGER_ROLES,
+  formatOrganisation,
+  formatMember,
+  formatLicence,
+  getMembership,
+  createOrganisation,
+  inviteMember,
+  claimPendingInvites,
+  createSeatOrder,
+  listLicences,
+  assignSeat,
+  reclaimSeats,
+  removeMember,
+  getTeamProgress
+};
@@ -0,0 +1,250 @@
+/**
+ * One-Time Passwords
+ * Issues hashed email OTPs, rate limits sending per user and per IP, and locks a user
+ * out of OTP login after too many wrong guesses. Each OTP has a purpose (login, or one side of an
+ * email change) and only verifies for that purpose; the lockout covers all of them.
+ */
+
+const crypto = require('crypto');
+const db = require('../config/db');
+
+const OTP_SECRET = process.env.OTP_SECRET || process.env.JWT_SECRET || 'changeme';
+const OTP_TTL_MINUTES = 10;
+const MAX_VERIFY_ATTEMPTS = parseInt(process.env.OTP_MAX_VERIFY_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.OTP_LOCKOUT_MINUTES) || 15;
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+const SEND_WINDOW_MINUTES = 60;
+const MAX_SENDS_PER_USER = parseInt(process.env.OTP_MAX_SENDS_PER_EMAIL) || 5;
+const MAX_SENDS_PER_IP = parseInt(process.env.OTP_MAX_SENDS_PER_IP) || 20;
+
+const OtpPurpose = {
+  LOGIN: 'login',
+  EMAIL_CHANGE_CURRENT: 'email_change_current',
+  EMAIL_CHANGE_NEW: 'email_change_new'
+};
+
+/**
+ * Hash an OTP for a user; the user id is mixed in so equal codes hash differently
+ * @param {number} userId
+ * @param {string} otp
+ * @returns {string}
+ */
+function hashOtp(userId, otp) {
+  return crypto.createHmac('sha256', OTP_SECRET).update(`${userId}:${String(otp).trim()}`).digest('hex');
+}
+
+function secondsUntil(date) {
+  return Math.max(Math.ceil((new Date(date).getTime() - Date.now()) / 1000), 1);
+}
+
+/**
+ * Get the active lockout for a user, if any
+ * @param {number} userId
+ * @returns {Promise<Date|null>} When the lockout ends
+ */
+async function getLockout(userId) {
+  const result = await db.query(
+    'SELECT MAX(locked_until) as locked_until FROM otp_verifications WHERE user_id = $1 AND locked_until > NOW()',
+    [userId]
+  );
+  return result.rows[0].locked_until || null;
+}
+
+/**
+ * Normalize an email address for per-address rate limits
+ * @param {string} email
+ * @returns {string}
+ */
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Check whether another OTP may be sent to a user from an IP
+ * @param {object} options - { userId, email, ipAddress }; before signup creates the user, pass the
+ *   email instead so sends to every account with that normalized address count together
+ * @returns {Promise<object|null>} null when allowed, otherwise { error, message, retryAfter } in seconds
+ */
+async function checkSendRateLimit({ userId, email = null, ipAddress }) {
+  const lockedUntil = userId ? await getLockout(userId) : null;
+  if (lockedUntil) {
+    const retryAfter = secondsUntil(lockedUntil);
+    return {
+      error: 'Too many incorrect OTP attempts',
+      message: `OTP login is locked. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+      retryAfter
+    };
+  }
+
+  const userSends = await db.query(
+    `SELECT COUNT(*) as total, MIN(created_at) as oldest, MAX(created_at) as latest
+     FROM otp_verifications
+     WHERE ${userId ? 'user_id = $1' : 'user_id IN (SELECT id FROM users WHERE LOWER(TRIM(email)) = $1)'}
+       AND created_at > NOW() - INTERVAL '${SEND_WINDOW_MINUTES} minutes'`,
+    [userId || normalizeEmail(email)]
+  );
+  const { total, oldest, latest } = userSends.rows[0];
+
+  if (latest) {
+    const cooldownEnds = new Date(latest).getTime() + RESEND_COOLDOWN_SECONDS * 1000;
+    if (cooldownEnds > Date.now()) {
+      const retryAfter = secondsUntil(cooldownEnds);
+      return {
+        error: 'OTP sent recently',
+        message: `Please wait ${retryAfter} second(s) before requesting another OTP.`,
+        retryAfter
+      };
+    }
+  }
+  if (parseInt(total) >= MAX_SENDS_PER_USER) {
+    const retryAfter = secondsUntil(new Date(oldest).getTime() + SEND_WINDOW_MINUTES * 60 * 1000);
+    return {
+      error: 'Too many OTP requests',
+      message: `You have requested too many OTPs. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+      retryAfter
+    };
+  }
+
+  if (ipAddress) {
+    const ipSends = await db.query(
+      `SELECT COUNT(*) as total, MIN(created_at) as oldest
+       FROM otp_verifications
+       WHERE ip_address = $1 AND created_at > NOW() - INTERVAL '${SEND_WINDOW_MINUTES} minutes'`,
+      [ipAddress]
+    );
+    if (parseInt(ipSends.rows[0].total) >= MAX_SENDS_PER_IP) {
+      const retryAfter = secondsUntil(new Date(ipSends.rows[0].oldest).getTime() + SEND_WINDOW_MINUTES * 60 * 1000);
+      return {
+        error: 'Too many OTP requests',
+        message: `Too many OTP requests from this network. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+        retryAfter
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Issue a new OTP for a user, invalidating any earlier ones with the same purpose
+ * @param {object} options - { userId, ipAddress, purpose }
+ * @returns {Promise<string>} The plain OTP to email; only its hash is stored
+ */
+async function issueOtp({ userId, ipAddress = null, purpose = OtpPurpose.LOGIN }) {
+  const otp = crypto.randomInt(100000, 1000000).toString();
+  const expiresAt = new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000);
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `UPDATE otp_verifications SET invalidated_at = NOW()
+       WHERE user_id = $1 AND purpose = $2 AND consumed_at IS NULL AND invalidated_at IS NULL`,
+      [userId, purpose]
+    );
+    await client.query(
+      'INSERT INTO otp_verifications (user_id, otp_hash, ip_address, expires_at, purpose) VALUES ($1, $2, $3, $4, $5)',
+      [userId, hashOtp(userId, otp), ipAddress, expiresAt, purpose]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return otp;
+}
+
+/**
+ * Check an OTP and consume it on success. Wrong guesses count against the OTP; when the
+ * attempts run out it is invalidated and the user is locked out for LOCKOUT_MINUTES.
+ * @param {number} userId
+ * @param {string} otp
+ * @param {string} purpose - OtpPurpose the OTP was issued for
+ * @returns {Promise<object>} { valid: true } or { valid: false, status, error, message, retryAfter?, attemptsRemaining? }
+ */
+async function verifyOtp(userId, otp, purpose = OtpPurpose.LOGIN) {
+  const lockedUntil = await getLockout(userId);
+  if (lockedUntil) {
+    const retryAfter = secondsUntil(lockedUntil);
+    return {
+      valid: false,
+      status: 429,
+      error: 'Too many incorrect OTP attempts',
+      message: `OTP login is locked. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+      retryAfter
+    };
+  }
+
+  const result = await db.query(
+    `SELECT * FROM otp_verifications
+     WHERE user_id = $1 AND purpose = $2 AND consumed_at IS NULL AND invalidated_at IS NULL AND expires_at > NOW()
+     ORDER BY created_at DESC LIMIT 1`,
+    [userId, purpose]
+  );
+  const record = result.rows[0];
+  if (!record) {
+    return { valid: false, status: 400, error: 'Invalid or expired OTP', message: 'Please request a new OTP.' };
+  }
+
+  // Charge the attempt before comparing, so concurrent guesses can't all be checked against one remaining attempt
+  const attemptResult = await db.query(
+    `UPDATE otp_verifications SET attempts = attempts + 1
+     WHERE id = $1 AND attempts < $2 AND invalidated_at IS NULL AND consumed_at IS NULL
+     RETURNING attempts`,
+    [record.id, MAX_VERIFY_ATTEMPTS]
+  );
+  if (attemptResult.rows.length === 0) {
+    return { valid: false, status: 400, error: 'Invalid or expired OTP', message: 'Please request a new OTP.' };
+  }
+  const attempts = attemptResult.rows[0].attempts;
+
+  const expected = Buffer.from(record.otp_hash, 'hex');
+  const actual = Buffer.from(hashOtp(userId, otp), 'hex');
+  if (crypto.timingSafeEqual(expected, actual)) {
+    const consumed = await db.query(
+      'UPDATE otp_verifications SET consumed_at = NOW() WHERE id = $1 AND consumed_at IS NULL AND invalidated_at IS NULL RETURNING id',
+      [record.id]
+    );
+    if (consumed.rows.length > 0) return { valid: true };
+    return { valid: false, status: 400, error: 'Invalid or expired OTP', message: 'Please request a new OTP.' };
+  }
+
+  if (attempts >= MAX_VERIFY_ATTEMPTS) {
+    await db.query(
+      `UPDATE otp_verifications
+       SET invalidated_at = NOW(), locked_until = NOW() + INTERVAL '${LOCKOUT_MINUTES} minutes'
+       WHERE id = $1`,
+      [record.id]
+    );
+    console.warn(`⚠️ OTP attempts exhausted for user ${userId}; locked for ${LOCKOUT_MINUTES} minutes`);
+    return {
+      valid: false,
+      status: 429,
+      error: 'Too many incorrect OTP attempts',
+      message: `OTP login is locked. Try again in ${LOCKOUT_MINUTES} minute(s).`,
+      retryAfter: LOCKOUT_MINUTES * 60
+    };
+  }
+
+  return {
+    valid: false,
+    status: 400,
+    error: 'Invalid or expired OTP',
+    message: `Incorrect OTP. ${MAX_VERIFY_ATTEMPTS - attempts} attempt(s) remaining.`,
+    attemptsRemaining: MAX_VERIFY_ATTEMPTS - attempts
+  };
+}
+
+module.exports = {
+  OtpPurpose,
+  OTP_TTL_MINUTES,
+  MAX_VERIFY_ATTEMPTS,
+  LOCKOUT_MINUTES,
+  hashOtp,
+  checkSendRateLimit,
+  issueOtp,
+  verifyOtp
+};
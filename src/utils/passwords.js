@@ -0,0 +1,41 @@
+/**
+ * Password Hashing
+ * scrypt hashes stored as "salt:hash" hex strings
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password
+ * @returns {Promise<string>} salt:hash
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = await scrypt(password, salt, KEY_LENGTH);
+  return `${salt}:${derived.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password
+ * @param {string} stored - salt:hash from hashPassword
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const [salt, hash] = String(stored || '').split(':');
+  if (!salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const derived = await scrypt(password, salt, expected.length);
+  return expected.length === derived.length && crypto.timingSafeEqual(expected, derived);
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword
+};
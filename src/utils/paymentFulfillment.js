@@ -0,0 +1,481 @@
+/**
+ * Payment Fulfillment Helpers
+ * Verifies Razorpay signatures and turns completed purchases into topic / bundle access
+ * or organisation seat licences
+ */
+
+const crypto = require('crypto');
+const db = require('../config/db');
+const { PlanTypes } = require('./planTypeValidation');
+const {
+  ItemTypes,
+  recordPaymentCaptured,
+  recordPaymentFailed
+} = require('./paymentLedger');
+const { markCouponRedeemed, cancelCouponRedemption } = require('./coupons');
+const {
+  sendEnrollmentNotification,
+  sendBundlePurchaseNotification
+} = require('../config/notificationTriggers');
+
+/**
+ * Check a Razorpay checkout signature (HMAC-SHA256 of "order_id|payment_id")
+ * @param {string} orderId
+ * @param {string} paymentId
+ * @param {string} signature
+ * @returns {boolean}
+ */
+function verifyPaymentSignature(orderId, paymentId, signature) {
+  if (!orderId || !paymentId || !signature) return false;
+
+  const expectedSignature = crypto
+    .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+    .update(`${orderId}|${paymentId}`)
+    .digest('hex');
+
+  return expectedSignature === signature;
+}
+
+/**
+ * Check a Razorpay webhook signature (HMAC-SHA256 of the raw request body)
+ * @param {Buffer|string} rawBody - Body exactly as received
+ * @param {string} signature - x-razorpay-signature header
+ * @returns {boolean}
+ */
+function verifyWebhookSignature(rawBody, signature) {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret || !rawBody || !signature) return false;
+
+  const expected = Buffer.from(
+    crypto.createHmac('sha256', secret).update(rawBody).digest('hex')
+  );
+  const received = Buffer.from(String(signature));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Complete an individual topic order from /enrollments/create-order or /enrollments/enroll.
+ * Only the row created for the order is matched: the signature covers the order ID, not the
+ * user or topic a client sends alongside it.
+ * @param {object} options - { orderId, paymentId }
+ * @returns {Promise<object|null>} The user_topics row if it was completed by this call, null if already completed or unknown
+ */
+async function fulfillTopicOrder(options) {
+  const { orderId, paymentId } = options;
+  if (!orderId) return null;
+
+  const result = await db.query(
+    `UPDATE user_topics
+     SET payment_status = 'completed',
+         razorpay_payment_id = $2
+     WHERE razorpay_order_id = $1
+       AND payment_status IN ('pending', 'failed')
+     RETURNING *`,
+    [orderId, paymentId]
+  );
+
+  const enrollment = result.rows[0] || null;
+  if (enrollment) {
+    await markCouponRedeemed(db, orderId);
+    await recordPaymentCaptured(db, {
+      orderId,
+      paymentId,
+      userId: enrollment.user_id,
+      itemType: ItemTypes.TOPIC,
+      topicId: enrollment.topic_id
+    });
+  }
+
+  return enrollment;
+}
+
+// Enroll a bundle's user in every current topic of its category
+async function enrollBundleTopics(client, bundle, orderId, paymentId) {
+  const topicsResult = await client.query(
+    'SELECT id FROM topics WHERE category_id = $1 ORDER BY created_at ASC',
+    [bundle.category_id]
+  );
+
+  for (const topic of topicsResult.rows) {
+    await client.query(
+      `INSERT INTO user_topics (user_id, topic_id, payment_status, razorpay_order_id, razorpay_payment_id)
+       VALUES ($1, $2, 'completed', $3, $4)
+       ON CONFLICT (user_id, topic_id) DO UPDATE SET
+         payment_status = 'completed',
+         razorpay_order_id = EXCLUDED.razorpay_order_id,
+         razorpay_payment_id = EXCLUDED.razorpay_payment_id
+       WHERE user_topics.payment_status IN ('pending', 'failed')`,
+      [bundle.user_id, topic.id, orderId, paymentId]
+    );
+  }
+
+  return topicsResult.rows.length;
+}
+
+/**
+ * Complete a category bundle order and enroll the user in the category's current topics.
+ * Only the row created for the order is matched: the signature covers the order ID, not the
+ * user or category a client sends alongside it.
+ * @param {object} options - { orderId, paymentId }
+ * @returns {Promise<object|null>} { bundle, enrolledTopics } if completed by this call, null if already completed or unknown
+ */
+async function fulfillBundleOrder(options) {
+  const { orderId, paymentId } = options;
+  if (!orderId) return null;
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // BUNDLE plans include future topics; FLEXIBLE/INDIVIDUAL bundles only cover topics at purchase time
+    const result = await client.query(
+      `UPDATE user_category_bundles ucb
+       SET payment_status = 'completed',
+           order_id = $1,
+           payment_id = $2,
+           future_topics_included = (c.plan_type = 'BUNDLE'),
+           enrolled_at = NOW(),
+           updated_at = NOW()
+       FROM category c
+       WHERE c.id = ucb.category_id
+         AND ucb.order_id = $1
+         AND ucb.payment_status IN ('pending', 'failed')
+       RETURNING ucb.*`,
+      [orderId, paymentId]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const bundle = result.rows[0];
+    const enrolledTopics = await enrollBundleTopics(client, bundle, orderId, paymentId);
+
+    await markCouponRedeemed(client, orderId);
+    await recordPaymentCaptured(client, {
+      orderId,
+      paymentId,
+      userId: bundle.user_id,
+      itemType: ItemTypes.BUNDLE,
+      categoryId: bundle.category_id
+    });
+
+    await client.query('COMMIT');
+    return { bundle, enrolledTopics };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Grant a category bundle that a coupon made free, without a Razorpay order
+ * @param {object} options - { userId, categoryId }
+ * @returns {Promise<object|null>} { bundle, enrolledTopics }, or null if the user already owns the bundle
+ */
+async function fulfillFreeBundle(options) {
+  const { userId, categoryId } = options;
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // BUNDLE plans include future topics; FLEXIBLE/INDIVIDUAL bundles only cover topics at purchase time
+    const result = await client.query(
+      `INSERT INTO user_category_bundles (user_id, category_id, payment_status, future_topics_included, enrolled_at)
+       SELECT $1, c.id, 'completed', (c.plan_type = 'BUNDLE'), NOW()
+       FROM category c WHERE c.id = $2
+       ON CONFLICT (user_id, category_id) DO UPDATE SET
+         payment_status = 'completed',
+         future_topics_included = EXCLUDED.future_topics_included,
+         enrolled_at = NOW(),
+         updated_at = NOW()
+       WHERE user_category_bundles.payment_status IS DISTINCT FROM 'completed'
+       RETURNING *`,
+      [userId, categoryId]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const bundle = result.rows[0];
+    const enrolledTopics = await enrollBundleTopics(client, bundle, null, null);
+
+    await client.query('COMMIT');
+    return { bundle, enrolledTopics };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Activate an organisation seat licence once its order is paid.
+ * Seats are handed out separately by the organisation's admins.
+ * @param {object} options - { orderId, paymentId }
+ * @returns {Promise<object|null>} The seat_licences row if it was activated by this call, null if already active or unknown
+ */
+async function fulfillSeatLicence(options) {
+  const { orderId, paymentId } = options;
+  const client = await db.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE seat_licences
+       SET status = 'active', payment_id = $2, activated_at = NOW(), updated_at = NOW()
+       WHERE order_id = $1 AND status IN ('pending', 'failed')
+       RETURNING *`,
+      [orderId, paymentId]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const licence = result.rows[0];
+    await recordPaymentCaptured(client, {
+      orderId,
+      paymentId,
+      userId: licence.purchased_by_user_id,
+      itemType: ItemTypes.SEATS,
+      topicId: licence.topic_id,
+      categoryId: licence.category_id
+    });
+
+    await client.query('COMMIT');
+    return licence;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Mark every pending record for an order as failed. Completed records are never touched.
+ * @param {object} options - { orderId, paymentId }
+ * @returns {Promise<number|null>} The affected user ID, or null if nothing was pending
+ */
+async function failOrder(options) {
+  const { orderId, paymentId = null } = options;
+  if (!orderId) return null;
+
+  await recordPaymentFailed(db, orderId, paymentId);
+  await cancelCouponRedemption(db, orderId);
+
+  const purchases = await db.query(
+    `UPDATE purchases SET status = 'failed', updated_at = NOW()
+     WHERE order_id = $1 AND status = 'pending'
+     RETURNING user_id`,
+    [orderId]
+  );
+  const bundles = await db.query(
+    `UPDATE user_category_bundles SET payment_status = 'failed', updated_at = NOW()
+     WHERE order_id = $1 AND payment_status = 'pending'
+     RETURNING user_id`,
+    [orderId]
+  );
+  const topics = await db.query(
+    `UPDATE user_topics SET payment_status = 'failed'
+     WHERE razorpay_order_id = $1 AND payment_status = 'pending'
+     RETURNING user_id`,
+    [orderId]
+  );
+  const licences = await db.query(
+    `UPDATE seat_licences SET status = 'failed', updated_at = NOW()
+     WHERE order_id = $1 AND status = 'pending'
+     RETURNING purchased_by_user_id as user_id`,
+    [orderId]
+  );
+
+  const row = purchases.rows[0] || bundles.rows[0] || topics.rows[0] || licences.rows[0];
+  return row ? row.user_id : null;
+}
+
+/**
+ * Revoke the access granted by a refunded payment.
+ * Every user_topics row unlocked by a payment carries its razorpay_payment_id, so topics the
+ * user obtained another way are left alone. The payments ledger is updated separately by the refund.
+ * @param {string} paymentId - Razorpay payment ID
+ * @param {object} [executor] - pg pool or client; pass a client to revoke inside a transaction
+ * @returns {Promise<number|null>} The affected user ID, or null if nothing was completed for this payment
+ */
+async function revokePayment(paymentId, executor = db) {
+  const purchases = await executor.query(
+    `UPDATE purchases SET status = 'refunded', updated_at = NOW()
+     WHERE payment_id = $1 AND status = 'completed'
+     RETURNING user_id`,
+    [paymentId]
+  );
+  const bundles = await executor.query(
+    `UPDATE user_category_bundles SET payment_status = 'refunded', updated_at = NOW()
+     WHERE payment_id = $1 AND payment_status = 'completed'
+     RETURNING user_id`,
+    [paymentId]
+  );
+  const topics = await executor.query(
+    `UPDATE user_topics SET payment_status = 'refunded'
+     WHERE razorpay_payment_id = $1 AND payment_status = 'completed'
+     RETURNING user_id`,
+    [paymentId]
+  );
+  // Seats assigned from a refunded licence stop granting access along with it
+  const licences = await executor.query(
+    `UPDATE seat_licences SET status = 'refunded', updated_at = NOW()
+     WHERE payment_id = $1 AND status = 'active'
+     RETURNING purchased_by_user_id as user_id`,
+    [paymentId]
+  );
+
+  const row = purchases.rows[0] || bundles.rows[0] || topics.rows[0] || licences.rows[0];
+  return row ? row.user_id : null;
+}
+
+/**
+ * Grant access for a purchase inside a transaction.
+ * Bundle and FREE purchases record a category bundle so future topics follow the plan rules;
+ * individual and cart purchases only unlock the listed topics.
+ * @param {object} client - pg client in an open transaction
+ * @param {object} purchase - purchases row
+ */
+async function grantPurchaseAccess(client, purchase) {
+  const topicIds = purchase.topic_ids || [];
+
+  if (purchase.purchase_type === 'bundle' || purchase.plan_type === PlanTypes.FREE) {
+    // BUNDLE and FREE categories include topics added later; FLEXIBLE bundles only cover current topics
+    const futureTopicsIncluded = purchase.plan_type === PlanTypes.BUNDLE || purchase.plan_type === PlanTypes.FREE;
+    await client.query(
+      `INSERT INTO user_category_bundles (user_id, category_id, payment_status, order_id, payment_id, future_topics_included, enrolled_at)
+       VALUES ($1, $2, 'completed', $3, $4, $5, NOW())
+       ON CONFLICT (user_id, category_id) DO UPDATE SET
+         payment_status = 'completed',
+         order_id = EXCLUDED.order_id,
+         payment_id = EXCLUDED.payment_id,
+         future_topics_included = EXCLUDED.future_topics_included,
+         enrolled_at = NOW(),
+         updated_at = NOW()`,
+      [purchase.user_id, purchase.category_id, purchase.order_id, purchase.payment_id, futureTopicsIncluded]
+    );
+  }
+
+  for (const topicId of topicIds) {
+    await client.query(
+      `INSERT INTO user_topics (user_id, topic_id, payment_status, razorpay_order_id, razorpay_payment_id)
+       VALUES ($1, $2, 'completed', $3, $4)
+       ON CONFLICT (user_id, topic_id) DO UPDATE SET
+         payment_status = 'completed',
+         razorpay_order_id = EXCLUDED.razorpay_order_id,
+         razorpay_payment_id = EXCLUDED.razorpay_payment_id
+       WHERE user_topics.payment_status IN ('pending', 'failed')`,
+      [purchase.user_id, topicId, purchase.order_id, purchase.payment_id]
+    );
+  }
+
+  // Purchased topics no longer belong in the cart
+  if (topicIds.length > 0) {
+    await client.query(
+      'DELETE FROM cart_items WHERE user_id = $1 AND topic_id = ANY($2::int[])',
+      [purchase.user_id, topicIds]
+    );
+  }
+}
+
+/**
+ * Mark a pending purchase completed and unlock its topics.
+ * The status check makes this safe to call more than once for the same order.
+ * @param {number} purchaseId
+ * @param {string|null} paymentId - Razorpay payment ID
+ * @returns {Promise<object|null>} The completed purchase, or null if it was already fulfilled
+ */
+async function fulfillPurchase(purchaseId, paymentId) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE purchases
+       SET status = 'completed', payment_id = $2, completed_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = 'pending'
+       RETURNING *`,
+      [purchaseId, paymentId]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const purchase = result.rows[0];
+    await grantPurchaseAccess(client, purchase);
+
+    // Free purchases never had a Razorpay order, so there is nothing to record
+    if (purchase.order_id) {
+      await recordPaymentCaptured(client, {
+        orderId: purchase.order_id,
+        paymentId,
+        userId: purchase.user_id,
+        itemType: purchase.purchase_type === 'bundle' ? ItemTypes.BUNDLE : ItemTypes.TOPICS,
+        categoryId: purchase.category_id,
+        purchaseId: purchase.id
+      });
+    }
+
+    await client.query('COMMIT');
+    return purchase;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Send enrollment notifications for a fulfilled purchase
+ * @param {object} purchase - purchases row
+ */
+async function notifyPurchaseFulfilled(purchase) {
+  try {
+    if (purchase.purchase_type === 'bundle' || purchase.plan_type === PlanTypes.FREE) {
+      const categoryResult = await db.query('SELECT name FROM category WHERE id = $1', [purchase.category_id]);
+      await sendBundlePurchaseNotification(purchase.user_id, categoryResult.rows[0]?.name || 'the bundle');
+      return;
+    }
+
+    const topicsResult = await db.query(
+      'SELECT title FROM topics WHERE id = ANY($1::int[])',
+      [purchase.topic_ids || []]
+    );
+    for (const topic of topicsResult.rows) {
+      await sendEnrollmentNotification(purchase.user_id, topic.title);
+    }
+  } catch (notifErr) {
+    console.error('Error sending purchase notification:', notifErr);
+    // Don't fail the purchase if notification fails
+  }
+}
+
+module.exports = {
+  verifyPaymentSignature,
+  verifyWebhookSignature,
+  fulfillTopicOrder,
+  fulfillBundleOrder,
+  fulfillFreeBundle,
+  fulfillSeatLicence,
+  failOrder,
+  revokePayment,
+  fulfillPurchase,
+  notifyPurchaseFulfilled
+};
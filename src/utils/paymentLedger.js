@@ -0,0 +1,125 @@
+/**
+ * Payments Ledger
+ * Records the amount charged for every Razorpay order and follows it through capture, failure and refund.
+ * Earnings reports read from this table instead of current topic prices.
+ */
+
+const razorpay = require('../config/razorpay');
+
+const ItemTypes = {
+  TOPIC: 'topic',
+  BUNDLE: 'bundle',
+  TOPICS: 'topics',
+  SEATS: 'seats'
+};
+
+/**
+ * Record a newly created Razorpay order
+ * @param {object} executor - pg pool or client
+ * @param {object} order - Razorpay order (amount is in the smallest currency unit)
+ * @param {object} details - { userId, itemType, topicId, categoryId, purchaseId, description, couponId, discountAmount }
+ */
+async function recordOrderCreated(executor, order, details) {
+  const {
+    userId,
+    itemType,
+    topicId = null,
+    categoryId = null,
+    purchaseId = null,
+    description = null,
+    couponId = null,
+    discountAmount = 0
+  } = details;
+
+  await executor.query(
+    `INSERT INTO payments (user_id, order_id, item_type, topic_id, category_id, purchase_id, description, amount, currency, status, coupon_id, discount_amount)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'created', $10, $11)
+     ON CONFLICT (order_id) DO NOTHING`,
+    [userId, order.id, itemType, topicId, categoryId, purchaseId, description, order.amount / 100, order.currency, couponId, discountAmount]
+  );
+}
+
+/**
+ * Mark an order's payment captured.
+ * Orders created before the ledger existed have no row yet; their amount is fetched from Razorpay.
+ * @param {object} executor - pg pool or client
+ * @param {object} details - { orderId, paymentId, userId, itemType, topicId, categoryId, purchaseId }
+ * @returns {Promise<object|null>} The ledger row, or null if the amount could not be determined
+ */
+async function recordPaymentCaptured(executor, details) {
+  const { orderId, paymentId, userId, itemType, topicId = null, categoryId = null, purchaseId = null } = details;
+  if (!orderId) return null;
+
+  const updated = await executor.query(
+    `UPDATE payments
+     SET status = 'captured', payment_id = $2, paid_at = COALESCE(paid_at, NOW()), updated_at = NOW()
+     WHERE order_id = $1 AND status IN ('created', 'failed')
+     RETURNING *`,
+    [orderId, paymentId]
+  );
+  if (updated.rows.length > 0) return updated.rows[0];
+
+  const existing = await executor.query('SELECT * FROM payments WHERE order_id = $1', [orderId]);
+  if (existing.rows.length > 0) return existing.rows[0];
+
+  let order;
+  try {
+    order = await razorpay.orders.fetch(orderId);
+  } catch (err) {
+    console.error(`Could not fetch Razorpay order ${orderId} for the payments ledger:`, err);
+    return null;
+  }
+
+  const inserted = await executor.query(
+    `INSERT INTO payments (user_id, order_id, payment_id, item_type, topic_id, category_id, purchase_id, amount, currency, status, paid_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'captured', NOW())
+     ON CONFLICT (order_id) DO NOTHING
+     RETURNING *`,
+    [userId, orderId, paymentId, itemType, topicId, categoryId, purchaseId, order.amount / 100, order.currency]
+  );
+  return inserted.rows[0] || null;
+}
+
+/**
+ * Mark an order's payment failed. Captured and refunded payments are left alone.
+ * @param {object} executor - pg pool or client
+ * @param {string} orderId
+ * @param {string|null} paymentId
+ */
+async function recordPaymentFailed(executor, orderId, paymentId = null) {
+  await executor.query(
+    `UPDATE payments
+     SET status = 'failed', payment_id = COALESCE($2, payment_id), updated_at = NOW()
+     WHERE order_id = $1 AND status = 'created'`,
+    [orderId, paymentId]
+  );
+}
+
+/**
+ * Add a refund to a captured payment. The payment becomes refunded once the whole amount is returned.
+ * @param {object} executor - pg pool or client
+ * @param {string} paymentId
+ * @param {number} amount - Refunded amount in major currency units
+ * @returns {Promise<object|null>} The updated ledger row, or null if the payment is not in the ledger
+ */
+async function recordPaymentRefund(executor, paymentId, amount) {
+  const result = await executor.query(
+    `UPDATE payments
+     SET amount_refunded = LEAST(amount, COALESCE(amount_refunded, 0) + $2),
+         status = CASE WHEN COALESCE(amount_refunded, 0) + $2 >= amount THEN 'refunded' ELSE status END,
+         refunded_at = NOW(),
+         updated_at = NOW()
+     WHERE payment_id = $1 AND status = 'captured'
+     RETURNING *`,
+    [paymentId, amount]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  ItemTypes,
+  recordOrderCreated,
+  recordPaymentCaptured,
+  recordPaymentFailed,
+  recordPaymentRefund
+};
@@ -0,0 +1,145 @@
+/**
+ * Payment Refunds
+ * Issues Razorpay refunds, records them against the payments ledger and revokes the access they paid for.
+ * Set RAZORPAY_MOCK_REFUNDS=true to simulate the Razorpay refunds API locally.
+ */
+
+const db = require('../config/db');
+const razorpay = require('../config/razorpay');
+const { recordPaymentRefund } = require('./paymentLedger');
+const { revokePayment } = require('./paymentFulfillment');
+const { sendRefundNotification } = require('../config/notificationTriggers');
+
+/**
+ * Ask Razorpay to refund a payment
+ * @param {string} paymentId - Razorpay payment ID
+ * @param {number} amount - Amount in the smallest currency unit
+ * @param {object} notes - Stored on the Razorpay refund
+ * @returns {Promise<object>} Razorpay refund entity
+ */
+async function requestRazorpayRefund(paymentId, amount, notes = {}) {
+  if (process.env.RAZORPAY_MOCK_REFUNDS === 'true') {
+    console.log(`🧪 Mock Razorpay refund of ${amount} for payment ${paymentId}`);
+    return {
+      id: `rfnd_mock_${Date.now()}`,
+      payment_id: paymentId,
+      amount,
+      status: 'processed',
+      notes
+    };
+  }
+
+  return razorpay.payments.refund(paymentId, { amount, speed: 'normal', notes });
+}
+
+/**
+ * Record a refund, update the payments ledger and optionally revoke access.
+ * Refunds are keyed by Razorpay refund ID: the ledger is updated only when a refund is first recorded,
+ * and a later event for the same refund can only move its status forward (pending to processed or failed).
+ * @param {object} options - { refundId, paymentId, amount, status, reason, initiatedBy, revokeAccess }
+ * @returns {Promise<object|null>} { refund, payment, revokedUserId, created }, or null if there was nothing to update
+ */
+async function recordRefund(options) {
+  const {
+    refundId,
+    paymentId,
+    amount,
+    status = 'processed',
+    reason = null,
+    initiatedBy = null,
+    revokeAccess = false
+  } = options;
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    const ledgerResult = await client.query(
+      'SELECT id, user_id, currency FROM payments WHERE payment_id = $1 ORDER BY id DESC LIMIT 1',
+      [paymentId]
+    );
+    const ledger = ledgerResult.rows[0] || null;
+
+    const existingResult = await client.query(
+      'SELECT status, access_revoked FROM refunds WHERE refund_id = $1 FOR UPDATE',
+      [refundId]
+    );
+    const existing = existingResult.rows[0] || null;
+
+    const refundResult = await client.query(
+      `INSERT INTO refunds (refund_id, payment_id, ledger_id, user_id, amount, currency, status, reason, access_revoked, initiated_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (refund_id) DO UPDATE SET
+         status = EXCLUDED.status,
+         access_revoked = refunds.access_revoked OR EXCLUDED.access_revoked,
+         updated_at = NOW()
+       WHERE refunds.status = 'pending' AND EXCLUDED.status <> 'pending'
+       RETURNING *`,
+      [
+        refundId,
+        paymentId,
+        ledger?.id || null,
+        ledger?.user_id || null,
+        amount,
+        ledger?.currency || 'INR',
+        status,
+        reason,
+        revokeAccess,
+        initiatedBy
+      ]
+    );
+
+    if (refundResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const created = !existing;
+    const payment = created ? await recordPaymentRefund(client, paymentId, amount) : null;
+    const revokedUserId = revokeAccess && !existing?.access_revoked ? await revokePayment(paymentId, client) : null;
+
+    await client.query('COMMIT');
+    return { refund: refundResult.rows[0], payment, revokedUserId, created };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Describe what a ledger payment was for, for notifications
+ * @param {object} payment - payments row
+ * @returns {Promise<string>}
+ */
+async function describePayment(payment) {
+  if (payment.topic_id) {
+    const result = await db.query('SELECT title FROM topics WHERE id = $1', [payment.topic_id]);
+    if (result.rows[0]) return result.rows[0].title;
+  }
+  return payment.description || 'your purchase';
+}
+
+/**
+ * Notify the user about a refund
+ * @param {number} userId
+ * @param {object} payment - payments row
+ * @param {number} amount - Refunded amount in major currency units
+ * @param {boolean} accessRevoked
+ */
+async function notifyRefund(userId, payment, amount, accessRevoked) {
+  try {
+    const itemName = await describePayment(payment);
+    await sendRefundNotification(userId, `${payment.currency || 'INR'} ${Number(amount).toFixed(2)}`, itemName, accessRevoked);
+  } catch (notifErr) {
+    console.error('Error sending refund notification:', notifErr);
+    // Don't fail the refund if notification fails
+  }
+}
+
+module.exports = {
+  requestRazorpayRefund,
+  recordRefund,
+  notifyRefund
+};
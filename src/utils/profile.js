@@ -0,0 +1,313 @@
+/**
+ * Learner Profile
+ * Validation for self-service profile edits and the email change flow, which only updates
+ * users.email once an OTP sent to the current address and one sent to the new address are confirmed.
+ */
+
+const db = require('../config/db');
+const transporter = require('../config/mailer');
+const { OtpPurpose, OTP_TTL_MINUTES, issueOtp, verifyOtp } = require('./otp');
+
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+const PHONE_PATTERN = /^\+?[0-9]{7,14}$/;
+
+// Matches the users column sizes
+const MAX_NAME_LENGTH = 50;
+const MAX_ADDRESS_LENGTH = 100;
+
+const EDITABLE_FIELDS = ['name', 'phone', 'address'];
+
+/**
+ * Format a user for the profile endpoints
+ * @param {object} user - users row
+ * @param {object|null} emailChange - Pending email_change_requests row
+ * @returns {object}
+ */
+function formatProfile(user, emailChange = null) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    phone: user.phone,
+    address: user.address,
+    avatarUrl: user.avatar_url || null,
+    isVerified: user.is_verified,
+    pendingEmailChange: emailChange ? formatEmailChange(emailChange) : null,
+    createdAt: user.created_at?.toISOString(),
+    updatedAt: user.updated_at?.toISOString()
+  };
+}
+
+/**
+ * Format an email change request for API responses
+ * @param {object} request - email_change_requests row
+ * @returns {object}
+ */
+function formatEmailChange(request) {
+  return {
+    id: request.id,
+    newEmail: request.new_email,
+    status: request.status,
+    currentEmailVerified: Boolean(request.current_verified_at),
+    newEmailVerified: Boolean(request.new_verified_at),
+    expiresAt: request.expires_at?.toISOString(),
+    completedAt: request.completed_at?.toISOString()
+  };
+}
+
+/**
+ * Validate a profile PATCH body
+ * @param {object} body
+ * @returns {object} { updates } with column values to set, or { error }
+ */
+function validateProfileUpdate(body) {
+  const fields = Object.keys(body || {});
+  if (fields.includes('email')) {
+    return { error: 'Email cannot be changed here. Use POST /api/auth/profile/email to verify the new address.' };
+  }
+  const unknown = fields.filter((field) => !EDITABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return { error: `Unknown or read-only field(s): ${unknown.join(', ')}. Editable fields: ${EDITABLE_FIELDS.join(', ')}` };
+  }
+  if (fields.length === 0) {
+    return { error: `Provide at least one of: ${EDITABLE_FIELDS.join(', ')}` };
+  }
+
+  const updates = {};
+
+  if (body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim().replace(/\s+/g, ' ') : '';
+    if (!name) return { error: 'Name cannot be empty' };
+    if (name.length > MAX_NAME_LENGTH) return { error: `Name must be at most ${MAX_NAME_LENGTH} characters` };
+    updates.name = name;
+  }
+
+  if (body.phone !== undefined) {
+    if (body.phone === null || String(body.phone).trim() === '') {
+      updates.phone = null;
+    } else {
+      const phone = String(body.phone).replace(/[\s().-]/g, '');
+      if (!PHONE_PATTERN.test(phone)) {
+        return { error: 'Phone must be 7 to 14 digits, optionally starting with +' };
+      }
+      updates.phone = phone;
+    }
+  }
+
+  if (body.address !== undefined) {
+    if (body.address === null || String(body.address).trim() === '') {
+      updates.address = null;
+    } else {
+      if (typeof body.address !== 'string') return { error: 'Address must be a string' };
+      const address = body.address.trim();
+      if (address.length > MAX_ADDRESS_LENGTH) {
+        return { error: `Address must be at most ${MAX_ADDRESS_LENGTH} characters` };
+      }
+      updates.address = address;
+    }
+  }
+
+  return { updates };
+}
+
+/**
+ * Get the user's email change that is still waiting for OTPs
+ * @param {number} userId
+ * @returns {Promise<object|null>} email_change_requests row
+ */
+async function getPendingEmailChange(userId) {
+  const result = await db.query(
+    `SELECT * FROM email_change_requests
+     WHERE user_id = $1 AND status = 'pending' AND expires_at > NOW()
+     ORDER BY created_at DESC LIMIT 1`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+async function sendEmailChangeOtp(to, otp, { isCurrentAddress, newEmail }) {
+  const intro = isCurrentAddress
+    ? `Someone asked to change the email on your ThinkCyber account to <b>${newEmail}</b>. Enter this code to confirm it was you.`
+    : 'Enter this code to confirm this address for your ThinkCyber account.';
+
+  await transporter.sendMail({
+    from: `"ThinkCyber Security" <${process.env.SMTP_USER}>`,
+    to,
+    subject: isCurrentAddress ? '🔐 Confirm your ThinkCyber email change' : '🔐 Verify your new ThinkCyber email',
+    html: `
+  <div style="font-family: Arial, sans-serif; background-color:#f4f4f4; padding:20px;">
+    <div style="max-width:600px; margin:auto; background:#ffffff; border-radius:8px; overflow:hidden; box-shadow:0 2px 8px rgba(0,0,0,0.1);">
+      <div style="background:#0d6efd; padding:20px; text-align:center; color:#ffffff;">
+        <h2 style="margin:0; font-size:22px;">ThinkCyber Email Change</h2>
+      </div>
+      <div style="padding:30px; color:#333333;">
+        <p style="font-size:16px;">Hello,</p>
+        <p style="font-size:16px;">${intro} This code is valid for <b>${OTP_TTL_MINUTES} minutes</b>.</p>
+        <div style="text-align:center; margin:30px 0;">
+          <span style="display:inline-block; background:#0d6efd; color:#ffffff; font-size:28px; letter-spacing:6px; padding:15px 30px; border-radius:6px; font-weight:bold;">
+            ${otp}
+          </span>
+        </div>
+        <p style="font-size:14px; color:#666;">
+          If you didn't request this, ignore this email and your email address will stay the same.
+        </p>
+      </div>
+      <div style="background:#f9f9f9; padding:15px; text-align:center; font-size:12px; color:#999;">
+        © ${new Date().getFullYear()} ThinkCyber Security. All rights reserved.
+      </div>
+    </div>
+  </div>
+  `
+  });
+}
+
+async function sendEmailChangedNotice(user, oldEmail, newEmail) {
+  await transporter.sendMail({
+    from: `"ThinkCyber Security" <${process.env.SMTP_USER}>`,
+    to: oldEmail,
+    subject: 'Your ThinkCyber email address was changed',
+    html: `
+  <div style="font-family: Arial, sans-serif; background-color:#f9fafb; padding:20px;">
+    <div style="max-width:600px; margin:auto; background:#ffffff; border-radius:8px; padding:30px; box-shadow:0 4px 12px rgba(0,0,0,0.08);">
+      <h2 style="color:#1a73e8;">Email address changed</h2>
+      <p style="font-size:15px; color:#444;">Hi <b>${user.name || 'there'}</b>,</p>
+      <p style="font-size:15px; color:#444; line-height:1.6;">
+        The email on your ThinkCyber account is now <b>${newEmail}</b>. You will use it to log in from now on.
+        If you didn't make this change, contact support immediately.
+      </p>
+      <hr style="margin:30px 0; border:none; border-top:1px solid #eee;">
+      <p style="font-size:12px; color:#999; text-align:center;">ThinkCyber © ${new Date().getFullYear()}</p>
+    </div>
+  </div>
+  `
+  });
+}
+
+/**
+ * Start an email change: send an OTP to the current address and one to the new address.
+ * Any earlier pending change is cancelled. The caller checks the OTP send rate limit first.
+ * @param {object} user - users row
+ * @param {string} newEmail
+ * @param {object} meta - { ipAddress }
+ * @returns {Promise<object>} { request } or { status, error }
+ */
+async function requestEmailChange(user, newEmail, meta = {}) {
+  const email = String(newEmail || '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(email)) {
+    return { status: 400, error: 'Valid newEmail required' };
+  }
+  if (email === String(user.email).toLowerCase()) {
+    return { status: 400, error: 'New email is the same as your current email' };
+  }
+
+  const taken = await db.query('SELECT id FROM users WHERE LOWER(email) = $1 AND id <> $2', [email, user.id]);
+  if (taken.rows.length > 0) {
+    return { status: 409, error: 'This email is already used by another account' };
+  }
+
+  await db.query(
+    `UPDATE email_change_requests SET status = 'cancelled' WHERE user_id = $1 AND status = 'pending'`,
+    [user.id]
+  );
+  const result = await db.query(
+    `INSERT INTO email_change_requests (user_id, old_email, new_email, expires_at)
+     VALUES ($1, $2, $3, NOW() + INTERVAL '${OTP_TTL_MINUTES} minutes')
+     RETURNING *`,
+    [user.id, user.email, email]
+  );
+
+  const currentOtp = await issueOtp({ userId: user.id, ipAddress: meta.ipAddress, purpose: OtpPurpose.EMAIL_CHANGE_CURRENT });
+  const newOtp = await issueOtp({ userId: user.id, ipAddress: meta.ipAddress, purpose: OtpPurpose.EMAIL_CHANGE_NEW });
+  await sendEmailChangeOtp(user.email, currentOtp, { isCurrentAddress: true, newEmail: email });
+  await sendEmailChangeOtp(email, newOtp, { isCurrentAddress: false, newEmail: email });
+
+  return { request: result.rows[0] };
+}
+
+/**
+ * Confirm the OTPs of a pending email change. Codes may be confirmed together or one at a time;
+ * users.email is updated once both addresses are confirmed.
+ * @param {object} user - users row
+ * @param {object} codes - { currentOtp, newOtp }
+ * @returns {Promise<object>} { request, completed, user? }, { otpFailure } from verifyOtp, or { status, error }
+ */
+async function confirmEmailChange(user, codes = {}) {
+  let request = await getPendingEmailChange(user.id);
+  if (!request) {
+    return { status: 404, error: 'No pending email change. Please request a new one.' };
+  }
+
+  const sides = [
+    { code: codes.currentOtp, column: 'current_verified_at', purpose: OtpPurpose.EMAIL_CHANGE_CURRENT },
+    { code: codes.newOtp, column: 'new_verified_at', purpose: OtpPurpose.EMAIL_CHANGE_NEW }
+  ];
+  for (const side of sides) {
+    if (request[side.column] || !side.code) continue;
+    const check = await verifyOtp(user.id, side.code, side.purpose);
+    if (!check.valid) return { otpFailure: check };
+
+    const updated = await db.query(
+      `UPDATE email_change_requests SET ${side.column} = NOW() WHERE id = $1 RETURNING *`,
+      [request.id]
+    );
+    request = updated.rows[0];
+  }
+
+  if (!request.current_verified_at || !request.new_verified_at) {
+    return { request, completed: false };
+  }
+
+  const client = await db.connect();
+  let updatedUser;
+  try {
+    await client.query('BEGIN');
+    const taken = await client.query(
+      'SELECT id FROM users WHERE LOWER(email) = $1 AND id <> $2',
+      [request.new_email, user.id]
+    );
+    if (taken.rows.length > 0) {
+      await client.query(`UPDATE email_change_requests SET status = 'cancelled' WHERE id = $1`, [request.id]);
+      await client.query('COMMIT');
+      return { status: 409, error: 'This email is already used by another account' };
+    }
+
+    const userResult = await client.query(
+      'UPDATE users SET email = $2, updated_at = NOW() WHERE id = $1 RETURNING *',
+      [user.id, request.new_email]
+    );
+    updatedUser = userResult.rows[0];
+    const completed = await client.query(
+      `UPDATE email_change_requests SET status = 'completed', completed_at = NOW() WHERE id = $1 RETURNING *`,
+      [request.id]
+    );
+    request = completed.rows[0];
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (err.code === '23505') {
+      return { status: 409, error: 'This email is already used by another account' };
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  console.log(`✉️ User ${user.id} changed email from ${request.old_email} to ${request.new_email}`);
+  try {
+    await sendEmailChangedNotice(updatedUser, request.old_email, request.new_email);
+  } catch (emailErr) {
+    console.error('Error sending email change notice:', emailErr);
+  }
+
+  return { request, completed: true, user: updatedUser };
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  formatProfile,
+  formatEmailChange,
+  validateProfileUpdate,
+  getPendingEmailChange,
+  requestEmailChange,
+  confirmEmailChange
+};
@@ -1,4 +1,14 @@
-const { PutObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const {
+  PutObjectCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  PutObjectAclCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
 const { Upload } = require('@aws-sdk/lib-storage');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const { s3Client, bucketName } = require('../config/s3');
@@ -6,6 +16,7 @@ const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
 const { execSync } = require('child_process');
+const { pipeline } = require('stream/promises');
 
 /**
  * Get video duration using ffprobe (DURATION-SAFE version)
@@ -41,8 +52,9 @@ async function getVideoDurationFromPath(filePath) {
 
 /**
  * Upload file to S3 using multipart upload (BUFFER version)
+ * Pass { private: true } for files that must only be reachable through presigned URLs
  */
-async function uploadToS3(fileBuffer, originalFilename, mimeType, folder = 'general') {
+async function uploadToS3(fileBuffer, originalFilename, mimeType, folder = 'general', options = {}) {
   try {
     const uniqueSuffix = Date.now() + '-' + crypto.randomBytes(6).toString('hex');
     const ext = path.extname(originalFilename);
@@ -56,12 +68,12 @@ async function uploadToS3(fileBuffer, originalFilename, mimeType, folder = 'gene
         Key: key,
         Body: fileBuffer,
         ContentType: mimeType,
-        ACL: 'public-read',
+        ...(options.private ? {} : { ACL: 'public-read' }),
       },
     });
 
     await parallelUploads3.done();
-    const publicUrl = `${process.env.S3_ENDPOINT}/${bucketName}/${key}`;
+    const publicUrl = options.private ? getObjectRef(key) : `${process.env.S3_ENDPOINT}/${bucketName}/${key}`;
 
     return {
       success: true,
@@ -81,8 +93,9 @@ async function uploadToS3(fileBuffer, originalFilename, mimeType, folder = 'gene
 /**
  * Upload file from disk path to S3 (STREAM version - FIXED for duration safety)
  * ⚠️ CALL getVideoDurationFromPath() BEFORE this function!
+ * Pass { private: true } for files that must only be reachable through presigned URLs
  */
-async function uploadFileToS3(filePath, originalFilename, mimeType, folder = 'general') {
+async function uploadFileToS3(filePath, originalFilename, mimeType, folder = 'general', options = {}) {
   try {
     // Double-check file exists (safety after duration check)
     if (!fs.existsSync(filePath)) {
@@ -105,7 +118,7 @@ async function uploadFileToS3(filePath, originalFilename, mimeType, folder = 'ge
         Key: key,
         Body: fileStream,
         ContentType: mimeType,
-        ACL: 'public-read',
+        ...(options.private ? {} : { ACL: 'public-read' }),
       },
       queueSize: 4,
       partSize: 5 * 1024 * 1024,
@@ -117,7 +130,7 @@ async function uploadFileToS3(filePath, originalFilename, mimeType, folder = 'ge
     });
 
     await parallelUploads3.done();
-    const publicUrl = `${process.env.S3_ENDPOINT}/${bucketName}/${key}`;
+    const publicUrl = options.private ? getObjectRef(key) : `${process.env.S3_ENDPOINT}/${bucketName}/${key}`;
 
     return {
       success: true,
@@ -134,6 +147,227 @@ async function uploadFileToS3(filePath, originalFilename, mimeType, folder = 'ge
   }
 }
 
+/**
+ * Upload a file from disk to an exact S3 key, for generated files whose names must not change
+ * (e.g. HLS playlists that reference their segments by name)
+ * Pass { private: true } for files that must only be reachable through presigned URLs
+ */
+async function uploadFileToS3Key(filePath, key, mimeType, options = {}) {
+  try {
+    const upload = new Upload({
+      client: s3Client,
+      params: {
+        Bucket: bucketName,
+        Key: key,
+        Body: fs.createReadStream(filePath),
+        ContentType: mimeType,
+        ...(options.private ? {} : { ACL: 'public-read' }),
+      },
+      queueSize: 4,
+      partSize: 5 * 1024 * 1024,
+      leavePartsOnError: false,
+    });
+    await upload.done();
+
+    return {
+      success: true,
+      url: options.private ? getObjectRef(key) : getPublicUrl(key),
+      key: key,
+      size: fs.statSync(filePath).size,
+      mimeType: mimeType
+    };
+  } catch (error) {
+    console.error('S3 key upload error:', error);
+    throw new Error(`Failed to upload file to S3: ${error.message}`);
+  }
+}
+
+/**
+ * Read a small S3 object (e.g. an HLS playlist) as UTF-8 text
+ */
+async function getObjectText(key) {
+  try {
+    const response = await s3Client.send(new GetObjectCommand({
+      Bucket: bucketName,
+      Key: key,
+    }));
+    return await response.Body.transformToString('utf-8');
+  } catch (error) {
+    console.error('S3 read error:', error);
+    throw new Error(`Failed to read from S3: ${error.message}`);
+  }
+}
+
+/**
+ * Download an S3 object to a file on disk
+ */
+async function downloadFromS3(key, filePath) {
+  try {
+    const response = await s3Client.send(new GetObjectCommand({
+      Bucket: bucketName,
+      Key: key,
+    }));
+    await pipeline(response.Body, fs.createWriteStream(filePath));
+    return filePath;
+  } catch (error) {
+    console.error('S3 download error:', error);
+    throw new Error(`Failed to download from S3: ${error.message}`);
+  }
+}
+
+/**
+ * Start a client-driven multipart upload; parts are sent with uploadPart and joined by completeMultipartUpload
+ * Pass { private: true } for files that must only be reachable through presigned URLs
+ */
+async function createMultipartUpload(originalFilename, mimeType, folder = 'general', options = {}) {
+  try {
+    const uniqueSuffix = Date.now() + '-' + crypto.randomBytes(6).toString('hex');
+    const ext = path.extname(originalFilename);
+    const name = path.basename(originalFilename, ext);
+    const key = `${folder}/${name}-${uniqueSuffix}${ext}`;
+
+    const response = await s3Client.send(new CreateMultipartUploadCommand({
+      Bucket: bucketName,
+      Key: key,
+      ContentType: mimeType,
+      ...(options.private ? {} : { ACL: 'public-read' }),
+    }));
+
+    return {
+      uploadId: response.UploadId,
+      key: key,
+      filename: `${name}-${uniqueSuffix}${ext}`
+    };
+  } catch (error) {
+    console.error('S3 multipart create error:', error);
+    throw new Error(`Failed to start multipart upload: ${error.message}`);
+  }
+}
+
+/**
+ * Upload one part of a multipart upload; returns the part's ETag
+ */
+async function uploadPart(key, uploadId, partNumber, body) {
+  try {
+    const response = await s3Client.send(new UploadPartCommand({
+      Bucket: bucketName,
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber,
+      Body: body,
+      ContentLength: body.length,
+    }));
+    return response.ETag;
+  } catch (error) {
+    console.error('S3 upload part error:', error);
+    throw new Error(`Failed to upload part ${partNumber}: ${error.message}`);
+  }
+}
+
+/**
+ * Join uploaded parts into the final object
+ * @param {Array} parts - [{ partNumber, etag }] in ascending part order
+ */
+async function completeMultipartUpload(key, uploadId, parts) {
+  try {
+    await s3Client.send(new CompleteMultipartUploadCommand({
+      Bucket: bucketName,
+      Key: key,
+      UploadId: uploadId,
+      MultipartUpload: {
+        Parts: parts.map((part) => ({ PartNumber: part.partNumber, ETag: part.etag })),
+      },
+    }));
+    return { url: getPublicUrl(key), key: key };
+  } catch (error) {
+    console.error('S3 multipart complete error:', error);
+    throw new Error(`Failed to complete multipart upload: ${error.message}`);
+  }
+}
+
+/**
+ * Abort a multipart upload so S3 discards its stored parts
+ */
+async function abortMultipartUpload(key, uploadId) {
+  try {
+    await s3Client.send(new AbortMultipartUploadCommand({
+      Bucket: bucketName,
+      Key: key,
+      UploadId: uploadId,
+    }));
+    return true;
+  } catch (error) {
+    console.error('S3 multipart abort error:', error);
+    throw new Error(`Failed to abort multipart upload: ${error.message}`);
+  }
+}
+
+/**
+ * Public URL of an S3 key, in the same form the upload helpers return
+ */
+function getPublicUrl(key) {
+  return `${process.env.S3_ENDPOINT}/${bucketName}/${key}`;
+}
+
+/**
+ * Reference to a private S3 object, stored in place of a URL: it can't be fetched directly,
+ * so it never leaks a working link. Resolve it with getKeyFromUrl and presign the key.
+ */
+function getObjectRef(key) {
+  return `s3://${bucketName}/${key}`;
+}
+
+/**
+ * S3 key of a public URL returned by the upload helpers or of a getObjectRef reference;
+ * null for any other URL
+ */
+function getKeyFromUrl(url) {
+  const prefixes = [`s3://${bucketName}/`, `${process.env.S3_ENDPOINT}/${bucketName}/`];
+  const prefix = url && prefixes.find((candidate) => url.startsWith(candidate));
+  if (!prefix) return null;
+  return decodeURIComponent(url.slice(prefix.length));
+}
+
+/**
+ * Make an existing object private, removing any public-read grant
+ */
+async function setObjectPrivate(key) {
+  try {
+    await s3Client.send(new PutObjectAclCommand({
+      Bucket: bucketName,
+      Key: key,
+      ACL: 'private',
+    }));
+    return true;
+  } catch (error) {
+    console.error('S3 ACL error:', error);
+    throw new Error(`Failed to make ${key} private: ${error.message}`);
+  }
+}
+
+/**
+ * Keys of every object under a prefix
+ */
+async function listObjectKeys(prefix) {
+  try {
+    const keys = [];
+    let continuationToken;
+    do {
+      const response = await s3Client.send(new ListObjectsV2Command({
+        Bucket: bucketName,
+        Prefix: prefix,
+        ContinuationToken: continuationToken,
+      }));
+      (response.Contents || []).forEach((object) => keys.push(object.Key));
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+    return keys;
+  } catch (error) {
+    console.error('S3 list error:', error);
+    throw new Error(`Failed to list ${prefix}: ${error.message}`);
+  }
+}
+
 /**
  * Delete file from S3
  */
@@ -153,12 +387,16 @@ async function deleteFromS3(key) {
 
 /**
  * Generate presigned URL for temporary access
+ * Pass { downloadName } to make browsers save the file under that name instead of opening it
  */
-async function getPresignedUrl(key, expiresIn = 3600) {
+async function getPresignedUrl(key, expiresIn = 3600, options = {}) {
   try {
     const command = new GetObjectCommand({
       Bucket: bucketName,
       Key: key,
+      ...(options.downloadName && {
+        ResponseContentDisposition: `attachment; filename*=UTF-8''${encodeURIComponent(options.downloadName)}`,
+      }),
     });
     const url = await getSignedUrl(s3Client, command, { expiresIn });
     return url;
@@ -187,6 +425,18 @@ async function uploadMultipleToS3(files, folder = 'general') {
 module.exports = {
   uploadToS3,
   uploadFileToS3,
+  uploadFileToS3Key,
+  getObjectText,
+  downloadFromS3,
+  createMultipartUpload,
+  uploadPart,
+  completeMultipartUpload,
+  abortMultipartUpload,
+  getPublicUrl,
+  getObjectRef,
+  getKeyFromUrl,
+  setObjectPrivate,
+  listObjectKeys,
   getVideoDurationFromPath,  // ← NEW: Use this FIRST in upload routes
   deleteFromS3,
   getPresignedUrl,
@@ -0,0 +1,117 @@
+/**
+ * Security Alerts
+ * Account security emails sent to learners, such as sign-ins from a new device
+ */
+
+const transporter = require('../config/mailer');
+
+// Device names come from the client, so escape them before putting them in HTML
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Email a user that their account was signed in from a device it has not seen before
+ * @param {object} user - users row
+ * @param {object} session - user_sessions row of the new sign-in
+ */
+async function sendNewDeviceLoginEmail(user, session) {
+  const device = [session.device_name, session.device_type].filter(Boolean).join(' · ') || session.user_agent || 'Unknown device';
+  const details = [
+    ['Device', device],
+    ['Location', session.location_hint || 'Unknown'],
+    ['IP address', session.ip_address || 'Unknown'],
+    ['Time', new Date(session.created_at || Date.now()).toUTCString()]
+  ];
+
+  await transporter.sendMail({
+    from: `"ThinkCyber Security" <${process.env.SMTP_USER}>`,
+    to: user.email,
+    subject: '🔔 New sign-in to your ThinkCyber account',
+    html: `
+  <div style="font-family: Arial, sans-serif; background-color:#f4f4f4; padding:20px;">
+    <div style="max-width:600px; margin:auto; background:#ffffff; border-radius:8px; overflow:hidden; box-shadow:0 2px 8px rgba(0,0,0,0.1);">
+      <div style="background:#0d6efd; padding:20px; text-align:center; color:#ffffff;">
+        <h2 style="margin:0; font-size:22px;">New Device Sign-in</h2>
+      </div>
+      <div style="padding:30px; color:#333333;">
+        <p style="font-size:16px;">Hello ${escapeHtml(user.name || '')},</p>
+        <p style="font-size:16px;">Your ThinkCyber account was just signed in from a new device:</p>
+        <table style="width:100%; border-collapse:collapse; margin:20px 0; font-size:14px;">
+          ${details.map(([label, value]) => `
+          <tr>
+            <td style="padding:8px; border-bottom:1px solid #eee; color:#777; width:35%;">${label}</td>
+            <td style="padding:8px; border-bottom:1px solid #eee;">${escapeHtml(value)}</td>
+          </tr>`).join('')}
+        </table>
+        <p style="font-size:14px; color:#555;">
+          If this was you, no action is needed. If not, sign out that device from <b>Active sessions</b>
+          in the app and contact support immediately.
+        </p>
+      </div>
+      <div style="background:#f9f9f9; padding:15px; text-align:center; font-size:12px; color:#999;">
+        © ${new Date().getFullYear()} ThinkCyber Security. All rights reserved.
+      </div>
+    </div>
+  </div>
+  `
+  });
+}
+
+/**
+ * Email a user that login anomaly detection flagged activity on their account
+ * @param {object} user - users row
+ * @param {string} reason - Plain-language description of what was detected
+ * @param {object} event - login_events row that triggered the flag
+ */
+async function sendSuspiciousActivityEmail(user, reason, event) {
+  const details = [
+    ['What we noticed', reason],
+    ['Location', event.location_hint || event.country || 'Unknown'],
+    ['IP address', event.ip_address || 'Unknown'],
+    ['Time', new Date(event.created_at || Date.now()).toUTCString()]
+  ];
+
+  await transporter.sendMail({
+    from: `"ThinkCyber Security" <${process.env.SMTP_USER}>`,
+    to: user.email,
+    subject: '⚠️ Unusual sign-in activity on your ThinkCyber account',
+    html: `
+  <div style="font-family: Arial, sans-serif; background-color:#f4f4f4; padding:20px;">
+    <div style="max-width:600px; margin:auto; background:#ffffff; border-radius:8px; overflow:hidden; box-shadow:0 2px 8px rgba(0,0,0,0.1);">
+      <div style="background:#dc3545; padding:20px; text-align:center; color:#ffffff;">
+        <h2 style="margin:0; font-size:22px;">Unusual Sign-in Activity</h2>
+      </div>
+      <div style="padding:30px; color:#333333;">
+        <p style="font-size:16px;">Hello ${escapeHtml(user.name || '')},</p>
+        <p style="font-size:16px;">We noticed sign-in activity on your ThinkCyber account that doesn't look like you:</p>
+        <table style="width:100%; border-collapse:collapse; margin:20px 0; font-size:14px;">
+          ${details.map(([label, value]) => `
+          <tr>
+            <td style="padding:8px; border-bottom:1px solid #eee; color:#777; width:35%;">${label}</td>
+            <td style="padding:8px; border-bottom:1px solid #eee;">${escapeHtml(value)}</td>
+          </tr>`).join('')}
+        </table>
+        <p style="font-size:14px; color:#555;">
+          If this was you, no action is needed. If not, sign out all devices from <b>Active sessions</b>
+          in the app and contact support. Nobody from ThinkCyber will ever ask you for your login code.
+        </p>
+      </div>
+      <div style="background:#f9f9f9; padding:15px; text-align:center; font-size:12px; color:#999;">
+        © ${new Date().getFullYear()} ThinkCyber Security. All rights reserved.
+      </div>
+    </div>
+  </div>
+  `
+  });
+}
+
+module.exports = {
+  escapeHtml,
+  sendNewDeviceLoginEmail,
+  sendSuspiciousActivityEmail
+};
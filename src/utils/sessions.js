@@ -0,0 +1,392 @@
+/**
+ * User Sessions
+ * Short-lived access JWTs backed by per-device sessions with rotating refresh tokens.
+ * Access tokens carry the session id as `sid` so a revoked session stops working immediately.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const jwt = require('jsonwebtoken');
+const db = require('../config/db');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'changeme';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Geo headers of each CDN the app can sit behind; GEO_HEADERS_PROVIDER picks the one actually in front of it
+const GEO_HEADER_PROVIDERS = {
+  cloudflare: { country: 'cf-ipcountry', city: 'cf-ipcity', latitude: 'cf-iplatitude', longitude: 'cf-iplongitude' },
+  vercel: { country: 'x-vercel-ip-country', city: 'x-vercel-ip-city', latitude: 'x-vercel-ip-latitude', longitude: 'x-vercel-ip-longitude' },
+  cloudfront: { country: 'cloudfront-viewer-country', city: 'cloudfront-viewer-city', latitude: 'cloudfront-viewer-latitude', longitude: 'cloudfront-viewer-longitude' },
+  appengine: { country: 'x-appengine-country', city: 'x-appengine-city', latLong: 'x-appengine-citylatlong' }
+};
+
+/**
+ * Parse a comma-separated list of IPs and CIDR ranges (e.g. "173.245.48.0/20,2400:cb00::/32")
+ * @param {string} value
+ * @returns {net.BlockList}
+ */
+function parseAddressList(value) {
+  const list = new net.BlockList();
+  String(value || '').split(',').map((entry) => entry.trim()).filter(Boolean).forEach((entry) => {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    try {
+      if (!net.isIP(address) || (prefix !== undefined && !/^\d+$/.test(prefix))) {
+        throw new Error('not an IP address or CIDR range');
+      }
+      if (prefix === undefined) {
+        list.addAddress(address, type);
+      } else {
+        list.addSubnet(address, parseInt(prefix), type);
+      }
+    } catch (err) {
+      console.warn(`⚠️ Ignoring invalid address in GEO_HEADERS_TRUSTED_PROXIES: ${entry}`);
+    }
+  });
+  return list;
+}
+
+// Addresses of the CDN edge or load balancer that adds the geo headers; requests from anywhere else are not trusted
+const GEO_TRUSTED_PROXIES = parseAddressList(process.env.GEO_HEADERS_TRUSTED_PROXIES);
+
+function isTrustedGeoProxy(address) {
+  if (!address) return false;
+  // IPv4 clients show up as IPv4-mapped IPv6 addresses on dual-stack sockets
+  const ipv4 = address.startsWith('::ffff:') ? address.slice(7) : null;
+  if (ipv4 && net.isIPv4(ipv4)) return GEO_TRUSTED_PROXIES.check(ipv4, 'ipv4');
+  return GEO_TRUSTED_PROXIES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('hex');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Sign an access token for a session
+ * @param {object} user - { id, email }
+ * @param {number} sessionId
+ * @returns {string}
+ */
+function signAccessToken(user, sessionId) {
+  return jwt.sign({ userId: user.id, email: user.email, sid: sessionId }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+}
+
+/**
+ * Build the token payload returned to clients
+ * @param {object} user
+ * @param {object} session - user_sessions row
+ * @param {string} refreshToken - Plain refresh token
+ * @returns {object}
+ */
+function buildTokens(user, session, refreshToken) {
+  return {
+    sessionToken: signAccessToken(user, session.id),
+    refreshToken,
+    sessionId: session.id,
+    accessTokenExpiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    refreshTokenExpiresAt: session.expires_at?.toISOString()
+  };
+}
+
+/**
+ * Raw geo headers from the CDN configured in GEO_HEADERS_PROVIDER. Clients can send these headers
+ * themselves, so they are only read when the connection comes from an address listed in
+ * GEO_HEADERS_TRUSTED_PROXIES (IPs or CIDR ranges of the CDN or load balancer in front of the app).
+ * @param {object} req
+ * @returns {object} { country, city, latitude, longitude }, each null when unknown
+ */
+function getGeoHeaders(req) {
+  const empty = { country: null, city: null, latitude: null, longitude: null };
+  const provider = GEO_HEADER_PROVIDERS[String(process.env.GEO_HEADERS_PROVIDER || '').toLowerCase()];
+  if (!provider || !isTrustedGeoProxy(req.socket?.remoteAddress)) return empty;
+
+  const read = (name) => (name && req.headers[name] ? String(req.headers[name]).trim() : null);
+  let latitude = read(provider.latitude);
+  let longitude = read(provider.longitude);
+  const latLong = read(provider.latLong);
+  if (latLong) {
+    [latitude, longitude] = latLong.split(',');
+  }
+
+  return { country: read(provider.country), city: read(provider.city), latitude, longitude };
+}
+
+/**
+ * Approximate location from the configured CDN's geo headers; null when there are none
+ * @param {object} req
+ * @returns {string|null} e.g. "Hyderabad, IN"
+ */
+function getLocationHint(req) {
+  const { city, country } = getGeoHeaders(req);
+  let cityName = city;
+  try {
+    cityName = city && decodeURIComponent(city);
+  } catch (err) {
+    // Keep the raw header value if it isn't valid URI encoding
+  }
+  const parts = [cityName, country].filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+/**
+ * Read the client IP, user agent and location hint for a session.
+ * The IP comes from req.ip, so X-Forwarded-For is only honoured for the proxies TRUST_PROXY_HOPS trusts.
+ * @param {object} req
+ * @returns {object} { ipAddress, userAgent, locationHint }
+ */
+function getRequestMeta(req) {
+  return {
+    ipAddress: req.ip || null,
+    userAgent: req.headers['user-agent'] || null,
+    locationHint: getLocationHint(req)
+  };
+}
+
+/**
+ * Format a session for the learner's device list
+ * @param {object} session - user_sessions row
+ * @param {number} currentSessionId - Session of the request, marked isCurrent
+ * @returns {object}
+ */
+function formatSession(session, currentSessionId = null) {
+  return {
+    id: session.id,
+    deviceId: session.device_id,
+    deviceName: session.device_name,
+    deviceType: session.device_type,
+    ipAddress: session.ip_address,
+    locationHint: session.location_hint,
+    userAgent: session.user_agent,
+    isCurrent: session.id === currentSessionId,
+    lastSeenAt: session.last_used_at?.toISOString(),
+    createdAt: session.created_at?.toISOString(),
+    expiresAt: session.expires_at?.toISOString()
+  };
+}
+
+/**
+ * Start a session for a user. Any active session on the same device is replaced.
+ * A device counts as new when the user has signed in before but never from this device ID
+ * (or, without a device ID, this user agent).
+ * @param {object} user - users row
+ * @param {object} device - { deviceId, deviceType, deviceName, ipAddress, userAgent, locationHint }
+ * @returns {Promise<object>} { session, tokens, isNewDevice }
+ */
+async function createSession(user, device = {}) {
+  const {
+    deviceId = null,
+    deviceType = null,
+    deviceName = null,
+    ipAddress = null,
+    userAgent = null,
+    locationHint = null
+  } = device;
+  const refreshToken = generateRefreshToken();
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    const history = await client.query(
+      `SELECT
+         COUNT(*) as total,
+         COUNT(*) FILTER (WHERE CASE WHEN $2::text IS NOT NULL THEN device_id = $2::text ELSE user_agent = $3::text END) as same_device
+       FROM user_sessions
+       WHERE user_id = $1`,
+      [user.id, deviceId, userAgent]
+    );
+    const isNewDevice = parseInt(history.rows[0].total) > 0 && parseInt(history.rows[0].same_device) === 0;
+
+    if (deviceId) {
+      await client.query(
+        `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'replaced'
+         WHERE user_id = $1 AND device_id = $2 AND revoked_at IS NULL`,
+        [user.id, deviceId]
+      );
+    }
+
+    const result = await client.query(
+      `INSERT INTO user_sessions
+         (user_id, refresh_token_hash, device_id, device_type, device_name, ip_address, user_agent, location_hint, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [user.id, hashToken(refreshToken), deviceId, deviceType, deviceName, ipAddress, userAgent, locationHint, refreshExpiry()]
+    );
+
+    await client.query('COMMIT');
+
+    const session = result.rows[0];
+    return { session, tokens: buildTokens(user, session, refreshToken), isNewDevice };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * Presenting an already-rotated refresh token revokes the session, since it means the token leaked.
+ * @param {string} refreshToken
+ * @param {object} meta - { ipAddress, userAgent, locationHint }
+ * @returns {Promise<object>} { session, tokens } or { error, reason }
+ */
+async function rotateSession(refreshToken, meta = {}) {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = generateRefreshToken();
+
+  const result = await db.query(
+    `UPDATE user_sessions SET
+       previous_token_hash = refresh_token_hash,
+       refresh_token_hash = $2,
+       expires_at = $3,
+       last_used_at = NOW(),
+       ip_address = COALESCE($4, ip_address),
+       user_agent = COALESCE($5, user_agent),
+       location_hint = COALESCE($6, location_hint)
+     WHERE refresh_token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     RETURNING *`,
+    [tokenHash, hashToken(nextToken), refreshExpiry(), meta.ipAddress || null, meta.userAgent || null, meta.locationHint || null]
+  );
+
+  if (result.rows.length === 0) {
+    const reused = await db.query(
+      `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'token_reuse'
+       WHERE previous_token_hash = $1 AND revoked_at IS NULL
+       RETURNING id, user_id`,
+      [tokenHash]
+    );
+    if (reused.rows.length > 0) {
+      console.warn(`⚠️ Refresh token reuse on session ${reused.rows[0].id} (user ${reused.rows[0].user_id}); session revoked`);
+      return { error: 'Refresh token has already been used; please log in again', reason: 'token_reuse' };
+    }
+    return { error: 'Invalid or expired refresh token', reason: 'invalid' };
+  }
+
+  const session = result.rows[0];
+  const userResult = await db.query('SELECT id, email FROM users WHERE id = $1', [session.user_id]);
+  if (userResult.rows.length === 0) {
+    await revokeSession(session.id, 'account_closed');
+    return { error: 'User not found', reason: 'invalid' };
+  }
+
+  return { session, tokens: buildTokens(userResult.rows[0], session, nextToken) };
+}
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {number} userId
+ * @returns {Promise<object[]>} user_sessions rows
+ */
+async function listActiveSessions(userId) {
+  const result = await db.query(
+    `SELECT * FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC NULLS LAST, created_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Find the session a refresh token belongs to
+ * @param {string} refreshToken
+ * @returns {Promise<object|null>} user_sessions row
+ */
+async function findSessionByRefreshToken(refreshToken) {
+  const result = await db.query(
+    'SELECT * FROM user_sessions WHERE refresh_token_hash = $1',
+    [hashToken(refreshToken)]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Check that a session exists and has not been revoked or expired
+ * @param {number} sessionId
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(sessionId) {
+  const result = await db.query(
+    'SELECT 1 FROM user_sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()',
+    [sessionId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Revoke one session and stop push notifications to its device
+ * @param {number} sessionId
+ * @param {string} reason
+ * @returns {Promise<object|null>} Revoked user_sessions row, or null if it was not active
+ */
+async function revokeSession(sessionId, reason = 'logout') {
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING *`,
+    [sessionId, reason]
+  );
+  const session = result.rows[0] || null;
+
+  if (session?.device_id) {
+    await db.query(
+      'UPDATE user_fcm_tokens SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND device_id = $2',
+      [session.user_id, session.device_id]
+    );
+  }
+  return session;
+}
+
+/**
+ * Revoke every active session for a user and deactivate their push tokens
+ * @param {number} userId
+ * @param {string} reason
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllSessions(userId, reason = 'logout_all') {
+  const result = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId, reason]
+  );
+  await db.query(
+    'UPDATE user_fcm_tokens SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE user_id = $1',
+    [userId]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_TTL_DAYS,
+  hashToken,
+  signAccessToken,
+  getGeoHeaders,
+  getRequestMeta,
+  formatSession,
+  createSession,
+  rotateSession,
+  listActiveSessions,
+  findSessionByRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions
+};
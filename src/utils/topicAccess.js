@@ -0,0 +1,205 @@
+/**
+ * Topic Access Helpers
+ * Resolves whether a user can access a topic through an individual purchase, a category bundle
+ * or a seat assigned by their organisation
+ */
+
+// Seats count while assigned (reclaimed_at IS NULL), on a paid licence, to an active member of an active organisation
+const ACTIVE_SEATS_SQL = `
+  FROM seat_assignments sa
+  JOIN seat_licences sl ON sl.id = sa.licence_id AND sl.status = 'active'
+  JOIN organisation_members om ON om.id = sa.member_id AND om.status = 'active'
+  JOIN organisations o ON o.id = sa.organisation_id AND o.is_active = true`;
+
+/**
+ * Find an organisation seat that grants a user a topic. Bundle seats follow the same rule as
+ * bundle purchases: topics that existed when the licence was paid, plus later topics when
+ * future_topics_included is set.
+ * @param {object} pool - pg pool or client
+ * @param {number} userId
+ * @param {object} topic - { id, category_id, created_at }
+ * @returns {Promise<object|null>} { licenceId, organisationId, organisationName, itemType }
+ */
+async function getSeatGrant(pool, userId, topic) {
+  const result = await pool.query(
+    `SELECT sl.id as licence_id, sl.item_type, o.id as organisation_id, o.name as organisation_name
+     ${ACTIVE_SEATS_SQL}
+     WHERE sa.user_id = $1 AND sa.reclaimed_at IS NULL
+       AND (
+         (sl.item_type = 'topic' AND sl.topic_id = $2)
+         OR (sl.item_type = 'bundle' AND sl.category_id = $3
+             AND (sl.future_topics_included OR $4::timestamp <= sl.activated_at))
+       )
+     ORDER BY sl.item_type = 'topic' DESC, sa.assigned_at ASC
+     LIMIT 1`,
+    [userId, topic.id, topic.category_id, topic.created_at]
+  );
+  if (result.rows.length === 0) return null;
+
+  const grant = result.rows[0];
+  return {
+    licenceId: grant.licence_id,
+    organisationId: grant.organisation_id,
+    organisationName: grant.organisation_name,
+    itemType: grant.item_type
+  };
+}
+
+/**
+ * IDs of the topics in a category a user can access through organisation seats
+ * @param {object} pool - pg pool or client
+ * @param {number} userId
+ * @param {number} categoryId
+ * @returns {Promise<number[]>}
+ */
+async function getSeatTopicIds(pool, userId, categoryId) {
+  const result = await pool.query(
+    `SELECT DISTINCT t.id
+     ${ACTIVE_SEATS_SQL}
+     JOIN topics t ON t.category_id = $2
+       AND (
+         (sl.item_type = 'topic' AND sl.topic_id = t.id)
+         OR (sl.item_type = 'bundle' AND sl.category_id = t.category_id
+             AND (sl.future_topics_included OR t.created_at <= sl.activated_at))
+       )
+     WHERE sa.user_id = $1 AND sa.reclaimed_at IS NULL`,
+    [userId, categoryId]
+  );
+  return result.rows.map(row => row.id);
+}
+
+/**
+ * Check a user's own purchases of a topic
+ * A direct user_topics row decides on its own; otherwise a completed bundle grants
+ * topics that existed at purchase time, plus later topics when future_topics_included is set.
+ * @param {object} pool - pg pool or client
+ * @param {number} userId
+ * @param {object} topic - { id, category_id, created_at }
+ * @returns {Promise<object>} { hasAccess, accessType, enrollmentStatus, ... }
+ */
+async function checkPurchasedAccess(pool, userId, topic) {
+  // Check direct enrollment (individual purchase)
+  const directEnrollment = await pool.query(
+    'SELECT payment_status FROM user_topics WHERE user_id = $1 AND topic_id = $2',
+    [userId, topic.id]
+  );
+
+  if (directEnrollment.rows.length > 0) {
+    const status = directEnrollment.rows[0].payment_status;
+    return {
+      hasAccess: status === 'completed',
+      accessType: 'individual',
+      enrollmentStatus: status
+    };
+  }
+
+  // Check bundle enrollment considering future topics
+  const { category_id, created_at: topicCreatedAt } = topic;
+
+  const bundleEnrollment = await pool.query(
+    `SELECT payment_status, enrolled_at, future_topics_included
+     FROM user_category_bundles
+     WHERE user_id = $1 AND category_id = $2 AND payment_status = 'completed'`,
+    [userId, category_id]
+  );
+
+  if (bundleEnrollment.rows.length === 0) {
+    return { hasAccess: false, accessType: 'none' };
+  }
+
+  const { enrolled_at: bundleEnrolledAt, future_topics_included: futureIncluded } = bundleEnrollment.rows[0];
+
+  // User has bundle access to current topics (enrolled at purchase time)
+  let hasAccess = new Date(topicCreatedAt) <= new Date(bundleEnrolledAt);
+
+  // Check if future topics are included in the bundle
+  if (!hasAccess && futureIncluded) {
+    hasAccess = true; // Future topics are included in this bundle
+  }
+
+  return {
+    hasAccess,
+    accessType: 'bundle',
+    enrollmentStatus: 'completed',
+    futureTopicsIncluded: futureIncluded,
+    topicCreatedAt: topicCreatedAt?.toISOString(),
+    bundleEnrolledAt: bundleEnrolledAt?.toISOString()
+  };
+}
+
+/**
+ * Check a user's access to a topic
+ * The user's own purchases are checked first; when they don't grant access, a seat assigned
+ * by the user's organisation can.
+ * @param {object} pool - pg pool or client
+ * @param {number} userId
+ * @param {number} topicId
+ * @returns {Promise<object>} { hasAccess, accessType, enrollmentStatus, ... }
+ */
+async function checkTopicAccess(pool, userId, topicId) {
+  const topic = await pool.query(
+    'SELECT id, category_id, created_at FROM topics WHERE id = $1',
+    [topicId]
+  );
+
+  if (topic.rows.length === 0) {
+    return { hasAccess: false, accessType: 'none' };
+  }
+
+  const purchased = await checkPurchasedAccess(pool, userId, topic.rows[0]);
+  if (purchased.hasAccess) return purchased;
+
+  const seat = await getSeatGrant(pool, userId, topic.rows[0]);
+  if (!seat) return purchased;
+
+  return {
+    hasAccess: true,
+    accessType: 'seat',
+    enrollmentStatus: 'completed',
+    organisationId: seat.organisationId,
+    organisationName: seat.organisationName,
+    licenceId: seat.licenceId
+  };
+}
+
+// Video fields that let a client play or preview a video outside the player
+const LOCKED_VIDEO_FIELDS = ['videoUrl', 'sourceVideoUrl', 'spriteUrl', 'spriteVttUrl', 'captions'];
+
+/**
+ * Whether the caller of a public route may see a topic's video URLs: admins always, learners
+ * when checkTopicAccess grants them the topic, anonymous callers never
+ * @param {object} pool - pg pool or client
+ * @param {object|null} viewer - req.viewer set by identifyViewer
+ * @param {number} topicId
+ * @returns {Promise<boolean>}
+ */
+async function canViewTopicVideos(pool, viewer, topicId) {
+  if (!viewer) return false;
+  if (viewer.isAdmin) return true;
+  const access = await checkTopicAccess(pool, viewer.userId, topicId);
+  return access.hasAccess;
+}
+
+/**
+ * Blank the playable URLs of a formatted video unless the caller is entitled or it is a preview
+ * @param {object} video - Formatted video with isPreview
+ * @param {boolean} entitled - From canViewTopicVideos
+ * @returns {object}
+ */
+function lockVideo(video, entitled) {
+  if (entitled || video.isPreview) return { ...video, isLocked: false };
+
+  const locked = { ...video, isLocked: true };
+  LOCKED_VIDEO_FIELDS.forEach(field => {
+    if (field in locked) locked[field] = null;
+  });
+  return locked;
+}
+
+module.exports = {
+  checkTopicAccess,
+  canViewTopicVideos,
+  lockVideo,
+  getSeatGrant,
+  getSeatTopicIds
+};
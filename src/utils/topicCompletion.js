@@ -0,0 +1,129 @@
+/**
+ * Topic Completion Service
+ * Derives topic progress from completed videos, keeps topic_enrollments in sync
+ * and sends the 25/50/75/100% milestone notifications once per user per topic
+ */
+
+const {
+  sendCourseCompletionNotification,
+  sendProgressMilestoneNotification
+} = require('../config/notificationTriggers');
+
+const MILESTONES = [25, 50, 75, 100];
+
+/**
+ * Count active and completed videos for a user in a topic
+ * @param {object} pool - pg pool or client
+ * @param {number} userId
+ * @param {number} topicId
+ * @returns {Promise<object>} { totalVideos, completedVideos, percentage }
+ */
+async function calculateTopicCompletion(pool, userId, topicId) {
+  const result = await pool.query(
+    `SELECT
+       COUNT(tv.id) as total_videos,
+       COUNT(tp.id) FILTER (WHERE tp.is_completed = true) as completed_videos
+     FROM topic_videos tv
+     LEFT JOIN topic_progress tp ON tp.video_id = tv.id AND tp.user_id = $2
+     WHERE tv.topic_id = $1 AND tv.is_active = true`,
+    [topicId, userId]
+  );
+
+  const totalVideos = parseInt(result.rows[0].total_videos) || 0;
+  const completedVideos = parseInt(result.rows[0].completed_videos) || 0;
+  const percentage = totalVideos > 0
+    ? Math.round((completedVideos / totalVideos) * 10000) / 100
+    : 0;
+
+  return { totalVideos, completedVideos, percentage };
+}
+
+/**
+ * Record the milestones reached so far and return the ones that are new
+ * @param {object} pool - pg pool or client
+ * @param {number} userId
+ * @param {number} topicId
+ * @param {number} percentage
+ * @returns {Promise<number[]>}
+ */
+async function recordMilestones(pool, userId, topicId, percentage) {
+  const newMilestones = [];
+
+  for (const milestone of MILESTONES.filter(value => percentage >= value)) {
+    const result = await pool.query(
+      `INSERT INTO topic_progress_milestones (user_id, topic_id, milestone)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, topic_id, milestone) DO NOTHING
+       RETURNING milestone`,
+      [userId, topicId, milestone]
+    );
+    if (result.rows.length > 0) {
+      newMilestones.push(milestone);
+    }
+  }
+
+  return newMilestones;
+}
+
+/**
+ * Recalculate a user's topic progress after a video is completed.
+ * Every newly reached milestone is pushed in order, so a jump from 20% to 80%
+ * sends the 25%, 50% and 75% notifications.
+ * @param {object} pool - pg pool or client
+ * @param {number} userId
+ * @param {number} topicId
+ * @returns {Promise<object>} { totalVideos, completedVideos, percentage, isCompleted, completedAt, newMilestones }
+ */
+async function updateTopicCompletion(pool, userId, topicId) {
+  const { totalVideos, completedVideos, percentage } = await calculateTopicCompletion(pool, userId, topicId);
+  const isCompleted = totalVideos > 0 && completedVideos >= totalVideos;
+
+  const enrollment = await pool.query(
+    `INSERT INTO topic_enrollments (topic_id, user_id, progress_percentage, completed_at, last_accessed_at, status)
+     VALUES ($1, $2, $3, CASE WHEN $4 THEN CURRENT_TIMESTAMP END, CURRENT_TIMESTAMP, CASE WHEN $4 THEN 'completed' ELSE 'active' END)
+     ON CONFLICT (topic_id, user_id)
+     DO UPDATE SET
+       progress_percentage = EXCLUDED.progress_percentage,
+       completed_at = CASE WHEN $4 THEN COALESCE(topic_enrollments.completed_at, CURRENT_TIMESTAMP) ELSE topic_enrollments.completed_at END,
+       last_accessed_at = CURRENT_TIMESTAMP,
+       status = CASE WHEN $4 THEN 'completed' ELSE topic_enrollments.status END
+     RETURNING completed_at`,
+    [topicId, userId, percentage, isCompleted]
+  );
+
+  const newMilestones = await recordMilestones(pool, userId, topicId, percentage);
+
+  if (newMilestones.length > 0) {
+    const topicResult = await pool.query('SELECT title FROM topics WHERE id = $1', [topicId]);
+    const topicTitle = topicResult.rows[0]?.title || 'your course';
+
+    for (const milestone of newMilestones) {
+      try {
+        if (milestone === 100) {
+          await sendCourseCompletionNotification(userId, topicTitle);
+        } else {
+          await sendProgressMilestoneNotification(userId, topicTitle, milestone);
+        }
+        console.log(`🏁 User ${userId} reached ${milestone}% of topic ${topicId}`);
+      } catch (notifError) {
+        console.error(`Failed to send ${milestone}% milestone notification:`, notifError);
+        // Don't fail progress tracking if notification fails
+      }
+    }
+  }
+
+  return {
+    totalVideos,
+    completedVideos,
+    percentage,
+    isCompleted,
+    completedAt: enrollment.rows[0]?.completed_at?.toISOString() || null,
+    newMilestones
+  };
+}
+
+module.exports = {
+  MILESTONES,
+  calculateTopicCompletion,
+  updateTopicCompletion
+};
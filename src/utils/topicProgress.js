@@ -0,0 +1,321 @@
+/**
+ * Topic Progress Helpers
+ * Records video watch heartbeats in topic_progress and builds per-module / per-topic summaries
+ */
+
+// Upper bound for a single heartbeat so a stale or tampered client can't inflate watch time
+const MAX_HEARTBEAT_SECONDS = 120;
+// Allowance on top of the time since the previous heartbeat for network and player timer jitter
+const HEARTBEAT_SLACK_SECONDS = 5;
+
+// Matches idx_topic_progress_unique_video: module_id is coalesced so videos outside a module upsert too
+const PROGRESS_CONFLICT_TARGET = '(topic_id, (COALESCE(module_id, 0)), video_id, user_id)';
+
+/**
+ * Per user/topic progress derived from topic_progress.
+ * Exposes `progress` (0-100, by completed videos) and `watch_time` (seconds) for dashboard reports.
+ */
+const USER_TOPIC_PROGRESS_SQL = `
+  SELECT
+    tp.user_id,
+    tp.topic_id,
+    COALESCE(100.0 * COUNT(*) FILTER (WHERE tp.is_completed) / NULLIF(tv.total_videos, 0), 0) as progress,
+    COALESCE(SUM(tp.watch_time_seconds), 0) as watch_time
+  FROM topic_progress tp
+  JOIN (
+    SELECT topic_id, COUNT(*) as total_videos
+    FROM topic_videos
+    WHERE is_active = true
+    GROUP BY topic_id
+  ) tv ON tv.topic_id = tp.topic_id
+  GROUP BY tp.user_id, tp.topic_id, tv.total_videos
+`;
+
+/**
+ * Percentage of a video that must be watched before it counts as completed
+ * Configured through VIDEO_COMPLETION_THRESHOLD (1-100, default 90)
+ * @returns {number}
+ */
+function getCompletionThreshold() {
+  const threshold = parseInt(process.env.VIDEO_COMPLETION_THRESHOLD, 10);
+  if (isNaN(threshold)) {
+    return 90;
+  }
+  return Math.min(Math.max(threshold, 1), 100);
+}
+
+/**
+ * Percentage of a video that must have been watched before the player's "ended" event may complete it
+ * Configured through VIDEO_END_MIN_WATCHED_PERCENT (0-100, default 50)
+ * @returns {number}
+ */
+function getEndMinimumWatched() {
+  const percent = parseInt(process.env.VIDEO_END_MIN_WATCHED_PERCENT, 10);
+  if (isNaN(percent)) {
+    return 50;
+  }
+  return Math.min(Math.max(percent, 0), 100);
+}
+
+/**
+ * Round a completed/total ratio to a percentage with one decimal
+ * @param {number} completed
+ * @param {number} total
+ * @returns {number}
+ */
+function toPercentage(completed, total) {
+  if (!total) return 0;
+  return Math.round((completed / total) * 1000) / 10;
+}
+
+/**
+ * Load an active video that belongs to the topic
+ * @param {object} pool - pg pool or client
+ * @param {number} topicId
+ * @param {number} videoId
+ * @returns {Promise<object|null>}
+ */
+async function getTopicVideo(pool, topicId, videoId) {
+  const result = await pool.query(
+    `SELECT id, topic_id, module_id, title, duration_seconds, is_preview, video_url, video_type
+     FROM topic_videos
+     WHERE id = $1 AND topic_id = $2 AND is_active = true`,
+    [videoId, topicId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Record a player heartbeat and mark the video completed once the watch threshold is reached.
+ * The seconds added are capped by the real time since the previous heartbeat, so heartbeats
+ * sent back to back can't build up watch time faster than the video plays.
+ * @param {object} pool - pg pool or client
+ * @param {object} options - { userId, video, positionSeconds, watchedSeconds }
+ * @returns {Promise<object>} { progress, justCompleted }
+ */
+async function recordVideoHeartbeat(pool, options) {
+  const { userId, video, positionSeconds = 0, watchedSeconds = 0 } = options;
+
+  const duration = parseInt(video.duration_seconds) || 0;
+  let position = Math.max(Math.round(Number(positionSeconds) || 0), 0);
+  if (duration > 0) {
+    position = Math.min(position, duration);
+  }
+  const watched = Math.min(Math.max(Math.round(Number(watchedSeconds) || 0), 0), MAX_HEARTBEAT_SECONDS);
+
+  const upsert = await pool.query(
+    `INSERT INTO topic_progress (
+       topic_id, module_id, video_id, user_id, watch_time_seconds, last_position_seconds, last_watched_at
+     ) VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+     ON CONFLICT ${PROGRESS_CONFLICT_TARGET}
+     DO UPDATE SET
+       watch_time_seconds = topic_progress.watch_time_seconds + LEAST(
+         EXCLUDED.watch_time_seconds,
+         COALESCE(
+           GREATEST(FLOOR(EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - topic_progress.last_watched_at)))::int, 0) + $7,
+           EXCLUDED.watch_time_seconds
+         )
+       ),
+       last_position_seconds = EXCLUDED.last_position_seconds,
+       last_watched_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [video.topic_id, video.module_id, video.id, userId, watched, position, HEARTBEAT_SLACK_SECONDS]
+  );
+
+  let progress = upsert.rows[0];
+  let justCompleted = false;
+
+  const requiredSeconds = Math.ceil(duration * getCompletionThreshold() / 100);
+  if (!progress.is_completed && duration > 0 && progress.watch_time_seconds >= requiredSeconds) {
+    const completed = await pool.query(
+      `UPDATE topic_progress
+       SET is_completed = true, completed_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND is_completed = false
+       RETURNING *`,
+      [progress.id]
+    );
+    if (completed.rows.length > 0) {
+      progress = completed.rows[0];
+      justCompleted = true;
+    }
+  }
+
+  return { progress, justCompleted };
+}
+
+/**
+ * Mark a video completed when the player reports it ended. The recorded watch time must reach
+ * VIDEO_END_MIN_WATCHED_PERCENT of the duration, so seeking to the end doesn't complete a video.
+ * @param {object} pool - pg pool or client
+ * @param {object} options - { userId, video }
+ * @returns {Promise<object>} { progress, justCompleted }, or { status, error, requiredSeconds, watchTimeSeconds }
+ */
+async function markVideoCompleted(pool, options) {
+  const { userId, video } = options;
+
+  const existing = await pool.query(
+    'SELECT * FROM topic_progress WHERE video_id = $1 AND user_id = $2',
+    [video.id, userId]
+  );
+  if (existing.rows[0]?.is_completed) {
+    return { progress: existing.rows[0], justCompleted: false };
+  }
+
+  const duration = parseInt(video.duration_seconds) || 0;
+  const watchTimeSeconds = parseInt(existing.rows[0]?.watch_time_seconds) || 0;
+  const requiredSeconds = Math.ceil(duration * getEndMinimumWatched() / 100);
+  if (duration > 0 && watchTimeSeconds < requiredSeconds) {
+    return {
+      status: 409,
+      error: `Watch at least ${getEndMinimumWatched()}% of the video before marking it completed`,
+      requiredSeconds,
+      watchTimeSeconds
+    };
+  }
+
+  const result = await pool.query(
+    `INSERT INTO topic_progress (
+       topic_id, module_id, video_id, user_id, is_completed, completed_at, last_position_seconds, last_watched_at
+     ) VALUES ($1, $2, $3, $4, true, CURRENT_TIMESTAMP, $5, CURRENT_TIMESTAMP)
+     ON CONFLICT ${PROGRESS_CONFLICT_TARGET}
+     DO UPDATE SET
+       is_completed = true,
+       completed_at = CURRENT_TIMESTAMP,
+       last_watched_at = CURRENT_TIMESTAMP
+     WHERE topic_progress.is_completed IS NOT TRUE
+     RETURNING *`,
+    [video.topic_id, video.module_id, video.id, userId, duration]
+  );
+
+  // No row back means a concurrent request completed the video first
+  if (result.rows.length === 0) {
+    const current = await pool.query(
+      'SELECT * FROM topic_progress WHERE video_id = $1 AND user_id = $2',
+      [video.id, userId]
+    );
+    return { progress: current.rows[0], justCompleted: false };
+  }
+
+  return { progress: result.rows[0], justCompleted: true };
+}
+
+/**
+ * Format a topic_progress row for API responses
+ * @param {object} row
+ * @returns {object}
+ */
+function formatVideoProgress(row) {
+  return {
+    videoId: row.video_id,
+    moduleId: row.module_id,
+    topicId: row.topic_id,
+    isCompleted: row.is_completed || false,
+    watchTimeSeconds: parseInt(row.watch_time_seconds) || 0,
+    lastPositionSeconds: parseInt(row.last_position_seconds) || 0,
+    completedAt: row.completed_at?.toISOString() || null,
+    lastWatchedAt: row.last_watched_at?.toISOString() || null
+  };
+}
+
+/**
+ * Build the per-module and per-topic completion summary for a user
+ * @param {object} pool - pg pool or client
+ * @param {number} userId
+ * @param {number} topicId
+ * @returns {Promise<object>}
+ */
+async function getTopicProgress(pool, userId, topicId) {
+  const modulesResult = await pool.query(
+    `SELECT id, title, order_index
+     FROM topic_modules
+     WHERE topic_id = $1 AND is_active = true
+     ORDER BY order_index ASC, created_at ASC`,
+    [topicId]
+  );
+
+  const videosResult = await pool.query(
+    `SELECT
+       tv.id as video_id,
+       tv.module_id,
+       tv.topic_id,
+       tv.title,
+       tv.duration_seconds,
+       tp.is_completed,
+       tp.watch_time_seconds,
+       tp.last_position_seconds,
+       tp.completed_at,
+       tp.last_watched_at
+     FROM topic_videos tv
+     LEFT JOIN topic_progress tp ON tp.video_id = tv.id AND tp.user_id = $2
+     WHERE tv.topic_id = $1 AND tv.is_active = true
+     ORDER BY tv.order_index ASC, tv.created_at ASC`,
+    [topicId, userId]
+  );
+
+  let resumeFrom = null;
+
+  const modules = modulesResult.rows.map(module => {
+    const videos = videosResult.rows
+      .filter(video => video.module_id === module.id)
+      .map(video => ({
+        ...formatVideoProgress(video),
+        title: video.title,
+        durationSeconds: video.duration_seconds || 0
+      }));
+
+    const completedVideos = videos.filter(video => video.isCompleted).length;
+
+    return {
+      moduleId: module.id,
+      title: module.title,
+      orderIndex: module.order_index,
+      totalVideos: videos.length,
+      completedVideos,
+      completionPercentage: toPercentage(completedVideos, videos.length),
+      watchTimeSeconds: videos.reduce((sum, video) => sum + video.watchTimeSeconds, 0),
+      videos
+    };
+  });
+
+  // Resume from the most recently watched video
+  videosResult.rows.forEach(video => {
+    if (video.last_watched_at && (!resumeFrom || video.last_watched_at > resumeFrom.lastWatchedAt)) {
+      resumeFrom = {
+        videoId: video.video_id,
+        moduleId: video.module_id,
+        positionSeconds: video.is_completed ? 0 : parseInt(video.last_position_seconds) || 0,
+        isCompleted: video.is_completed || false,
+        lastWatchedAt: video.last_watched_at
+      };
+    }
+  });
+
+  const totalVideos = modules.reduce((sum, module) => sum + module.totalVideos, 0);
+  const completedVideos = modules.reduce((sum, module) => sum + module.completedVideos, 0);
+
+  return {
+    topicId: parseInt(topicId),
+    totalVideos,
+    completedVideos,
+    completionPercentage: toPercentage(completedVideos, totalVideos),
+    watchTimeSeconds: modules.reduce((sum, module) => sum + module.watchTimeSeconds, 0),
+    completionThreshold: getCompletionThreshold(),
+    resumeFrom: resumeFrom
+      ? { ...resumeFrom, lastWatchedAt: resumeFrom.lastWatchedAt.toISOString() }
+      : null,
+    modules
+  };
+}
+
+module.exports = {
+  MAX_HEARTBEAT_SECONDS,
+  HEARTBEAT_SLACK_SECONDS,
+  USER_TOPIC_PROGRESS_SQL,
+  getCompletionThreshold,
+  getEndMinimumWatched,
+  getTopicVideo,
+  recordVideoHeartbeat,
+  markVideoCompleted,
+  formatVideoProgress,
+  getTopicProgress
+};
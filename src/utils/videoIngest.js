@@ -0,0 +1,239 @@
+/**
+ * Video Ingest
+ * Shared steps for turning an uploaded video file into a module video: duration probing,
+ * the topic_videos insert, module/topic duration totals, upload metadata, HLS transcoding and previews.
+ * Used by the single-request upload route and by resumable chunked uploads.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const ffmpeg = require('fluent-ffmpeg');
+const ffprobe = require('ffprobe-static');
+const { getVideoDurationFromPath } = require('./s3-helper');
+const { formatTranscodeJob, enqueueTranscode } = require('./videoTranscoding');
+const { queueVideoPreviews } = require('./videoPreviews');
+const { runVideoTranscodeJob } = require('../jobs/videoTranscodeJob');
+
+ffmpeg.setFfprobePath(ffprobe.path);
+
+// Client duration (minutes) to use when probing fails, or the safe minimum of 1s
+function fallbackDuration(clientDuration) {
+  if (clientDuration && !isNaN(parseFloat(clientDuration)) && parseFloat(clientDuration) > 0) {
+    const durationSeconds = Math.round(parseFloat(clientDuration) * 60);
+    console.log(`✅ Client fallback duration: ${durationSeconds}s`);
+    return durationSeconds;
+  }
+  console.warn(`⚠️ No valid fallback, using default: 1s`);
+  return 1;
+}
+
+/**
+ * Probe a video's duration, falling back to the duration the client sent
+ * @param {string} filePath - Video file on disk
+ * @param {string|number} [clientDuration] - Client-supplied duration in minutes
+ * @param {string} [label] - File name for logs
+ * @returns {Promise<number>} Whole seconds, at least 1
+ */
+async function probeVideoDuration(filePath, clientDuration, label = filePath) {
+  let durationSeconds;
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File missing before processing: ${filePath}`);
+  }
+
+  try {
+    durationSeconds = await getVideoDurationFromPath(filePath);
+    console.log(`✅ FFProbe SUCCESS ${label}: ${durationSeconds}s`);
+  } catch (durErr) {
+    console.warn(`⚠️ FFProbe FAILED ${label}:`, durErr.message);
+    durationSeconds = fallbackDuration(clientDuration);
+  }
+
+  // Ensure positive integer
+  return Math.max(Math.round(durationSeconds), 1);
+}
+
+/**
+ * Probe the duration of a video over HTTP(S), e.g. a presigned S3 URL. ffprobe only reads the
+ * container headers through range requests, so large files are not downloaded.
+ * @param {string} url
+ * @param {string|number} [clientDuration] - Client-supplied duration in minutes
+ * @param {string} [label] - File name for logs
+ * @returns {Promise<number>} Whole seconds, at least 1
+ */
+async function probeRemoteVideoDuration(url, clientDuration, label = 'remote video') {
+  let durationSeconds;
+
+  try {
+    durationSeconds = await new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(url, (err, metadata) => {
+        if (err) return reject(err);
+        const duration = parseFloat(metadata.format?.duration);
+        if (!duration || duration <= 0) return reject(new Error(`Invalid duration: ${duration}`));
+        resolve(duration);
+      });
+    });
+    console.log(`✅ FFProbe SUCCESS ${label}: ${Math.round(durationSeconds)}s`);
+  } catch (durErr) {
+    console.warn(`⚠️ FFProbe FAILED ${label}:`, durErr.message);
+    durationSeconds = fallbackDuration(clientDuration);
+  }
+
+  return Math.max(Math.round(durationSeconds), 1);
+}
+
+/**
+ * Create the module video for a file already in S3, then queue transcoding and preview extraction.
+ * The video, duration totals, upload metadata and transcode job are written in one transaction,
+ * so a failure part-way leaves nothing behind and the ingest can simply be retried.
+ * @param {object} pool - pg pool
+ * @param {object} details
+ * @param {number|string} details.topicId
+ * @param {number|string} details.moduleId
+ * @param {string} details.title
+ * @param {string} [details.description]
+ * @param {number|string} [details.order]
+ * @param {number} details.durationSeconds - From probeVideoDuration
+ * @param {object} details.s3 - { url, key } of the uploaded source
+ * @param {string} details.originalName
+ * @param {number} details.size - Bytes
+ * @param {string} details.mimeType
+ * @param {Function} [linkVideo] - Called with (client, video) before commit, e.g. to record the
+ *   video on an upload session; throwing rolls the video back
+ * @returns {Promise<object>} { video, fileData, transcodeJob }
+ */
+async function createModuleVideo(pool, details, linkVideo) {
+  const { topicId, moduleId, durationSeconds, s3 } = details;
+
+  const fileData = {
+    id: crypto.randomUUID(),
+    url: s3.url,
+    filename: s3.key,
+    originalName: details.originalName,
+    size: details.size,
+    mimeType: details.mimeType,
+    uploadedAt: new Date().toISOString(),
+    title: details.title.trim(),
+    description: details.description?.trim() || '',
+    order: parseInt(details.order) || 1,
+  };
+
+  const client = await pool.connect();
+  let video;
+  let transcodeJob;
+  try {
+    await client.query('BEGIN');
+
+    console.log(`📹 Saving to DB: "${fileData.title}" (${durationSeconds}s) → ${s3.url}`);
+
+    const videoResult = await client.query(`
+      INSERT INTO topic_videos (
+        topic_id, module_id, title, description, video_url,
+        duration_seconds, video_type, order_index, is_active, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, true, $9, $10)
+      RETURNING id, title, description, video_url, duration_seconds, order_index, is_active, created_at, updated_at
+    `, [
+      topicId, moduleId, fileData.title, fileData.description, fileData.url,
+      durationSeconds, 'mp4', fileData.order, new Date(), new Date()
+    ]);
+
+    video = videoResult.rows[0];
+
+    // Update aggregate durations
+    await client.query(`
+      UPDATE topic_modules SET
+      duration_minutes = (
+        SELECT CEIL(COALESCE(SUM(duration_seconds), 0) / 60.0)::int
+        FROM topic_videos WHERE module_id = $1
+      ), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [moduleId]);
+
+    await client.query(`
+      UPDATE topics SET
+      duration_minutes = (
+        SELECT COALESCE(SUM(tm.duration_minutes), 0)
+        FROM topic_modules tm WHERE tm.topic_id = $1
+      ), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [topicId]);
+
+    // Save upload metadata
+    await client.query(`
+      INSERT INTO uploads (id, filename, original_name, file_path, file_size, mime_type, upload_type, category, metadata, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    `, [
+      fileData.id, fileData.filename, fileData.originalName, fileData.url,
+      fileData.size, fileData.mimeType, 'video', 'topic-videos',
+      JSON.stringify({
+        title: fileData.title,
+        description: fileData.description,
+        duration: durationSeconds,
+        topicId: parseInt(topicId),
+        moduleId: parseInt(moduleId),
+        videoId: video.id,
+        order: fileData.order,
+        linkedAt: new Date().toISOString()
+      }),
+      new Date()
+    ]);
+
+    // Build HLS renditions in the background; the MP4 plays until they are ready
+    ({ job: transcodeJob } = await enqueueTranscode(video.id, s3.key, client));
+
+    if (linkVideo) {
+      await linkVideo(client, video);
+    }
+
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  console.log(`✅ DB saved! Video ID: ${video.id}, Duration: ${video.duration_seconds}s`);
+
+  setImmediate(runVideoTranscodeJob);
+
+  // Poster frame and scrub sprite, extracted in the background
+  queueVideoPreviews(video.id, s3.key);
+
+  return { video, fileData, transcodeJob };
+}
+
+/**
+ * Response body for a newly created module video
+ * @param {object} result - From createModuleVideo
+ * @returns {object}
+ */
+function formatIngestedVideo({ video, fileData, transcodeJob }) {
+  return {
+    id: video.id,
+    title: video.title,
+    description: video.description || '',
+    videoUrl: video.video_url,
+    durationSeconds: video.duration_seconds,
+    duration: Math.floor(video.duration_seconds / 60).toString().padStart(2, '0') + ':' +
+      (video.duration_seconds % 60).toString().padStart(2, '0'),  // MM:SS
+    order: video.order_index,
+    isActive: video.is_active,
+    createdAt: video.created_at?.toISOString(),
+    updatedAt: video.updated_at?.toISOString(),
+    uploadInfo: {
+      uploadId: fileData.id,
+      filename: fileData.filename,
+      s3Key: fileData.filename,
+      originalName: fileData.originalName,
+      size: fileData.size
+    },
+    transcodeJob: formatTranscodeJob(transcodeJob)
+  };
+}
+
+module.exports = {
+  probeVideoDuration,
+  probeRemoteVideoDuration,
+  createModuleVideo,
+  formatIngestedVideo
+};
@@ -0,0 +1,136 @@
+/**
+ * Video Playback
+ * Short-lived playback links for course videos, which are stored privately in S3.
+ * MP4s get a presigned URL. HLS streams are served through the API: each playlist is read from S3
+ * and rewritten so nested playlists point back at the API with the same playback token and every
+ * segment is a presigned S3 URL, so nothing in the stream is readable without a fresh link.
+ */
+
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { getKeyFromUrl, getPresignedUrl, getObjectText } = require('./s3-helper');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'changeme';
+const PLAYBACK_TOKEN_TYPE = 'video_playback';
+// Segments are fetched as playback goes on, so links must outlast a typical viewing
+const PLAYBACK_URL_TTL_SECONDS = parseInt(process.env.VIDEO_PLAYBACK_URL_TTL_SECONDS) || 4 * 60 * 60;
+// The transcoder writes every playlist next to master.m3u8 (e.g. 720p.m3u8)
+const PLAYLIST_NAME_PATTERN = /^[\w-]+\.m3u8$/;
+
+/**
+ * S3 key of the HLS master playlist a video streams from, or null for MP4s and external links
+ * @param {object} video - topic_videos row
+ * @returns {string|null}
+ */
+function getStreamKey(video) {
+  const key = getKeyFromUrl(video.video_url);
+  return key && key.endsWith('.m3u8') ? key : null;
+}
+
+/**
+ * Sign a token that lets a player read one video's HLS playlists
+ * @param {object} video - topic_videos row
+ * @returns {string}
+ */
+function createPlaybackToken(video) {
+  return jwt.sign(
+    { type: PLAYBACK_TOKEN_TYPE, videoId: video.id, topicId: video.topic_id },
+    JWT_SECRET,
+    { expiresIn: PLAYBACK_URL_TTL_SECONDS }
+  );
+}
+
+/**
+ * Check a playback token against the video it is used for
+ * @param {string} token
+ * @param {object} video - topic_videos row
+ * @returns {boolean}
+ */
+function verifyPlaybackToken(token, video) {
+  try {
+    const decoded = jwt.verify(String(token || ''), JWT_SECRET);
+    return decoded.type === PLAYBACK_TOKEN_TYPE && decoded.videoId === video.id && decoded.topicId === video.topic_id;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Playback URL for a video the caller is entitled to
+ * @param {object} video - topic_videos row
+ * @param {string} apiBaseUrl - e.g. https://api.example.com, used for HLS playlist links
+ * @returns {Promise<object>} { url, expiresIn } where expiresIn is null for videos hosted outside S3
+ */
+async function getPlaybackUrl(video, apiBaseUrl) {
+  const streamKey = getStreamKey(video);
+  if (streamKey) {
+    const token = encodeURIComponent(createPlaybackToken(video));
+    return {
+      url: `${apiBaseUrl}/api/topics/${video.topic_id}/videos/${video.id}/hls/${path.posix.basename(streamKey)}?token=${token}`,
+      expiresIn: PLAYBACK_URL_TTL_SECONDS
+    };
+  }
+
+  // Links to videos hosted elsewhere (e.g. YouTube) can't be presigned and are returned as they are
+  const key = getKeyFromUrl(video.video_url);
+  if (!key) return { url: video.video_url, expiresIn: null };
+  return { url: await getPresignedUrl(key, PLAYBACK_URL_TTL_SECONDS), expiresIn: PLAYBACK_URL_TTL_SECONDS };
+}
+
+/**
+ * Rewrite the URIs of an HLS playlist: nested playlists go back through the API with the token,
+ * everything else (segments, init sections) becomes a presigned S3 URL
+ * @param {string} playlist - Playlist text
+ * @param {string} directory - S3 key prefix the playlist's relative URIs resolve against
+ * @param {string} token - Playback token
+ * @returns {Promise<string>}
+ */
+async function rewritePlaylist(playlist, directory, token) {
+  const rewriteUri = async (uri) => {
+    // Absolute URLs don't point into the bucket's private stream
+    if (/^[a-z][a-z0-9+.-]*:/i.test(uri) || uri.startsWith('/')) return uri;
+    const name = uri.split('?')[0];
+    if (PLAYLIST_NAME_PATTERN.test(name)) return `${name}?token=${encodeURIComponent(token)}`;
+    return getPresignedUrl(path.posix.join(directory, name), PLAYBACK_URL_TTL_SECONDS);
+  };
+
+  const lines = [];
+  for (const line of playlist.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      lines.push(line);
+    } else if (trimmed.startsWith('#')) {
+      // Tags such as EXT-X-MAP and EXT-X-MEDIA carry their URI as an attribute
+      const match = trimmed.match(/URI="([^"]*)"/);
+      lines.push(match ? trimmed.replace(match[0], `URI="${await rewriteUri(match[1])}"`) : line);
+    } else {
+      lines.push(await rewriteUri(trimmed));
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Read one of a video's HLS playlists from S3 and sign everything it references
+ * @param {object} video - topic_videos row
+ * @param {string} fileName - Playlist name, e.g. master.m3u8 or 720p.m3u8
+ * @param {string} token - Verified playback token, passed on to nested playlists
+ * @returns {Promise<string|null>} Playlist text, or null if the video has no such playlist
+ */
+async function renderPlaylist(video, fileName, token) {
+  const streamKey = getStreamKey(video);
+  if (!streamKey || !PLAYLIST_NAME_PATTERN.test(fileName)) return null;
+
+  const directory = path.posix.dirname(streamKey);
+  const playlist = await getObjectText(`${directory}/${fileName}`);
+  return rewritePlaylist(playlist, directory, token);
+}
+
+module.exports = {
+  PLAYBACK_URL_TTL_SECONDS,
+  createPlaybackToken,
+  verifyPlaybackToken,
+  getPlaybackUrl,
+  rewritePlaylist,
+  renderPlaylist
+};
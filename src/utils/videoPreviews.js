@@ -0,0 +1,226 @@
+/**
+ * Video Previews
+ * Extracts a poster frame and a scrub preview sprite sheet from uploaded videos with ffmpeg.
+ * The sprite is indexed by a WebVTT file whose cues point at #xywh= regions of the sprite image.
+ * Generated posters fill topic_videos.thumbnail_url only when an admin hasn't set one.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const ffprobe = require('ffprobe-static');
+const db = require('../config/db');
+const { uploadToS3, downloadFromS3 } = require('./s3-helper');
+
+ffmpeg.setFfprobePath(ffprobe.path);
+
+const TILE_WIDTH = 160;
+const TILE_HEIGHT = 90;
+const SPRITE_COLUMNS = 10;
+// Long videos get a wider interval so the sprite stays at most MAX_TILES frames
+const MIN_INTERVAL_SECONDS = 5;
+const MAX_TILES = 100;
+const POSTER_MAX_WIDTH = 1280;
+const FFMPEG_TIMEOUT_SECONDS = 600;
+
+function getDuration(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) return reject(err);
+      const duration = parseFloat(metadata.format?.duration) ||
+        parseFloat(metadata.streams?.find((stream) => stream.codec_type === 'video')?.duration);
+      if (!duration || duration <= 0) return reject(new Error('Could not read video duration'));
+      resolve(duration);
+    });
+  });
+}
+
+function runFfmpeg(command) {
+  return new Promise((resolve, reject) => {
+    command
+      .on('end', () => resolve())
+      .on('error', (err) => reject(err))
+      .run();
+  });
+}
+
+/**
+ * Format seconds as a WebVTT timestamp
+ * @param {number} seconds
+ * @returns {string} HH:MM:SS.mmm
+ */
+function formatVttTime(seconds) {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+}
+
+/**
+ * Sprite layout for a video duration
+ * @param {number} duration - Seconds
+ * @returns {object} { interval, tiles, columns, rows }
+ */
+function getSpriteLayout(duration) {
+  const interval = Math.max(MIN_INTERVAL_SECONDS, Math.ceil(duration / MAX_TILES));
+  const tiles = Math.max(Math.ceil(duration / interval), 1);
+  const columns = Math.min(tiles, SPRITE_COLUMNS);
+  return { interval, tiles, columns, rows: Math.ceil(tiles / columns) };
+}
+
+/**
+ * WebVTT index of a sprite sheet: one cue per tile
+ * @param {string} spriteUrl
+ * @param {number} duration - Seconds
+ * @param {object} layout - From getSpriteLayout
+ * @returns {string}
+ */
+function buildSpriteVtt(spriteUrl, duration, layout) {
+  const lines = ['WEBVTT', ''];
+  for (let i = 0; i < layout.tiles; i++) {
+    const start = i * layout.interval;
+    const end = Math.min((i + 1) * layout.interval, duration);
+    const x = (i % layout.columns) * TILE_WIDTH;
+    const y = Math.floor(i / layout.columns) * TILE_HEIGHT;
+    lines.push(`${formatVttTime(start)} --> ${formatVttTime(end)}`);
+    lines.push(`${spriteUrl}#xywh=${x},${y},${TILE_WIDTH},${TILE_HEIGHT}`);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Extract the poster and sprite from a video file, upload them and store them on the video.
+ * Never throws: a video without previews still plays, so failures are only logged.
+ * @param {number} videoId - topic_videos.id
+ * @param {string} sourcePath - Video file on disk
+ * @param {object} [executor] - pg pool or client
+ * @returns {Promise<object|null>} { thumbnailUrl, thumbnailUpdated, spriteUrl, spriteVttUrl }, or null on failure
+ */
+async function generateVideoPreviews(videoId, sourcePath, executor = db) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `previews-${videoId}-`));
+  try {
+    const duration = await getDuration(sourcePath);
+    const posterPath = path.join(workDir, 'poster.jpg');
+    const spritePath = path.join(workDir, 'sprite.jpg');
+
+    // 10% in skips black intro frames without landing past the end of short clips
+    await runFfmpeg(
+      ffmpeg(sourcePath, { timeout: FFMPEG_TIMEOUT_SECONDS })
+        .seekInput(Math.min(duration * 0.1, 30))
+        .outputOptions(['-frames:v 1', '-q:v 2', `-vf scale='min(${POSTER_MAX_WIDTH},iw)':-2`])
+        .output(posterPath)
+    );
+
+    const layout = getSpriteLayout(duration);
+    await runFfmpeg(
+      ffmpeg(sourcePath, { timeout: FFMPEG_TIMEOUT_SECONDS })
+        // Decoding keyframes only keeps this fast on long videos
+        .inputOptions(['-skip_frame nokey'])
+        .outputOptions([
+          `-vf fps=1/${layout.interval},scale=${TILE_WIDTH}:${TILE_HEIGHT}:force_original_aspect_ratio=decrease,` +
+            `pad=${TILE_WIDTH}:${TILE_HEIGHT}:(ow-iw)/2:(oh-ih)/2,tile=${layout.columns}x${layout.rows}`,
+          '-frames:v 1',
+          '-q:v 4'
+        ])
+        .output(spritePath)
+    );
+
+    const poster = await uploadToS3(fs.readFileSync(posterPath), `video-${videoId}-poster.jpg`, 'image/jpeg', 'thumbnails');
+    const sprite = await uploadToS3(fs.readFileSync(spritePath), `video-${videoId}-sprite.jpg`, 'image/jpeg', 'video-sprites');
+    const vtt = await uploadToS3(
+      Buffer.from(buildSpriteVtt(sprite.url, duration, layout)),
+      `video-${videoId}-sprite.vtt`,
+      'text/vtt',
+      'video-sprites'
+    );
+
+    // Existing thumbnails without a source predate auto posters and count as the admin's choice
+    const result = await executor.query(
+      `UPDATE topic_videos SET
+         thumbnail_url = CASE WHEN thumbnail_url IS NULL OR thumbnail_source = 'auto' THEN $2 ELSE thumbnail_url END,
+         thumbnail_source = CASE WHEN thumbnail_url IS NULL OR thumbnail_source = 'auto' THEN 'auto' ELSE thumbnail_source END,
+         sprite_url = $3,
+         sprite_vtt_url = $4,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING thumbnail_url`,
+      [videoId, poster.url, sprite.url, vtt.url]
+    );
+
+    const thumbnailUrl = result.rows[0]?.thumbnail_url || null;
+    console.log(`🖼️ Previews for video ${videoId}: ${layout.tiles} sprite frames every ${layout.interval}s`);
+    return {
+      thumbnailUrl,
+      thumbnailUpdated: thumbnailUrl === poster.url,
+      spriteUrl: sprite.url,
+      spriteVttUrl: vtt.url
+    };
+  } catch (err) {
+    console.error(`⚠️ Preview extraction failed for video ${videoId}:`, err.message);
+    return null;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * generateVideoPreviews for a video already uploaded to S3, from a fresh download of the source
+ * @param {number} videoId - topic_videos.id
+ * @param {string} sourceKey - S3 key of the video file
+ * @param {object} [executor] - pg pool or client
+ * @returns {Promise<object|null>}
+ */
+async function generateVideoPreviewsFromS3(videoId, sourceKey, executor = db) {
+  const tempPath = path.join(os.tmpdir(), `preview-source-${videoId}-${Date.now()}${path.extname(sourceKey) || '.mp4'}`);
+  try {
+    await downloadFromS3(sourceKey, tempPath);
+    return await generateVideoPreviews(videoId, tempPath, executor);
+  } catch (err) {
+    console.error(`⚠️ Preview extraction failed for video ${videoId}:`, err.message);
+    return null;
+  } finally {
+    fs.rmSync(tempPath, { force: true });
+  }
+}
+
+// Preview extraction runs ffmpeg twice per video, so queued videos are processed one at a time
+const previewQueue = [];
+let previewWorkerRunning = false;
+
+async function runPreviewQueue() {
+  if (previewWorkerRunning) return;
+  previewWorkerRunning = true;
+  try {
+    while (previewQueue.length > 0) {
+      const { videoId, sourceKey } = previewQueue.shift();
+      await generateVideoPreviewsFromS3(videoId, sourceKey);
+    }
+  } finally {
+    previewWorkerRunning = false;
+  }
+}
+
+/**
+ * Extract previews for an uploaded video after the response has been sent.
+ * The poster, sprite and sprite VTT appear on the video once the worker gets to it.
+ * @param {number} videoId - topic_videos.id
+ * @param {string} sourceKey - S3 key of the video file
+ */
+function queueVideoPreviews(videoId, sourceKey) {
+  if (!videoId || !sourceKey) return;
+  previewQueue.push({ videoId, sourceKey });
+  setImmediate(runPreviewQueue);
+}
+
+module.exports = {
+  formatVttTime,
+  getSpriteLayout,
+  buildSpriteVtt,
+  generateVideoPreviews,
+  generateVideoPreviewsFromS3,
+  queueVideoPreviews
+};
@@ -0,0 +1,329 @@
+/**
+ * Video Transcoding
+ * Turns uploaded MP4s into HLS adaptive-bitrate renditions with a master playlist, so players can
+ * drop to a lower quality on weak networks. Jobs are queued in video_transcode_jobs and processed
+ * one at a time by the video transcode job; a finished job switches the video to video_type 'stream'.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const ffprobe = require('ffprobe-static');
+const db = require('../config/db');
+const { downloadFromS3, uploadFileToS3Key, getPublicUrl, getObjectRef } = require('./s3-helper');
+
+ffmpeg.setFfprobePath(ffprobe.path);
+
+const TranscodeStatus = {
+  QUEUED: 'queued',
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// Bitrates in kbps; renditions taller than the source are skipped so nothing is upscaled
+const RENDITION_LADDER = [
+  { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 192 }
+];
+
+const SEGMENT_SECONDS = 6;
+const MAX_ATTEMPTS = parseInt(process.env.VIDEO_TRANSCODE_MAX_ATTEMPTS) || 3;
+const TIMEOUT_MINUTES = parseInt(process.env.VIDEO_TRANSCODE_TIMEOUT_MINUTES) || 120;
+// A job still processing after this long was interrupted by a restart and is queued again
+const STALE_MINUTES = TIMEOUT_MINUTES + 30;
+
+const CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t'
+};
+
+/**
+ * Format a transcode job for API responses
+ * @param {object} job - video_transcode_jobs row
+ * @returns {object}
+ */
+function formatTranscodeJob(job) {
+  return {
+    id: job.id,
+    videoId: job.video_id,
+    status: job.status,
+    masterPlaylistUrl: job.master_playlist_url,
+    renditions: job.renditions || [],
+    attempts: job.attempts,
+    error: job.error,
+    startedAt: job.started_at?.toISOString(),
+    completedAt: job.completed_at?.toISOString(),
+    createdAt: job.created_at?.toISOString()
+  };
+}
+
+/**
+ * Queue a video for transcoding. A video has at most one queued or running job.
+ * @param {number} videoId
+ * @param {string} sourceKey - S3 key of the MP4 to transcode
+ * @param {object} [executor] - pg pool or client
+ * @returns {Promise<object>} { job, created } where job is the new or already active job
+ */
+async function enqueueTranscode(videoId, sourceKey, executor = db) {
+  const result = await executor.query(
+    `INSERT INTO video_transcode_jobs (video_id, source_key)
+     VALUES ($1, $2)
+     ON CONFLICT (video_id) WHERE status IN ('queued', 'processing') DO NOTHING
+     RETURNING *`,
+    [videoId, sourceKey]
+  );
+  if (result.rows.length > 0) {
+    console.log(`🎞️ Video ${videoId} queued for HLS transcoding (job ${result.rows[0].id})`);
+    return { job: result.rows[0], created: true };
+  }
+
+  const existing = await executor.query(
+    `SELECT * FROM video_transcode_jobs WHERE video_id = $1 AND status IN ('queued', 'processing')`,
+    [videoId]
+  );
+  return { job: existing.rows[0], created: false };
+}
+
+/**
+ * Get the most recent transcode job of a video
+ * @param {number} videoId
+ * @returns {Promise<object|null>} video_transcode_jobs row
+ */
+async function getLatestTranscodeJob(videoId) {
+  const result = await db.query(
+    'SELECT * FROM video_transcode_jobs WHERE video_id = $1 ORDER BY created_at DESC, id DESC LIMIT 1',
+    [videoId]
+  );
+  return result.rows[0] || null;
+}
+
+function probeVideo(filePath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) return reject(err);
+      const video = metadata.streams?.find((stream) => stream.codec_type === 'video');
+      if (!video) return reject(new Error('Source has no video stream'));
+      resolve({
+        width: video.width,
+        height: video.height,
+        hasAudio: Boolean(metadata.streams.find((stream) => stream.codec_type === 'audio'))
+      });
+    });
+  });
+}
+
+/**
+ * Renditions for a source size: every ladder step up to the source height. Sources smaller than
+ * the lowest step get a single rendition at their own height.
+ * @param {number} sourceWidth
+ * @param {number} sourceHeight
+ * @returns {object[]} Ladder entries with width
+ */
+function selectRenditions(sourceWidth, sourceHeight) {
+  const aspect = sourceWidth && sourceHeight ? sourceWidth / sourceHeight : 16 / 9;
+  let selected = RENDITION_LADDER.filter((rendition) => rendition.height <= sourceHeight);
+  if (selected.length === 0) {
+    const height = Math.max(Math.floor(sourceHeight / 2) * 2, 2);
+    selected = [{ ...RENDITION_LADDER[0], name: `${height}p`, height }];
+  }
+
+  // H.264 needs even dimensions
+  return selected.map((rendition) => ({
+    ...rendition,
+    width: Math.round(rendition.height * aspect / 2) * 2
+  }));
+}
+
+function transcodeRendition(sourcePath, outputDir, rendition, hasAudio) {
+  const { name, height, videoBitrate, audioBitrate } = rendition;
+  const options = [
+    `-vf scale=-2:${height}`,
+    '-c:v libx264',
+    '-preset veryfast',
+    '-profile:v main',
+    `-b:v ${videoBitrate}k`,
+    `-maxrate ${Math.round(videoBitrate * 1.07)}k`,
+    `-bufsize ${videoBitrate * 2}k`,
+    // Keyframe every 2s at 24-30fps and no scene-cut keyframes, so segments align across renditions
+    '-g 48',
+    '-keyint_min 48',
+    '-sc_threshold 0',
+    ...(hasAudio ? ['-c:a aac', `-b:a ${audioBitrate}k`, '-ac 2'] : ['-an']),
+    '-f hls',
+    `-hls_time ${SEGMENT_SECONDS}`,
+    '-hls_playlist_type vod',
+    `-hls_segment_filename ${path.join(outputDir, `${name}_%04d.ts`)}`
+  ];
+
+  return new Promise((resolve, reject) => {
+    ffmpeg(sourcePath, { timeout: TIMEOUT_MINUTES * 60 })
+      .outputOptions(options)
+      .output(path.join(outputDir, `${name}.m3u8`))
+      .on('end', () => resolve())
+      .on('error', (err) => reject(err))
+      .run();
+  });
+}
+
+/**
+ * Master playlist listing every rendition's playlist
+ * @param {object[]} renditions - From selectRenditions
+ * @param {boolean} hasAudio
+ * @returns {string}
+ */
+function buildMasterPlaylist(renditions, hasAudio) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  for (const rendition of renditions) {
+    const peakKbps = Math.round(rendition.videoBitrate * 1.07) + (hasAudio ? rendition.audioBitrate : 0);
+    lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${peakKbps * 1000},RESOLUTION=${rendition.width}x${rendition.height},NAME="${rendition.name}"`);
+    lines.push(`${rendition.name}.m3u8`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Transcode one claimed job: download the source, build the renditions, upload them and switch
+ * the video to the master playlist. A failure re-queues the job until MAX_ATTEMPTS.
+ * @param {object} job - video_transcode_jobs row in status 'processing'
+ * @returns {Promise<boolean>} Whether the job completed
+ */
+async function processTranscodeJob(job) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `transcode-${job.id}-`));
+  const outputDir = path.join(workDir, 'hls');
+  fs.mkdirSync(outputDir);
+
+  try {
+    const sourcePath = path.join(workDir, `source${path.extname(job.source_key) || '.mp4'}`);
+    await downloadFromS3(job.source_key, sourcePath);
+
+    const source = await probeVideo(sourcePath);
+    const renditions = selectRenditions(source.width, source.height);
+    console.log(`🎞️ Transcoding video ${job.video_id} (${source.width}x${source.height}) to ${renditions.map((r) => r.name).join(', ')}`);
+
+    for (const rendition of renditions) {
+      await transcodeRendition(sourcePath, outputDir, rendition, source.hasAudio);
+    }
+    fs.writeFileSync(path.join(outputDir, 'master.m3u8'), buildMasterPlaylist(renditions, source.hasAudio));
+
+    // Playlists and segments keep their names so the relative references inside them resolve.
+    // Everything is private; playback signs each playlist and segment (see videoPlayback.js)
+    const outputPrefix = `videos/hls/${job.video_id}-${job.id}`;
+    const files = fs.readdirSync(outputDir);
+    for (const file of files) {
+      await uploadFileToS3Key(
+        path.join(outputDir, file),
+        `${outputPrefix}/${file}`,
+        CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+        { private: true }
+      );
+    }
+    const masterPlaylistUrl = getObjectRef(`${outputPrefix}/master.m3u8`);
+
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `UPDATE video_transcode_jobs
+         SET status = 'completed', output_prefix = $2, master_playlist_url = $3, renditions = $4,
+             error = NULL, completed_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [
+          job.id,
+          outputPrefix,
+          masterPlaylistUrl,
+          JSON.stringify(renditions.map((rendition) => ({
+            name: rendition.name,
+            width: rendition.width,
+            height: rendition.height,
+            bandwidth: (rendition.videoBitrate + (source.hasAudio ? rendition.audioBitrate : 0)) * 1000,
+            playlist: `${rendition.name}.m3u8`
+          })))
+        ]
+      );
+      // Skip the switch if an admin pointed the video at a different file meanwhile.
+      // Sources uploaded before videos went private are still stored by their public URL
+      await client.query(
+        `UPDATE topic_videos
+         SET source_video_url = COALESCE(source_video_url, video_url), video_url = $2, video_type = 'stream', updated_at = NOW()
+         WHERE id = $1 AND (video_url IN ($3, $4) OR source_video_url IN ($3, $4))`,
+        [job.video_id, masterPlaylistUrl, getObjectRef(job.source_key), getPublicUrl(job.source_key)]
+      );
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    console.log(`✅ Video ${job.video_id} is now streaming from ${masterPlaylistUrl} (${files.length} files)`);
+    return true;
+  } catch (err) {
+    const retry = job.attempts < MAX_ATTEMPTS;
+    console.error(`❌ Transcode job ${job.id} for video ${job.video_id} failed (attempt ${job.attempts}/${MAX_ATTEMPTS}):`, err.message);
+    await db.query(
+      `UPDATE video_transcode_jobs SET status = $2, error = $3, updated_at = NOW() WHERE id = $1`,
+      [job.id, retry ? TranscodeStatus.QUEUED : TranscodeStatus.FAILED, String(err.message || err).slice(0, 2000)]
+    );
+    return false;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Work through queued transcode jobs one at a time. Transcoding is CPU heavy, so the caller must
+ * not run this concurrently.
+ * @returns {Promise<object>} { completed, failed, requeued }
+ */
+async function processTranscodeQueue() {
+  const stale = await db.query(
+    `UPDATE video_transcode_jobs SET status = 'queued', updated_at = NOW()
+     WHERE status = 'processing' AND started_at < NOW() - INTERVAL '${STALE_MINUTES} minutes'
+     RETURNING id`
+  );
+
+  let completed = 0;
+  let failed = 0;
+  for (;;) {
+    const claimed = await db.query(
+      `UPDATE video_transcode_jobs
+       SET status = 'processing', attempts = attempts + 1, started_at = NOW(), updated_at = NOW()
+       WHERE id = (
+         SELECT id FROM video_transcode_jobs
+         WHERE status = 'queued'
+         ORDER BY created_at ASC
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`
+    );
+    const job = claimed.rows[0];
+    if (!job) break;
+
+    if (await processTranscodeJob(job)) {
+      completed++;
+    } else {
+      failed++;
+    }
+    // A job that failed and went back to the queue waits for the next run
+    if (failed > 0) break;
+  }
+
+  return { completed, failed, requeued: stale.rows.length };
+}
+
+module.exports = {
+  TranscodeStatus,
+  RENDITION_LADDER,
+  formatTranscodeJob,
+  enqueueTranscode,
+  getLatestTranscodeJob,
+  selectRenditions,
+  buildMasterPlaylist,
+  processTranscodeJob,
+  processTranscodeQueue
+};
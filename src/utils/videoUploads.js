@@ -0,0 +1,280 @@
+/**
+ * Resumable Video Uploads
+ * Session bookkeeping for chunked course video uploads backed by S3 multipart uploads.
+ * Parts are recorded with their ETags so an interrupted upload resumes by sending only the missing parts;
+ * completing a session queues it for the video upload completion job, which joins the parts in S3
+ * and runs the same ingest as a single-request upload.
+ */
+
+const db = require('../config/db');
+const {
+  completeMultipartUpload,
+  abortMultipartUpload,
+  deleteFromS3,
+  getPresignedUrl,
+  getObjectRef
+} = require('./s3-helper');
+const { probeRemoteVideoDuration, createModuleVideo } = require('./videoIngest');
+
+const MB = 1024 * 1024;
+
+// S3 requires every part but the last to be at least 5MB, and allows at most 10000 parts
+const MIN_PART_SIZE = 5 * MB;
+const MAX_PART_SIZE = 100 * MB;
+const DEFAULT_PART_SIZE = 10 * MB;
+const MAX_PARTS = 10000;
+const MAX_UPLOAD_BYTES = parseInt(process.env.VIDEO_UPLOAD_MAX_BYTES) || 5 * 1024 * MB;
+const UPLOAD_TTL_HOURS = parseInt(process.env.VIDEO_UPLOAD_TTL_HOURS) || 24;
+// A completion still running after this long is assumed dead (e.g. server restart) and picked up again
+const COMPLETION_STALE_MINUTES = 30;
+const PROBE_URL_TTL_SECONDS = 600;
+
+const ALLOWED_VIDEO_TYPES = ['video/mp4', 'video/webm', 'video/avi', 'video/mov', 'video/wmv'];
+
+const UploadStatus = {
+  UPLOADING: 'uploading',
+  COMPLETING: 'completing',
+  COMPLETED: 'completed',
+  ABORTED: 'aborted',
+  FAILED: 'failed'
+};
+
+/**
+ * Size a part must have: partSize for all but the last, the remainder for the last
+ * @param {object} session - video_upload_sessions row
+ * @param {number} partNumber - 1-based
+ * @returns {number} Bytes
+ */
+function getExpectedPartSize(session, partNumber) {
+  const totalSize = parseInt(session.total_size);
+  if (partNumber < session.total_parts) return session.part_size;
+  return totalSize - session.part_size * (session.total_parts - 1);
+}
+
+/**
+ * Upload progress from the parts received so far
+ * @param {object} session - video_upload_sessions row
+ * @param {Array} parts - video_upload_parts rows
+ * @returns {object}
+ */
+function getUploadProgress(session, parts) {
+  const received = new Set(parts.map((part) => part.part_number));
+  const missingParts = [];
+  for (let partNumber = 1; partNumber <= session.total_parts; partNumber++) {
+    if (!received.has(partNumber)) missingParts.push(partNumber);
+  }
+  const uploadedBytes = parts.reduce((sum, part) => sum + part.size, 0);
+  const totalSize = parseInt(session.total_size);
+
+  return {
+    uploadedParts: received.size,
+    totalParts: session.total_parts,
+    uploadedBytes,
+    totalBytes: totalSize,
+    percent: totalSize > 0 ? Math.min(Math.floor((uploadedBytes / totalSize) * 100), 100) : 0,
+    missingParts
+  };
+}
+
+function formatUploadSession(session, parts = []) {
+  return {
+    uploadId: session.id,
+    topicId: session.topic_id,
+    moduleId: session.module_id,
+    title: session.title,
+    description: session.description,
+    order: session.order_index,
+    originalName: session.original_name,
+    mimeType: session.mime_type,
+    totalSize: parseInt(session.total_size),
+    partSize: session.part_size,
+    totalParts: session.total_parts,
+    status: session.status,
+    videoId: session.video_id,
+    error: session.error,
+    progress: getUploadProgress(session, parts),
+    expiresAt: session.expires_at?.toISOString(),
+    completedAt: session.completed_at?.toISOString(),
+    createdAt: session.created_at?.toISOString(),
+    updatedAt: session.updated_at?.toISOString()
+  };
+}
+
+/**
+ * Load an upload session with its received parts
+ * @param {string} uploadId
+ * @param {object} [executor] - pg pool or client
+ * @returns {Promise<object|null>} { session, parts }, or null when not found
+ */
+async function getUploadSession(uploadId, executor = db) {
+  const sessionResult = await executor.query('SELECT * FROM video_upload_sessions WHERE id = $1', [uploadId]);
+  if (sessionResult.rows.length === 0) return null;
+
+  const partsResult = await executor.query(
+    'SELECT part_number, etag, size FROM video_upload_parts WHERE upload_id = $1 ORDER BY part_number',
+    [uploadId]
+  );
+  return { session: sessionResult.rows[0], parts: partsResult.rows };
+}
+
+/**
+ * Join the parts in S3 (unless an earlier attempt already did) and create the module video.
+ * The session must be 'completing'. It is marked 'completed' with its video_id in the same
+ * transaction that creates the video, so a retried or concurrent run can't create a second video.
+ * On failure the session is marked 'failed' and can be completed again; a join that already
+ * succeeded is not repeated.
+ * @param {object} session - video_upload_sessions row
+ * @param {Array} parts - video_upload_parts rows, all present
+ * @param {object} [executor] - pg pool
+ * @returns {Promise<object>} { session, ingested } where ingested is the createModuleVideo result
+ */
+async function finishUpload(session, parts, executor = db) {
+  try {
+    if (!session.s3_completed_at) {
+      await completeMultipartUpload(session.s3_key, session.s3_upload_id, parts.map((part) => ({
+        partNumber: part.part_number,
+        etag: part.etag
+      })));
+      await executor.query(
+        'UPDATE video_upload_sessions SET s3_completed_at = NOW(), updated_at = NOW() WHERE id = $1',
+        [session.id]
+      );
+      console.log(`📦 Joined ${parts.length} part(s) for upload ${session.id} → ${session.s3_key}`);
+    }
+
+    // ffprobe reads the headers through a presigned URL instead of downloading the whole file
+    const probeUrl = await getPresignedUrl(session.s3_key, PROBE_URL_TTL_SECONDS);
+    const durationSeconds = await probeRemoteVideoDuration(probeUrl, session.duration_hint, session.original_name);
+
+    let completedSession;
+    const ingested = await createModuleVideo(executor, {
+      topicId: session.topic_id,
+      moduleId: session.module_id,
+      title: session.title,
+      description: session.description,
+      order: session.order_index,
+      durationSeconds,
+      s3: { url: getObjectRef(session.s3_key), key: session.s3_key },
+      originalName: session.original_name,
+      size: parseInt(session.total_size),
+      mimeType: session.mime_type
+    }, async (client, video) => {
+      const result = await client.query(
+        `UPDATE video_upload_sessions
+         SET status = 'completed', video_id = $2, error = NULL, completed_at = NOW(), updated_at = NOW()
+         WHERE id = $1 AND status = 'completing' AND video_id IS NULL
+         RETURNING *`,
+        [session.id, video.id]
+      );
+      if (result.rows.length === 0) {
+        throw new Error(`Upload ${session.id} was already completed`);
+      }
+      completedSession = result.rows[0];
+    });
+
+    return { session: completedSession, ingested };
+  } catch (err) {
+    await executor.query(
+      `UPDATE video_upload_sessions SET status = 'failed', error = $2, updated_at = NOW()
+       WHERE id = $1 AND status = 'completing'`,
+      [session.id, err.message]
+    );
+    throw err;
+  }
+}
+
+/**
+ * Finish every upload queued for completion, one at a time. Sessions whose completion started
+ * more than COMPLETION_STALE_MINUTES ago are picked up again.
+ * @returns {Promise<object>} { completed, failed }
+ */
+async function processUploadCompletions() {
+  let completed = 0;
+  let failed = 0;
+  for (;;) {
+    const claimed = await db.query(
+      `UPDATE video_upload_sessions
+       SET completion_started_at = NOW(), updated_at = NOW()
+       WHERE id = (
+         SELECT id FROM video_upload_sessions
+         WHERE status = 'completing'
+           AND (completion_started_at IS NULL
+             OR completion_started_at < NOW() - INTERVAL '${COMPLETION_STALE_MINUTES} minutes')
+         ORDER BY updated_at ASC
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`
+    );
+    if (claimed.rows.length === 0) break;
+
+    const found = await getUploadSession(claimed.rows[0].id);
+    try {
+      const { session, ingested } = await finishUpload(found.session, found.parts);
+      console.log(`✅ Chunked upload ${session.id} completed as video ${ingested.video.id}`);
+      completed++;
+    } catch (err) {
+      console.error(`Failed to complete upload ${found.session.id}:`, err.message);
+      failed++;
+    }
+  }
+  return { completed, failed };
+}
+
+/**
+ * Release the S3 storage held by an unfinished upload: stored parts, or the joined object if
+ * a failed ingest left one behind
+ * @param {object} session - video_upload_sessions row
+ */
+async function releaseUploadStorage(session) {
+  if (session.s3_completed_at) {
+    await deleteFromS3(session.s3_key);
+  } else {
+    await abortMultipartUpload(session.s3_key, session.s3_upload_id);
+  }
+}
+
+/**
+ * Abort uploads that were never completed before they expired
+ * @returns {Promise<object>} { aborted, failed }
+ */
+async function abortExpiredUploads() {
+  const result = await db.query(`
+    UPDATE video_upload_sessions
+    SET status = 'aborted', error = 'Upload expired', updated_at = NOW()
+    WHERE status IN ('uploading', 'failed') AND expires_at <= NOW()
+    RETURNING *
+  `);
+
+  let aborted = 0;
+  let failed = 0;
+  for (const session of result.rows) {
+    try {
+      await releaseUploadStorage(session);
+      aborted++;
+    } catch (err) {
+      console.error(`Failed to release storage for expired upload ${session.id}:`, err.message);
+      failed++;
+    }
+  }
+  return { aborted, failed };
+}
+
+module.exports = {
+  MIN_PART_SIZE,
+  MAX_PART_SIZE,
+  DEFAULT_PART_SIZE,
+  MAX_PARTS,
+  MAX_UPLOAD_BYTES,
+  UPLOAD_TTL_HOURS,
+  ALLOWED_VIDEO_TYPES,
+  UploadStatus,
+  getExpectedPartSize,
+  getUploadProgress,
+  formatUploadSession,
+  getUploadSession,
+  finishUpload,
+  processUploadCompletions,
+  releaseUploadStorage,
+  abortExpiredUploads
+};
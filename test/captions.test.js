@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const topicsCaptionsRoutes = require('../src/routes/topicsCaptions');
+
+const track = {
+  id: 1,
+  video_id: 7,
+  language: 'en',
+  label: 'English',
+  source_format: 'srt',
+  vtt_url: 's3://test-bucket/captions/video-7-en.vtt',
+  s3_key: 'captions/video-7-en.vtt',
+  is_default: true,
+  cue_count: 12
+};
+
+/**
+ * Run the caption routes against a fake pool holding video 7 of topic 3, which user 1 has
+ * not bought
+ */
+async function withServer(video, fn) {
+  const pool = {
+    async query(sql) {
+      if (/FROM topic_videos/.test(sql)) return { rows: [video] };
+      if (/FROM video_caption_tracks/.test(sql)) return { rows: [track] };
+      if (/FROM topics WHERE id/.test(sql)) return { rows: [{ id: 3, category_id: 1, created_at: new Date() }] };
+      return { rows: [] };
+    }
+  };
+
+  const app = express();
+  app.use((req, res, next) => {
+    req.pool = pool;
+    next();
+  });
+  app.use('/api', topicsCaptionsRoutes);
+
+  const server = app.listen(0);
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}/api/topics/3/modules/4/videos/7/captions`);
+  } finally {
+    server.close();
+  }
+}
+
+test('captions of paid videos require a signed-in, enrolled viewer', async () => {
+  await withServer({ id: 7, topic_id: 3, is_preview: false }, async (url) => {
+    const anonymous = await fetch(url);
+    assert.strictEqual(anonymous.status, 401);
+
+    const token = jwt.sign({ userId: 1 }, process.env.JWT_SECRET || 'changeme');
+    const unenrolled = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+    assert.strictEqual(unenrolled.status, 403);
+  });
+});
+
+test('captions of preview videos are open and served through presigned links', async () => {
+  await withServer({ id: 7, topic_id: 3, is_preview: true }, async (url) => {
+    const response = await fetch(url);
+    const body = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.match(body.data[0].url, /^https:\/\/storage\.test\/test-bucket\/captions\/video-7-en\.vtt\?.*X-Amz-Signature=/);
+  });
+});
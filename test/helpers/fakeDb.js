@@ -0,0 +1,46 @@
+/**
+ * Fake pg pool for unit tests
+ * Replaces query/connect on the shared pool so helpers that use require('../config/db') run
+ * without a database. Every statement is recorded; `respond(sql, params)` returns the rows for it.
+ */
+
+const { mock } = require('node:test');
+const db = require('../../src/config/db');
+
+function normalize(sql) {
+  return sql.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Route the shared pool (and clients from pool.connect) to a fake
+ * @param {Function} respond - (sql, params) => rows array, or undefined for no rows
+ * @returns {object} { db, queries } where queries lists every { sql, params } run
+ */
+function useFakeDb(respond = () => []) {
+  const queries = [];
+  const query = async (sql, params = []) => {
+    const text = normalize(typeof sql === 'string' ? sql : sql.text);
+    queries.push({ sql: text, params });
+    const rows = (await respond(text, params)) || [];
+    return { rows, rowCount: rows.length };
+  };
+
+  mock.method(db, 'query', query);
+  mock.method(db, 'connect', async () => ({ query, release: () => {} }));
+  return { db, queries };
+}
+
+/**
+ * Find the recorded statements whose SQL matches
+ * @param {Array} queries
+ * @param {RegExp} pattern
+ * @returns {Array}
+ */
+function findQueries(queries, pattern) {
+  return queries.filter((entry) => pattern.test(entry.sql));
+}
+
+module.exports = {
+  useFakeDb,
+  findQueries
+};
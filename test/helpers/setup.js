@@ -0,0 +1,8 @@
+// Placeholder credentials so modules that build API clients at require time can load in tests
+process.env.RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID || 'rzp_test_key';
+process.env.RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || 'rzp_test_secret';
+// Presigned URLs are computed locally, so placeholder storage settings are enough to sign them
+process.env.S3_ENDPOINT = process.env.S3_ENDPOINT || 'https://storage.test';
+process.env.S3_BUCKET_NAME = process.env.S3_BUCKET_NAME || 'test-bucket';
+process.env.S3_ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID || 'test-access-key';
+process.env.S3_SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY || 'test-secret-key';
@@ -0,0 +1,50 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { createIntervalJob, getIntervalMs } = require('../src/jobs/intervalJob');
+
+afterEach(() => mock.restoreAll());
+
+test('a run is skipped while the previous one is still going', async () => {
+  let calls = 0;
+  let finish;
+  const job = createIntervalJob('Test job', 1000, () => {
+    calls++;
+    return new Promise((resolve) => { finish = resolve; });
+  });
+
+  const first = job.run();
+  await job.run();
+  assert.strictEqual(calls, 1);
+
+  finish();
+  await first;
+  job.run();
+  assert.strictEqual(calls, 2);
+  finish();
+});
+
+test('a failing run is logged and does not block the next one', async () => {
+  const errors = mock.method(console, 'error', () => {});
+  let calls = 0;
+  const job = createIntervalJob('Test job', 1000, async () => {
+    calls++;
+    throw new Error('boom');
+  });
+
+  await job.run();
+  await job.run();
+  assert.strictEqual(calls, 2);
+  assert.strictEqual(errors.mock.calls[0].arguments[0], 'Error in test job:');
+});
+
+test('an interval of 0 minutes disables the job', () => {
+  mock.method(console, 'log', () => {});
+  process.env.TEST_JOB_INTERVAL_MINUTES = '0';
+  try {
+    assert.strictEqual(getIntervalMs('TEST_JOB_INTERVAL_MINUTES', 5), 0);
+    assert.strictEqual(createIntervalJob('Test job', 0, async () => {}).start(), null);
+  } finally {
+    delete process.env.TEST_JOB_INTERVAL_MINUTES;
+  }
+  assert.strictEqual(getIntervalMs('TEST_JOB_INTERVAL_MINUTES', 5), 5 * 60 * 1000);
+});
@@ -0,0 +1,99 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { useFakeDb } = require('./helpers/fakeDb');
+const {
+  OtpPurpose,
+  MAX_VERIFY_ATTEMPTS,
+  LOCKOUT_MINUTES,
+  hashOtp,
+  verifyOtp
+} = require('../src/utils/otp');
+
+afterEach(() => mock.restoreAll());
+
+const USER_ID = 42;
+
+// A single login OTP in otp_verifications, answering the statements verifyOtp runs
+function useOtpTable(code) {
+  const record = {
+    id: 1,
+    user_id: USER_ID,
+    purpose: OtpPurpose.LOGIN,
+    otp_hash: hashOtp(USER_ID, code),
+    attempts: 0,
+    consumed_at: null,
+    invalidated_at: null,
+    locked_until: null
+  };
+  const isOpen = () => !record.consumed_at && !record.invalidated_at;
+
+  useFakeDb((sql, params) => {
+    if (/^SELECT MAX\(locked_until\)/.test(sql)) {
+      const locked = record.locked_until && record.locked_until > new Date();
+      return [{ locked_until: locked ? record.locked_until : null }];
+    }
+    if (/^SELECT \* FROM otp_verifications/.test(sql)) {
+      return isOpen() ? [{ ...record }] : [];
+    }
+    if (/^UPDATE otp_verifications SET attempts = attempts \+ 1/.test(sql)) {
+      if (!isOpen() || record.attempts >= params[1]) return [];
+      record.attempts++;
+      return [{ attempts: record.attempts }];
+    }
+    if (/^UPDATE otp_verifications SET consumed_at/.test(sql)) {
+      if (!isOpen()) return [];
+      record.consumed_at = new Date();
+      return [{ id: record.id }];
+    }
+    if (/^UPDATE otp_verifications SET invalidated_at/.test(sql)) {
+      record.invalidated_at = new Date();
+      record.locked_until = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+      return [];
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+
+  return record;
+}
+
+test('a correct OTP verifies once', async () => {
+  useOtpTable('123456');
+
+  assert.deepStrictEqual(await verifyOtp(USER_ID, '123456'), { valid: true });
+  const again = await verifyOtp(USER_ID, '123456');
+  assert.strictEqual(again.valid, false);
+  assert.strictEqual(again.status, 400);
+});
+
+test('wrong guesses count down and then lock the user out', async () => {
+  const record = useOtpTable('123456');
+
+  for (let attempt = 1; attempt < MAX_VERIFY_ATTEMPTS; attempt++) {
+    const result = await verifyOtp(USER_ID, '000000');
+    assert.strictEqual(result.status, 400);
+    assert.strictEqual(result.attemptsRemaining, MAX_VERIFY_ATTEMPTS - attempt);
+  }
+
+  const last = await verifyOtp(USER_ID, '000000');
+  assert.strictEqual(last.status, 429);
+  assert.strictEqual(last.retryAfter, LOCKOUT_MINUTES * 60);
+  assert.ok(record.invalidated_at);
+
+  // Even the right code is refused while locked out
+  const locked = await verifyOtp(USER_ID, '123456');
+  assert.strictEqual(locked.valid, false);
+  assert.strictEqual(locked.status, 429);
+});
+
+test('concurrent guesses cannot exceed the attempt limit', async () => {
+  const record = useOtpTable('123456');
+
+  const guesses = Array.from({ length: MAX_VERIFY_ATTEMPTS * 3 }, (_, i) =>
+    verifyOtp(USER_ID, String(100000 + i))
+  );
+  const results = await Promise.all(guesses);
+
+  assert.strictEqual(record.attempts, MAX_VERIFY_ATTEMPTS);
+  assert.ok(results.every((result) => !result.valid));
+  assert.strictEqual(record.consumed_at, null);
+});
@@ -0,0 +1,95 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { useFakeDb, findQueries } = require('./helpers/fakeDb');
+const {
+  fulfillTopicOrder,
+  fulfillBundleOrder,
+  failOrder
+} = require('../src/utils/paymentFulfillment');
+
+afterEach(() => mock.restoreAll());
+
+// Ledger lookups find an existing payment so no Razorpay call is made
+function ledgerRows(sql) {
+  if (/^UPDATE payments/.test(sql)) return [{ id: 1, status: 'captured' }];
+  return undefined;
+}
+
+test('fulfillTopicOrder matches the pending enrollment by order ID only', async () => {
+  const { queries } = useFakeDb((sql) => {
+    if (/^UPDATE user_topics/.test(sql)) return [{ id: 7, user_id: 3, topic_id: 11 }];
+    return ledgerRows(sql);
+  });
+
+  const enrollment = await fulfillTopicOrder({
+    orderId: 'order_A',
+    paymentId: 'pay_A',
+    userId: 99,
+    topicId: 42
+  });
+
+  assert.deepStrictEqual(enrollment, { id: 7, user_id: 3, topic_id: 11 });
+  const [update] = findQueries(queries, /^UPDATE user_topics/);
+  assert.match(update.sql, /WHERE razorpay_order_id = \$1 AND payment_status IN \('pending', 'failed'\)/);
+  assert.doesNotMatch(update.sql, /user_id|topic_id/);
+  assert.deepStrictEqual(update.params, ['order_A', 'pay_A']);
+});
+
+test('fulfillTopicOrder does nothing without an order ID', async () => {
+  const { queries } = useFakeDb();
+
+  const enrollment = await fulfillTopicOrder({ orderId: null, paymentId: 'pay_A', userId: 3, topicId: 11 });
+
+  assert.strictEqual(enrollment, null);
+  assert.strictEqual(queries.length, 0);
+});
+
+test('fulfillBundleOrder matches the pending bundle by order ID only', async () => {
+  const { queries } = useFakeDb((sql) => {
+    if (/^UPDATE user_category_bundles/.test(sql)) return [{ id: 5, user_id: 3, category_id: 8 }];
+    if (/^SELECT id FROM topics/.test(sql)) return [{ id: 1 }, { id: 2 }];
+    return ledgerRows(sql);
+  });
+
+  const fulfilled = await fulfillBundleOrder({
+    orderId: 'order_B',
+    paymentId: 'pay_B',
+    userId: 99,
+    categoryId: 42
+  });
+
+  assert.strictEqual(fulfilled.enrolledTopics, 2);
+  const [update] = findQueries(queries, /^UPDATE user_category_bundles/);
+  assert.match(update.sql, /AND ucb\.order_id = \$1 AND ucb\.payment_status IN/);
+  assert.doesNotMatch(update.sql, /ucb\.user_id =|ucb\.category_id = \$/);
+  assert.deepStrictEqual(update.params, ['order_B', 'pay_B']);
+
+  const enrollments = findQueries(queries, /^INSERT INTO user_topics/);
+  assert.deepStrictEqual(enrollments.map((entry) => entry.params[0]), [3, 3]);
+});
+
+test('fulfillBundleOrder returns null when no pending bundle has the order ID', async () => {
+  const { queries } = useFakeDb();
+
+  const fulfilled = await fulfillBundleOrder({ orderId: 'order_other', paymentId: 'pay_B' });
+
+  assert.strictEqual(fulfilled, null);
+  assert.strictEqual(findQueries(queries, /^INSERT INTO user_topics/).length, 0);
+  assert.strictEqual(findQueries(queries, /^ROLLBACK/).length, 1);
+});
+
+test('failOrder only fails records created for the order', async () => {
+  const { queries } = useFakeDb((sql) => {
+    if (/^UPDATE user_topics/.test(sql)) return [{ user_id: 3 }];
+    return undefined;
+  });
+
+  const userId = await failOrder({ orderId: 'order_C', paymentId: 'pay_C', userId: 99, topicId: 42, categoryId: 8 });
+
+  assert.strictEqual(userId, 3);
+  for (const table of ['user_category_bundles', 'user_topics']) {
+    const [update] = findQueries(queries, new RegExp(`^UPDATE ${table}`));
+    assert.doesNotMatch(update.sql, /user_id =|topic_id =|category_id =/);
+    assert.deepStrictEqual(update.params, ['order_C']);
+  }
+});
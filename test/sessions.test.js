@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.GEO_HEADERS_PROVIDER = 'cloudflare';
+process.env.GEO_HEADERS_TRUSTED_PROXIES = '173.245.48.0/20, 2400:cb00::/32, 10.0.0.5';
+const { getGeoHeaders } = require('../src/utils/sessions');
+
+function request(remoteAddress) {
+  return {
+    socket: { remoteAddress },
+    headers: { 'cf-ipcountry': 'IN', 'cf-ipcity': 'Hyderabad' }
+  };
+}
+
+test('geo headers are read from connections in the trusted ranges', () => {
+  for (const address of ['173.245.50.1', '::ffff:173.245.50.1', '2400:cb00::1', '10.0.0.5']) {
+    assert.deepStrictEqual(getGeoHeaders(request(address)), {
+      country: 'IN',
+      city: 'Hyderabad',
+      latitude: null,
+      longitude: null
+    }, address);
+  }
+});
+
+test('geo headers sent by a client connecting directly are ignored', () => {
+  for (const address of ['8.8.8.8', '::ffff:8.8.8.8', '10.0.0.6', '2001:db8::1', undefined]) {
+    assert.strictEqual(getGeoHeaders(request(address)).country, null, String(address));
+  }
+});
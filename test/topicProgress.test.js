@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  MAX_HEARTBEAT_SECONDS,
+  HEARTBEAT_SLACK_SECONDS,
+  recordVideoHeartbeat
+} = require('../src/utils/topicProgress');
+
+const video = { id: 12, topic_id: 3, module_id: 4, duration_seconds: 600 };
+
+/**
+ * In-memory stand-in for topic_progress that applies the heartbeat upsert the way Postgres does:
+ * the increment is LEAST(sent seconds, seconds since last_watched_at + slack). The statement
+ * text is checked separately so the two can't drift apart silently.
+ */
+function createProgressTable(clock) {
+  let row = null;
+  const statements = [];
+
+  return {
+    statements,
+    get row() { return row; },
+    async query(sql, params) {
+      statements.push({ sql, params });
+      if (/^\s*INSERT INTO topic_progress/.test(sql)) {
+        const [topicId, moduleId, videoId, userId, watched, position, slack] = params;
+        const now = clock.now;
+        if (!row) {
+          row = { id: 1, topic_id: topicId, module_id: moduleId, video_id: videoId, user_id: userId,
+            watch_time_seconds: watched, is_completed: false };
+        } else {
+          const elapsed = Math.max(Math.floor((now - row.last_watched_at) / 1000), 0);
+          row.watch_time_seconds += Math.min(watched, elapsed + slack);
+        }
+        row.last_position_seconds = position;
+        row.last_watched_at = now;
+        return { rows: [{ ...row }] };
+      }
+      if (/^\s*UPDATE topic_progress/.test(sql)) {
+        row.is_completed = true;
+        return { rows: [{ ...row }] };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    }
+  };
+}
+
+test('a heartbeat counts at most MAX_HEARTBEAT_SECONDS', async () => {
+  const clock = { now: 0 };
+  const table = createProgressTable(clock);
+
+  await recordVideoHeartbeat(table, { userId: 1, video, positionSeconds: 30, watchedSeconds: 5000 });
+
+  assert.strictEqual(table.statements[0].params[4], MAX_HEARTBEAT_SECONDS);
+});
+
+test('the upsert caps the increment by the time since the previous heartbeat', async () => {
+  const clock = { now: 0 };
+  const table = createProgressTable(clock);
+
+  await recordVideoHeartbeat(table, { userId: 1, video, watchedSeconds: 10 });
+
+  const { sql, params } = table.statements[0];
+  assert.match(sql, /LEAST\(\s*EXCLUDED\.watch_time_seconds,/);
+  assert.match(sql, /CURRENT_TIMESTAMP - topic_progress\.last_watched_at/);
+  assert.strictEqual(params[6], HEARTBEAT_SLACK_SECONDS);
+});
+
+test('rapid repeated heartbeats do not complete a video', async () => {
+  const clock = { now: 0 };
+  const table = createProgressTable(clock);
+
+  let completed = false;
+  // 20 heartbeats claiming 120 seconds each, sent one second apart
+  for (let i = 0; i < 20; i++) {
+    const { justCompleted } = await recordVideoHeartbeat(table, {
+      userId: 1,
+      video,
+      positionSeconds: 600,
+      watchedSeconds: 120
+    });
+    completed = completed || justCompleted;
+    clock.now += 1000;
+  }
+
+  assert.strictEqual(completed, false);
+  assert.ok(table.row.watch_time_seconds <= 120 + 19 * (1 + HEARTBEAT_SLACK_SECONDS));
+});
+
+test('heartbeats sent at playback pace still complete the video', async () => {
+  const clock = { now: 0 };
+  const table = createProgressTable(clock);
+
+  let completed = false;
+  for (let i = 0; i < 40 && !completed; i++) {
+    clock.now += 15000;
+    const { justCompleted } = await recordVideoHeartbeat(table, {
+      userId: 1,
+      video,
+      positionSeconds: (i + 1) * 15,
+      watchedSeconds: 15
+    });
+    completed = justCompleted;
+  }
+
+  assert.strictEqual(completed, true);
+});
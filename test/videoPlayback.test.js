@@ -0,0 +1,126 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const {
+  createPlaybackToken,
+  verifyPlaybackToken,
+  rewritePlaylist
+} = require('../src/utils/videoPlayback');
+const { getObjectRef } = require('../src/utils/s3-helper');
+const topicsProgressRoutes = require('../src/routes/topicsProgress');
+
+afterEach(() => mock.restoreAll());
+
+const streamVideo = {
+  id: 7,
+  topic_id: 3,
+  is_preview: false,
+  video_type: 'upload',
+  video_url: getObjectRef('videos/hls/7/master.m3u8')
+};
+
+/**
+ * Run the progress routes against a fake pool. `enrolled` decides whether user 1 has bought
+ * topic 3; videos are looked up in `videos` by id.
+ */
+async function withServer({ videos, enrolled }, fn) {
+  const pool = {
+    async query(sql, params) {
+      if (/FROM topic_videos/.test(sql)) {
+        const video = videos.find((candidate) => candidate.id === Number(params[0]));
+        return { rows: video ? [video] : [] };
+      }
+      if (/FROM topics WHERE id/.test(sql)) {
+        return { rows: [{ id: 3, category_id: 1, created_at: new Date() }] };
+      }
+      if (/FROM user_topics/.test(sql) && enrolled) {
+        return { rows: [{ payment_status: 'completed' }] };
+      }
+      return { rows: [] };
+    }
+  };
+
+  const app = express();
+  app.use((req, res, next) => {
+    req.pool = pool;
+    next();
+  });
+  app.use('/api', topicsProgressRoutes);
+
+  const server = app.listen(0);
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.close();
+  }
+}
+
+function userHeaders() {
+  const token = jwt.sign({ userId: 1 }, process.env.JWT_SECRET || 'changeme');
+  return { Authorization: `Bearer ${token}` };
+}
+
+test('rewritten playlists sign every segment and send nested playlists back through the API', async () => {
+  const playlist = [
+    '#EXTM3U',
+    '#EXT-X-MAP:URI="init.mp4"',
+    '#EXTINF:6.0,',
+    'segment_000.ts',
+    '720p.m3u8',
+    'https://cdn.example.com/external.ts'
+  ].join('\n');
+
+  const lines = (await rewritePlaylist(playlist, 'videos/hls/7', 'tok')).split('\n');
+
+  assert.match(lines[1], /^#EXT-X-MAP:URI="https:\/\/storage\.test\/test-bucket\/videos\/hls\/7\/init\.mp4\?.*X-Amz-Signature=/);
+  assert.match(lines[3], /^https:\/\/storage\.test\/test-bucket\/videos\/hls\/7\/segment_000\.ts\?.*X-Amz-Signature=/);
+  assert.strictEqual(lines[4], '720p.m3u8?token=tok');
+  assert.strictEqual(lines[5], 'https://cdn.example.com/external.ts');
+});
+
+test('a playback token only opens the video it was issued for', () => {
+  const token = createPlaybackToken(streamVideo);
+
+  assert.strictEqual(verifyPlaybackToken(token, streamVideo), true);
+  assert.strictEqual(verifyPlaybackToken(token, { ...streamVideo, id: 8 }), false);
+  assert.strictEqual(verifyPlaybackToken('not-a-token', streamVideo), false);
+});
+
+test('/play requires a signed-in viewer and an enrollment for paid videos', async () => {
+  await withServer({ videos: [streamVideo], enrolled: false }, async (baseUrl) => {
+    const anonymous = await fetch(`${baseUrl}/api/topics/3/videos/7/play`);
+    assert.strictEqual(anonymous.status, 401);
+
+    const unenrolled = await fetch(`${baseUrl}/api/topics/3/videos/7/play`, { headers: userHeaders() });
+    assert.strictEqual(unenrolled.status, 403);
+  });
+});
+
+test('/play opens previews to any signed-in viewer with a presigned link', async () => {
+  const preview = { ...streamVideo, id: 9, is_preview: true, video_url: getObjectRef('videos/intro.mp4') };
+
+  await withServer({ videos: [preview], enrolled: false }, async (baseUrl) => {
+    const response = await fetch(`${baseUrl}/api/topics/3/videos/9/play`, { headers: userHeaders() });
+    const body = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.match(body.data.url, /^https:\/\/storage\.test\/test-bucket\/videos\/intro\.mp4\?.*X-Amz-Signature=/);
+  });
+});
+
+test('HLS playlists are only served with a playback token for that video', async () => {
+  await withServer({ videos: [streamVideo, { ...streamVideo, id: 8 }], enrolled: true }, async (baseUrl) => {
+    const play = await fetch(`${baseUrl}/api/topics/3/videos/7/play`, { headers: userHeaders() });
+    const { data } = await play.json();
+    assert.strictEqual(play.status, 200);
+    assert.ok(data.url.startsWith(`${baseUrl}/api/topics/3/videos/7/hls/master.m3u8?token=`));
+
+    const token = new URL(data.url).searchParams.get('token');
+    const untokened = await fetch(`${baseUrl}/api/topics/3/videos/7/hls/master.m3u8`);
+    assert.strictEqual(untokened.status, 401);
+
+    const otherVideo = await fetch(`${baseUrl}/api/topics/3/videos/8/hls/master.m3u8?token=${encodeURIComponent(token)}`);
+    assert.strictEqual(otherVideo.status, 401);
+  });
+});